@@ -5,11 +5,31 @@
 
 const Notification = require('../models/Notification');
 const FCMService = require('../services/fcmService');
+const NotificationService = require('../services/notificationService');
+const deviceTokenService = require('../services/deviceTokenService');
+const notificationPolicyService = require('../services/notificationPolicyService');
 const User = require('../models/User');
 
+// FCM topic names: letters, numbers and -_.~%
+const TOPIC_PATTERN = /^[a-zA-Z0-9-_.~%]{1,900}$/;
+
+// Delivery channels users can switch on or off
+const PREFERENCE_CHANNELS = ['email', 'sms', 'push'];
+
+const TIME_PATTERN = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Notification settings plus the time zone quiet hours are evaluated in
+const toPreferencesResponse = (preferences = {}) => ({
+  ...(preferences.notifications?.toObject?.() || preferences.notifications),
+  timezone: preferences.timezone,
+});
+
 /**
  * Register device token for push notifications
- * @route POST /api/notifications/register-token
+ * @route POST /api/v1/notifications/register-token
  */
 exports.registerDeviceToken = async (req, res) => {
   try {
@@ -31,7 +51,12 @@ exports.registerDeviceToken = async (req, res) => {
       });
     }
 
-    // Find user document
+    // A device token belongs to one user; drop it from anyone who used the device before
+    await User.updateMany(
+      { _id: { $ne: userId }, 'fcmTokens.token': token },
+      { $pull: { fcmTokens: { token } } }
+    );
+
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({
@@ -40,33 +65,30 @@ exports.registerDeviceToken = async (req, res) => {
       });
     }
 
-    // Initialize deviceTokens array if not exists
-    if (!user.deviceTokens) {
-      user.deviceTokens = [];
-    }
-
     // Check if token already exists
-    const existingToken = user.deviceTokens.find((dt) => dt.token === token);
+    const existingToken = user.fcmTokens.find((t) => t.token === token);
 
     if (existingToken) {
-      // Update existing token
+      // Update existing token; registering again revives a deactivated token
+      existingToken.deviceType = platform;
+      existingToken.lastSeenAt = new Date();
       existingToken.isActive = true;
-      existingToken.platform = platform;
-      existingToken.registeredAt = new Date();
+      existingToken.deactivatedAt = undefined;
+      existingToken.deactivationReason = undefined;
     } else {
       // Add new token
-      user.deviceTokens.push({
+      user.fcmTokens.push({
         token,
-        platform,
-        isActive: true,
-        registeredAt: new Date(),
+        deviceType: platform,
+        createdAt: new Date(),
+        lastSeenAt: new Date(),
       });
     }
 
     await user.save();
 
     // Subscribe to default topics
-    const topics = ['all_users', `platform_${platform}`, `user_${userId}`];
+    const topics = ['all_users', `platform_${platform}`, `role_${user.role}`, `user_${userId}`];
     for (const topic of topics) {
       try {
         await FCMService.subscribeToTopic(topic, [token]);
@@ -93,17 +115,59 @@ exports.registerDeviceToken = async (req, res) => {
   }
 };
 
+/**
+ * Unregister a device token (e.g. on logout)
+ * @route POST /api/v1/notifications/unregister-token
+ */
+exports.unregisterDeviceToken = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required',
+      });
+    }
+
+    const result = await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { fcmTokens: { token } } }
+    );
+
+    const topics = ['all_users', `role_${req.user.role}`, `user_${req.user._id}`];
+    for (const topic of topics) {
+      try {
+        await FCMService.unsubscribeFromTopic(topic, [token]);
+      } catch (error) {
+        console.error(`Failed to unsubscribe from topic ${topic}:`, error);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: result.modifiedCount > 0 ? 'Device token unregistered' : 'Device token was not registered',
+    });
+  } catch (error) {
+    console.error('Error unregistering device token:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error unregistering device token',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Get all notifications for user
- * @route GET /api/notifications
+ * @route GET /api/v1/notifications
  */
 exports.getNotifications = async (req, res) => {
   try {
-    const userId = req.user._id;
-    const { status, type, limit = 20, skip = 0 } = req.query;
+    const { status, type, page = 1, limit = 20 } = req.query;
 
     // Build query
-    const query = { userId, deletedAt: null };
+    const query = Notification.visibleTo(req.user._id);
 
     if (status) {
       query.status = status;
@@ -113,23 +177,28 @@ exports.getNotifications = async (req, res) => {
       query.type = type;
     }
 
+    const pageNumber = Math.max(parseInt(page), 1);
+    const pageSize = Math.min(Math.max(parseInt(limit), 1), 100);
+
     // Get total count
     const total = await Notification.countDocuments(query);
 
     // Get paginated results
     const notifications = await Notification.find(query)
       .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(parseInt(skip));
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize);
 
     return res.status(200).json({
       success: true,
-      data: notifications,
-      pagination: {
-        total,
-        limit: parseInt(limit),
-        skip: parseInt(skip),
-        hasMore: skip + limit < total,
+      data: {
+        notifications,
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          pages: Math.ceil(total / pageSize),
+        },
       },
     });
   } catch (error) {
@@ -144,16 +213,13 @@ exports.getNotifications = async (req, res) => {
 
 /**
  * Get unread notifications count
- * @route GET /api/notifications/unread/count
+ * @route GET /api/v1/notifications/unread/count
  */
 exports.getUnreadCount = async (req, res) => {
   try {
-    const userId = req.user._id;
-
     const unreadCount = await Notification.countDocuments({
-      userId,
+      ...Notification.visibleTo(req.user._id),
       status: { $ne: 'read' },
-      deletedAt: null,
     });
 
     return res.status(200).json({
@@ -174,7 +240,7 @@ exports.getUnreadCount = async (req, res) => {
 
 /**
  * Mark notification as read
- * @route PUT /api/notifications/:id/read
+ * @route PUT /api/v1/notifications/:id/read
  */
 exports.markAsRead = async (req, res) => {
   try {
@@ -211,9 +277,44 @@ exports.markAsRead = async (req, res) => {
   }
 };
 
+/**
+ * Mark notification as unread
+ * @route PUT /api/v1/notifications/:id/unread
+ */
+exports.markAsUnread = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      ...Notification.visibleTo(req.user._id),
+      _id: req.params.id,
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+      });
+    }
+
+    await notification.markAsUnread();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Notification marked as unread',
+      data: notification,
+    });
+  } catch (error) {
+    console.error('Error marking notification as unread:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error marking notification as unread',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Mark all notifications as read
- * @route PUT /api/notifications/mark-all-read
+ * @route PUT /api/v1/notifications/mark-all-read
  */
 exports.markAllAsRead = async (req, res) => {
   try {
@@ -221,9 +322,8 @@ exports.markAllAsRead = async (req, res) => {
 
     await Notification.updateMany(
       {
-        userId,
+        ...Notification.visibleTo(userId),
         status: { $ne: 'read' },
-        deletedAt: null,
       },
       {
         status: 'read',
@@ -247,7 +347,7 @@ exports.markAllAsRead = async (req, res) => {
 
 /**
  * Delete notification
- * @route DELETE /api/notifications/:id
+ * @route DELETE /api/v1/notifications/:id
  */
 exports.deleteNotification = async (req, res) => {
   try {
@@ -285,7 +385,7 @@ exports.deleteNotification = async (req, res) => {
 
 /**
  * Delete all notifications
- * @route DELETE /api/notifications
+ * @route DELETE /api/v1/notifications
  */
 exports.deleteAllNotifications = async (req, res) => {
   try {
@@ -312,7 +412,7 @@ exports.deleteAllNotifications = async (req, res) => {
 
 /**
  * Record notification click
- * @route POST /api/notifications/:id/click
+ * @route POST /api/v1/notifications/:id/click
  */
 exports.recordNotificationClick = async (req, res) => {
   try {
@@ -351,64 +451,76 @@ exports.recordNotificationClick = async (req, res) => {
 
 /**
  * Send notification to user (Admin only)
- * @route POST /api/notifications/send
+ * @route POST /api/v1/notifications/send
  */
 exports.sendNotification = async (req, res) => {
   try {
-    const { userId, title, body, type, data, imageUrl, priority = 'normal', scheduledFor } = req.body;
+    const {
+      userId,
+      title,
+      body,
+      type,
+      data,
+      imageUrl,
+      priority,
+      scheduledFor,
+      template,
+      variables,
+      channels,
+      respectUserPreferences,
+      silentNotification,
+    } = req.body;
 
     // Validate input
-    if (!userId || !title || !body) {
+    if (!userId || (!template && (!title || !body))) {
+      return res.status(400).json({
+        success: false,
+        message: 'userId and either template or title and body are required',
+      });
+    }
+
+    if (channels !== undefined &&
+      (!Array.isArray(channels) || channels.some((channel) => !PREFERENCE_CHANNELS.includes(channel)))) {
       return res.status(400).json({
         success: false,
-        message: 'userId, title, and body are required',
+        message: `channels must be a list of: ${PREFERENCE_CHANNELS.join(', ')}`,
+      });
+    }
+
+    if (scheduledFor && (isNaN(new Date(scheduledFor)) || new Date(scheduledFor) <= new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'scheduledFor must be a future date',
       });
     }
 
     // Find user
-    const user = await User.findById(userId);
-    if (!user || !user.deviceTokens || user.deviceTokens.length === 0) {
+    const user = await User.exists({ _id: userId, deletedAt: null });
+    if (!user) {
       return res.status(404).json({
         success: false,
-        message: 'User or device tokens not found',
+        message: 'User not found',
       });
     }
 
-    // Create notification record
-    const notification = new Notification({
-      userId,
+    const content = {
       title,
       body,
-      type: type || 'general',
+      type,
+      priority,
+      template,
+      variables,
       data,
       imageUrl,
-      priority,
-      isScheduled: !!scheduledFor,
-      scheduledFor: scheduledFor ? new Date(scheduledFor) : undefined,
-      deviceTokens: user.deviceTokens.filter((dt) => dt.isActive),
-    });
-
-    await notification.save();
-
-    // Send immediately if not scheduled
-    if (!scheduledFor) {
-      const payload = FCMService.buildPayload(title, body, data || {}, imageUrl);
-      const activeTokens = user.deviceTokens.filter((dt) => dt.isActive).map((dt) => dt.token);
-
-      if (activeTokens.length > 0) {
-        try {
-          await FCMService.sendToMultipleDevices(activeTokens, payload);
-          notification.status = 'sent';
-          notification.sentAt = new Date();
-          await notification.save();
-        } catch (error) {
-          console.error('Error sending notification:', error);
-          notification.status = 'failed';
-          notification.failureReason = error.message;
-          await notification.save();
-        }
-      }
-    }
+      channels,
+      respectUserPreferences,
+      silentNotification,
+    };
+
+    // Scheduled notifications are sent by the job scheduler when due
+    const notification = scheduledFor
+      ? await NotificationService.scheduleForUser(userId, content, new Date(scheduledFor))
+      : await NotificationService.notifyUser(userId, content);
 
     return res.status(201).json({
       success: true,
@@ -417,7 +529,7 @@ exports.sendNotification = async (req, res) => {
     });
   } catch (error) {
     console.error('Error sending notification:', error);
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error sending notification',
       error: error.message,
@@ -427,11 +539,11 @@ exports.sendNotification = async (req, res) => {
 
 /**
  * Send broadcast notification to topic
- * @route POST /api/notifications/broadcast
+ * @route POST /api/v1/notifications/broadcast
  */
 exports.broadcastNotification = async (req, res) => {
   try {
-    const { topic, title, body, type, data, imageUrl, priority = 'normal' } = req.body;
+    const { topic, title, body, type = 'general', data, imageUrl } = req.body;
 
     // Validate input
     if (!topic || !title || !body) {
@@ -441,7 +553,14 @@ exports.broadcastNotification = async (req, res) => {
       });
     }
 
-    const payload = FCMService.buildPayload(title, body, data || {}, imageUrl);
+    if (!TOPIC_PATTERN.test(topic)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid topic name',
+      });
+    }
+
+    const payload = FCMService.buildPayload(title, body, { ...data, type }, imageUrl);
 
     try {
       const messageId = await FCMService.sendToTopic(topic, payload);
@@ -472,19 +591,70 @@ exports.broadcastNotification = async (req, res) => {
   }
 };
 
+/**
+ * Push delivery stats across all devices (Admin only)
+ * @route GET /api/v1/notifications/devices/stats
+ */
+exports.getDeviceStats = async (req, res) => {
+  try {
+    const stats = await deviceTokenService.getDeviceStats();
+
+    return res.status(200).json({
+      success: true,
+      data: stats,
+    });
+  } catch (error) {
+    console.error('Error fetching device stats:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error fetching device stats',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * A user's registered devices with delivery stats (Admin only)
+ * @route GET /api/v1/notifications/devices/users/:userId
+ */
+exports.getUserDevices = async (req, res) => {
+  try {
+    const devices = await deviceTokenService.getUserDevices(req.params.userId);
+
+    if (!devices) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        devices,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching user devices:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error fetching user devices',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Get notification preferences
- * @route GET /api/notifications/preferences
+ * @route GET /api/v1/notifications/preferences
  */
 exports.getPreferences = async (req, res) => {
   try {
-    const userId = req.user._id;
-
-    const user = await User.findById(userId, 'notificationPreferences');
+    const user = await User.findById(req.user._id).select('preferences');
 
     return res.status(200).json({
       success: true,
-      data: user?.notificationPreferences || {},
+      data: toPreferencesResponse(user?.preferences),
     });
   } catch (error) {
     console.error('Error fetching notification preferences:', error);
@@ -498,23 +668,121 @@ exports.getPreferences = async (req, res) => {
 
 /**
  * Update notification preferences
- * @route PUT /api/notifications/preferences
+ * @route PUT /api/v1/notifications/preferences
  */
 exports.updatePreferences = async (req, res) => {
   try {
-    const userId = req.user._id;
-    const preferences = req.body;
+    const update = {};
+
+    for (const channel of PREFERENCE_CHANNELS) {
+      if (req.body[channel] === undefined) continue;
+
+      if (typeof req.body[channel] !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: `${channel} must be true or false`,
+        });
+      }
+      update[`preferences.notifications.${channel}`] = req.body[channel];
+    }
+
+    const { quietHours, digest, timezone } = req.body;
+
+    if (quietHours !== undefined) {
+      if (quietHours.enabled !== undefined) {
+        if (typeof quietHours.enabled !== 'boolean') {
+          return res.status(400).json({
+            success: false,
+            message: 'quietHours.enabled must be true or false',
+          });
+        }
+        update['preferences.notifications.quietHours.enabled'] = quietHours.enabled;
+      }
+
+      for (const bound of ['start', 'end']) {
+        if (quietHours[bound] === undefined) continue;
+
+        if (!TIME_PATTERN.test(quietHours[bound])) {
+          return res.status(400).json({
+            success: false,
+            message: `quietHours.${bound} must be in HH:MM format`,
+          });
+        }
+        update[`preferences.notifications.quietHours.${bound}`] = quietHours[bound];
+      }
+    }
+
+    if (digest !== undefined) {
+      const digestibleTypes = notificationPolicyService.getDigestibleTypes();
+
+      if (digest.types !== undefined) {
+        if (!Array.isArray(digest.types) || digest.types.some((type) => !digestibleTypes.includes(type))) {
+          return res.status(400).json({
+            success: false,
+            message: `digest.types must be a list of: ${digestibleTypes.join(', ')}`,
+          });
+        }
+        update['preferences.notifications.digest.types'] = [...new Set(digest.types)];
+      }
+
+      if (digest.frequency !== undefined) {
+        if (!DIGEST_FREQUENCIES.includes(digest.frequency)) {
+          return res.status(400).json({
+            success: false,
+            message: 'digest.frequency must be daily or weekly',
+          });
+        }
+        update['preferences.notifications.digest.frequency'] = digest.frequency;
+      }
+
+      if (digest.time !== undefined) {
+        if (!TIME_PATTERN.test(digest.time)) {
+          return res.status(400).json({
+            success: false,
+            message: 'digest.time must be in HH:MM format',
+          });
+        }
+        update['preferences.notifications.digest.time'] = digest.time;
+      }
+
+      if (digest.dayOfWeek !== undefined) {
+        if (!DAYS_OF_WEEK.includes(digest.dayOfWeek)) {
+          return res.status(400).json({
+            success: false,
+            message: `digest.dayOfWeek must be one of: ${DAYS_OF_WEEK.join(', ')}`,
+          });
+        }
+        update['preferences.notifications.digest.dayOfWeek'] = digest.dayOfWeek;
+      }
+    }
+
+    if (timezone !== undefined) {
+      if (typeof timezone !== 'string' || !notificationPolicyService.isValidTimeZone(timezone)) {
+        return res.status(400).json({
+          success: false,
+          message: 'timezone must be an IANA time zone such as Asia/Kolkata',
+        });
+      }
+      update['preferences.timezone'] = timezone;
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide at least one of: ${PREFERENCE_CHANNELS.join(', ')}, quietHours, digest, timezone`,
+      });
+    }
 
     const user = await User.findByIdAndUpdate(
-      userId,
-      { notificationPreferences: preferences },
+      req.user._id,
+      { $set: update },
       { new: true, runValidators: true }
-    );
+    ).select('preferences');
 
     return res.status(200).json({
       success: true,
       message: 'Notification preferences updated',
-      data: user.notificationPreferences,
+      data: toPreferencesResponse(user.preferences),
     });
   } catch (error) {
     console.error('Error updating notification preferences:', error);
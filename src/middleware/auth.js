@@ -3,6 +3,10 @@ const admin = require('firebase-admin');
 const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
 
+// Short-lived tokens that only open the event stream, for clients that cannot set headers
+const STREAM_TOKEN_SCOPE = 'event_stream';
+const STREAM_TOKEN_EXPIRE = process.env.STREAM_TOKEN_EXPIRE || '60s';
+
 // Initialize Firebase Admin SDK
 if (!admin.apps.length) {
     const serviceAccount = {
@@ -49,6 +53,12 @@ const authMiddleware = async (req, res, next) => {
             // If Firebase token verification fails, try JWT
             try {
                 const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+                // Scoped tokens (e.g. event stream tokens) are not session tokens
+                if (decoded.scope) {
+                    throw new Error('Scoped token used as a session token');
+                }
+
                 user = await User.findById(decoded.userId);
 
                 if (!user) {
@@ -85,6 +95,50 @@ const authMiddleware = async (req, res, next) => {
     }
 };
 
+/**
+ * Issue a short-lived token that only authenticates the event stream, so it
+ * can go in a query string without exposing the session token in logs
+ */
+const createStreamToken = (user) => jwt.sign(
+    { userId: user._id, scope: STREAM_TOKEN_SCOPE },
+    process.env.JWT_SECRET,
+    { expiresIn: STREAM_TOKEN_EXPIRE }
+);
+
+/**
+ * Authentication for the event stream. Browser EventSource cannot set
+ * headers, so GET requests may pass a stream token as ?access_token=;
+ * everything else goes through authMiddleware.
+ */
+const streamAuthMiddleware = async (req, res, next) => {
+    if (req.method !== 'GET' || req.header('Authorization') || !req.query.access_token) {
+        return authMiddleware(req, res, next);
+    }
+
+    try {
+        const decoded = jwt.verify(req.query.access_token, process.env.JWT_SECRET);
+        if (decoded.scope !== STREAM_TOKEN_SCOPE) {
+            throw new Error('Not a stream token');
+        }
+
+        const user = await User.findById(decoded.userId);
+        if (!user || !user.isActive || user.deletedAt) {
+            return res.status(401).json({
+                success: false,
+                message: 'Account is deactivated'
+            });
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid stream token'
+        });
+    }
+};
+
 /**
  * Role-based authorization middleware
  */
@@ -183,6 +237,8 @@ const strictRateLimit = rateLimit({
 
 module.exports = {
     authMiddleware,
+    streamAuthMiddleware,
+    createStreamToken,
     authorize,
     checkPermission,
     checkBranchAccess,
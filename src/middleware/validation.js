@@ -90,6 +90,421 @@ const validateAppointment = [
         .withMessage('Invalid branch ID')
 ];
 
+/**
+ * Recurring appointment series validation
+ */
+const validateAppointmentSeries = [
+    body('patient')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid patient ID'),
+
+    body('doctor')
+        .isMongoId()
+        .withMessage('Invalid doctor ID'),
+
+    body('startDate')
+        .isISO8601()
+        .withMessage('Please provide a valid start date'),
+
+    body('scheduledTime')
+        .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage('Please provide a valid time in HH:MM format'),
+
+    body('recurrence.frequency')
+        .isIn(['daily', 'weekly', 'monthly'])
+        .withMessage('Frequency must be daily, weekly or monthly'),
+
+    body('recurrence.interval')
+        .optional()
+        .isInt({ min: 1, max: 12 })
+        .withMessage('Interval must be between 1 and 12'),
+
+    body('recurrence.count')
+        .optional()
+        .isInt({ min: 1, max: 52 })
+        .withMessage('Count must be between 1 and 52'),
+
+    body('recurrence.until')
+        .optional()
+        .isISO8601()
+        .withMessage('Please provide a valid end date'),
+
+    body('recurrence')
+        .custom(value => {
+            if (!value?.count && !value?.until) {
+                throw new Error('Recurrence needs either a count or an end date');
+            }
+            return true;
+        }),
+
+    body('recurrence.daysOfWeek.*')
+        .isIn(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'])
+        .withMessage('Invalid day of week'),
+
+    body('recurrence.exceptions.*')
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Exceptions must be dates in YYYY-MM-DD format'),
+
+    body('type')
+        .optional()
+        .isIn(['consultation', 'follow_up', 'emergency', 'surgery', 'procedure', 'check_up'])
+        .withMessage('Invalid appointment type'),
+
+    body('consultationType')
+        .optional()
+        .isIn(['in_person', 'video_call', 'phone_call', 'chat'])
+        .withMessage('Invalid consultation type'),
+
+    body('chiefComplaint')
+        .trim()
+        .isLength({ min: 5, max: 500 })
+        .withMessage('Chief complaint must be between 5 and 500 characters')
+];
+
+/**
+ * Waitlist entry validation
+ */
+const validateWaitlistEntry = [
+    body('doctor')
+        .isMongoId()
+        .withMessage('Invalid doctor ID'),
+
+    body('patient')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid patient ID'),
+
+    body('dateFrom')
+        .isISO8601()
+        .withMessage('Please provide a valid start date'),
+
+    body('dateTo')
+        .isISO8601()
+        .withMessage('Please provide a valid end date')
+        .custom((value, { req }) => {
+            if (new Date(value) < new Date(req.body.dateFrom)) {
+                throw new Error('End date must not be before start date');
+            }
+            return true;
+        }),
+
+    body('preferredWindows')
+        .optional()
+        .isArray()
+        .withMessage('Preferred windows must be an array'),
+
+    body('preferredWindows.*.startTime')
+        .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage('Window start time must be in HH:MM format'),
+
+    body('preferredWindows.*.endTime')
+        .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage('Window end time must be in HH:MM format'),
+
+    body('type')
+        .optional()
+        .isIn(['consultation', 'follow_up', 'emergency', 'surgery', 'procedure', 'check_up'])
+        .withMessage('Invalid appointment type'),
+
+    body('consultationType')
+        .optional()
+        .isIn(['in_person', 'video_call', 'phone_call', 'chat'])
+        .withMessage('Invalid consultation type'),
+
+    body('chiefComplaint')
+        .trim()
+        .isLength({ min: 5, max: 500 })
+        .withMessage('Chief complaint must be between 5 and 500 characters')
+];
+
+/**
+ * Notification template validation
+ */
+const validateNotificationTemplate = [
+    body('key')
+        .optional()
+        .matches(/^[a-z0-9_]+$/)
+        .withMessage('Key may only contain lowercase letters, numbers and underscores'),
+
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
+
+    body('priority')
+        .optional()
+        .isIn(['low', 'normal', 'high', 'urgent'])
+        .withMessage('Invalid priority'),
+
+    body('placeholders')
+        .optional()
+        .isArray()
+        .withMessage('Placeholders must be an array'),
+
+    body('placeholders.*.key')
+        .matches(/^[\w.]+$/)
+        .withMessage('Placeholder keys may only contain letters, numbers, underscores and dots'),
+
+    body('variants')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('At least one language variant is required'),
+
+    body('variants.*.language')
+        .matches(/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})?$/)
+        .withMessage('Variant language must be a language code such as "en" or "pt-BR"'),
+
+    body('variants.*.title')
+        .trim()
+        .notEmpty()
+        .withMessage('Variant title is required'),
+
+    body('variants.*.body')
+        .trim()
+        .notEmpty()
+        .withMessage('Variant body is required'),
+
+    body('variants.*.sms.body')
+        .optional()
+        .isLength({ max: 459 })
+        .withMessage('SMS text must be at most 459 characters')
+];
+
+/**
+ * Campaign audience validation
+ */
+const validateAudience = [
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
+
+    body('filters.roles.*')
+        .isIn(['patient', 'doctor', 'admin', 'receptionist', 'lab_technician'])
+        .withMessage('Invalid role specified'),
+
+    body('filters.branchIds.*')
+        .isMongoId()
+        .withMessage('Invalid branch ID'),
+
+    body(['filters.ageRange.min', 'filters.ageRange.max'])
+        .optional({ nullable: true })
+        .isInt({ min: 0, max: 150 })
+        .withMessage('Age limits must be whole numbers between 0 and 150'),
+
+    body('filters.chronicConditions.*')
+        .trim()
+        .notEmpty()
+        .withMessage('Chronic condition must not be empty'),
+
+    body(['filters.lastVisitDaysAgo.min', 'filters.lastVisitDaysAgo.max'])
+        .optional({ nullable: true })
+        .isInt({ min: 0 })
+        .withMessage('Last visit limits must be whole numbers of days')
+];
+
+/**
+ * Notification campaign validation
+ */
+const validateCampaign = [
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
+
+    body('audience')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid audience ID'),
+
+    body('content.priority')
+        .optional()
+        .isIn(['low', 'normal', 'high', 'urgent'])
+        .withMessage('Invalid priority'),
+
+    body('content.channels.*')
+        .isIn(['push', 'email', 'sms'])
+        .withMessage('Channels must be push, email or sms'),
+
+    body('content.imageUrl')
+        .optional({ checkFalsy: true })
+        .isURL()
+        .withMessage('Image URL must be a valid URL'),
+
+    body('scheduledFor')
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage('Scheduled time must be a valid date'),
+
+    body('throttlePerMinute')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Throttle must be between 1 and 50 recipients per minute')
+];
+
+/**
+ * Doctor creation validation
+ */
+const validateDoctor = [
+    body('firstName')
+        .trim()
+        .isLength({ min: 2, max: 50 })
+        .withMessage('First name must be between 2 and 50 characters'),
+
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email address'),
+
+    body('phone')
+        .matches(/^\+?[\d\s-()]+$/)
+        .withMessage('Please provide a valid phone number'),
+
+    body('password')
+        .optional()
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters long'),
+
+    body('branchId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid branch ID'),
+
+    body('medicalLicense.licenseNumber')
+        .trim()
+        .notEmpty()
+        .withMessage('Medical license number is required'),
+
+    body('specializations')
+        .isArray({ min: 1 })
+        .withMessage('At least one specialization is required'),
+
+    body('specializations.*.name')
+        .trim()
+        .notEmpty()
+        .withMessage('Specialization name is required'),
+
+    body('consultationFee.amount')
+        .isFloat({ min: 0 })
+        .withMessage('Consultation fee must be a non-negative number'),
+
+    body('consultationTypes')
+        .optional()
+        .isArray()
+        .withMessage('Consultation types must be an array'),
+
+    body('consultationTypes.*')
+        .isIn(['in_person', 'video_call', 'phone_call', 'chat'])
+        .withMessage('Invalid consultation type'),
+
+    body('appointmentDuration')
+        .optional()
+        .isInt({ min: 5, max: 480 })
+        .withMessage('Appointment duration must be between 5 and 480 minutes'),
+
+    body('maxPatientsPerDay')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Max patients per day must be a positive integer')
+];
+
+/**
+ * Doctor update validation; every field is optional
+ */
+const validateDoctorUpdate = [
+    body('firstName')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 50 })
+        .withMessage('First name must be between 2 and 50 characters'),
+
+    body('lastName')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Last name must be between 2 and 50 characters'),
+
+    body('phone')
+        .optional()
+        .matches(/^\+?[\d\s-()]+$/)
+        .withMessage('Please provide a valid phone number'),
+
+    body('experience')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Experience must be a non-negative number of years'),
+
+    body('medicalLicense.licenseNumber')
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage('Medical license number cannot be empty'),
+
+    body('specializations')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('At least one specialization is required'),
+
+    body('specializations.*.name')
+        .trim()
+        .notEmpty()
+        .withMessage('Specialization name is required'),
+
+    body('consultationFee.amount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Consultation fee must be a non-negative number'),
+
+    body('followUpFee.amount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Follow-up fee must be a non-negative number'),
+
+    body('consultationTypes')
+        .optional()
+        .isArray()
+        .withMessage('Consultation types must be an array'),
+
+    body('consultationTypes.*')
+        .isIn(['in_person', 'video_call', 'phone_call', 'chat'])
+        .withMessage('Invalid consultation type'),
+
+    body(['workingHours.*.start', 'workingHours.*.end'])
+        .optional()
+        .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage('Working hours must use HH:MM'),
+
+    body('appointmentDuration')
+        .optional()
+        .isInt({ min: 5, max: 480 })
+        .withMessage('Appointment duration must be between 5 and 480 minutes'),
+
+    body('maxPatientsPerDay')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Max patients per day must be a positive integer'),
+
+    body(['isAvailableForAppointments', 'isAcceptingNewPatients'])
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('Availability flags must be true or false')
+];
+
+const LAB_TEST_CATEGORIES = [
+    'hematology', 'biochemistry', 'microbiology', 'pathology',
+    'radiology', 'cardiology', 'neurology', 'endocrinology',
+    'immunology', 'genetics', 'toxicology', 'cytology'
+];
+const LAB_SAMPLE_TYPES = [
+    'blood', 'urine', 'stool', 'sputum', 'saliva', 'tissue',
+    'csf', 'swab', 'fluid', 'hair', 'nail', 'other'
+];
+const LAB_DEPARTMENTS = ['pathology', 'microbiology', 'radiology', 'cardiology'];
+
 /**
  * Lab test creation validation
  */
@@ -105,20 +520,17 @@ const validateLabTest = [
         .withMessage('Test code must be between 2 and 20 characters'),
 
     body('category')
-        .isIn([
-            'hematology', 'biochemistry', 'microbiology', 'pathology',
-            'radiology', 'cardiology', 'neurology', 'endocrinology',
-            'immunology', 'genetics', 'toxicology', 'cytology'
-        ])
+        .isIn(LAB_TEST_CATEGORIES)
         .withMessage('Invalid test category'),
 
     body('sampleType')
-        .isIn([
-            'blood', 'urine', 'stool', 'sputum', 'saliva', 'tissue',
-            'csf', 'swab', 'fluid', 'hair', 'nail', 'other'
-        ])
+        .isIn(LAB_SAMPLE_TYPES)
         .withMessage('Invalid sample type'),
 
+    body('department')
+        .isIn(LAB_DEPARTMENTS)
+        .withMessage('Invalid department'),
+
     body('pricing.basePrice')
         .isFloat({ min: 0 })
         .withMessage('Base price must be a positive number'),
@@ -128,6 +540,143 @@ const validateLabTest = [
         .withMessage('Processing time duration must be a positive integer')
 ];
 
+/**
+ * Lab test update validation; every field is optional, but objects that
+ * replace a whole section (pricing, processingTime) must be complete
+ */
+const validateLabTestUpdate = [
+    body('testName')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 200 })
+        .withMessage('Test name must be between 2 and 200 characters'),
+
+    body('testCode')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 20 })
+        .withMessage('Test code must be between 2 and 20 characters'),
+
+    body('category')
+        .optional()
+        .isIn(LAB_TEST_CATEGORIES)
+        .withMessage('Invalid test category'),
+
+    body('sampleType')
+        .optional()
+        .isIn(LAB_SAMPLE_TYPES)
+        .withMessage('Invalid sample type'),
+
+    body('department')
+        .optional()
+        .isIn(LAB_DEPARTMENTS)
+        .withMessage('Invalid department'),
+
+    body('pricing')
+        .optional()
+        .isObject()
+        .withMessage('Pricing must be an object'),
+
+    body('pricing.basePrice')
+        .if(body('pricing').exists())
+        .isFloat({ min: 0 })
+        .withMessage('Base price must be a positive number'),
+
+    body(['pricing.urgentPrice', 'pricing.homeCollectionPrice'])
+        .optional({ nullable: true })
+        .isFloat({ min: 0 })
+        .withMessage('Surcharges must be positive numbers'),
+
+    body('pricing.discounts')
+        .optional()
+        .isArray()
+        .withMessage('Discounts must be a list'),
+
+    body('pricing.discounts.*.type')
+        .isIn(['percentage', 'fixed'])
+        .withMessage('Discount type must be percentage or fixed'),
+
+    body('pricing.discounts.*.value')
+        .isFloat({ min: 0 })
+        .withMessage('Discount value must be a positive number'),
+
+    body('processingTime.duration')
+        .if(body('processingTime').exists())
+        .isInt({ min: 1 })
+        .withMessage('Processing time duration must be a positive integer'),
+
+    body('referenceRanges')
+        .optional()
+        .isArray()
+        .withMessage('Reference ranges must be a list'),
+
+    body('referenceRanges.*.parameter')
+        .trim()
+        .notEmpty()
+        .withMessage('Each reference range needs a parameter'),
+
+    body([
+        'referenceRanges.*.normalRange.*.min',
+        'referenceRanges.*.normalRange.*.max',
+        'referenceRanges.*.criticalValues.low',
+        'referenceRanges.*.criticalValues.high'
+    ])
+        .optional({ nullable: true })
+        .isFloat()
+        .withMessage('Reference range limits must be numbers'),
+
+    body(['fastingHours', 'sampleVolume.amount'])
+        .optional({ nullable: true })
+        .isFloat({ min: 0 })
+        .withMessage('Fasting hours and sample volume must be positive numbers'),
+
+    body(['isActive', 'isUrgentAvailable', 'isHomeCollectionAvailable', 'fastingRequired'])
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('Availability flags must be true or false'),
+
+    body('branches')
+        .optional()
+        .isArray()
+        .withMessage('Branches must be a list'),
+
+    body('branches.*.branchId')
+        .isMongoId()
+        .withMessage('Each branch needs a valid branchId')
+];
+
+/**
+ * Lab panel / package validation
+ */
+const validateLabPackage = [
+    body('name')
+        .trim()
+        .isLength({ min: 2, max: 200 })
+        .withMessage('Package name must be between 2 and 200 characters'),
+
+    body('code')
+        .trim()
+        .isLength({ min: 2, max: 20 })
+        .withMessage('Package code must be between 2 and 20 characters'),
+
+    body('kind')
+        .optional()
+        .isIn(['panel', 'package'])
+        .withMessage('Kind must be panel or package'),
+
+    body('tests')
+        .isArray({ min: 2 })
+        .withMessage('A package must contain at least two tests'),
+
+    body('tests.*')
+        .isMongoId()
+        .withMessage('Invalid lab test ID'),
+
+    body('pricing.basePrice')
+        .isFloat({ min: 0 })
+        .withMessage('Base price must be a positive number')
+];
+
 /**
  * Inventory item creation validation
  */
@@ -261,7 +810,16 @@ module.exports = {
     validateUserRegistration,
     validateUserLogin,
     validateAppointment,
+    validateAppointmentSeries,
+    validateWaitlistEntry,
+    validateNotificationTemplate,
+    validateAudience,
+    validateCampaign,
+    validateDoctor,
+    validateDoctorUpdate,
     validateLabTest,
+    validateLabTestUpdate,
+    validateLabPackage,
     validateInventory,
     validateInvoice,
     validatePagination,
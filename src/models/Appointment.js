@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const eventBus = require('../services/eventBus');
 
 /**
  * Appointment Schema - Manages all appointments in the system
@@ -90,6 +91,32 @@ const appointmentSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    tokenSequence: Number,
+    queueJump: {
+        jumpedAt: Date,
+        jumpedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reason: String
+    },
+    queueAudit: [{
+        action: {
+            type: String,
+            enum: ['checked_in', 'priority_jump', 'called', 'completed', 'left_queue']
+        },
+        performedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        performedAt: {
+            type: Date,
+            default: Date.now
+        },
+        fromPosition: Number,
+        toPosition: Number,
+        reason: String
+    }],
 
     // Check-in/Check-out
     checkedInAt: Date,
@@ -105,10 +132,24 @@ const appointmentSchema = new mongoose.Schema({
         },
         cancelledAt: Date,
         reason: String,
+        initiatedBy: {
+            type: String,
+            enum: ['patient', 'staff', 'system']
+        },
+        isNoShow: {
+            type: Boolean,
+            default: false
+        },
+        hoursBeforeAppointment: Number,
+        refundPercentage: {
+            type: Number,
+            default: 0
+        },
         refundAmount: {
             type: Number,
             default: 0
-        }
+        },
+        refundPaymentId: String
     },
 
     rescheduling: {
@@ -122,6 +163,31 @@ const appointmentSchema = new mongoose.Schema({
         reason: String
     },
 
+    rescheduleCount: {
+        type: Number,
+        default: 0
+    },
+
+    // Recurring series this appointment belongs to
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AppointmentSeries'
+    },
+    seriesOccurrence: Number, // 1-based position within the series
+
+    reschedulingHistory: [{
+        rescheduledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        rescheduledAt: Date,
+        previousDate: Date,
+        previousTime: String,
+        newDate: Date,
+        newTime: String,
+        reason: String
+    }],
+
     // Financial Information
     fees: {
         consultationFee: {
@@ -310,6 +376,11 @@ const appointmentSchema = new mongoose.Schema({
             enum: ['appointment_reminder', 'medication_reminder', 'follow_up_reminder']
         },
         scheduledAt: Date,
+        offsetHours: Number, // Hours before the appointment
+        notification: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Notification'
+        },
         sent: {
             type: Boolean,
             default: false
@@ -399,6 +470,7 @@ appointmentSchema.index({ 'fees.paymentStatus': 1 });
 // Compound indexes
 appointmentSchema.index({ doctor: 1, scheduledDate: 1, status: 1 });
 appointmentSchema.index({ patient: 1, status: 1, scheduledDate: -1 });
+appointmentSchema.index({ series: 1, scheduledDate: 1 });
 
 // Virtual for appointment date/time
 appointmentSchema.virtual('appointmentDateTime').get(function () {
@@ -423,15 +495,16 @@ appointmentSchema.methods.isUpcoming = function () {
 };
 
 // Method to check if appointment can be cancelled
-appointmentSchema.methods.canBeCancelled = function () {
-    const now = new Date();
-    const appointmentTime = this.appointmentDateTime;
-    const hoursUntilAppointment = (appointmentTime - now) / (1000 * 60 * 60);
-
-    return hoursUntilAppointment >= 24 &&
+appointmentSchema.methods.canBeCancelled = function (minHoursBefore = 24) {
+    return this.hoursUntilAppointment() >= minHoursBefore &&
         ['scheduled', 'confirmed'].includes(this.status);
 };
 
+// Method to get hours remaining until the appointment (negative once started)
+appointmentSchema.methods.hoursUntilAppointment = function () {
+    return (this.appointmentDateTime - new Date()) / (1000 * 60 * 60);
+};
+
 // Method to calculate waiting time
 appointmentSchema.methods.calculateWaitingTime = function () {
     if (this.checkedInAt && this.actualStartTime) {
@@ -477,6 +550,21 @@ appointmentSchema.statics.findDoctorDaySchedule = function (doctorId, date) {
         .sort({ scheduledTime: 1 });
 };
 
+// Static method to find a doctor's appointments for calendar feeds,
+// including released ones so clients can drop them
+appointmentSchema.statics.findDoctorCalendar = function (doctorId, startDate, endDate) {
+    return this.find({
+        doctor: doctorId,
+        scheduledDate: {
+            $gte: startDate,
+            $lte: endDate
+        },
+        deletedAt: null
+    }).populate('patient', 'firstName lastName')
+        .populate('branchId', 'name')
+        .sort({ scheduledDate: 1, scheduledTime: 1 });
+};
+
 // Pre-save middleware to generate appointment ID
 appointmentSchema.pre('save', async function (next) {
     if (this.isNew) {
@@ -497,4 +585,61 @@ appointmentSchema.pre('save', async function (next) {
     next();
 });
 
+// Real-time events for status transitions
+const publishStatusChange = (doc, previousStatus) => {
+    eventBus.publish('appointment.status_changed', {
+        appointmentId: doc._id,
+        appointmentNumber: doc.appointmentId,
+        previousStatus,
+        status: doc.status,
+        scheduledDate: doc.scheduledDate,
+        scheduledTime: doc.scheduledTime,
+        tokenNumber: doc.tokenNumber
+    }, {
+        patientId: doc.patient?._id || doc.patient,
+        doctorId: doc.doctor?._id || doc.doctor,
+        branchId: doc.branchId?._id || doc.branchId
+    });
+};
+
+appointmentSchema.post('init', function () {
+    this.$locals.originalStatus = this.status;
+});
+
+appointmentSchema.pre('save', function (next) {
+    this.$locals.wasNew = this.isNew;
+    next();
+});
+
+appointmentSchema.post('save', function (doc) {
+    if (doc.$locals.wasNew) {
+        eventBus.publish('appointment.created', {
+            appointmentId: doc._id,
+            appointmentNumber: doc.appointmentId,
+            status: doc.status,
+            scheduledDate: doc.scheduledDate,
+            scheduledTime: doc.scheduledTime
+        }, {
+            patientId: doc.patient,
+            doctorId: doc.doctor,
+            branchId: doc.branchId
+        });
+    } else if (doc.$locals.originalStatus !== doc.status) {
+        publishStatusChange(doc, doc.$locals.originalStatus);
+    }
+
+    doc.$locals.originalStatus = doc.status;
+    doc.$locals.wasNew = false;
+});
+
+appointmentSchema.post('findOneAndUpdate', function (doc) {
+    const update = this.getUpdate() || {};
+    const status = update.status || update.$set?.status;
+
+    if (doc && status) {
+        // The previous status is not known for direct updates
+        publishStatusChange(doc, null);
+    }
+});
+
 module.exports = mongoose.model('Appointment', appointmentSchema);
\ No newline at end of file
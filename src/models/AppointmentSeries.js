@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+/**
+ * Appointment Series Schema - Recurring appointments created from one rule
+ */
+const appointmentSeriesSchema = new mongoose.Schema({
+    // Series ID
+    seriesId: {
+        type: String,
+        unique: true
+    },
+
+    // Participants
+    patient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    branchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch',
+        required: true
+    },
+
+    // Recurrence Rule
+    recurrence: {
+        frequency: {
+            type: String,
+            enum: ['daily', 'weekly', 'monthly'],
+            required: true
+        },
+        interval: {
+            type: Number,
+            default: 1,
+            min: 1
+        },
+        daysOfWeek: [{
+            type: String,
+            enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+        }],
+        count: {
+            type: Number,
+            min: 1
+        },
+        until: Date,
+        // Dates ("YYYY-MM-DD") skipped by the rule
+        exceptions: [String]
+    },
+    startDate: {
+        type: Date,
+        required: true
+    },
+
+    // Template applied to every occurrence
+    scheduledTime: {
+        type: String, // "14:30"
+        required: true
+    },
+    duration: {
+        type: Number,
+        default: 30
+    },
+    type: {
+        type: String,
+        enum: ['consultation', 'follow_up', 'emergency', 'surgery', 'procedure', 'check_up'],
+        default: 'follow_up'
+    },
+    consultationType: {
+        type: String,
+        enum: ['in_person', 'video_call', 'phone_call', 'chat'],
+        default: 'in_person'
+    },
+    chiefComplaint: {
+        type: String,
+        required: true,
+        maxlength: 500
+    },
+
+    status: {
+        type: String,
+        enum: ['active', 'cancelled', 'completed'],
+        default: 'active'
+    },
+
+    // System Fields
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Soft Delete
+    deletedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+appointmentSeriesSchema.index({ patient: 1, status: 1 });
+appointmentSeriesSchema.index({ doctor: 1, status: 1 });
+appointmentSeriesSchema.index({ branchId: 1 });
+
+// Pre-save middleware to generate series ID
+appointmentSeriesSchema.pre('save', async function (next) {
+    if (this.isNew && !this.seriesId) {
+        const count = await this.constructor.countDocuments();
+        this.seriesId = `SER${(count + 1).toString().padStart(6, '0')}`;
+    }
+    next();
+});
+
+module.exports = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * Audience Schema - Saved recipient filter for notification campaigns.
+ * All filters that are set must match; patient filters only match patients.
+ */
+const audienceSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String,
+
+    filters: {
+        roles: [{
+            type: String,
+            enum: ['patient', 'doctor', 'admin', 'receptionist', 'lab_technician']
+        }],
+        branchIds: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Branch'
+        }],
+
+        // Age in whole years, from User.dateOfBirth
+        ageRange: {
+            min: {
+                type: Number,
+                min: 0
+            },
+            max: {
+                type: Number,
+                min: 0
+            }
+        },
+
+        // Any of these active or controlled Patient.chronicConditions (case-insensitive, partial match)
+        chronicConditions: [{
+            type: String,
+            trim: true
+        }],
+
+        // Days since the last completed appointment
+        lastVisitDaysAgo: {
+            min: {
+                type: Number,
+                min: 0
+            },
+            max: {
+                type: Number,
+                min: 0
+            }
+        }
+    },
+
+    // Audit
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Soft Delete
+    deletedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+audienceSchema.pre('validate', function (next) {
+    const { ageRange, lastVisitDaysAgo } = this.filters || {};
+
+    if (ageRange && ageRange.min != null && ageRange.max != null && ageRange.min > ageRange.max) {
+        this.invalidate('filters.ageRange', 'Minimum age must not be greater than maximum age');
+    }
+    if (lastVisitDaysAgo && lastVisitDaysAgo.min != null && lastVisitDaysAgo.max != null &&
+        lastVisitDaysAgo.min > lastVisitDaysAgo.max) {
+        this.invalidate('filters.lastVisitDaysAgo', 'Minimum days must not be greater than maximum days');
+    }
+    next();
+});
+
+module.exports = mongoose.model('Audience', audienceSchema);
@@ -366,6 +366,49 @@ const branchSchema = new mongoose.Schema({
             type: Number,
             default: 30
         },
+        maxReschedulesPerAppointment: {
+            type: Number,
+            default: 3
+        },
+        waitlistHoldMinutes: {
+            type: Number,
+            default: 30
+        },
+        cancellationPolicy: {
+            // Refund tiers by hours before the appointment, highest threshold first wins
+            patientTiers: {
+                type: [{
+                    minHoursBefore: { type: Number, required: true, min: 0 },
+                    refundPercentage: { type: Number, required: true, min: 0, max: 100 }
+                }],
+                default: () => [
+                    { minHoursBefore: 24, refundPercentage: 100 },
+                    { minHoursBefore: 4, refundPercentage: 50 },
+                    { minHoursBefore: 0, refundPercentage: 0 }
+                ]
+            },
+            staffTiers: {
+                type: [{
+                    minHoursBefore: { type: Number, required: true, min: 0 },
+                    refundPercentage: { type: Number, required: true, min: 0, max: 100 }
+                }],
+                default: () => [
+                    { minHoursBefore: 0, refundPercentage: 100 }
+                ]
+            },
+            noShowRefundPercentage: {
+                type: Number,
+                default: 0,
+                min: 0,
+                max: 100
+            },
+            // Patients may not cancel themselves closer than this to the appointment
+            patientCutoffHours: {
+                type: Number,
+                default: 0,
+                min: 0
+            }
+        },
         currency: {
             type: String,
             default: 'USD'
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const Notification = require('./Notification');
+
+/**
+ * Campaign Schema - A notification sent to an audience, throttled over time.
+ * Each recipient gets a Notification with the campaignId, so delivery and
+ * engagement stats come from those records.
+ */
+const campaignSchema = new mongoose.Schema({
+    campaignId: {
+        type: String,
+        unique: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String,
+
+    audience: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Audience',
+        required: true
+    },
+
+    // Either free text (title/body) or a named template rendered per recipient
+    content: {
+        title: String,
+        body: String,
+        template: String,
+        variables: mongoose.Schema.Types.Mixed,
+        type: {
+            type: String,
+            enum: Notification.schema.path('type').enumValues,
+            default: 'general'
+        },
+        priority: {
+            type: String,
+            enum: ['low', 'normal', 'high', 'urgent'],
+            default: 'low'
+        },
+        imageUrl: String,
+        actionUrl: String,
+        channels: [{
+            type: String,
+            enum: ['push', 'email', 'sms']
+        }]
+    },
+
+    status: {
+        type: String,
+        enum: ['draft', 'scheduled', 'running', 'completed', 'cancelled'],
+        default: 'draft'
+    },
+    scheduledFor: Date,
+
+    // Recipients released to the dispatcher per minute
+    throttlePerMinute: {
+        type: Number,
+        min: 1,
+        max: 50,
+        default: 30
+    },
+
+    audienceSize: Number,
+    startedAt: Date,
+    completedAt: Date,
+    cancelledAt: Date,
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Audit
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Soft Delete
+    deletedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+campaignSchema.index({ status: 1, scheduledFor: 1 });
+
+campaignSchema.pre('validate', function (next) {
+    const { title, body, template } = this.content || {};
+    if (!template && (!title || !body)) {
+        this.invalidate('content', 'Campaign content needs a template or a title and body');
+    }
+    next();
+});
+
+// Generate campaign ID before saving
+campaignSchema.pre('save', async function (next) {
+    if (this.isNew && !this.campaignId) {
+        const sequence = await Counter.next('campaign');
+        this.campaignId = `CMP${sequence.toString().padStart(6, '0')}`;
+    }
+    next();
+});
+
+// Campaigns can only be changed before they start sending
+campaignSchema.methods.isEditable = function () {
+    return ['draft', 'scheduled'].includes(this.status);
+};
+
+module.exports = mongoose.model('Campaign', campaignSchema);
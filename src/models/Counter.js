@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+/**
+ * Counter Schema - Atomic sequences (e.g. daily queue tokens)
+ */
+const counterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    value: {
+        type: Number,
+        default: 0
+    },
+
+    // Optional expiry so short-lived sequences clean themselves up
+    expiresAt: Date
+}, {
+    timestamps: true
+});
+
+counterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to atomically increment and return the next value
+counterSchema.statics.next = async function (key, expiresAt = null) {
+    const update = { $inc: { value: 1 } };
+    if (expiresAt) {
+        update.$set = { expiresAt };
+    }
+
+    const counter = await this.findOneAndUpdate(
+        { key },
+        update,
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    return counter.value;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
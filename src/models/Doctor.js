@@ -191,7 +191,21 @@ const doctorSchema = new mongoose.Schema({
         approvedBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
-        }
+        },
+        requestedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        requestedAt: {
+            type: Date,
+            default: Date.now
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: Date,
+        reviewNotes: String
     }],
 
     // Consultation Preferences
@@ -288,6 +302,15 @@ const doctorSchema = new mongoose.Schema({
         }
     },
 
+    // Read-only calendar feed; only a hash of the URL token is stored
+    calendarFeed: {
+        tokenHash: {
+            type: String,
+            select: false
+        },
+        createdAt: Date
+    },
+
     // Professional Status
     isAvailableForAppointments: {
         type: Boolean,
@@ -313,6 +336,7 @@ doctorSchema.index({ 'specializations.name': 1 });
 doctorSchema.index({ isAvailableForAppointments: 1 });
 doctorSchema.index({ isAcceptingNewPatients: 1 });
 doctorSchema.index({ deletedAt: 1 });
+doctorSchema.index({ 'calendarFeed.tokenHash': 1 }, { sparse: true });
 
 // Virtual for years of experience
 doctorSchema.virtual('yearsOfExperience').get(function () {
@@ -364,6 +388,18 @@ doctorSchema.statics.findBySpecialization = function (specializationName) {
     }).populate('userId', 'firstName lastName avatar');
 };
 
+// Static method to find a doctor by profile ID or linked user ID
+doctorSchema.statics.findByIdOrUserId = function (id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return this.findOne({ _id: null });
+    }
+
+    return this.findOne({
+        $or: [{ _id: id }, { userId: id }],
+        deletedAt: null
+    });
+};
+
 // Static method to find available doctors
 doctorSchema.statics.findAvailable = function () {
     return this.find({
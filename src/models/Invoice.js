@@ -384,6 +384,32 @@ invoiceSchema.methods.addPayment = function (paymentData) {
     return payment;
 };
 
+// Method to record a refund against earlier payments
+invoiceSchema.methods.addRefund = function (refundData) {
+    const paymentId = `REF${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+    const amount = Math.min(refundData.amount, this.paidAmount);
+
+    const refund = {
+        paymentId,
+        paymentDate: new Date(),
+        ...refundData,
+        amount,
+        status: 'refunded'
+    };
+
+    this.payments.push(refund);
+    this.paidAmount -= amount;
+    this.balanceAmount = Math.max(this.totalAmount - this.paidAmount, 0);
+
+    if (this.paidAmount <= 0) {
+        this.paymentStatus = 'refunded';
+    } else if (this.paidAmount < this.totalAmount) {
+        this.paymentStatus = 'partial';
+    }
+
+    return refund;
+};
+
 // Method to apply discount
 invoiceSchema.methods.applyDiscount = function (discountType, discountValue, reason = '') {
     let discountAmount = 0;
@@ -470,8 +496,8 @@ invoiceSchema.statics.getRevenueByDateRange = function (startDate, endDate) {
     ]);
 };
 
-// Pre-save middleware to generate invoice ID and number
-invoiceSchema.pre('save', async function (next) {
+// Generate invoice ID, number and due date before validation, since they are required
+invoiceSchema.pre('validate', async function (next) {
     if (this.isNew) {
         const date = new Date();
         const year = date.getFullYear();
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+/**
+ * Lab Package Schema - A panel (e.g. Lipid Profile) or health-checkup package
+ * that groups several lab tests under one code and price
+ */
+const labPackageSchema = new mongoose.Schema({
+    packageId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    code: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true
+    },
+
+    // Panels group related tests; packages are sold as health checkups
+    kind: {
+        type: String,
+        enum: ['panel', 'package'],
+        default: 'panel'
+    },
+
+    description: {
+        type: String,
+        maxlength: 1000
+    },
+
+    // Member tests, ordered as they appear on the report
+    tests: {
+        type: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'LabTest'
+        }],
+        validate: {
+            validator: tests => tests.length >= 2,
+            message: 'A package must contain at least two tests'
+        }
+    },
+
+    // Pricing
+    pricing: {
+        basePrice: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        currency: {
+            type: String,
+            default: 'USD'
+        }
+    },
+
+    // Branch Availability
+    branches: [{
+        branchId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Branch'
+        },
+        isAvailable: {
+            type: Boolean,
+            default: true
+        },
+        price: Number
+    }],
+
+    // Combined collection requirements, derived from the member tests
+    samplePlan: {
+        samples: [{
+            sampleType: String,
+            containerType: String,
+            tests: [String] // test codes
+        }],
+        fastingRequired: {
+            type: Boolean,
+            default: false
+        },
+        fastingHours: {
+            type: Number,
+            default: 0
+        },
+        preparationInstructions: [{
+            instruction: String,
+            timeframe: String,
+            importance: String
+        }]
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+
+    // System Fields
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Soft Delete
+    deletedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+labPackageSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { deletedAt: { $type: 'null' } } });
+labPackageSchema.index({ kind: 1, isActive: 1 });
+labPackageSchema.index({ tests: 1 });
+
+// Method to get effective package price for branch
+labPackageSchema.methods.getPrice = function (branchId) {
+    const branchConfig = this.branches.find(b => b.branchId && b.branchId.toString() === branchId.toString());
+    if (branchConfig && branchConfig.price != null) {
+        return branchConfig.price;
+    }
+    return this.pricing.basePrice;
+};
+
+// Method to check whether a branch offers the package
+labPackageSchema.methods.isAvailableAt = function (branchId) {
+    const branchConfig = this.branches.find(b => b.branchId && b.branchId.toString() === branchId.toString());
+    return !branchConfig || branchConfig.isAvailable;
+};
+
+// Generate package ID before validation, since packageId is required
+labPackageSchema.pre('validate', async function (next) {
+    if (this.isNew && !this.packageId) {
+        const sequence = await Counter.next('lab_package');
+        this.packageId = `PKG${sequence.toString().padStart(5, '0')}`;
+    }
+    next();
+});
+
+module.exports = mongoose.model('LabPackage', labPackageSchema);
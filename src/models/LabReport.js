@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const eventBus = require('../services/eventBus');
 
 /**
  * Lab Report Schema - Manages test results and reports
@@ -29,6 +31,12 @@ const labReportSchema = new mongoose.Schema({
         required: true
     },
 
+    // Panel or package the test was ordered as part of
+    labPackage: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LabPackage'
+    },
+
     // Sample Information
     sampleId: {
         type: String,
@@ -36,9 +44,12 @@ const labReportSchema = new mongoose.Schema({
         unique: true
     },
 
+    // Set at collection; reports are created as pending orders before that
     sampleCollectedAt: {
         type: Date,
-        required: true
+        required: function () {
+            return !['pending', 'cancelled'].includes(this.status);
+        }
     },
 
     sampleCollectedBy: {
@@ -61,6 +72,22 @@ const labReportSchema = new mongoose.Schema({
         default: 'acceptable'
     },
 
+    // Samples that could not be used; each recollection gets a new sampleId
+    sampleRejections: [{
+        sampleId: String,
+        sampleCondition: String,
+        reason: String,
+        collectedAt: Date,
+        rejectedAt: {
+            type: Date,
+            default: Date.now
+        },
+        rejectedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    }],
+
     // Processing Information
     processedAt: Date,
     processedBy: {
@@ -102,13 +129,52 @@ const labReportSchema = new mongoose.Schema({
             normal: String,
             critical: String
         },
+        // null when no reference range applies to the patient and the value is not critical
         flag: {
             type: String,
-            enum: ['normal', 'high', 'low', 'critical_high', 'critical_low', 'abnormal'],
+            enum: ['normal', 'high', 'low', 'critical_high', 'critical_low', 'abnormal', null],
             default: 'normal'
         },
         interpretation: String,
-        method: String
+        method: String,
+        enteredBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        enteredAt: Date
+    }],
+
+    // Report version; each amendment of verified results starts a new one
+    version: {
+        type: Number,
+        default: 1
+    },
+
+    // Earlier verified versions, kept when results are amended
+    versions: [{
+        version: Number,
+        results: [mongoose.Schema.Types.Mixed],
+        verification: {
+            verifiedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            verifiedAt: Date,
+            verificationNotes: String,
+            digitalSignature: String
+        },
+        amendmentReason: {
+            type: String,
+            required: true
+        },
+        amendedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        amendedAt: {
+            type: Date,
+            default: Date.now
+        }
     }],
 
     // Clinical Information
@@ -316,6 +382,7 @@ const labReportSchema = new mongoose.Schema({
 labReportSchema.index({ patient: 1 });
 labReportSchema.index({ appointment: 1 });
 labReportSchema.index({ labTest: 1 });
+labReportSchema.index({ labPackage: 1 });
 labReportSchema.index({ status: 1 });
 labReportSchema.index({ priority: 1 });
 labReportSchema.index({ sampleCollectedAt: 1 });
@@ -328,8 +395,8 @@ labReportSchema.index({ status: 1, priority: 1, sampleCollectedAt: 1 });
 
 // Virtual for total processing time
 labReportSchema.virtual('totalProcessingTime').get(function () {
-    if (this.sampleCollectedAt && this.verifiedAt) {
-        return Math.round((this.verifiedAt - this.sampleCollectedAt) / (1000 * 60 * 60)); // in hours
+    if (this.sampleCollectedAt && this.verification && this.verification.verifiedAt) {
+        return Math.round((this.verification.verifiedAt - this.sampleCollectedAt) / (1000 * 60 * 60)); // in hours
     }
     return null;
 });
@@ -403,41 +470,73 @@ labReportSchema.statics.findPending = function () {
         .sort({ priority: 1, sampleCollectedAt: 1 });
 };
 
-// Pre-save middleware to generate report ID and sample ID
-labReportSchema.pre('save', async function (next) {
+// Generate report ID and sample ID before validation, since both are required.
+// The daily number comes from an atomic counter: one order can create several
+// reports at once, and concurrent orders must never share a number.
+labReportSchema.pre('validate', async function (next) {
     if (this.isNew) {
         const date = new Date();
         const year = date.getFullYear().toString().slice(-2);
         const month = (date.getMonth() + 1).toString().padStart(2, '0');
         const day = date.getDate().toString().padStart(2, '0');
 
-        // Generate Report ID
-        const reportCount = await this.constructor.countDocuments({
-            createdAt: {
-                $gte: new Date(date.getFullYear(), date.getMonth(), date.getDate()),
-                $lt: new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
-            }
-        });
+        // Keep the counter for a couple of days, then let the TTL index drop it
+        const expiresAt = new Date(date);
+        expiresAt.setDate(expiresAt.getDate() + 2);
+
+        const sequence = await Counter.next(`lab_report:${year}${month}${day}`, expiresAt);
+        const number = sequence.toString().padStart(4, '0');
 
-        this.reportId = `RPT${year}${month}${day}${(reportCount + 1).toString().padStart(4, '0')}`;
+        this.reportId = `RPT${year}${month}${day}${number}`;
 
         // Generate Sample ID if not provided
         if (!this.sampleId) {
-            this.sampleId = `SMP${year}${month}${day}${(reportCount + 1).toString().padStart(4, '0')}`;
+            this.sampleId = `SMP${year}${month}${day}${number}`;
         }
     }
     next();
 });
 
-// Post-save middleware to update tracking history
-labReportSchema.post('save', async function (doc) {
-    if (doc.isModified('status')) {
-        doc.trackingHistory.push({
+// Verified results are locked; changes go through an amendment, which clears the verification
+labReportSchema.pre('validate', function (next) {
+    if (!this.isNew && this.isModified('results') && this.verification && this.verification.verifiedAt) {
+        this.invalidate('results', 'Verified results cannot be edited; amend the report instead');
+    }
+    next();
+});
+
+// Method to change status and record it in the tracking history
+labReportSchema.methods.updateStatus = function (status, updatedBy, notes) {
+    this.status = status;
+    this.updatedBy = updatedBy;
+    this.trackingHistory.push({
+        status,
+        timestamp: new Date(),
+        updatedBy,
+        notes
+    });
+};
+
+// Real-time events for status transitions
+labReportSchema.post('init', function () {
+    this.$locals.originalStatus = this.status;
+});
+
+labReportSchema.post('save', function (doc) {
+    if (doc.$locals.originalStatus !== doc.status) {
+        eventBus.publish('lab_report.status_changed', {
+            labReportId: doc._id,
+            reportId: doc.reportId,
+            previousStatus: doc.$locals.originalStatus || null,
             status: doc.status,
-            timestamp: new Date(),
-            updatedBy: doc.updatedBy
+            priority: doc.priority
+        }, {
+            patientId: doc.patient?._id || doc.patient,
+            branchId: doc.branchId?._id || doc.branchId
         });
     }
+
+    doc.$locals.originalStatus = doc.status;
 });
 
 module.exports = mongoose.model('LabReport', labReportSchema);
\ No newline at end of file
@@ -313,14 +313,18 @@ labTestSchema.methods.getReferenceRange = function (parameter, gender, age) {
     const range = this.referenceRanges.find(r => r.parameter === parameter);
     if (!range) return null;
 
+    // Nested ranges always exist on the document, so only use ones that were filled in
+    const hasValues = r => r && (r.min != null || r.max != null || r.text);
+
     // Check pediatric first
-    if (age < 18) {
+    if (age != null && age < 18) {
         const pediatricRange = range.normalRange.pediatric;
-        if (pediatricRange) return pediatricRange;
+        if (hasValues(pediatricRange)) return pediatricRange;
     }
 
-    // Return gender-specific range
-    return range.normalRange[gender] || range.normalRange.male;
+    // Only the patient's own gender range applies; another gender's range is never substituted
+    const genderRange = gender ? range.normalRange[gender] : null;
+    return hasValues(genderRange) ? genderRange : null;
 };
 
 // Method to check if result is critical
@@ -391,8 +395,8 @@ labTestSchema.statics.findByCategory = function (category, subcategory = null) {
     return this.find(query).sort({ testName: 1 });
 };
 
-// Pre-save middleware to generate test ID
-labTestSchema.pre('save', async function (next) {
+// Generate test ID before validation, since testId is required
+labTestSchema.pre('validate', async function (next) {
     if (this.isNew) {
         const categoryCode = this.category.substring(0, 3).toUpperCase();
         const count = await this.constructor.countDocuments({ category: this.category });
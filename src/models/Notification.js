@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose');
+const eventBus = require('../services/eventBus');
 
 const notificationSchema = new mongoose.Schema(
   {
@@ -52,6 +53,8 @@ const notificationSchema = new mongoose.Schema(
       enum: [
         'appointment_reminder',
         'appointment_cancelled',
+        'appointment_rescheduled',
+        'waitlist_offer',
         'lab_result_ready',
         'prescription_ready',
         'doctor_message',
@@ -61,11 +64,30 @@ const notificationSchema = new mongoose.Schema(
         'fraud_alert',
         'high_risk_alert',
         'general',
+        'digest',
       ],
       default: 'general',
       required: true,
     },
 
+    // Template the content was rendered from, with per-channel formats
+    template: String,
+    language: String,
+    formats: {
+      push: {
+        title: String,
+        body: String,
+      },
+      email: {
+        subject: String,
+        html: String,
+        text: String,
+      },
+      sms: {
+        body: String,
+      },
+    },
+
     // Data payload
     data: {
       referenceId: String, // ID of related record (appointment, lab test, etc.)
@@ -73,6 +95,7 @@ const notificationSchema = new mongoose.Schema(
         type: String,
         enum: [
           'appointment',
+          'waitlist',
           'lab_test',
           'report',
           'prescription',
@@ -89,7 +112,7 @@ const notificationSchema = new mongoose.Schema(
     // Status and delivery
     status: {
       type: String,
-      enum: ['pending', 'sent', 'failed', 'read'],
+      enum: ['pending', 'sent', 'failed', 'read', 'suppressed'],
       default: 'pending',
       index: true,
     },
@@ -105,6 +128,47 @@ const notificationSchema = new mongoose.Schema(
     lastAttemptAt: Date,
     failureReason: String,
 
+    // Channels to deliver on; empty means every channel the user has enabled
+    channels: [
+      {
+        type: String,
+        enum: ['push', 'email', 'sms'],
+      },
+    ],
+    // Per-channel delivery status; sent channels are not repeated on retry
+    deliveries: [
+      {
+        channel: {
+          type: String,
+          enum: ['push', 'email', 'sms'],
+          required: true,
+        },
+        status: {
+          type: String,
+          enum: ['sent', 'failed', 'skipped'],
+          required: true,
+        },
+        attempts: {
+          type: Number,
+          default: 0,
+        },
+        providerMessageId: String,
+        sentAt: Date,
+        lastAttemptAt: Date,
+        reason: String,
+      },
+    ],
+
+    // Digest: held back from push/email/SMS and summarised later
+    digestStatus: {
+      type: String,
+      enum: ['pending', 'sent'],
+    },
+    digestNotification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Notification',
+    },
+
     // Scheduling
     scheduledFor: {
       type: Date,
@@ -180,6 +244,7 @@ notificationSchema.index({ userId: 1, type: 1 });
 notificationSchema.index({ 'data.referenceId': 1, 'data.referenceType': 1 });
 notificationSchema.index({ scheduledFor: 1, isScheduled: 1 });
 notificationSchema.index({ sentAt: 1 });
+notificationSchema.index({ digestStatus: 1, userId: 1 });
 
 // Virtual for unread notifications
 notificationSchema.virtual('isUnread').get(function () {
@@ -193,6 +258,13 @@ notificationSchema.methods.markAsRead = function () {
   return this.save();
 };
 
+// Method to mark as unread again
+notificationSchema.methods.markAsUnread = function () {
+  this.status = 'sent';
+  this.readAt = undefined;
+  return this.save();
+};
+
 // Method to mark as sent
 notificationSchema.methods.markAsSent = function () {
   this.status = 'sent';
@@ -202,6 +274,27 @@ notificationSchema.methods.markAsSent = function () {
   return this.save();
 };
 
+// Method to record the outcome of one channel
+notificationSchema.methods.recordDelivery = function (channel, status, details = {}) {
+  let delivery = this.deliveries.find((d) => d.channel === channel);
+  if (!delivery) {
+    this.deliveries.push({ channel, status });
+    delivery = this.deliveries[this.deliveries.length - 1];
+  }
+
+  delivery.status = status;
+  delivery.reason = details.reason;
+  if (status !== 'skipped') {
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = new Date();
+  }
+  if (status === 'sent') {
+    delivery.sentAt = new Date();
+    delivery.providerMessageId = details.messageId;
+  }
+  return delivery;
+};
+
 // Method to mark as failed
 notificationSchema.methods.markAsFailed = function (reason) {
   this.status = 'failed';
@@ -211,6 +304,38 @@ notificationSchema.methods.markAsFailed = function (reason) {
   return this.save();
 };
 
+// Method to put a failed delivery back in the queue for a later attempt
+notificationSchema.methods.scheduleRetry = function (reason, retryAt) {
+  this.status = 'pending';
+  this.failureReason = reason;
+  this.deliveryAttempts += 1;
+  this.lastAttemptAt = new Date();
+  this.scheduledFor = retryAt;
+  return this.save();
+};
+
+// Method to keep a notification in-app only until it goes out in a digest
+notificationSchema.methods.holdForDigest = function () {
+  this.digestStatus = 'pending';
+  return this.markAsSent();
+};
+
+// Method to hold a notification back until a later time (e.g. quiet hours)
+notificationSchema.methods.deferUntil = function (until) {
+  this.status = 'pending';
+  this.isScheduled = true;
+  this.scheduledFor = until;
+  return this.save();
+};
+
+// Method to drop a notification without delivering it (e.g. rate cap reached)
+notificationSchema.methods.markAsSuppressed = function (reason) {
+  this.status = 'suppressed';
+  this.failureReason = reason;
+  this.lastAttemptAt = new Date();
+  return this.save();
+};
+
 // Method to track click
 notificationSchema.methods.recordClick = function () {
   this.clickedCount += 1;
@@ -221,12 +346,21 @@ notificationSchema.methods.recordClick = function () {
 // Statics for common queries
 notificationSchema.statics.getUnreadNotifications = function (userId) {
   return this.find({
-    userId,
+    ...this.visibleTo(userId),
     status: { $ne: 'read' },
-    deletedAt: null,
   }).sort({ createdAt: -1 });
 };
 
+// Query for notifications a user can see: queued ones stay hidden until sent
+// and suppressed ones are never shown
+notificationSchema.statics.visibleTo = function (userId) {
+  return {
+    userId,
+    deletedAt: null,
+    $nor: [{ isScheduled: true, status: 'pending' }, { status: 'suppressed' }],
+  };
+};
+
 notificationSchema.statics.getNotificationsForPeriod = function (userId, startDate, endDate) {
   return this.find({
     userId,
@@ -265,6 +399,33 @@ notificationSchema.index(
   }
 );
 
+// Real-time event for new notifications (recipient only); scheduled ones
+// are announced when they are sent rather than when they are queued
+notificationSchema.pre('save', function (next) {
+  this.$locals.shouldPublish = this.isScheduled
+    ? this.isModified('status') && this.status === 'sent'
+    : this.isNew;
+  next();
+});
+
+notificationSchema.post('save', function (doc) {
+  if (!doc.$locals.shouldPublish) return;
+  doc.$locals.shouldPublish = false;
+
+  eventBus.publish(
+    'notification.created',
+    {
+      notificationId: doc._id,
+      title: doc.title,
+      body: doc.body,
+      type: doc.type,
+      priority: doc.priority,
+      data: doc.data,
+    },
+    { userIds: [doc.userId], isPrivate: true }
+  );
+});
+
 const Notification = mongoose.model('Notification', notificationSchema);
 
 module.exports = Notification;
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const Notification = require('./Notification');
+
+/**
+ * Language variant of a template. title/body are used in-app and as the
+ * fallback for any channel without its own format.
+ */
+const variantSchema = new mongoose.Schema({
+    language: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    body: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    // Channel-specific formats
+    push: {
+        title: String,
+        body: String
+    },
+    email: {
+        subject: String,
+        html: String
+    },
+    sms: {
+        body: {
+            type: String,
+            maxlength: 459
+        }
+    }
+}, { _id: false });
+
+/**
+ * Notification Template Schema - Named, localised message templates.
+ * Text uses {{placeholder}} and {{#placeholder}}...{{/placeholder}} sections.
+ */
+const notificationTemplateSchema = new mongoose.Schema({
+    // Identification
+    key: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9_]+$/, 'Key may only contain lowercase letters, numbers and underscores']
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String,
+
+    // Notification created from the template
+    type: {
+        type: String,
+        enum: Notification.schema.path('type').enumValues,
+        required: true
+    },
+    priority: {
+        type: String,
+        enum: ['low', 'normal', 'high', 'urgent'],
+        default: 'normal'
+    },
+
+    // Values the template expects
+    placeholders: [{
+        key: {
+            type: String,
+            required: true
+        },
+        description: String,
+        optional: {
+            type: Boolean,
+            default: false
+        },
+        sample: String
+    }],
+
+    // Localisation
+    defaultLanguage: {
+        type: String,
+        default: 'en',
+        lowercase: true
+    },
+    variants: {
+        type: [variantSchema],
+        validate: [
+            {
+                validator: variants => variants.length > 0,
+                message: 'At least one language variant is required'
+            },
+            {
+                validator: variants => new Set(variants.map(v => v.language)).size === variants.length,
+                message: 'Each language may only have one variant'
+            }
+        ]
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+
+    // Audit
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Soft Delete
+    deletedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// A key can be reused once the previous template is deleted
+notificationTemplateSchema.index(
+    { key: 1 },
+    { unique: true, partialFilterExpression: { deletedAt: { $type: 'null' } } }
+);
+notificationTemplateSchema.index({ type: 1 });
+
+// The default language must have a variant
+notificationTemplateSchema.pre('validate', function (next) {
+    if (this.variants.length > 0 && !this.variants.some(v => v.language === this.defaultLanguage)) {
+        this.invalidate('defaultLanguage', `No variant for the default language "${this.defaultLanguage}"`);
+    }
+    next();
+});
+
+// Static method to find the active template for a key
+notificationTemplateSchema.statics.findActiveByKey = function (key) {
+    return this.findOne({
+        key,
+        isActive: true,
+        deletedAt: null
+    });
+};
+
+module.exports = mongoose.model('NotificationTemplate', notificationTemplateSchema);
@@ -151,7 +151,27 @@ const userSchema = new mongoose.Schema({
         createdAt: {
             type: Date,
             default: Date.now
-        }
+        },
+        lastSeenAt: Date,
+
+        // Delivery feedback; FCM-rejected tokens are deactivated, not retried
+        isActive: {
+            type: Boolean,
+            default: true
+        },
+        deactivatedAt: Date,
+        deactivationReason: String,
+        deliveredCount: {
+            type: Number,
+            default: 0
+        },
+        failedCount: {
+            type: Number,
+            default: 0
+        },
+        lastDeliveredAt: Date,
+        lastFailedAt: Date,
+        lastError: String
     }],
 
     // Preferences
@@ -168,6 +188,43 @@ const userSchema = new mongoose.Schema({
             push: {
                 type: Boolean,
                 default: true
+            },
+            // Opt-in: non-urgent notifications are held until the window ends (in preferences.timezone)
+            quietHours: {
+                enabled: {
+                    type: Boolean,
+                    default: false
+                },
+                start: {
+                    type: String,
+                    default: '22:00',
+                    match: [/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/, 'Quiet hours must be in HH:MM format']
+                },
+                end: {
+                    type: String,
+                    default: '07:00',
+                    match: [/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/, 'Quiet hours must be in HH:MM format']
+                }
+            },
+            // Notification types summarised in a digest instead of sent one by one
+            digest: {
+                types: [String],
+                frequency: {
+                    type: String,
+                    enum: ['daily', 'weekly'],
+                    default: 'daily'
+                },
+                time: {
+                    type: String,
+                    default: '08:00',
+                    match: [/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/, 'Digest time must be in HH:MM format']
+                },
+                dayOfWeek: {
+                    type: String,
+                    enum: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+                    default: 'monday'
+                },
+                lastSentAt: Date
             }
         },
         language: {
@@ -198,6 +255,7 @@ const userSchema = new mongoose.Schema({
 // Indexes
 userSchema.index({ role: 1 });
 userSchema.index({ deletedAt: 1 });
+userSchema.index({ 'fcmTokens.token': 1 });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function () {
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+/**
+ * Virtual Session Schema - Telemedicine visit for a video, phone or chat appointment
+ */
+const virtualSessionSchema = new mongoose.Schema({
+    appointment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment',
+        required: true,
+        unique: true
+    },
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    patient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    consultationType: {
+        type: String,
+        enum: ['video_call', 'phone_call', 'chat'],
+        required: true
+    },
+
+    // Video provider room, created when someone first asks to join
+    provider: String,
+    providerRoomId: String,
+
+    status: {
+        type: String,
+        enum: ['pending', 'waiting', 'in_progress', 'ended'],
+        default: 'pending'
+    },
+
+    // Join/leave log for both participants
+    participantEvents: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        role: {
+            type: String,
+            enum: ['doctor', 'patient'],
+            required: true
+        },
+        action: {
+            type: String,
+            enum: ['joined', 'left'],
+            required: true
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+
+    startedAt: Date, // Both participants present
+    endedAt: Date,
+    endedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Chat consultation transcript
+    transcript: [{
+        sender: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        role: {
+            type: String,
+            enum: ['doctor', 'patient'],
+            required: true
+        },
+        message: {
+            type: String,
+            required: true,
+            maxlength: 4000
+        },
+        sentAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+// Indexes
+virtualSessionSchema.index({ doctor: 1, status: 1 });
+virtualSessionSchema.index({ patient: 1, status: 1 });
+
+// Method to check whether a participant is currently connected
+virtualSessionSchema.methods.isPresent = function (role) {
+    const last = [...this.participantEvents].reverse().find(event => event.role === role);
+    return last?.action === 'joined';
+};
+
+// Method to get the first time a participant joined
+virtualSessionSchema.methods.firstJoinedAt = function (role) {
+    const first = this.participantEvents.find(event => event.role === role && event.action === 'joined');
+    return first ? first.at : null;
+};
+
+module.exports = mongoose.model('VirtualSession', virtualSessionSchema);
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+
+/**
+ * Waitlist Schema - Patients waiting for a slot with a fully booked doctor
+ */
+const waitlistSchema = new mongoose.Schema({
+    // Participants
+    patient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    branchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch',
+        required: true
+    },
+
+    // Acceptable date range
+    dateFrom: {
+        type: Date,
+        required: true
+    },
+    dateTo: {
+        type: Date,
+        required: true
+    },
+
+    // Preferred time windows; empty means any time
+    preferredWindows: [{
+        dayOfWeek: {
+            type: String,
+            enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+        },
+        startTime: {
+            type: String, // "09:00"
+            required: true
+        },
+        endTime: {
+            type: String, // "12:00"
+            required: true
+        }
+    }],
+
+    // Details used to create the appointment once a slot is accepted
+    type: {
+        type: String,
+        enum: ['consultation', 'follow_up', 'emergency', 'surgery', 'procedure', 'check_up'],
+        default: 'consultation'
+    },
+    consultationType: {
+        type: String,
+        enum: ['in_person', 'video_call', 'phone_call', 'chat'],
+        default: 'in_person'
+    },
+    chiefComplaint: {
+        type: String,
+        required: true,
+        maxlength: 500
+    },
+
+    status: {
+        type: String,
+        enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+        default: 'waiting'
+    },
+
+    // Current slot offer (a time-limited hold)
+    offer: {
+        scheduledDate: Date,
+        scheduledTime: String,
+        duration: Number,
+        offeredAt: Date,
+        expiresAt: Date
+    },
+
+    offerHistory: [{
+        scheduledDate: Date,
+        scheduledTime: String,
+        offeredAt: Date,
+        respondedAt: Date,
+        outcome: {
+            type: String,
+            enum: ['accepted', 'declined', 'expired', 'withdrawn']
+        }
+    }],
+
+    appointment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment'
+    },
+
+    // System Fields
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // Soft Delete
+    deletedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+waitlistSchema.index({ doctor: 1, status: 1, createdAt: 1 });
+waitlistSchema.index({ patient: 1, status: 1 });
+waitlistSchema.index({ 'offer.expiresAt': 1 });
+
+// Method to check whether the current offer is still being held
+waitlistSchema.methods.hasActiveHold = function () {
+    return this.status === 'offered' &&
+        !!this.offer?.expiresAt &&
+        this.offer.expiresAt > new Date();
+};
+
+// Method to check if a slot matches the patient's preferences
+waitlistSchema.methods.acceptsSlot = function (date, time) {
+    const day = new Date(date);
+    const dayStart = new Date(this.dateFrom);
+    dayStart.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(this.dateTo);
+    dayEnd.setHours(23, 59, 59, 999);
+
+    if (day < dayStart || day > dayEnd) return false;
+
+    // Don't re-offer a slot the patient already turned down
+    const alreadyOffered = this.offerHistory.some(offer =>
+        offer.scheduledTime === time &&
+        new Date(offer.scheduledDate).toDateString() === day.toDateString()
+    );
+    if (alreadyOffered) return false;
+
+    if (!this.preferredWindows || this.preferredWindows.length === 0) return true;
+
+    const dayName = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][day.getDay()];
+
+    return this.preferredWindows.some(window =>
+        (!window.dayOfWeek || window.dayOfWeek === dayName) &&
+        time >= window.startTime &&
+        time < window.endTime
+    );
+};
+
+// Static method to find waiting entries for a doctor in queue order
+waitlistSchema.statics.findWaitingForDoctor = function (doctorId) {
+    return this.find({
+        doctor: doctorId,
+        status: 'waiting',
+        deletedAt: null
+    }).sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('Waitlist', waitlistSchema);
@@ -0,0 +1,398 @@
+const express = require('express');
+const Appointment = require('../models/Appointment');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const Doctor = require('../models/Doctor');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validateAppointmentSeries, handleValidationErrors } = require('../middleware/validation');
+const { checkPermission } = require('../middleware/auth');
+const seriesService = require('../services/seriesService');
+
+const router = express.Router();
+
+/**
+ * Whether a user may view a series
+ */
+const canViewSeries = (user, series) =>
+    user.role === 'admin' ||
+    series.patient.toString() === user._id.toString() ||
+    series.doctor.toString() === user._id.toString() ||
+    (!!user.branchId && user.branchId.toString() === series.branchId.toString());
+
+/**
+ * Staff of the series' branch, its doctor or admins edit and cancel occurrences
+ */
+const canManageSeries = (user, series) =>
+    user.role !== 'patient' && canViewSeries(user, series);
+
+/**
+ * Build series fields from the request body
+ */
+const buildSeriesData = async (req, doctor) => {
+    const doctorUser = await User.findById(doctor.userId).select('branchId');
+
+    return {
+        patient: req.user.role === 'patient' ? req.user._id : req.body.patient,
+        doctor: doctor.userId,
+        branchId: req.body.branchId || doctorUser?.branchId,
+        recurrence: {
+            frequency: req.body.recurrence.frequency,
+            interval: req.body.recurrence.interval || 1,
+            daysOfWeek: req.body.recurrence.daysOfWeek || [],
+            count: req.body.recurrence.count,
+            until: req.body.recurrence.until,
+            exceptions: req.body.recurrence.exceptions || []
+        },
+        startDate: req.body.startDate,
+        scheduledTime: req.body.scheduledTime,
+        duration: req.body.duration,
+        type: req.body.type,
+        consultationType: req.body.consultationType,
+        chiefComplaint: req.body.chiefComplaint,
+        createdBy: req.user._id
+    };
+};
+
+/**
+ * @route   POST /api/v1/appointment-series/preview
+ * @desc    Check each occurrence of a recurrence rule against doctor availability
+ * @access  Private
+ */
+router.post('/preview',
+    checkPermission('appointment_read'),
+    validateAppointmentSeries,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const doctor = await Doctor.findByIdOrUserId(req.body.doctor);
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor not found'
+            });
+        }
+
+        const occurrences = await seriesService.previewOccurrences(doctor, await buildSeriesData(req, doctor));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                occurrences,
+                conflicts: occurrences.filter(occurrence => !occurrence.available).length
+            }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/appointment-series
+ * @desc    Create a recurring series and book its occurrences
+ * @access  Private
+ */
+router.post('/',
+    checkPermission('appointment_write'),
+    validateAppointmentSeries,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const doctor = await Doctor.findByIdOrUserId(req.body.doctor);
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor not found'
+            });
+        }
+
+        const seriesData = await buildSeriesData(req, doctor);
+        if (!seriesData.patient) {
+            return res.status(400).json({
+                success: false,
+                message: 'Patient is required'
+            });
+        }
+
+        const result = await seriesService.createSeries(doctor, seriesData, {
+            skipConflicts: req.body.skipConflicts === true
+        });
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error,
+                data: { occurrences: result.occurrences }
+            });
+        }
+
+        const booked = result.occurrences.filter(occurrence => occurrence.status === 'booked').length;
+
+        res.status(201).json({
+            success: true,
+            message: `Series created with ${booked} of ${result.occurrences.length} occurrence(s) booked`,
+            data: {
+                series: result.series,
+                occurrences: result.occurrences
+            }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/appointment-series
+ * @desc    Get recurring series with filters
+ * @access  Private
+ */
+router.get('/',
+    checkPermission('appointment_read'),
+    asyncHandler(async (req, res) => {
+        const {
+            page = 1,
+            limit = 20,
+            status,
+            doctor,
+            patient
+        } = req.query;
+
+        const query = { deletedAt: null };
+
+        // Apply filters based on user role
+        if (req.user.role === 'doctor') {
+            query.doctor = req.user._id;
+        } else if (req.user.role === 'patient') {
+            query.patient = req.user._id;
+        } else if (req.user.role !== 'admin' && req.user.branchId) {
+            query.branchId = req.user.branchId;
+        }
+
+        if (status) query.status = status;
+        if (doctor && req.user.role !== 'doctor') query.doctor = doctor;
+        if (patient && req.user.role !== 'patient') query.patient = patient;
+
+        const skip = (page - 1) * limit;
+
+        const series = await AppointmentSeries.find(query)
+            .populate('patient', 'firstName lastName phone email')
+            .populate('doctor', 'firstName lastName')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await AppointmentSeries.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                series,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/appointment-series/:id
+ * @desc    Get a series with its occurrences
+ * @access  Private
+ */
+router.get('/:id',
+    checkPermission('appointment_read'),
+    asyncHandler(async (req, res) => {
+        const series = await AppointmentSeries.findOne({
+            _id: req.params.id,
+            deletedAt: null
+        });
+
+        if (!series) {
+            return res.status(404).json({
+                success: false,
+                message: 'Series not found'
+            });
+        }
+
+        if (!canViewSeries(req.user, series)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const occurrences = await Appointment.find({ series: series._id, deletedAt: null })
+            .select('appointmentId seriesOccurrence scheduledDate scheduledTime duration status consultationType')
+            .sort({ scheduledDate: 1 });
+
+        res.status(200).json({
+            success: true,
+            data: { series, occurrences }
+        });
+    })
+);
+
+/**
+ * @route   PUT /api/v1/appointment-series/:id/occurrences/:appointmentId
+ * @desc    Edit this occurrence or this and following occurrences
+ * @access  Private (Staff)
+ */
+router.put('/:id/occurrences/:appointmentId',
+    checkPermission('appointment_write'),
+    asyncHandler(async (req, res) => {
+        const { scope = 'this', scheduledDate, scheduledTime } = req.body;
+
+        if (!['this', 'following'].includes(scope)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Scope must be "this" or "following"'
+            });
+        }
+
+        if ((scheduledDate && isNaN(new Date(scheduledDate))) ||
+            (scheduledTime && !/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(scheduledTime))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid scheduledDate and scheduledTime (HH:MM) are required'
+            });
+        }
+
+        const series = await AppointmentSeries.findOne({
+            _id: req.params.id,
+            deletedAt: null
+        });
+
+        if (!series) {
+            return res.status(404).json({
+                success: false,
+                message: 'Series not found'
+            });
+        }
+
+        if (!canManageSeries(req.user, series)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const appointment = await Appointment.findOne({
+            _id: req.params.appointmentId,
+            series: series._id,
+            deletedAt: null
+        });
+
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Occurrence not found in this series'
+            });
+        }
+
+        const result = await seriesService.updateOccurrences(series, appointment, {
+            scope,
+            scheduledDate,
+            scheduledTime,
+            consultationType: req.body.consultationType,
+            chiefComplaint: req.body.chiefComplaint,
+            reason: req.body.reason,
+            updatedBy: req.user._id
+        });
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        const conflicts = result.occurrences.filter(occurrence => occurrence.status === 'conflict').length;
+
+        res.status(200).json({
+            success: true,
+            message: conflicts > 0
+                ? `Series updated; ${conflicts} occurrence(s) could not be moved`
+                : 'Series updated successfully',
+            data: {
+                series: result.series,
+                occurrences: result.occurrences
+            }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/appointment-series/:id/cancel
+ * @desc    Cancel this occurrence, this and following, or the whole series
+ * @access  Private (Staff)
+ */
+router.post('/:id/cancel',
+    checkPermission('appointment_write'),
+    asyncHandler(async (req, res) => {
+        const { scope = 'all', appointmentId, reason } = req.body;
+
+        if (!['this', 'following', 'all'].includes(scope)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Scope must be "this", "following" or "all"'
+            });
+        }
+
+        if (scope !== 'all' && !appointmentId) {
+            return res.status(400).json({
+                success: false,
+                message: 'appointmentId is required to cancel a single or following occurrences'
+            });
+        }
+
+        const series = await AppointmentSeries.findOne({
+            _id: req.params.id,
+            deletedAt: null
+        });
+
+        if (!series) {
+            return res.status(404).json({
+                success: false,
+                message: 'Series not found'
+            });
+        }
+
+        if (!canManageSeries(req.user, series)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        let appointment = null;
+        if (scope !== 'all') {
+            appointment = await Appointment.findOne({
+                _id: appointmentId,
+                series: series._id,
+                deletedAt: null
+            });
+
+            if (!appointment) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Occurrence not found in this series'
+                });
+            }
+        }
+
+        const result = await seriesService.cancelOccurrences(series, appointment, {
+            scope,
+            reason,
+            cancelledBy: req.user._id,
+            initiatedBy: 'staff'
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `${result.occurrences.filter(occurrence => occurrence.status === 'cancelled').length} occurrence(s) cancelled`,
+            data: {
+                series: result.series,
+                occurrences: result.occurrences
+            }
+        });
+    })
+);
+
+module.exports = router;
@@ -1,14 +1,48 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Appointment = require('../models/Appointment');
-const User = require('../models/User');
-const Patient = require('../models/Patient');
 const Doctor = require('../models/Doctor');
+const LabReport = require('../models/LabReport');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { validateAppointment, handleValidationErrors } = require('../middleware/validation');
-const { authorize, checkPermission } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/auth');
+const availabilityService = require('../services/availabilityService');
+const appointmentService = require('../services/appointmentService');
+const queueService = require('../services/queueService');
+const calendarService = require('../services/calendarService');
+const reminderService = require('../services/reminderService');
+const labOrderService = require('../services/labOrderService');
+const waitlistService = require('../services/waitlistService');
 
 const router = express.Router();
 
+/**
+ * Patients act on their own appointments (checked in each handler); staff need the permission
+ */
+const patientOrPermission = (permission) => (req, res, next) => {
+    if (req.user.role === 'patient') return next();
+    return checkPermission(permission)(req, res, next);
+};
+
+// Fields staff may change directly through PUT /:id
+const EDITABLE_FIELDS = [
+    'type', 'consultationType', 'priority', 'chiefComplaint', 'symptoms', 'notes',
+    'vitals', 'diagnosis', 'treatment', 'prescriptions', 'followUp', 'insurance', 'roomNumber'
+];
+
+// Fields that move the appointment to another slot
+const SCHEDULE_FIELDS = ['doctor', 'scheduledDate', 'scheduledTime', 'duration'];
+
+/**
+ * Whether a user may reschedule or cancel an appointment
+ */
+const canManageAppointment = (user, appointment) =>
+    user.role === 'admin' ||
+    appointment.patient.toString() === user._id.toString() ||
+    appointment.createdBy.toString() === user._id.toString() ||
+    (user.role === 'doctor' && appointment.doctor.toString() === user._id.toString()) ||
+    (user.role === 'receptionist' && !!user.branchId && user.branchId.toString() === appointment.branchId.toString());
+
 /**
  * @route   GET /api/v1/appointments
  * @desc    Get all appointments with filters
@@ -127,6 +161,49 @@ router.get('/:id',
     })
 );
 
+/**
+ * @route   GET /api/v1/appointments/:id/ics
+ * @desc    Download an appointment as an iCalendar (.ics) invite
+ * @access  Private (Patient of the appointment, or appointment_read)
+ */
+router.get('/:id/ics',
+    patientOrPermission('appointment_read'),
+    asyncHandler(async (req, res) => {
+        const appointment = await Appointment.findOne({
+            _id: req.params.id,
+            deletedAt: null
+        })
+            .populate('doctor', 'firstName lastName')
+            .populate('branchId', 'name address');
+
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        const hasAccess =
+            req.user.role === 'admin' ||
+            appointment.patient.toString() === req.user._id.toString() ||
+            appointment.doctor._id.toString() === req.user._id.toString() ||
+            (req.user.role !== 'patient' && req.user.branchId && appointment.branchId._id.toString() === req.user.branchId.toString());
+
+        if (!hasAccess) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${appointment.appointmentId}.ics"`
+        });
+        res.status(200).send(calendarService.renderAppointment(appointment));
+    })
+);
+
 /**
  * @route   POST /api/v1/appointments
  * @desc    Create new appointment
@@ -148,7 +225,7 @@ router.post('/',
         }
 
         // Validate doctor availability
-        const doctor = await Doctor.findOne({ userId: req.body.doctor });
+        const doctor = await Doctor.findOne({ userId: req.body.doctor, deletedAt: null });
         if (!doctor) {
             return res.status(404).json({
                 success: false,
@@ -156,39 +233,22 @@ router.post('/',
             });
         }
 
-        const appointmentDateTime = new Date(`${req.body.scheduledDate} ${req.body.scheduledTime}`);
-
-        if (!doctor.isAvailableAt(appointmentDateTime)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Doctor is not available at the requested time'
-            });
-        }
+        // Set consultation fee
+        appointmentData.fees = {
+            consultationFee: doctor.consultationFee.amount,
+            totalAmount: doctor.consultationFee.amount
+        };
 
-        // Check for conflicting appointments
-        const conflictingAppointment = await Appointment.findOne({
-            doctor: req.body.doctor,
-            scheduledDate: req.body.scheduledDate,
-            scheduledTime: req.body.scheduledTime,
-            status: { $nin: ['cancelled', 'completed'] },
-            deletedAt: null
-        });
+        const booking = await appointmentService.book(doctor, appointmentData);
 
-        if (conflictingAppointment) {
-            return res.status(400).json({
+        if (booking.error) {
+            return res.status(booking.statusCode).json({
                 success: false,
-                message: 'Time slot is already booked'
+                message: booking.error
             });
         }
 
-        // Set consultation fee
-        const doctorData = await Doctor.findOne({ userId: req.body.doctor });
-        appointmentData.fees = {
-            consultationFee: doctorData.consultationFee.amount,
-            totalAmount: doctorData.consultationFee.amount
-        };
-
-        const appointment = await Appointment.create(appointmentData);
+        const { appointment } = booking;
 
         const populatedAppointment = await Appointment.findById(appointment._id)
             .populate('patient', 'firstName lastName phone email')
@@ -205,7 +265,8 @@ router.post('/',
 
 /**
  * @route   PUT /api/v1/appointments/:id
- * @desc    Update appointment
+ * @desc    Update appointment details; doctor, date, time or duration
+ *          changes are handled as a reschedule
  * @access  Private
  */
 router.put('/:id',
@@ -228,7 +289,7 @@ router.put('/:id',
             req.user.role === 'admin' ||
             appointment.createdBy.toString() === req.user._id.toString() ||
             (req.user.role === 'doctor' && appointment.doctor.toString() === req.user._id.toString()) ||
-            (req.user.role === 'receptionist' && req.user.branchId.toString() === appointment.branchId.toString());
+            (req.user.role === 'receptionist' && !!req.user.branchId && req.user.branchId.toString() === appointment.branchId.toString());
 
         if (!canUpdate) {
             return res.status(403).json({
@@ -237,17 +298,62 @@ router.put('/:id',
             });
         }
 
-        // Update appointment
-        const updateData = {
-            ...req.body,
-            updatedBy: req.user._id
-        };
+        // Status, cancellations and fees have their own routes with their own rules
+        if (['status', 'cancellation', 'fees'].some(field => req.body[field] !== undefined)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Status, cancellation and fees cannot be edited here; use PUT /appointments/:id/status or POST /appointments/:id/cancel'
+            });
+        }
 
-        const updatedAppointment = await Appointment.findByIdAndUpdate(
-            req.params.id,
-            updateData,
-            { new: true, runValidators: true }
-        )
+        // Moves go through the reschedule flow: limit, history, waitlist and patient notice
+        const isMoving = SCHEDULE_FIELDS.some(field => req.body[field] !== undefined);
+
+        if (isMoving) {
+            const scheduledTime = req.body.scheduledTime || appointment.scheduledTime;
+            const scheduledDate = req.body.scheduledDate || appointment.scheduledDate;
+            const duration = req.body.duration !== undefined ? Number(req.body.duration) : appointment.duration;
+
+            if (isNaN(new Date(scheduledDate)) || !/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(scheduledTime)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Valid scheduledDate and scheduledTime (HH:MM) are required'
+                });
+            }
+
+            if (!Number.isInteger(duration) || duration <= 0 ||
+                (req.body.doctor !== undefined && !mongoose.isValidObjectId(req.body.doctor))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid doctor or duration'
+                });
+            }
+
+            const result = await appointmentService.reschedule(appointment, {
+                scheduledDate,
+                scheduledTime,
+                doctor: req.body.doctor,
+                duration,
+                reason: req.body.rescheduleReason,
+                rescheduledBy: req.user._id
+            });
+
+            if (result.error) {
+                return res.status(result.statusCode).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+        }
+
+        const updates = EDITABLE_FIELDS.filter(field => req.body[field] !== undefined);
+        if (updates.length > 0) {
+            updates.forEach(field => appointment.set(field, req.body[field]));
+            appointment.updatedBy = req.user._id;
+            await appointment.save();
+        }
+
+        const updatedAppointment = await Appointment.findById(appointment._id)
             .populate('patient', 'firstName lastName phone email')
             .populate('doctor', 'firstName lastName specialization')
             .populate('branchId', 'name code');
@@ -269,7 +375,15 @@ router.put('/:id/status',
     checkPermission('appointment_write'),
     asyncHandler(async (req, res) => {
         const { status } = req.body;
-        const validStatuses = ['scheduled', 'confirmed', 'in_progress', 'completed', 'cancelled', 'no_show', 'rescheduled'];
+        const validStatuses = ['scheduled', 'confirmed', 'in_progress', 'completed', 'rescheduled'];
+
+        // Cancellations go through the refund policy and offer the slot to the waitlist
+        if (['cancelled', 'no_show'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Use POST /appointments/:id/cancel${status === 'no_show' ? ' with noShow: true' : ''} to set this status`
+            });
+        }
 
         if (!validStatuses.includes(status)) {
             return res.status(400).json({
@@ -311,6 +425,20 @@ router.put('/:id/status',
             .populate('patient', 'firstName lastName phone email')
             .populate('doctor', 'firstName lastName specialization');
 
+        // Keep the OPD queue in step with patients being seen
+        if (appointment.checkedInAt) {
+            await queueService.refreshQueue(appointment.doctor, appointment.scheduledDate);
+        }
+
+        if (availabilityService.RELEASED_STATUSES.includes(status)) {
+            await reminderService.clearAppointmentReminders(appointment);
+
+            // The slot is free again; offer it to the waitlist
+            if (!availabilityService.RELEASED_STATUSES.includes(appointment.status)) {
+                await waitlistService.offerSlot(appointment.doctor, appointment.scheduledDate, appointment.scheduledTime, appointment.duration);
+            }
+        }
+
         res.status(200).json({
             success: true,
             message: 'Appointment status updated successfully',
@@ -319,6 +447,283 @@ router.put('/:id/status',
     })
 );
 
+/**
+ * @route   POST /api/v1/appointments/:id/reschedule
+ * @desc    Move an appointment to a new slot and keep the reschedule history
+ * @access  Private (Patient of the appointment, or appointment_write)
+ */
+router.post('/:id/reschedule',
+    patientOrPermission('appointment_write'),
+    asyncHandler(async (req, res) => {
+        const { scheduledDate, scheduledTime, reason } = req.body;
+
+        if (!scheduledDate || isNaN(new Date(scheduledDate)) ||
+            !/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(scheduledTime || '')) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid scheduledDate and scheduledTime (HH:MM) are required'
+            });
+        }
+
+        const appointment = await Appointment.findOne({
+            _id: req.params.id,
+            deletedAt: null
+        });
+
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        if (!canManageAppointment(req.user, appointment)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const result = await appointmentService.reschedule(appointment, {
+            scheduledDate,
+            scheduledTime,
+            reason,
+            rescheduledBy: req.user._id
+        });
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        const updatedAppointment = await Appointment.findById(appointment._id)
+            .populate('patient', 'firstName lastName phone email')
+            .populate('doctor', 'firstName lastName specialization')
+            .populate('reschedulingHistory.rescheduledBy', 'firstName lastName role');
+
+        res.status(200).json({
+            success: true,
+            message: 'Appointment rescheduled successfully',
+            data: { appointment: updatedAppointment }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/appointments/:id/lab-orders
+ * @desc    Order lab tests and packages during a consultation; each test
+ *          goes on the sample collection worklist as a pending lab report
+ * @access  Private (treating doctor or admin)
+ */
+router.post('/:id/lab-orders',
+    checkPermission('lab_write'),
+    asyncHandler(async (req, res) => {
+        const { tests = [], packages = [], clinicalDiagnosis, clinicalHistory } = req.body;
+        const urgencies = ['routine', 'urgent', 'stat'];
+
+        const validTests = Array.isArray(tests) && tests.every(item =>
+            item && mongoose.Types.ObjectId.isValid(item.testId) && (!item.urgency || urgencies.includes(item.urgency)));
+        const validPackages = Array.isArray(packages) && packages.every(item =>
+            item && mongoose.Types.ObjectId.isValid(item.packageId) && (!item.urgency || urgencies.includes(item.urgency)));
+
+        if (!validTests || !validPackages) {
+            return res.status(400).json({
+                success: false,
+                message: 'Each order needs a valid testId or packageId and an urgency of routine, urgent or stat'
+            });
+        }
+
+        const appointment = await Appointment.findOne({
+            _id: req.params.id,
+            deletedAt: null
+        });
+
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        if (req.user.role !== 'admin' && appointment.doctor.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the treating doctor can order lab tests for this appointment'
+            });
+        }
+
+        const result = await labOrderService.orderForAppointment(appointment, {
+            tests,
+            packages,
+            clinicalDiagnosis,
+            clinicalHistory,
+            orderedBy: req.user._id
+        });
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Lab tests ordered successfully',
+            data: {
+                labTests: appointment.labTests,
+                reports: result.reports,
+                invoices: result.invoices
+            }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/appointments/:id/lab-orders
+ * @desc    Lab reports ordered from an appointment
+ * @access  Private
+ */
+router.get('/:id/lab-orders',
+    checkPermission('appointment_read'),
+    asyncHandler(async (req, res) => {
+        const appointment = await Appointment.findOne({
+            _id: req.params.id,
+            deletedAt: null
+        });
+
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        if (!canManageAppointment(req.user, appointment)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const reports = await LabReport.find({ appointment: appointment._id, deletedAt: null })
+            .populate('labTest', 'testName testCode sampleType containerType')
+            .populate('labPackage', 'name code')
+            .select('reportId sampleId labTest labPackage sampleType priority status sampleCollectedAt sampleCondition billing createdAt')
+            .sort({ createdAt: 1 });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                labTests: appointment.labTests,
+                reports
+            }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/appointments/:id/cancellation-terms
+ * @desc    Preview the refund a cancellation would give under the branch policy
+ * @access  Private (Patient of the appointment, or appointment_read)
+ */
+router.get('/:id/cancellation-terms',
+    patientOrPermission('appointment_read'),
+    asyncHandler(async (req, res) => {
+        const appointment = await Appointment.findOne({
+            _id: req.params.id,
+            deletedAt: null
+        });
+
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        if (!canManageAppointment(req.user, appointment)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const terms = await appointmentService.getCancellationTerms(appointment, {
+            initiatedBy: req.user.role === 'patient' ? 'patient' : 'staff',
+            isNoShow: req.query.noShow === 'true'
+        });
+
+        res.status(200).json({
+            success: true,
+            data: { terms }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/appointments/:id/cancel
+ * @desc    Cancel an appointment (or mark as no-show) and apply the refund policy
+ * @access  Private (Patient of the appointment, or appointment_write)
+ */
+router.post('/:id/cancel',
+    patientOrPermission('appointment_write'),
+    asyncHandler(async (req, res) => {
+        const { reason, noShow = false } = req.body;
+
+        const appointment = await Appointment.findOne({
+            _id: req.params.id,
+            deletedAt: null
+        });
+
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        if (!canManageAppointment(req.user, appointment)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        if (noShow && req.user.role === 'patient') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only staff can mark an appointment as no-show'
+            });
+        }
+
+        const result = await appointmentService.cancel(appointment, {
+            cancelledBy: req.user._id,
+            initiatedBy: req.user.role === 'patient' ? 'patient' : 'staff',
+            reason,
+            isNoShow: !!noShow
+        });
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: noShow ? 'Appointment marked as no-show' : 'Appointment cancelled successfully',
+            data: {
+                appointment: result.appointment,
+                cancellation: result.appointment.cancellation
+            }
+        });
+    })
+);
+
 /**
  * @route   DELETE /api/v1/appointments/:id
  * @desc    Delete appointment (soft delete)
@@ -344,6 +749,8 @@ router.delete('/:id',
         appointment.updatedBy = req.user._id;
         await appointment.save();
 
+        await reminderService.clearAppointmentReminders(appointment);
+
         res.status(200).json({
             success: true,
             message: 'Appointment deleted successfully'
@@ -0,0 +1,212 @@
+const express = require('express');
+const Audience = require('../models/Audience');
+const Campaign = require('../models/Campaign');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+const { validateAudience, handleValidationErrors } = require('../middleware/validation');
+const campaignService = require('../services/campaignService');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/audiences
+ * @desc    List saved campaign audiences
+ * @access  Private (Admin)
+ */
+router.get('/',
+    authorize('admin'),
+    asyncHandler(async (req, res) => {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const query = { deletedAt: null };
+        const [audiences, total] = await Promise.all([
+            Audience.find(query).sort({ name: 1 }).skip(skip).limit(limit),
+            Audience.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                audiences,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/audiences/preview
+ * @desc    Count the users matching a set of filters before saving them
+ * @access  Private (Admin)
+ */
+router.post('/preview',
+    authorize('admin'),
+    validateAudience,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const preview = await campaignService.previewAudience(req.body.filters);
+
+        res.status(200).json({
+            success: true,
+            data: preview
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/audiences/:id
+ * @desc    Get an audience
+ * @access  Private (Admin)
+ */
+router.get('/:id',
+    authorize('admin'),
+    asyncHandler(async (req, res) => {
+        const audience = await Audience.findOne({ _id: req.params.id, deletedAt: null });
+
+        if (!audience) {
+            return res.status(404).json({
+                success: false,
+                message: 'Audience not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { audience }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/audiences/:id/preview
+ * @desc    Count the users a saved audience currently matches
+ * @access  Private (Admin)
+ */
+router.post('/:id/preview',
+    authorize('admin'),
+    asyncHandler(async (req, res) => {
+        const audience = await Audience.findOne({ _id: req.params.id, deletedAt: null });
+
+        if (!audience) {
+            return res.status(404).json({
+                success: false,
+                message: 'Audience not found'
+            });
+        }
+
+        const preview = await campaignService.previewAudience(audience.filters);
+
+        res.status(200).json({
+            success: true,
+            data: preview
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/audiences
+ * @desc    Create an audience
+ * @access  Private (Admin)
+ */
+router.post('/',
+    authorize('admin'),
+    validateAudience,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const audience = await Audience.create({
+            name: req.body.name,
+            description: req.body.description,
+            filters: req.body.filters,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Audience created successfully',
+            data: { audience }
+        });
+    })
+);
+
+/**
+ * @route   PUT /api/v1/audiences/:id
+ * @desc    Update an audience; campaigns that have not started yet use the new filters
+ * @access  Private (Admin)
+ */
+router.put('/:id',
+    authorize('admin'),
+    validateAudience,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const audience = await Audience.findOne({ _id: req.params.id, deletedAt: null });
+
+        if (!audience) {
+            return res.status(404).json({
+                success: false,
+                message: 'Audience not found'
+            });
+        }
+
+        ['name', 'description', 'filters'].forEach(field => {
+            if (req.body[field] !== undefined) audience[field] = req.body[field];
+        });
+        audience.updatedBy = req.user._id;
+        await audience.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Audience updated successfully',
+            data: { audience }
+        });
+    })
+);
+
+/**
+ * @route   DELETE /api/v1/audiences/:id
+ * @desc    Delete an audience that no scheduled or running campaign uses
+ * @access  Private (Admin)
+ */
+router.delete('/:id',
+    authorize('admin'),
+    asyncHandler(async (req, res) => {
+        const audience = await Audience.findOne({ _id: req.params.id, deletedAt: null });
+
+        if (!audience) {
+            return res.status(404).json({
+                success: false,
+                message: 'Audience not found'
+            });
+        }
+
+        const inUse = await Campaign.exists({
+            audience: audience._id,
+            status: { $in: ['scheduled', 'running'] },
+            deletedAt: null
+        });
+
+        if (inUse) {
+            return res.status(400).json({
+                success: false,
+                message: 'Audience is used by a scheduled or running campaign'
+            });
+        }
+
+        audience.deletedAt = new Date();
+        audience.updatedBy = req.user._id;
+        await audience.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Audience deleted successfully'
+        });
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const calendarService = require('../services/calendarService');
+
+const router = express.Router();
+
+// Feed window around today
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 180;
+
+/**
+ * @route   GET /api/v1/calendar/doctors/:token.ics
+ * @desc    Read-only iCalendar feed of a doctor's appointments
+ * @access  Public (secret feed token)
+ */
+router.get('/doctors/:token.ics',
+    asyncHandler(async (req, res) => {
+        const doctor = await Doctor.findOne({
+            'calendarFeed.tokenHash': calendarService.hashFeedToken(req.params.token),
+            deletedAt: null
+        });
+
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Calendar feed not found'
+            });
+        }
+
+        const from = new Date();
+        from.setDate(from.getDate() - FEED_PAST_DAYS);
+        from.setHours(0, 0, 0, 0);
+
+        const to = new Date();
+        to.setDate(to.getDate() + FEED_FUTURE_DAYS);
+        to.setHours(23, 59, 59, 999);
+
+        const [doctorUser, appointments] = await Promise.all([
+            User.findById(doctor.userId).select('firstName lastName'),
+            Appointment.findDoctorCalendar(doctor.userId, from, to)
+        ]);
+
+        const doctorName = doctorUser ? `${doctorUser.firstName} ${doctorUser.lastName}` : null;
+
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="appointments.ics"',
+            'Cache-Control': 'private, max-age=300'
+        });
+        res.status(200).send(calendarService.renderDoctorFeed(doctorName, appointments));
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,320 @@
+const express = require('express');
+const Campaign = require('../models/Campaign');
+const Audience = require('../models/Audience');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+const { validateCampaign, handleValidationErrors } = require('../middleware/validation');
+const campaignService = require('../services/campaignService');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'description', 'audience', 'content', 'throttlePerMinute'];
+
+/**
+ * Check the audience exists and template content renders
+ * @returns {Promise<string|null>} - Error message
+ */
+const checkCampaign = async (campaign) => {
+    const audience = await Audience.exists({ _id: campaign.audience, deletedAt: null });
+    if (!audience) return 'Audience not found';
+
+    return campaignService.validateContent(campaign.content);
+};
+
+/**
+ * @route   GET /api/v1/campaigns
+ * @desc    List campaigns
+ * @access  Private (Admin)
+ */
+router.get('/',
+    authorize('admin'),
+    asyncHandler(async (req, res) => {
+        const { status } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const query = { deletedAt: null };
+        if (status) query.status = status;
+
+        const [campaigns, total] = await Promise.all([
+            Campaign.find(query)
+                .populate('audience', 'name')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Campaign.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                campaigns,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/campaigns/:id
+ * @desc    Get a campaign with its delivery stats
+ * @access  Private (Admin)
+ */
+router.get('/:id',
+    authorize('admin'),
+    asyncHandler(async (req, res) => {
+        const campaign = await Campaign.findOne({ _id: req.params.id, deletedAt: null })
+            .populate('audience', 'name filters');
+
+        if (!campaign) {
+            return res.status(404).json({
+                success: false,
+                message: 'Campaign not found'
+            });
+        }
+
+        const stats = await campaignService.getStats(campaign);
+
+        res.status(200).json({
+            success: true,
+            data: { campaign, stats }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/campaigns/:id/stats
+ * @desc    Sent, failed, read and clicked counts for a campaign
+ * @access  Private (Admin)
+ */
+router.get('/:id/stats',
+    authorize('admin'),
+    asyncHandler(async (req, res) => {
+        const campaign = await Campaign.findOne({ _id: req.params.id, deletedAt: null });
+
+        if (!campaign) {
+            return res.status(404).json({
+                success: false,
+                message: 'Campaign not found'
+            });
+        }
+
+        const stats = await campaignService.getStats(campaign);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                campaignId: campaign.campaignId,
+                status: campaign.status,
+                stats
+            }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/campaigns
+ * @desc    Create a draft campaign
+ * @access  Private (Admin)
+ */
+router.post('/',
+    authorize('admin'),
+    validateCampaign,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const data = { createdBy: req.user._id };
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+
+        const campaign = new Campaign(data);
+        await campaign.validate();
+
+        const error = await checkCampaign(campaign);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        await campaign.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Campaign created successfully',
+            data: { campaign }
+        });
+    })
+);
+
+/**
+ * @route   PUT /api/v1/campaigns/:id
+ * @desc    Update a campaign that has not started sending
+ * @access  Private (Admin)
+ */
+router.put('/:id',
+    authorize('admin'),
+    validateCampaign,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const campaign = await Campaign.findOne({ _id: req.params.id, deletedAt: null });
+
+        if (!campaign) {
+            return res.status(404).json({
+                success: false,
+                message: 'Campaign not found'
+            });
+        }
+
+        if (!campaign.isEditable()) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot edit a campaign that is ${campaign.status}`
+            });
+        }
+
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) campaign[field] = req.body[field];
+        });
+        campaign.updatedBy = req.user._id;
+        await campaign.validate();
+
+        const error = await checkCampaign(campaign);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        await campaign.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Campaign updated successfully',
+            data: { campaign }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/campaigns/:id/schedule
+ * @desc    Schedule a campaign to start at scheduledFor (default: now)
+ * @access  Private (Admin)
+ */
+router.post('/:id/schedule',
+    authorize('admin'),
+    validateCampaign,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const campaign = await Campaign.findOne({ _id: req.params.id, deletedAt: null });
+
+        if (!campaign) {
+            return res.status(404).json({
+                success: false,
+                message: 'Campaign not found'
+            });
+        }
+
+        if (!campaign.isEditable()) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot schedule a campaign that is ${campaign.status}`
+            });
+        }
+
+        const scheduledFor = req.body.scheduledFor ? new Date(req.body.scheduledFor) : new Date();
+
+        campaign.status = 'scheduled';
+        campaign.scheduledFor = scheduledFor;
+        campaign.updatedBy = req.user._id;
+        await campaign.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Campaign scheduled successfully',
+            data: { campaign }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/campaigns/:id/cancel
+ * @desc    Cancel a campaign; recipients not yet reached are not notified
+ * @access  Private (Admin)
+ */
+router.post('/:id/cancel',
+    authorize('admin'),
+    asyncHandler(async (req, res) => {
+        const campaign = await Campaign.findOne({ _id: req.params.id, deletedAt: null });
+
+        if (!campaign) {
+            return res.status(404).json({
+                success: false,
+                message: 'Campaign not found'
+            });
+        }
+
+        const result = await campaignService.cancelCampaign(campaign, req.user._id);
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Campaign cancelled successfully',
+            data: {
+                campaign: result.campaign,
+                withdrawn: result.withdrawn
+            }
+        });
+    })
+);
+
+/**
+ * @route   DELETE /api/v1/campaigns/:id
+ * @desc    Delete a campaign that has not started sending
+ * @access  Private (Admin)
+ */
+router.delete('/:id',
+    authorize('admin'),
+    asyncHandler(async (req, res) => {
+        const campaign = await Campaign.findOne({ _id: req.params.id, deletedAt: null });
+
+        if (!campaign) {
+            return res.status(404).json({
+                success: false,
+                message: 'Campaign not found'
+            });
+        }
+
+        if (!campaign.isEditable()) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot delete a campaign that is ${campaign.status}; cancel it instead`
+            });
+        }
+
+        campaign.deletedAt = new Date();
+        campaign.updatedBy = req.user._id;
+        await campaign.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Campaign deleted successfully'
+        });
+    })
+);
+
+module.exports = router;
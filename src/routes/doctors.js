@@ -1,22 +1,847 @@
-// Create placeholder route files for other modules
+const express = require('express');
+const Doctor = require('../models/Doctor');
+const User = require('../models/User');
+const Branch = require('../models/Branch');
+const Appointment = require('../models/Appointment');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validateDoctor, validateDoctorUpdate, handleValidationErrors } = require('../middleware/validation');
+const { checkPermission } = require('../middleware/auth');
+const availabilityService = require('../services/availabilityService');
+const NotificationService = require('../services/notificationService');
+const appointmentService = require('../services/appointmentService');
+const calendarService = require('../services/calendarService');
 
-// doctors.js
-module.exports = require('express').Router();
+const router = express.Router();
 
-// labTests.js  
-module.exports = require('express').Router();
+// Fields of the Doctor profile that may be set on create/update
+const DOCTOR_FIELDS = [
+    'medicalLicense', 'specializations', 'education', 'residency', 'fellowship',
+    'consultationFee', 'followUpFee', 'workingHours', 'consultationTypes',
+    'maxPatientsPerDay', 'appointmentDuration', 'isAvailableForAppointments',
+    'isAcceptingNewPatients'
+];
 
-// labReports.js
-module.exports = require('express').Router();
+// Fields of the linked User account that may be set on update
+const USER_FIELDS = [
+    'firstName', 'lastName', 'phone', 'avatar', 'address',
+    'department', 'specialization', 'licenseNumber', 'experience'
+];
 
-// invoices.js
-module.exports = require('express').Router();
+// Query text is matched literally, never as a pattern
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-// inventory.js
-module.exports = require('express').Router();
+const pickFields = (source, fields) => {
+    const data = {};
+    fields.forEach(field => {
+        if (source[field] !== undefined) {
+            data[field] = source[field];
+        }
+    });
+    return data;
+};
 
-// branches.js
-module.exports = require('express').Router();
+const isOwnProfile = (user, doctor) =>
+    user.role === 'doctor' && doctor.userId.toString() === user._id.toString();
 
-// analytics.js
-module.exports = require('express').Router();
\ No newline at end of file
+/**
+ * Staff outside admin only change doctors of their own branch; doctors may
+ * edit their own profile
+ */
+const canAccessBranch = async (user, doctor) => {
+    if (user.role === 'admin') return true;
+    if (!user.branchId) return false;
+
+    const doctorUser = await User.findById(doctor.userId).select('branchId');
+    return !!doctorUser?.branchId && doctorUser.branchId.toString() === user.branchId.toString();
+};
+
+/**
+ * Admins and the manager of the doctor's branch may review leave requests
+ */
+const canManageDoctor = async (user, doctor) => {
+    if (user.role === 'admin') return true;
+
+    const doctorUser = await User.findById(doctor.userId).select('branchId');
+    if (!doctorUser?.branchId) return false;
+
+    return !!(await Branch.exists({ _id: doctorUser.branchId, manager: user._id }));
+};
+
+/**
+ * Scheduled/confirmed appointments that fall inside a leave period
+ */
+const findAppointmentsDuringLeave = async (doctor, leave) => {
+    const dayStart = new Date(leave.startDate);
+    dayStart.setHours(0, 0, 0, 0);
+
+    const appointments = await Appointment.find({
+        doctor: doctor.userId,
+        scheduledDate: { $gte: dayStart, $lte: leave.endDate },
+        status: { $in: ['scheduled', 'confirmed'] },
+        deletedAt: null
+    })
+        .populate('patient', 'firstName lastName phone email')
+        .sort({ scheduledDate: 1, scheduledTime: 1 });
+
+    return appointments.filter(apt => {
+        const start = apt.appointmentDateTime;
+        const end = new Date(start.getTime() + (apt.duration || 30) * 60 * 1000);
+        return start < leave.endDate && end > leave.startDate;
+    });
+};
+
+/**
+ * Find the first free slot for an appointment after a given time
+ */
+const findNextSlot = async (doctor, after, duration, searchDays = 30) => {
+    const from = new Date(after);
+    const to = new Date(after);
+    to.setDate(to.getDate() + searchDays);
+
+    const days = await availabilityService.getAvailableSlots(doctor, from, to, { duration });
+    for (const day of days) {
+        const slot = day.slots.find(s => s.startsAt >= after);
+        if (slot) return { date: day.date, ...slot };
+    }
+    return null;
+};
+
+/**
+ * @route   GET /api/v1/doctors
+ * @desc    Get all doctors with search and filters
+ * @access  Private
+ */
+router.get('/',
+    checkPermission('doctor_read'),
+    asyncHandler(async (req, res) => {
+        const {
+            page = 1,
+            limit = 20,
+            search,
+            specialization,
+            consultationType,
+            isAcceptingNewPatients,
+            branchId
+        } = req.query;
+
+        const query = { deletedAt: null };
+
+        if (specialization) {
+            query['specializations.name'] = { $regex: escapeRegex(String(specialization)), $options: 'i' };
+        }
+
+        if (consultationType) {
+            query.consultationTypes = consultationType;
+        }
+
+        if (isAcceptingNewPatients !== undefined) {
+            query.isAcceptingNewPatients = isAcceptingNewPatients === 'true';
+        }
+
+        // Branch and name filters live on the linked User account
+        if (branchId) {
+            const branchUsers = await User.find({ role: 'doctor', branchId, deletedAt: null }).select('_id');
+            query.userId = { $in: branchUsers.map(user => user._id) };
+        }
+
+        if (search) {
+            const pattern = escapeRegex(String(search));
+            const matchingUsers = await User.find({
+                role: 'doctor',
+                deletedAt: null,
+                $or: [
+                    { firstName: { $regex: pattern, $options: 'i' } },
+                    { lastName: { $regex: pattern, $options: 'i' } },
+                    { email: { $regex: pattern, $options: 'i' } }
+                ]
+            }).select('_id');
+
+            query.$or = [
+                { userId: { $in: matchingUsers.map(user => user._id) } },
+                { 'specializations.name': { $regex: pattern, $options: 'i' } },
+                { doctorId: { $regex: pattern, $options: 'i' } }
+            ];
+        }
+
+        const skip = (page - 1) * limit;
+
+        const doctors = await Doctor.find(query)
+            .populate('userId', 'firstName lastName email phone avatar branchId department')
+            .sort({ 'stats.averageRating': -1, createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Doctor.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                doctors,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/doctors/:id
+ * @desc    Get single doctor (by doctor profile ID or user ID)
+ * @access  Private
+ */
+router.get('/:id',
+    checkPermission('doctor_read'),
+    asyncHandler(async (req, res) => {
+        const doctor = await Doctor.findByIdOrUserId(req.params.id)
+            .populate({
+                path: 'userId',
+                select: 'firstName lastName email phone avatar branchId department specialization',
+                populate: { path: 'branchId', select: 'name code address' }
+            });
+
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { doctor }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/doctors/:id/slots
+ * @desc    Get bookable slots for a doctor between two dates
+ * @access  Private
+ */
+router.get('/:id/slots',
+    checkPermission('appointment_read'),
+    asyncHandler(async (req, res) => {
+        const { from, to, duration } = req.query;
+
+        const doctor = await Doctor.findByIdOrUserId(req.params.id);
+
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor not found'
+            });
+        }
+
+        if (!doctor.isAvailableForAppointments) {
+            return res.status(200).json({
+                success: true,
+                data: { doctorId: doctor._id, days: [] }
+            });
+        }
+
+        const days = await availabilityService.getAvailableSlots(doctor, from, to || from, {
+            duration: duration ? parseInt(duration) : undefined
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                doctorId: doctor._id,
+                doctorUserId: doctor.userId,
+                from: days[0]?.date,
+                to: days[days.length - 1]?.date,
+                totalSlots: days.reduce((sum, day) => sum + day.slots.length, 0),
+                days
+            }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/doctors
+ * @desc    Create new doctor together with the linked user account
+ * @access  Private
+ */
+router.post('/',
+    checkPermission('doctor_write'),
+    validateDoctor,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const {
+            firstName, lastName, email, phone, password, firebaseUid,
+            branchId, department, avatar
+        } = req.body;
+
+        const existingUser = await User.findOne({ email });
+        if (existingUser) {
+            return res.status(400).json({
+                success: false,
+                message: 'User already exists with this email'
+            });
+        }
+
+        // Only admins may create doctors for another branch
+        const doctorBranchId = req.user.role === 'admin' && branchId
+            ? branchId
+            : req.user.branchId;
+
+        const specializations = req.body.specializations || [];
+
+        // Create user account
+        const user = await User.create({
+            firstName,
+            lastName,
+            email,
+            phone,
+            password,
+            firebaseUid,
+            avatar,
+            department,
+            role: 'doctor',
+            specialization: specializations[0]?.name,
+            licenseNumber: req.body.medicalLicense?.licenseNumber,
+            branchId: doctorBranchId,
+            permissions: [
+                'patient_read', 'patient_write',
+                'appointment_read', 'appointment_write',
+                'lab_read', 'lab_write'
+            ]
+        });
+
+        // Generate doctor ID
+        const doctorCount = await Doctor.countDocuments();
+        const doctorId = `DOC${(doctorCount + 1).toString().padStart(6, '0')}`;
+
+        let doctor;
+        try {
+            doctor = await Doctor.create({
+                ...pickFields(req.body, DOCTOR_FIELDS),
+                userId: user._id,
+                doctorId
+            });
+        } catch (error) {
+            // Do not leave an orphaned doctor account behind
+            await User.deleteOne({ _id: user._id });
+            throw error;
+        }
+
+        const populatedDoctor = await Doctor.findById(doctor._id)
+            .populate('userId', '-password');
+
+        res.status(201).json({
+            success: true,
+            message: 'Doctor created successfully',
+            data: { doctor: populatedDoctor }
+        });
+    })
+);
+
+/**
+ * @route   PUT /api/v1/doctors/:id
+ * @desc    Update doctor profile and linked user details
+ * @access  Private (the doctor, staff of the doctor's branch, or admin)
+ */
+router.put('/:id',
+    checkPermission('doctor_write'),
+    validateDoctorUpdate,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const doctor = await Doctor.findByIdOrUserId(req.params.id);
+
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor not found'
+            });
+        }
+
+        if (!isOwnProfile(req.user, doctor) && !(await canAccessBranch(req.user, doctor))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const userUpdateData = pickFields(req.body, USER_FIELDS);
+        if (Object.keys(userUpdateData).length > 0) {
+            await User.findByIdAndUpdate(doctor.userId, userUpdateData, { runValidators: true });
+        }
+
+        const doctorUpdateData = pickFields(req.body, DOCTOR_FIELDS);
+        if (Object.keys(doctorUpdateData).length > 0) {
+            doctor.set(doctorUpdateData);
+            await doctor.save();
+        }
+
+        const updatedDoctor = await Doctor.findById(doctor._id)
+            .populate('userId', '-password');
+
+        res.status(200).json({
+            success: true,
+            message: 'Doctor updated successfully',
+            data: { doctor: updatedDoctor }
+        });
+    })
+);
+
+/**
+ * @route   DELETE /api/v1/doctors/:id
+ * @desc    Delete doctor (soft delete)
+ * @access  Private (staff of the doctor's branch, or admin)
+ */
+router.delete('/:id',
+    checkPermission('doctor_delete'),
+    asyncHandler(async (req, res) => {
+        const doctor = await Doctor.findByIdOrUserId(req.params.id);
+
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor not found'
+            });
+        }
+
+        if (!(await canAccessBranch(req.user, doctor))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        // Soft delete and stop new bookings
+        doctor.deletedAt = new Date();
+        doctor.isAvailableForAppointments = false;
+        doctor.isAcceptingNewPatients = false;
+        await doctor.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Doctor deleted successfully'
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/doctors/:id/leaves
+ * @desc    Get leave requests of a doctor
+ * @access  Private
+ */
+router.get('/:id/leaves',
+    asyncHandler(async (req, res) => {
+        const doctor = await Doctor.findByIdOrUserId(req.params.id)
+            .populate('leaves.requestedBy leaves.reviewedBy leaves.approvedBy', 'firstName lastName role');
+
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor not found'
+            });
+        }
+
+        const hasAccess =
+            isOwnProfile(req.user, doctor) ||
+            req.user.hasPermission('doctor_read') ||
+            await canManageDoctor(req.user, doctor);
+
+        if (!hasAccess) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const { status } = req.query;
+        const leaves = doctor.leaves
+            .filter(leave => !status || leave.status === status)
+            .sort((a, b) => b.startDate - a.startDate);
+
+        res.status(200).json({
+            success: true,
+            data: { leaves }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/doctors/:id/leaves
+ * @desc    Submit a leave request
+ * @access  Private (Doctor themselves or doctor_write)
+ */
+router.post('/:id/leaves',
+    asyncHandler(async (req, res) => {
+        const { startDate, endDate, type, reason } = req.body;
+
+        const doctor = await Doctor.findByIdOrUserId(req.params.id);
+
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor not found'
+            });
+        }
+
+        if (!isOwnProfile(req.user, doctor) && req.user.role !== 'admin' && !req.user.hasPermission('doctor_write')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const start = new Date(startDate);
+        const end = new Date(endDate);
+
+        if (!startDate || !endDate || isNaN(start) || isNaN(end)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid startDate and endDate are required'
+            });
+        }
+
+        if (end <= start) {
+            return res.status(400).json({
+                success: false,
+                message: 'End date must be after start date'
+            });
+        }
+
+        const overlapping = doctor.leaves.some(leave =>
+            leave.status !== 'rejected' && leave.startDate < end && leave.endDate > start
+        );
+
+        if (overlapping) {
+            return res.status(400).json({
+                success: false,
+                message: 'Leave overlaps an existing leave request'
+            });
+        }
+
+        doctor.leaves.push({
+            startDate: start,
+            endDate: end,
+            type,
+            reason,
+            status: 'pending',
+            requestedBy: req.user._id,
+            requestedAt: new Date()
+        });
+        await doctor.save();
+
+        const leave = doctor.leaves[doctor.leaves.length - 1];
+        const affectedAppointments = await findAppointmentsDuringLeave(doctor, leave);
+
+        res.status(201).json({
+            success: true,
+            message: 'Leave request submitted successfully',
+            data: {
+                leave,
+                affectedAppointmentCount: affectedAppointments.length
+            }
+        });
+    })
+);
+
+/**
+ * @route   PUT /api/v1/doctors/:id/leaves/:leaveId/review
+ * @desc    Approve or reject a leave request
+ * @access  Private (Admin or branch manager)
+ */
+router.put('/:id/leaves/:leaveId/review',
+    asyncHandler(async (req, res) => {
+        const { status, notes } = req.body;
+
+        if (!['approved', 'rejected'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Status must be approved or rejected'
+            });
+        }
+
+        const doctor = await Doctor.findByIdOrUserId(req.params.id);
+
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor not found'
+            });
+        }
+
+        if (!(await canManageDoctor(req.user, doctor))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only admins or the branch manager can review leave requests'
+            });
+        }
+
+        const leave = doctor.leaves.id(req.params.leaveId);
+
+        if (!leave) {
+            return res.status(404).json({
+                success: false,
+                message: 'Leave request not found'
+            });
+        }
+
+        if (leave.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: `Leave request is already ${leave.status}`
+            });
+        }
+
+        leave.status = status;
+        leave.reviewedBy = req.user._id;
+        leave.reviewedAt = new Date();
+        leave.reviewNotes = notes;
+        if (status === 'approved') {
+            leave.approvedBy = req.user._id;
+        }
+        await doctor.save();
+
+        await NotificationService.notifyUsers([doctor.userId], {
+            template: 'leave_request_reviewed',
+            variables: {
+                status,
+                startDate: leave.startDate.toDateString(),
+                endDate: leave.endDate.toDateString()
+            },
+            data: { referenceId: doctor._id.toString(), referenceType: 'doctor' }
+        });
+
+        const affectedAppointments = status === 'approved'
+            ? await findAppointmentsDuringLeave(doctor, leave)
+            : [];
+
+        res.status(200).json({
+            success: true,
+            message: `Leave request ${status}`,
+            data: {
+                leave,
+                affectedAppointments
+            }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/doctors/:id/leaves/:leaveId/appointments
+ * @desc    Get appointments affected by a leave
+ * @access  Private (Admin or branch manager)
+ */
+router.get('/:id/leaves/:leaveId/appointments',
+    asyncHandler(async (req, res) => {
+        const doctor = await Doctor.findByIdOrUserId(req.params.id);
+
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor not found'
+            });
+        }
+
+        if (!isOwnProfile(req.user, doctor) && !(await canManageDoctor(req.user, doctor))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const leave = doctor.leaves.id(req.params.leaveId);
+
+        if (!leave) {
+            return res.status(404).json({
+                success: false,
+                message: 'Leave request not found'
+            });
+        }
+
+        const appointments = await findAppointmentsDuringLeave(doctor, leave);
+
+        res.status(200).json({
+            success: true,
+            data: { appointments }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/doctors/:id/leaves/:leaveId/appointments
+ * @desc    Bulk reschedule or cancel appointments affected by an approved leave
+ * @access  Private (Admin or branch manager)
+ */
+router.post('/:id/leaves/:leaveId/appointments',
+    asyncHandler(async (req, res) => {
+        const { action, appointmentIds, reason } = req.body;
+
+        if (!['reschedule', 'cancel'].includes(action)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Action must be reschedule or cancel'
+            });
+        }
+
+        const doctor = await Doctor.findByIdOrUserId(req.params.id);
+
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor not found'
+            });
+        }
+
+        if (!(await canManageDoctor(req.user, doctor))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only admins or the branch manager can manage leave appointments'
+            });
+        }
+
+        const leave = doctor.leaves.id(req.params.leaveId);
+
+        if (!leave || leave.status !== 'approved') {
+            return res.status(400).json({
+                success: false,
+                message: 'Leave request not found or not approved'
+            });
+        }
+
+        let appointments = await findAppointmentsDuringLeave(doctor, leave);
+        if (Array.isArray(appointmentIds) && appointmentIds.length > 0) {
+            appointments = appointments.filter(apt => appointmentIds.includes(apt._id.toString()));
+        }
+
+        const leaveReason = reason || 'Doctor unavailable due to approved leave';
+        const results = [];
+
+        for (const appointment of appointments) {
+            if (action === 'cancel') {
+                const cancelled = await appointmentService.cancel(appointment, {
+                    cancelledBy: req.user._id,
+                    initiatedBy: 'staff',
+                    reason: leaveReason
+                });
+
+                if (cancelled.error) {
+                    results.push({ appointmentId: appointment._id, result: 'failed', message: cancelled.error });
+                    continue;
+                }
+
+                results.push({ appointmentId: appointment._id, result: 'cancelled' });
+                continue;
+            }
+
+            const slot = await findNextSlot(doctor, leave.endDate, appointment.duration);
+
+            if (!slot) {
+                results.push({ appointmentId: appointment._id, result: 'failed', message: 'No free slot found' });
+                continue;
+            }
+
+            const moved = await appointmentService.reschedule(appointment, {
+                scheduledDate: slot.date,
+                scheduledTime: slot.startTime,
+                reason: leaveReason,
+                rescheduledBy: req.user._id,
+                enforceLimit: false
+            });
+
+            if (moved.error) {
+                results.push({ appointmentId: appointment._id, result: 'failed', message: moved.error });
+                continue;
+            }
+
+            results.push({
+                appointmentId: appointment._id,
+                result: 'rescheduled',
+                scheduledDate: slot.date,
+                scheduledTime: slot.startTime
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Processed ${results.length} appointment(s)`,
+            data: { results }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/doctors/:id/calendar-feed
+ * @desc    Create or rotate the doctor's read-only calendar feed URL
+ * @access  Private (Doctor themselves or admin)
+ */
+router.post('/:id/calendar-feed',
+    asyncHandler(async (req, res) => {
+        const doctor = await Doctor.findByIdOrUserId(req.params.id);
+
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor not found'
+            });
+        }
+
+        if (!isOwnProfile(req.user, doctor) && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        // Rotating replaces the hash, so any previously shared URL stops working
+        const { token, tokenHash } = calendarService.generateFeedToken();
+        doctor.calendarFeed = { tokenHash, createdAt: new Date() };
+        await doctor.save();
+
+        const feedUrl = `${req.protocol}://${req.get('host')}${req.baseUrl.replace(/\/doctors$/, '')}/calendar/doctors/${token}.ics`;
+
+        res.status(201).json({
+            success: true,
+            message: 'Calendar feed created. Store this URL now; it cannot be shown again.',
+            data: {
+                feedUrl,
+                webcalUrl: feedUrl.replace(/^https?:/, 'webcal:'),
+                createdAt: doctor.calendarFeed.createdAt
+            }
+        });
+    })
+);
+
+/**
+ * @route   DELETE /api/v1/doctors/:id/calendar-feed
+ * @desc    Revoke the doctor's calendar feed URL
+ * @access  Private (Doctor themselves or admin)
+ */
+router.delete('/:id/calendar-feed',
+    asyncHandler(async (req, res) => {
+        const doctor = await Doctor.findByIdOrUserId(req.params.id);
+
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor not found'
+            });
+        }
+
+        if (!isOwnProfile(req.user, doctor) && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        doctor.calendarFeed = undefined;
+        await doctor.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Calendar feed revoked'
+        });
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const eventBus = require('../services/eventBus');
+const { createStreamToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Keep proxies from closing idle connections
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/**
+ * @route   POST /api/v1/events/token
+ * @desc    Get a short-lived token for opening the stream with
+ *          ?access_token= from clients that cannot set headers
+ * @access  Private
+ */
+router.post('/token', (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: { token: createStreamToken(req.user) }
+    });
+});
+
+/**
+ * @route   GET /api/v1/events/stream
+ * @desc    Server-Sent Events stream of appointment, queue, lab report
+ *          and notification updates the user is allowed to see
+ * @access  Private
+ */
+router.get('/stream', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const types = req.query.types ? req.query.types.split(',') : null;
+
+    const write = (chunk) => {
+        res.write(chunk);
+        // compression() buffers output unless flushed explicitly
+        if (typeof res.flush === 'function') res.flush();
+    };
+
+    write(`retry: 5000\n`);
+    write(`event: connected\ndata: ${JSON.stringify({ userId: req.user._id, role: req.user.role })}\n\n`);
+
+    const unsubscribe = eventBus.subscribe((event) => {
+        if (types && !types.includes(event.type)) return;
+        if (!eventBus.canReceive(req.user, event)) return;
+
+        write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+            ...event.data,
+            timestamp: event.timestamp
+        })}\n\n`);
+    });
+
+    const heartbeat = setInterval(() => write(`: heartbeat\n\n`), HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+module.exports = router;
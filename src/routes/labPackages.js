@@ -0,0 +1,413 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const LabPackage = require('../models/LabPackage');
+const Branch = require('../models/Branch');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validateLabPackage, handleValidationErrors } = require('../middleware/validation');
+const { checkPermission } = require('../middleware/auth');
+const labOrderService = require('../services/labOrderService');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'code', 'kind', 'description', 'pricing', 'branches', 'isActive'];
+
+const MEMBER_FIELDS = 'testId testName testCode category sampleType containerType fastingRequired fastingHours pricing';
+
+/**
+ * Lab staff and admins also see inactive packages
+ */
+const canManageCatalog = (user) => user.role === 'admin' || user.hasPermission('lab_write');
+
+/**
+ * @route   GET /api/v1/lab-packages
+ * @desc    List panels and health-checkup packages
+ * @access  Private
+ */
+router.get('/',
+    asyncHandler(async (req, res) => {
+        const { page = 1, limit = 20, kind, test, search, branchId, isActive } = req.query;
+
+        const query = { deletedAt: null };
+
+        if (canManageCatalog(req.user) && isActive !== undefined) {
+            if (isActive !== 'all') query.isActive = isActive === 'true';
+        } else {
+            query.isActive = true;
+        }
+
+        if (kind) query.kind = kind;
+        if (test) query.tests = test;
+        if (search) {
+            const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            query.$or = [
+                { name: { $regex: pattern, $options: 'i' } },
+                { code: { $regex: pattern, $options: 'i' } }
+            ];
+        }
+        if (branchId) {
+            query.branches = { $not: { $elemMatch: { branchId, isAvailable: false } } };
+        }
+
+        const skip = (page - 1) * limit;
+
+        const [packages, total] = await Promise.all([
+            LabPackage.find(query)
+                .populate('tests', 'testId testName testCode')
+                .sort({ kind: 1, name: 1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            LabPackage.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                packages,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/lab-packages/:id
+ * @desc    Get a package with its member tests and sample plan
+ * @access  Private
+ */
+router.get('/:id',
+    asyncHandler(async (req, res) => {
+        const query = { _id: req.params.id, deletedAt: null };
+        if (!canManageCatalog(req.user)) query.isActive = true;
+
+        const labPackage = await LabPackage.findOne(query)
+            .populate('tests', MEMBER_FIELDS)
+            .populate('branches.branchId', 'name code');
+
+        if (!labPackage) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lab package not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { package: labPackage }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/lab-packages/:id/quote
+ * @desc    Package price at a branch compared with ordering its tests separately
+ * @access  Private
+ */
+router.get('/:id/quote',
+    asyncHandler(async (req, res) => {
+        const branchId = req.query.branchId || req.user.branchId;
+
+        if (!branchId || !mongoose.Types.ObjectId.isValid(branchId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid branchId is required'
+            });
+        }
+
+        const labPackage = await LabPackage.findOne({ _id: req.params.id, isActive: true, deletedAt: null })
+            .populate('tests');
+
+        if (!labPackage) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lab package not found'
+            });
+        }
+
+        if (!labPackage.isAvailableAt(branchId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This package is not available at the selected branch'
+            });
+        }
+
+        const price = labPackage.getPrice(branchId);
+        const tests = labPackage.tests.map(test => ({
+            testId: test.testId,
+            testName: test.testName,
+            price: test.getPrice(branchId)
+        }));
+        const individualTotal = tests.reduce((sum, test) => sum + test.price, 0);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                quote: {
+                    packageId: labPackage.packageId,
+                    name: labPackage.name,
+                    code: labPackage.code,
+                    branchId,
+                    currency: labPackage.pricing.currency,
+                    price,
+                    individualTotal,
+                    savings: Math.max(Math.round((individualTotal - price) * 100) / 100, 0),
+                    tests,
+                    samplePlan: labPackage.samplePlan
+                }
+            }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/lab-packages
+ * @desc    Create a panel or package
+ * @access  Private (lab_write)
+ */
+router.post('/',
+    checkPermission('lab_write'),
+    validateLabPackage,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const { tests, error, statusCode } = await labOrderService.resolveTests(req.body.tests);
+
+        if (error) {
+            return res.status(statusCode).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const data = {
+            tests: tests.map(test => test._id),
+            samplePlan: labOrderService.buildSamplePlan(tests),
+            createdBy: req.user._id
+        };
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+
+        const labPackage = await LabPackage.create(data);
+
+        res.status(201).json({
+            success: true,
+            message: 'Lab package created successfully',
+            data: { package: labPackage }
+        });
+    })
+);
+
+/**
+ * @route   PUT /api/v1/lab-packages/:id
+ * @desc    Update a package; changing its tests rebuilds the sample plan
+ * @access  Private (lab_write)
+ */
+router.put('/:id',
+    checkPermission('lab_write'),
+    asyncHandler(async (req, res) => {
+        const labPackage = await LabPackage.findOne({ _id: req.params.id, deletedAt: null });
+
+        if (!labPackage) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lab package not found'
+            });
+        }
+
+        if (req.body.tests !== undefined) {
+            if (!Array.isArray(req.body.tests) || !req.body.tests.every(id => mongoose.Types.ObjectId.isValid(id))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Tests must be a list of lab test IDs'
+                });
+            }
+
+            const { tests, error, statusCode } = await labOrderService.resolveTests(req.body.tests);
+
+            if (error) {
+                return res.status(statusCode).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            labPackage.tests = tests.map(test => test._id);
+            labPackage.samplePlan = labOrderService.buildSamplePlan(tests);
+        }
+
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) labPackage[field] = req.body[field];
+        });
+        labPackage.updatedBy = req.user._id;
+        await labPackage.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Lab package updated successfully',
+            data: { package: labPackage }
+        });
+    })
+);
+
+/**
+ * @route   PUT /api/v1/lab-packages/:id/branches/:branchId
+ * @desc    Set a package's availability or price at one branch
+ * @access  Private (lab_write)
+ */
+router.put('/:id/branches/:branchId',
+    checkPermission('lab_write'),
+    asyncHandler(async (req, res) => {
+        const { isAvailable, price } = req.body;
+
+        const [labPackage, branch] = await Promise.all([
+            LabPackage.findOne({ _id: req.params.id, deletedAt: null }),
+            Branch.findById(req.params.branchId)
+        ]);
+
+        if (!labPackage) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lab package not found'
+            });
+        }
+
+        if (!branch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Branch not found'
+            });
+        }
+
+        if (price != null && (typeof price !== 'number' || price < 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Price must be a positive number'
+            });
+        }
+
+        let branchConfig = labPackage.branches.find(b => b.branchId && b.branchId.toString() === req.params.branchId);
+        if (!branchConfig) {
+            labPackage.branches.push({ branchId: branch._id });
+            branchConfig = labPackage.branches[labPackage.branches.length - 1];
+        }
+
+        if (isAvailable !== undefined) branchConfig.isAvailable = Boolean(isAvailable);
+        if (price !== undefined) branchConfig.price = price;
+
+        labPackage.updatedBy = req.user._id;
+        await labPackage.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Branch settings updated successfully',
+            data: { package: labPackage }
+        });
+    })
+);
+
+/**
+ * @route   DELETE /api/v1/lab-packages/:id
+ * @desc    Remove a package from the catalog
+ * @access  Private (lab_write)
+ */
+router.delete('/:id',
+    checkPermission('lab_write'),
+    asyncHandler(async (req, res) => {
+        const labPackage = await LabPackage.findOne({ _id: req.params.id, deletedAt: null });
+
+        if (!labPackage) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lab package not found'
+            });
+        }
+
+        labPackage.deletedAt = new Date();
+        labPackage.isActive = false;
+        labPackage.updatedBy = req.user._id;
+        await labPackage.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Lab package deleted successfully'
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/lab-packages/:id/order
+ * @desc    Order a package for a patient: one pending lab report per test,
+ *          billed as a single invoice line
+ * @access  Private (lab_write)
+ */
+router.post('/:id/order',
+    checkPermission('lab_write'),
+    asyncHandler(async (req, res) => {
+        const { patient: patientId, appointment, priority = 'routine' } = req.body;
+        const branchId = req.body.branchId || req.user.branchId;
+
+        if (!branchId || !mongoose.Types.ObjectId.isValid(branchId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid branchId is required'
+            });
+        }
+
+        if (!['routine', 'urgent', 'stat'].includes(priority)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Priority must be routine, urgent or stat'
+            });
+        }
+
+        const [labPackage, patient] = await Promise.all([
+            LabPackage.findOne({ _id: req.params.id, deletedAt: null }),
+            User.findOne({ _id: patientId, role: 'patient', deletedAt: null })
+        ]);
+
+        if (!labPackage) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lab package not found'
+            });
+        }
+
+        if (!patient) {
+            return res.status(404).json({
+                success: false,
+                message: 'Patient not found'
+            });
+        }
+
+        const result = await labOrderService.orderPackage(labPackage, {
+            patient: patient._id,
+            branchId,
+            appointment,
+            priority,
+            createdBy: req.user._id
+        });
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Lab package ordered successfully',
+            data: {
+                reports: result.reports,
+                invoice: result.invoice
+            }
+        });
+    })
+);
+
+module.exports = router;
@@ -1 +1,562 @@
-module.exports = require('express').Router();
\ No newline at end of file
+const express = require('express');
+const LabReport = require('../models/LabReport');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { checkPermission } = require('../middleware/auth');
+const labOrderService = require('../services/labOrderService');
+const labResultService = require('../services/labResultService');
+
+const router = express.Router();
+
+const PRIORITY_ORDER = ['stat', 'urgent', 'routine'];
+const PATIENT_FIELDS = 'reportId sampleId patient labTest labPackage sampleType status priority sampleCollectedAt results version versions verification pathologistComments createdAt';
+const PATIENT_RELEASED = { $or: [{ status: 'verified' }, { 'versions.0': { $exists: true } }] };
+const SAMPLE_CONDITIONS = ['acceptable', 'hemolyzed', 'clotted', 'insufficient', 'contaminated'];
+
+/**
+ * Staff outside admin only work on their own branch's reports
+ */
+const canAccessBranch = (user, report) =>
+    user.role === 'admin' || (user.branchId && user.branchId.toString() === report.branchId.toString());
+
+/**
+ * Patients read their own released reports; everyone else needs lab_read
+ */
+const canReadReports = (req, res, next) => {
+    if (req.user.role === 'patient') return next();
+    return checkPermission('lab_read')(req, res, next);
+};
+
+/**
+ * A patient's view of a report: only the last verified version of the results
+ */
+const toPatientView = (report) => {
+    const released = labResultService.getReleasedVersion(report);
+    const view = report.toObject();
+
+    delete view.versions;
+    view.status = 'verified';
+    view.version = released.version;
+    view.results = released.results;
+    view.verification = released.verification;
+    view.amendmentInProgress = released.amendmentInProgress;
+
+    return view;
+};
+
+/**
+ * Load a report for a lab action, sending the error response if it cannot be used
+ * @returns {Promise<Object|null>}
+ */
+const findReportForAction = async (req, res) => {
+    const report = await LabReport.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!report) {
+        res.status(404).json({
+            success: false,
+            message: 'Lab report not found'
+        });
+        return null;
+    }
+
+    if (!canAccessBranch(req.user, report)) {
+        res.status(403).json({
+            success: false,
+            message: 'Access denied to this branch'
+        });
+        return null;
+    }
+
+    return report;
+};
+
+/**
+ * @route   GET /api/v1/lab-reports
+ * @desc    List lab reports; patients see their own released reports
+ * @access  Private (lab_read, or patient)
+ */
+router.get('/',
+    canReadReports,
+    asyncHandler(async (req, res) => {
+        const { page = 1, limit = 20, status, priority, patient, labTest, flagged, date } = req.query;
+        const isPatient = req.user.role === 'patient';
+
+        const query = { deletedAt: null };
+
+        if (isPatient) {
+            query.patient = req.user._id;
+            Object.assign(query, PATIENT_RELEASED);
+        } else if (req.user.role !== 'admin' && req.user.branchId) {
+            query.branchId = req.user.branchId;
+        } else if (req.query.branchId) {
+            query.branchId = req.query.branchId;
+        }
+        if (status && !isPatient) query.status = status;
+        if (priority) query.priority = priority;
+        if (patient && !isPatient) query.patient = patient;
+        if (labTest) query.labTest = labTest;
+        if (flagged === 'critical') query['criticalValueAlert.hasAlert'] = true;
+        if (flagged === 'abnormal') query['results.flag'] = { $in: ['high', 'low', 'critical_high', 'critical_low', 'abnormal'] };
+
+        if (date) {
+            const startDate = new Date(date);
+            const endDate = new Date(date);
+            endDate.setDate(endDate.getDate() + 1);
+            query.createdAt = { $gte: startDate, $lt: endDate };
+        }
+
+        const skip = (page - 1) * limit;
+
+        const [reports, total] = await Promise.all([
+            LabReport.find(query)
+                .populate('patient', 'firstName lastName gender dateOfBirth')
+                .populate('labTest', 'testName testCode')
+                .select(isPatient ? PATIENT_FIELDS : '-aiAnalysis -qualityControl')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            LabReport.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                reports: isPatient ? reports.map(toPatientView) : reports,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/lab-reports/collection/worklist
+ * @desc    Samples waiting to be drawn, most urgent first
+ * @access  Private (lab_read)
+ */
+router.get('/collection/worklist',
+    checkPermission('lab_read'),
+    asyncHandler(async (req, res) => {
+        const { priority, patient, sampleType } = req.query;
+
+        const query = {
+            status: 'pending',
+            sampleCollectedAt: null,
+            deletedAt: null
+        };
+
+        if (req.user.role !== 'admin' && req.user.branchId) {
+            query.branchId = req.user.branchId;
+        } else if (req.query.branchId) {
+            query.branchId = req.query.branchId;
+        }
+        if (priority) query.priority = priority;
+        if (patient) query.patient = patient;
+        if (sampleType) query.sampleType = sampleType;
+
+        const reports = await LabReport.find(query)
+            .populate('patient', 'firstName lastName phone dateOfBirth gender')
+            .populate('labTest', 'testName testCode containerType sampleVolume collectionInstructions fastingRequired fastingHours')
+            .populate('labPackage', 'name code')
+            .populate('sampleRejections.rejectedBy', 'firstName lastName')
+            .select('reportId sampleId patient labTest labPackage sampleType priority appointment sampleRejections createdAt')
+            .sort({ createdAt: 1 });
+
+        reports.sort((a, b) => PRIORITY_ORDER.indexOf(a.priority) - PRIORITY_ORDER.indexOf(b.priority));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                worklist: reports,
+                total: reports.length
+            }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/lab-reports/:id
+ * @desc    Get a lab report; patients only see their own once it is verified
+ * @access  Private (lab_read, or patient)
+ */
+router.get('/:id',
+    canReadReports,
+    asyncHandler(async (req, res) => {
+        const isPatient = req.user.role === 'patient';
+
+        const query = { _id: req.params.id, deletedAt: null };
+        if (isPatient) Object.assign(query, { patient: req.user._id }, PATIENT_RELEASED);
+
+        let reportQuery = LabReport.findOne(query)
+            .populate('patient', 'firstName lastName gender dateOfBirth phone')
+            .populate('labTest', 'testName testCode category referenceRanges')
+            .populate('labPackage', 'name code')
+            .populate('verification.verifiedBy versions.verification.verifiedBy', 'firstName lastName');
+
+        reportQuery = isPatient
+            ? reportQuery.select(PATIENT_FIELDS)
+            : reportQuery
+                .populate('sampleCollectedBy processedBy analyzedBy versions.amendedBy', 'firstName lastName')
+                .populate('trackingHistory.updatedBy', 'firstName lastName role');
+
+        const report = await reportQuery;
+
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lab report not found'
+            });
+        }
+
+        if (!isPatient && !canAccessBranch(req.user, report)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied to this branch'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { report: isPatient ? toPatientView(report) : report }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/lab-reports/:id/signature
+ * @desc    Check that a verified report still matches its digital signature
+ * @access  Private (lab_read)
+ */
+router.get('/:id/signature',
+    checkPermission('lab_read'),
+    asyncHandler(async (req, res) => {
+        const report = await findReportForAction(req, res);
+        if (!report) return;
+
+        if (!report.verification || !report.verification.digitalSignature) {
+            return res.status(400).json({
+                success: false,
+                message: 'This report has not been verified'
+            });
+        }
+
+        if (!labResultService.isSigningConfigured()) {
+            return res.status(503).json({
+                success: false,
+                message: 'Report signing is not configured'
+            });
+        }
+
+        const isValid = labResultService.isSignatureValid(report);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                reportId: report.reportId,
+                version: report.version,
+                signature: report.verification.digitalSignature,
+                verifiedBy: report.verification.verifiedBy,
+                verifiedAt: report.verification.verifiedAt,
+                isValid
+            }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/lab-reports/:id/collect
+ * @desc    Record sample collection; a sample in poor condition is rejected
+ *          straight away so it can be recollected
+ * @access  Private (lab_write)
+ */
+router.post('/:id/collect',
+    checkPermission('lab_write'),
+    asyncHandler(async (req, res) => {
+        const { sampleCondition = 'acceptable', notes } = req.body;
+
+        if (!SAMPLE_CONDITIONS.includes(sampleCondition)) {
+            return res.status(400).json({
+                success: false,
+                message: `Sample condition must be one of ${SAMPLE_CONDITIONS.join(', ')}`
+            });
+        }
+
+        const report = await findReportForAction(req, res);
+        if (!report) return;
+
+        const result = await labOrderService.collectSample(report, {
+            sampleCondition,
+            notes,
+            collectedBy: req.user._id
+        });
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: sampleCondition === 'acceptable'
+                ? 'Sample collected successfully'
+                : 'Sample collected and rejected; request a recollection',
+            data: { report: result.report }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/lab-reports/:id/reject-sample
+ * @desc    Reject a collected sample that cannot be processed
+ * @access  Private (lab_write)
+ */
+router.post('/:id/reject-sample',
+    checkPermission('lab_write'),
+    asyncHandler(async (req, res) => {
+        const { sampleCondition, reason } = req.body;
+
+        if (!SAMPLE_CONDITIONS.includes(sampleCondition) || sampleCondition === 'acceptable') {
+            return res.status(400).json({
+                success: false,
+                message: 'A sample condition other than acceptable is required'
+            });
+        }
+
+        const report = await findReportForAction(req, res);
+        if (!report) return;
+
+        const result = await labOrderService.rejectSample(report, {
+            sampleCondition,
+            reason,
+            rejectedBy: req.user._id
+        });
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Sample rejected successfully',
+            data: { report: result.report }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/lab-reports/:id/recollect
+ * @desc    Put a report with a rejected sample back on the collection worklist
+ * @access  Private (lab_write)
+ */
+router.post('/:id/recollect',
+    checkPermission('lab_write'),
+    asyncHandler(async (req, res) => {
+        const report = await findReportForAction(req, res);
+        if (!report) return;
+
+        const result = await labOrderService.requestRecollection(report, {
+            requestedBy: req.user._id,
+            notes: req.body.notes
+        });
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Recollection requested successfully',
+            data: { report: result.report }
+        });
+    })
+);
+
+/**
+ * @route   PUT /api/v1/lab-reports/:id/results
+ * @desc    Enter or correct result values; each is flagged against the
+ *          reference range for the patient's age and gender
+ * @access  Private (lab_write)
+ */
+router.put('/:id/results',
+    checkPermission('lab_write'),
+    asyncHandler(async (req, res) => {
+        const { results, technologistComments } = req.body;
+
+        const validResults = Array.isArray(results) && results.length > 0 && results.every(entry =>
+            entry && typeof entry.parameter === 'string' && entry.parameter.trim() !== '' &&
+            entry.value !== undefined && entry.value !== null && String(entry.value).trim() !== '');
+
+        if (!validResults) {
+            return res.status(400).json({
+                success: false,
+                message: 'Results must be a list of { parameter, value } entries'
+            });
+        }
+
+        const report = await findReportForAction(req, res);
+        if (!report) return;
+
+        const result = await labResultService.enterResults(report, results, {
+            enteredBy: req.user._id,
+            technologistComments
+        });
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Results saved successfully',
+            data: {
+                report: result.report,
+                abnormalResults: result.report.getAbnormalResults(),
+                hasCriticalValues: result.report.hasCriticalValues()
+            }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/lab-reports/:id/complete
+ * @desc    Mark results complete once every parameter has a value
+ * @access  Private (lab_write)
+ */
+router.post('/:id/complete',
+    checkPermission('lab_write'),
+    asyncHandler(async (req, res) => {
+        const report = await findReportForAction(req, res);
+        if (!report) return;
+
+        const result = await labResultService.completeResults(report, {
+            completedBy: req.user._id,
+            notes: req.body.notes
+        });
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Results completed successfully',
+            data: { report: result.report }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/lab-reports/:id/verify
+ * @desc    Pathologist sign-off: approve completed results, which signs and
+ *          locks them and releases the report to the patient, or return them
+ *          for correction. The verifier cannot be the person who entered them.
+ * @access  Private (lab_write; doctor or admin)
+ */
+router.post('/:id/verify',
+    checkPermission('lab_write'),
+    asyncHandler(async (req, res) => {
+        const { approved = true, notes } = req.body;
+
+        if (!['doctor', 'admin'].includes(req.user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only a pathologist can verify lab results'
+            });
+        }
+
+        if (typeof approved !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'Approved must be true or false'
+            });
+        }
+
+        const report = await findReportForAction(req, res);
+        if (!report) return;
+
+        const result = await labResultService.verifyReport(report, {
+            verifiedBy: req.user._id,
+            approved,
+            notes
+        });
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: approved
+                ? 'Report verified and released to the patient'
+                : 'Results returned for correction',
+            data: { report: result.report }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/lab-reports/:id/amend
+ * @desc    Correct a verified report. The verified version is kept with the
+ *          reason and the corrected results must be completed and verified again.
+ * @access  Private (lab_write)
+ */
+router.post('/:id/amend',
+    checkPermission('lab_write'),
+    asyncHandler(async (req, res) => {
+        const { results, reason } = req.body;
+
+        const validResults = Array.isArray(results) && results.length > 0 && results.every(entry =>
+            entry && typeof entry.parameter === 'string' && entry.parameter.trim() !== '' &&
+            entry.value !== undefined && entry.value !== null && String(entry.value).trim() !== '');
+
+        if (!validResults) {
+            return res.status(400).json({
+                success: false,
+                message: 'Results must be a list of { parameter, value } entries'
+            });
+        }
+
+        const report = await findReportForAction(req, res);
+        if (!report) return;
+
+        const result = await labResultService.amendReport(report, results, {
+            reason,
+            amendedBy: req.user._id
+        });
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Amendment started as version ${result.report.version}; complete and verify it to release`,
+            data: { report: result.report }
+        });
+    })
+);
+
+module.exports = router;
@@ -1 +1,450 @@
-module.exports = require('express').Router();
\ No newline at end of file
+const express = require('express');
+const mongoose = require('mongoose');
+const LabTest = require('../models/LabTest');
+const Branch = require('../models/Branch');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validateLabTest, validateLabTestUpdate, handleValidationErrors } = require('../middleware/validation');
+const { checkPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Fields that can be set through the API; testId, stats and aiInsights are maintained by the system
+const EDITABLE_FIELDS = [
+    'testName', 'testCode', 'category', 'subcategory', 'description', 'methodology',
+    'sampleType', 'sampleVolume', 'containerType', 'collectionInstructions',
+    'preparationInstructions', 'fastingRequired', 'fastingHours', 'processingTime',
+    'urgentProcessingTime', 'referenceRanges', 'pricing', 'isActive', 'isUrgentAvailable',
+    'isHomeCollectionAvailable', 'requiredEquipment', 'requiredReagents',
+    'qualityControlParameters', 'clinicalSignificance', 'indications', 'contraindications',
+    'interferingFactors', 'department', 'labSection', 'lisCode', 'machineCode', 'branches'
+];
+
+// Summary fields for catalog listings
+const LIST_FIELDS = 'testId testName testCode category subcategory sampleType department ' +
+    'pricing processingTime fastingRequired isActive isUrgentAvailable isHomeCollectionAvailable';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Lab staff and admins also see inactive tests
+ */
+const canManageCatalog = (user) => user.role === 'admin' || user.hasPermission('lab_write');
+
+/**
+ * Discounts that have not expired, with the amount each takes off `price`
+ */
+const getValidDiscounts = (labTest, price, now = new Date()) =>
+    (labTest.pricing.discounts || [])
+        .filter(discount => discount.value != null && (!discount.validUntil || discount.validUntil >= now))
+        .map(discount => {
+            const amount = discount.type === 'percentage'
+                ? Math.round(price * discount.value) / 100
+                : Math.min(discount.value, price);
+
+            return {
+                type: discount.type,
+                value: discount.value,
+                applicableFor: discount.applicableFor,
+                validUntil: discount.validUntil,
+                amount,
+                finalPrice: Math.round((price - amount) * 100) / 100
+            };
+        });
+
+/**
+ * @route   GET /api/v1/lab-tests
+ * @desc    Browse the lab test catalog
+ * @access  Private
+ */
+router.get('/',
+    asyncHandler(async (req, res) => {
+        const {
+            page = 1,
+            limit = 20,
+            category,
+            subcategory,
+            sampleType,
+            department,
+            branchId,
+            isActive
+        } = req.query;
+
+        const query = { deletedAt: null };
+
+        if (canManageCatalog(req.user) && isActive !== undefined) {
+            if (isActive !== 'all') query.isActive = isActive === 'true';
+        } else {
+            query.isActive = true;
+        }
+
+        if (category) query.category = category;
+        if (subcategory) query.subcategory = subcategory;
+        if (sampleType) query.sampleType = sampleType;
+        if (department) query.department = department;
+
+        // Tests offered at a branch (not explicitly switched off there)
+        if (branchId) {
+            query.branches = { $not: { $elemMatch: { branchId, isAvailable: false } } };
+        }
+
+        const skip = (page - 1) * limit;
+
+        const [tests, total] = await Promise.all([
+            LabTest.find(query)
+                .select(LIST_FIELDS)
+                .sort({ category: 1, testName: 1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            LabTest.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                tests,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/lab-tests/search
+ * @desc    Search active tests by name, code or description
+ * @access  Private
+ */
+router.get('/search',
+    asyncHandler(async (req, res) => {
+        const { q, category, sampleType, department, limit = 20 } = req.query;
+
+        if (!q || q.trim().length < 2) {
+            return res.status(400).json({
+                success: false,
+                message: 'Search query must be at least 2 characters'
+            });
+        }
+
+        const filters = {};
+        if (category) filters.category = category;
+        if (sampleType) filters.sampleType = sampleType;
+        if (department) filters.department = department;
+
+        const tests = await LabTest.searchTests(escapeRegex(q.trim()), filters)
+            .limit(Math.min(parseInt(limit) || 20, 100));
+
+        res.status(200).json({
+            success: true,
+            data: { tests }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/lab-tests/categories
+ * @desc    Test categories with their subcategories and number of active tests
+ * @access  Private
+ */
+router.get('/categories',
+    asyncHandler(async (req, res) => {
+        const counts = await LabTest.aggregate([
+            { $match: { isActive: true, deletedAt: null } },
+            {
+                $group: {
+                    _id: '$category',
+                    count: { $sum: 1 },
+                    subcategories: { $addToSet: '$subcategory' }
+                }
+            }
+        ]);
+
+        const categories = LabTest.schema.path('category').enumValues.map(category => {
+            const entry = counts.find(c => c._id === category);
+            return {
+                category,
+                count: entry ? entry.count : 0,
+                subcategories: entry ? entry.subcategories.filter(Boolean).sort() : []
+            };
+        });
+
+        res.status(200).json({
+            success: true,
+            data: { categories }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/lab-tests/categories/:category
+ * @desc    Active tests in a category, optionally narrowed to a subcategory
+ * @access  Private
+ */
+router.get('/categories/:category',
+    asyncHandler(async (req, res) => {
+        const { category } = req.params;
+
+        if (!LabTest.schema.path('category').enumValues.includes(category)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Test category not found'
+            });
+        }
+
+        const tests = await LabTest.findByCategory(category, req.query.subcategory || null)
+            .select(LIST_FIELDS);
+
+        res.status(200).json({
+            success: true,
+            data: { category, tests }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/lab-tests/:id
+ * @desc    Get a lab test
+ * @access  Private
+ */
+router.get('/:id',
+    asyncHandler(async (req, res) => {
+        const query = { _id: req.params.id, deletedAt: null };
+        if (!canManageCatalog(req.user)) query.isActive = true;
+
+        const labTest = await LabTest.findOne(query)
+            .populate('branches.branchId', 'name code');
+
+        if (!labTest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lab test not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { test: labTest }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/lab-tests/:id/quote
+ * @desc    Price of a test at a branch, with urgent and home collection charges
+ *          and the discounts currently on offer
+ * @access  Private
+ */
+router.get('/:id/quote',
+    asyncHandler(async (req, res) => {
+        const branchId = req.query.branchId || req.user.branchId;
+        const isUrgent = req.query.isUrgent === 'true';
+        const isHomeCollection = req.query.isHomeCollection === 'true';
+
+        if (!branchId || !mongoose.Types.ObjectId.isValid(branchId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid branchId is required'
+            });
+        }
+
+        const labTest = await LabTest.findOne({ _id: req.params.id, isActive: true, deletedAt: null });
+
+        if (!labTest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lab test not found'
+            });
+        }
+
+        const branchConfig = labTest.branches.find(b => b.branchId && b.branchId.toString() === branchId.toString());
+
+        if (branchConfig && !branchConfig.isAvailable) {
+            return res.status(400).json({
+                success: false,
+                message: 'This test is not available at the selected branch'
+            });
+        }
+
+        if (isUrgent && !labTest.isUrgentAvailable) {
+            return res.status(400).json({
+                success: false,
+                message: 'Urgent processing is not available for this test'
+            });
+        }
+
+        if (isHomeCollection && !labTest.isHomeCollectionAvailable) {
+            return res.status(400).json({
+                success: false,
+                message: 'Home collection is not available for this test'
+            });
+        }
+
+        const price = labTest.getPrice(branchId, isUrgent, isHomeCollection);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                quote: {
+                    testId: labTest.testId,
+                    testName: labTest.testName,
+                    branchId,
+                    currency: labTest.pricing.currency,
+                    basePrice: branchConfig && branchConfig.price ? branchConfig.price : labTest.pricing.basePrice,
+                    urgentCharge: isUrgent ? labTest.pricing.urgentPrice || 0 : 0,
+                    homeCollectionCharge: isHomeCollection ? labTest.pricing.homeCollectionPrice || 0 : 0,
+                    price,
+                    discounts: getValidDiscounts(labTest, price)
+                }
+            }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/lab-tests
+ * @desc    Add a test to the catalog
+ * @access  Private (lab_write)
+ */
+router.post('/',
+    checkPermission('lab_write'),
+    validateLabTest,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const data = { createdBy: req.user._id };
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+
+        const labTest = await LabTest.create(data);
+
+        res.status(201).json({
+            success: true,
+            message: 'Lab test created successfully',
+            data: { test: labTest }
+        });
+    })
+);
+
+/**
+ * @route   PUT /api/v1/lab-tests/:id
+ * @desc    Update a lab test
+ * @access  Private (lab_write)
+ */
+router.put('/:id',
+    checkPermission('lab_write'),
+    validateLabTestUpdate,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const labTest = await LabTest.findOne({ _id: req.params.id, deletedAt: null });
+
+        if (!labTest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lab test not found'
+            });
+        }
+
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) labTest[field] = req.body[field];
+        });
+        labTest.updatedBy = req.user._id;
+        await labTest.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Lab test updated successfully',
+            data: { test: labTest }
+        });
+    })
+);
+
+/**
+ * @route   PUT /api/v1/lab-tests/:id/branches/:branchId
+ * @desc    Set a test's availability, price or processing time at one branch
+ * @access  Private (lab_write)
+ */
+router.put('/:id/branches/:branchId',
+    checkPermission('lab_write'),
+    asyncHandler(async (req, res) => {
+        const { isAvailable, price, processingTime } = req.body;
+
+        const [labTest, branch] = await Promise.all([
+            LabTest.findOne({ _id: req.params.id, deletedAt: null }),
+            Branch.findById(req.params.branchId)
+        ]);
+
+        if (!labTest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lab test not found'
+            });
+        }
+
+        if (!branch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Branch not found'
+            });
+        }
+
+        if (price != null && (typeof price !== 'number' || price < 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Price must be a positive number'
+            });
+        }
+
+        let branchConfig = labTest.branches.find(b => b.branchId && b.branchId.toString() === req.params.branchId);
+        if (!branchConfig) {
+            labTest.branches.push({ branchId: branch._id });
+            branchConfig = labTest.branches[labTest.branches.length - 1];
+        }
+
+        if (isAvailable !== undefined) branchConfig.isAvailable = Boolean(isAvailable);
+        if (price !== undefined) branchConfig.price = price;
+        if (processingTime !== undefined) branchConfig.processingTime = processingTime;
+
+        labTest.updatedBy = req.user._id;
+        await labTest.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Branch settings updated successfully',
+            data: { test: labTest }
+        });
+    })
+);
+
+/**
+ * @route   DELETE /api/v1/lab-tests/:id
+ * @desc    Remove a test from the catalog
+ * @access  Private (lab_write)
+ */
+router.delete('/:id',
+    checkPermission('lab_write'),
+    asyncHandler(async (req, res) => {
+        const labTest = await LabTest.findOne({ _id: req.params.id, deletedAt: null });
+
+        if (!labTest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lab test not found'
+            });
+        }
+
+        labTest.deletedAt = new Date();
+        labTest.isActive = false;
+        labTest.updatedBy = req.user._id;
+        await labTest.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Lab test deleted successfully'
+        });
+    })
+);
+
+module.exports = router;
@@ -1,15 +1,13 @@
 /**
  * Notification Routes
  * All notification-related API endpoints
+ * Mounted behind authMiddleware in server.js
  */
 
 const express = require('express');
 const router = express.Router();
 const notificationController = require('../controllers/notificationController');
-const { authenticate, authorize } = require('../middleware/auth');
-
-// Middleware: All routes require authentication
-router.use(authenticate);
+const { authorize } = require('../middleware/auth');
 
 /**
  * Public routes (authenticated users)
@@ -18,33 +16,27 @@ router.use(authenticate);
 // Register device token
 router.post('/register-token', notificationController.registerDeviceToken);
 
+// Unregister device token
+router.post('/unregister-token', notificationController.unregisterDeviceToken);
+
+// Get notification preferences
+router.get('/preferences', notificationController.getPreferences);
+
+// Update notification preferences
+router.put('/preferences', notificationController.updatePreferences);
+
 // Get all notifications
 router.get('/', notificationController.getNotifications);
 
 // Get unread notifications count
 router.get('/unread/count', notificationController.getUnreadCount);
 
-// Mark notification as read
-router.put('/:id/read', notificationController.markAsRead);
-
 // Mark all as read
 router.put('/mark-all-read', notificationController.markAllAsRead);
 
-// Record notification click
-router.post('/:id/click', notificationController.recordNotificationClick);
-
-// Delete notification
-router.delete('/:id', notificationController.deleteNotification);
-
 // Delete all notifications
 router.delete('/', notificationController.deleteAllNotifications);
 
-// Get notification preferences
-router.get('/preferences', notificationController.getPreferences);
-
-// Update notification preferences
-router.put('/preferences', notificationController.updatePreferences);
-
 /**
  * Admin routes
  */
@@ -55,4 +47,26 @@ router.post('/send', authorize('admin'), notificationController.sendNotification
 // Broadcast notification to topic
 router.post('/broadcast', authorize('admin'), notificationController.broadcastNotification);
 
+// Push delivery stats across all devices
+router.get('/devices/stats', authorize('admin'), notificationController.getDeviceStats);
+
+// Devices registered by a user
+router.get('/devices/users/:userId', authorize('admin'), notificationController.getUserDevices);
+
+/**
+ * Single notification routes
+ */
+
+// Mark notification as read
+router.put('/:id/read', notificationController.markAsRead);
+
+// Mark notification as unread
+router.put('/:id/unread', notificationController.markAsUnread);
+
+// Record notification click
+router.post('/:id/click', notificationController.recordNotificationClick);
+
+// Delete notification
+router.delete('/:id', notificationController.deleteNotification);
+
 module.exports = router;
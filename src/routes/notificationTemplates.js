@@ -0,0 +1,220 @@
+const express = require('express');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+const { validateNotificationTemplate, handleValidationErrors } = require('../middleware/validation');
+const templateService = require('../services/templateService');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+    'name', 'description', 'type', 'priority', 'placeholders',
+    'defaultLanguage', 'variants', 'isActive'
+];
+
+const PREVIEW_RECORD_TYPES = ['appointment', 'waitlist', 'billing', 'report'];
+
+/**
+ * @route   GET /api/v1/notification-templates
+ * @desc    List stored templates and the built-in templates they can override
+ * @access  Private (Admin)
+ */
+router.get('/',
+    authorize('admin'),
+    asyncHandler(async (req, res) => {
+        const { type, isActive } = req.query;
+
+        const query = { deletedAt: null };
+        if (type) query.type = type;
+        if (isActive !== undefined) query.isActive = isActive === 'true';
+
+        const templates = await NotificationTemplate.find(query).sort({ key: 1 });
+
+        // Built-ins stay listed (as overridden) so admins can see every key in use
+        const storedKeys = new Set(templates.map(template => template.key));
+        const builtIn = templateService.getBuiltInTemplates()
+            .filter(template => !type || template.type === type)
+            .map(template => ({ ...template, overridden: storedKeys.has(template.key) }));
+
+        res.status(200).json({
+            success: true,
+            data: { templates, builtIn }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/notification-templates/:key
+ * @desc    Get the template used for a key (stored or built-in)
+ * @access  Private (Admin)
+ */
+router.get('/:key',
+    authorize('admin'),
+    asyncHandler(async (req, res) => {
+        const template = await NotificationTemplate.findOne({ key: req.params.key, deletedAt: null }) ||
+            templateService.getBuiltInTemplates().find(t => t.key === req.params.key);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification template not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { template }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/notification-templates
+ * @desc    Create a template; a built-in key is overridden by the new template
+ * @access  Private (Admin)
+ */
+router.post('/',
+    authorize('admin'),
+    validateNotificationTemplate,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const existing = await NotificationTemplate.findOne({ key: req.body.key, deletedAt: null });
+
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'A template with this key already exists'
+            });
+        }
+
+        const data = { key: req.body.key, createdBy: req.user._id };
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+
+        const template = await NotificationTemplate.create(data);
+
+        res.status(201).json({
+            success: true,
+            message: 'Notification template created successfully',
+            data: { template }
+        });
+    })
+);
+
+/**
+ * @route   PUT /api/v1/notification-templates/:key
+ * @desc    Update a stored template
+ * @access  Private (Admin)
+ */
+router.put('/:key',
+    authorize('admin'),
+    validateNotificationTemplate,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const template = await NotificationTemplate.findOne({ key: req.params.key, deletedAt: null });
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification template not found'
+            });
+        }
+
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) template[field] = req.body[field];
+        });
+        template.updatedBy = req.user._id;
+        await template.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Notification template updated successfully',
+            data: { template }
+        });
+    })
+);
+
+/**
+ * @route   DELETE /api/v1/notification-templates/:key
+ * @desc    Delete a stored template; a built-in template with the key applies again
+ * @access  Private (Admin)
+ */
+router.delete('/:key',
+    authorize('admin'),
+    asyncHandler(async (req, res) => {
+        const template = await NotificationTemplate.findOne({ key: req.params.key, deletedAt: null });
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification template not found'
+            });
+        }
+
+        template.deletedAt = new Date();
+        template.updatedBy = req.user._id;
+        await template.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Notification template deleted successfully'
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/notification-templates/:key/preview
+ * @desc    Render a template for every channel, using values from an existing
+ *          record (referenceType + referenceId) or the placeholder samples
+ * @access  Private (Admin)
+ */
+router.post('/:key/preview',
+    authorize('admin'),
+    asyncHandler(async (req, res) => {
+        const { language, variables = {}, referenceType, referenceId } = req.body;
+
+        // Previews also work on inactive templates so they can be checked before switching on
+        const template = await NotificationTemplate.findOne({ key: req.params.key, deletedAt: null }) ||
+            templateService.getBuiltInTemplates().find(t => t.key === req.params.key);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification template not found'
+            });
+        }
+
+        let values = templateService.getSampleVariables(template);
+
+        if (referenceType) {
+            if (!PREVIEW_RECORD_TYPES.includes(referenceType) || !referenceId) {
+                return res.status(400).json({
+                    success: false,
+                    message: `referenceType must be one of ${PREVIEW_RECORD_TYPES.join(', ')} and referenceId is required`
+                });
+            }
+
+            const recordValues = await templateService.getRecordVariables(referenceType, referenceId);
+            if (!recordValues) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Sample record not found'
+                });
+            }
+            values = recordValues;
+        }
+
+        const rendered = templateService.render(template, { ...values, ...variables }, language || template.defaultLanguage);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                preview: rendered,
+                variables: { ...values, ...variables }
+            }
+        });
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,184 @@
+const express = require('express');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { checkPermission } = require('../middleware/auth');
+const queueService = require('../services/queueService');
+
+const router = express.Router();
+
+/**
+ * Staff of the appointment's branch (or admins) manage the queue
+ */
+const canManageQueue = (user, appointment) =>
+    user.role === 'admin' ||
+    (user.role === 'doctor' && appointment.doctor.toString() === user._id.toString()) ||
+    (user.role !== 'patient' && user.branchId && user.branchId.toString() === appointment.branchId.toString());
+
+/**
+ * Same rule for a doctor's whole queue: the doctor, staff of the doctor's branch or admins
+ */
+const canManageDoctorQueue = async (user, doctor) => {
+    if (user.role === 'admin') return true;
+    if (user.role === 'doctor') return doctor.userId.toString() === user._id.toString();
+    if (user.role === 'patient' || !user.branchId) return false;
+
+    const doctorUser = await User.findById(doctor.userId).select('branchId');
+    return !!doctorUser?.branchId && doctorUser.branchId.toString() === user.branchId.toString();
+};
+
+/**
+ * @route   POST /api/v1/queue/check-in/:appointmentId
+ * @desc    Check a patient in and issue a queue token
+ * @access  Private
+ */
+router.post('/check-in/:appointmentId',
+    checkPermission('appointment_write'),
+    asyncHandler(async (req, res) => {
+        const appointment = await Appointment.findOne({
+            _id: req.params.appointmentId,
+            deletedAt: null
+        });
+
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        if (!canManageQueue(req.user, appointment)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const result = await queueService.checkIn(appointment, req.user._id);
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Checked in with token ${result.appointment.tokenNumber}`,
+            data: {
+                appointment: result.appointment,
+                tokenNumber: result.appointment.tokenNumber,
+                queuePosition: result.appointment.queuePosition,
+                estimatedWaitTime: result.appointment.estimatedWaitTime
+            }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/queue/:appointmentId/prioritize
+ * @desc    Move an urgent/emergency patient to the front of the queue
+ * @access  Private
+ */
+router.post('/:appointmentId/prioritize',
+    checkPermission('appointment_write'),
+    asyncHandler(async (req, res) => {
+        const appointment = await Appointment.findOne({
+            _id: req.params.appointmentId,
+            deletedAt: null
+        });
+
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        if (!canManageQueue(req.user, appointment)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const result = await queueService.prioritize(appointment, req.user._id, req.body.reason);
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Patient moved to the front of the queue',
+            data: { appointment: result.appointment }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/queue/doctor/:doctorId/next
+ * @desc    Complete the current consultation and call the next token
+ * @access  Private
+ */
+router.post('/doctor/:doctorId/next',
+    checkPermission('appointment_write'),
+    asyncHandler(async (req, res) => {
+        const doctor = await Doctor.findByIdOrUserId(req.params.doctorId);
+
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor not found'
+            });
+        }
+
+        if (!(await canManageDoctorQueue(req.user, doctor))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const { completed, next } = await queueService.callNext(doctor.userId, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: next ? `Now serving token ${next.tokenNumber}` : 'No patients waiting',
+            data: { completed, next }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/queue/doctor/:doctorId
+ * @desc    Live queue for a doctor (waiting-room display)
+ * @access  Private
+ */
+router.get('/doctor/:doctorId',
+    checkPermission('appointment_read'),
+    asyncHandler(async (req, res) => {
+        const doctor = await Doctor.findByIdOrUserId(req.params.doctorId);
+
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor not found'
+            });
+        }
+
+        const queue = await queueService.getLiveQueue(doctor.userId, req.query.date || new Date());
+
+        res.status(200).json({
+            success: true,
+            data: { queue }
+        });
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,288 @@
+const express = require('express');
+const Appointment = require('../models/Appointment');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { checkPermission } = require('../middleware/auth');
+const telemedicineService = require('../services/telemedicineService');
+
+const router = express.Router();
+
+/**
+ * The appointment's doctor and patient, plus admins, may take part in a session
+ */
+const isParticipant = (user, appointment) =>
+    user.role === 'admin' || !!telemedicineService.getParticipantRole(appointment, user._id);
+
+/**
+ * Participants, staff of the appointment's branch and admins may view a session
+ */
+const canViewSession = (user, appointment) =>
+    isParticipant(user, appointment) ||
+    (user.role !== 'patient' && user.hasPermission('appointment_read') &&
+        !!user.branchId && user.branchId.toString() === appointment.branchId.toString());
+
+const findAppointment = (id) => Appointment.findOne({
+    _id: id,
+    deletedAt: null
+});
+
+/**
+ * @route   POST /api/v1/telemedicine/appointments/:appointmentId/join
+ * @desc    Get a join token for a video, phone or chat consultation
+ * @access  Private (Doctor or patient of the appointment)
+ */
+router.post('/appointments/:appointmentId/join',
+    asyncHandler(async (req, res) => {
+        const appointment = await findAppointment(req.params.appointmentId);
+
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        if (!isParticipant(req.user, appointment)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const result = await telemedicineService.issueJoinToken(appointment, req.user);
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                sessionId: result.session._id,
+                provider: result.session.provider,
+                role: result.role,
+                token: result.token,
+                joinUrl: result.joinUrl,
+                expiresAt: result.expiresAt
+            }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/telemedicine/appointments/:appointmentId/presence
+ * @desc    Report that the current participant joined or left the consultation
+ * @access  Private (Doctor or patient of the appointment)
+ */
+router.post('/appointments/:appointmentId/presence',
+    asyncHandler(async (req, res) => {
+        const { action } = req.body;
+
+        if (!['joined', 'left'].includes(action)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Action must be "joined" or "left"'
+            });
+        }
+
+        const appointment = await findAppointment(req.params.appointmentId);
+
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        if (!isParticipant(req.user, appointment)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const result = await telemedicineService.recordPresence(appointment, req.user, action);
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { session: result.session }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/telemedicine/appointments/:appointmentId/end
+ * @desc    End the consultation and complete the appointment
+ * @access  Private (Doctor of the appointment or branch staff)
+ */
+router.post('/appointments/:appointmentId/end',
+    checkPermission('appointment_write'),
+    asyncHandler(async (req, res) => {
+        const appointment = await findAppointment(req.params.appointmentId);
+
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        if (req.user.role === 'patient' || !canViewSession(req.user, appointment)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const result = await telemedicineService.endSession(appointment, req.user);
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Consultation ended',
+            data: {
+                session: result.session,
+                appointment: result.appointment
+            }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/telemedicine/appointments/:appointmentId/session
+ * @desc    Get the virtual session with its join/leave log
+ * @access  Private (Participants, or branch staff with appointment_read)
+ */
+router.get('/appointments/:appointmentId/session',
+    asyncHandler(async (req, res) => {
+        const appointment = await findAppointment(req.params.appointmentId);
+
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        if (!canViewSession(req.user, appointment)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const session = await telemedicineService.getSessionDetails(appointment._id);
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'No virtual session exists for this appointment'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                session,
+                joinWindow: telemedicineService.getJoinWindow(appointment)
+            }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/telemedicine/appointments/:appointmentId/messages
+ * @desc    Get the chat transcript of a consultation
+ * @access  Private (Participants, or branch staff with appointment_read)
+ */
+router.get('/appointments/:appointmentId/messages',
+    asyncHandler(async (req, res) => {
+        const appointment = await findAppointment(req.params.appointmentId);
+
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        if (!canViewSession(req.user, appointment)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const session = await telemedicineService.getSessionDetails(appointment._id);
+
+        res.status(200).json({
+            success: true,
+            data: { messages: session ? session.transcript : [] }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/telemedicine/appointments/:appointmentId/messages
+ * @desc    Send a message in a chat consultation
+ * @access  Private (Doctor or patient of the appointment)
+ */
+router.post('/appointments/:appointmentId/messages',
+    asyncHandler(async (req, res) => {
+        const message = (req.body.message || '').trim();
+
+        if (!message || message.length > 4000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Message must be between 1 and 4000 characters'
+            });
+        }
+
+        const appointment = await findAppointment(req.params.appointmentId);
+
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        if (!isParticipant(req.user, appointment)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const result = await telemedicineService.addMessage(appointment, req.user, message);
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            data: { message: result.message }
+        });
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,322 @@
+const express = require('express');
+const Waitlist = require('../models/Waitlist');
+const Doctor = require('../models/Doctor');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validateWaitlistEntry, handleValidationErrors } = require('../middleware/validation');
+const { checkPermission } = require('../middleware/auth');
+const waitlistService = require('../services/waitlistService');
+const appointmentService = require('../services/appointmentService');
+
+const router = express.Router();
+
+/**
+ * Patients act on their own entries (checked in each handler); staff need the permission
+ */
+const patientOrPermission = (permission) => (req, res, next) => {
+    if (req.user.role === 'patient') return next();
+    return checkPermission(permission)(req, res, next);
+};
+
+/**
+ * Whether a user may respond to or leave a waitlist entry
+ */
+const canManageEntry = (user, entry) =>
+    user.role === 'admin' ||
+    entry.patient.toString() === user._id.toString() ||
+    (user.role !== 'patient' && user.role !== 'doctor' &&
+        !!user.branchId && user.branchId.toString() === entry.branchId.toString());
+
+/**
+ * Load a waitlist entry the current user may manage
+ */
+const findManageableEntry = async (req, res) => {
+    const entry = await Waitlist.findOne({
+        _id: req.params.id,
+        deletedAt: null
+    });
+
+    if (!entry) {
+        res.status(404).json({
+            success: false,
+            message: 'Waitlist entry not found'
+        });
+        return null;
+    }
+
+    if (!canManageEntry(req.user, entry)) {
+        res.status(403).json({
+            success: false,
+            message: 'Access denied'
+        });
+        return null;
+    }
+
+    return entry;
+};
+
+/**
+ * @route   GET /api/v1/waitlist
+ * @desc    Get waitlist entries with filters
+ * @access  Private
+ */
+router.get('/',
+    patientOrPermission('appointment_read'),
+    asyncHandler(async (req, res) => {
+        const {
+            page = 1,
+            limit = 20,
+            status,
+            doctor,
+            patient
+        } = req.query;
+
+        const query = { deletedAt: null };
+
+        // Apply filters based on user role
+        if (req.user.role === 'doctor') {
+            query.doctor = req.user._id;
+        } else if (req.user.role === 'patient') {
+            query.patient = req.user._id;
+        } else if (req.user.role !== 'admin' && req.user.branchId) {
+            query.branchId = req.user.branchId;
+        }
+
+        if (status) query.status = status;
+        if (doctor && req.user.role !== 'doctor') query.doctor = doctor;
+        if (patient && req.user.role !== 'patient') query.patient = patient;
+
+        const skip = (page - 1) * limit;
+
+        const entries = await Waitlist.find(query)
+            .populate('patient', 'firstName lastName phone email')
+            .populate('doctor', 'firstName lastName')
+            .populate('appointment', 'appointmentId scheduledDate scheduledTime status')
+            .sort({ createdAt: 1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Waitlist.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                entries,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/waitlist
+ * @desc    Join a doctor's waitlist for a date range
+ * @access  Private (Patient for themselves, or appointment_write)
+ */
+router.post('/',
+    patientOrPermission('appointment_write'),
+    validateWaitlistEntry,
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const patientId = req.user.role === 'patient' ? req.user._id : req.body.patient;
+
+        if (!patientId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Patient is required'
+            });
+        }
+
+        const doctor = await Doctor.findByIdOrUserId(req.body.doctor);
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor not found'
+            });
+        }
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        if (new Date(req.body.dateTo) < today) {
+            return res.status(400).json({
+                success: false,
+                message: 'Date range must not be in the past'
+            });
+        }
+
+        const existing = await Waitlist.findOne({
+            patient: patientId,
+            doctor: doctor.userId,
+            status: { $in: ['waiting', 'offered'] },
+            deletedAt: null
+        });
+
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'Patient is already on this doctor\'s waitlist'
+            });
+        }
+
+        const doctorUser = await User.findById(doctor.userId).select('branchId');
+
+        const entry = await Waitlist.create({
+            patient: patientId,
+            doctor: doctor.userId,
+            branchId: req.body.branchId || doctorUser?.branchId,
+            dateFrom: req.body.dateFrom,
+            dateTo: req.body.dateTo,
+            preferredWindows: req.body.preferredWindows || [],
+            type: req.body.type,
+            consultationType: req.body.consultationType,
+            chiefComplaint: req.body.chiefComplaint,
+            createdBy: req.user._id
+        });
+
+        const position = await Waitlist.countDocuments({
+            doctor: doctor.userId,
+            status: 'waiting',
+            deletedAt: null,
+            createdAt: { $lte: entry.createdAt }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Added to waitlist successfully',
+            data: { entry, position }
+        });
+    })
+);
+
+/**
+ * @route   GET /api/v1/waitlist/:id
+ * @desc    Get a single waitlist entry
+ * @access  Private
+ */
+router.get('/:id',
+    patientOrPermission('appointment_read'),
+    asyncHandler(async (req, res) => {
+        const entry = await Waitlist.findOne({
+            _id: req.params.id,
+            deletedAt: null
+        })
+            .populate('doctor', 'firstName lastName')
+            .populate('appointment', 'appointmentId scheduledDate scheduledTime status');
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Waitlist entry not found'
+            });
+        }
+
+        const hasAccess = canManageEntry(req.user, entry) ||
+            entry.doctor._id.toString() === req.user._id.toString();
+
+        if (!hasAccess) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { entry }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/waitlist/:id/accept
+ * @desc    Accept the held slot and book the appointment
+ * @access  Private (Patient of the entry, or branch staff with appointment_write)
+ */
+router.post('/:id/accept',
+    patientOrPermission('appointment_write'),
+    asyncHandler(async (req, res) => {
+        const entry = await findManageableEntry(req, res);
+        if (!entry) return;
+
+        const result = await appointmentService.bookFromWaitlist(entry, req.user._id);
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Appointment booked from waitlist',
+            data: {
+                entry: result.entry,
+                appointment: result.appointment
+            }
+        });
+    })
+);
+
+/**
+ * @route   POST /api/v1/waitlist/:id/decline
+ * @desc    Decline the held slot; it is offered to the next patient
+ * @access  Private (Patient of the entry, or branch staff with appointment_write)
+ */
+router.post('/:id/decline',
+    patientOrPermission('appointment_write'),
+    asyncHandler(async (req, res) => {
+        const entry = await findManageableEntry(req, res);
+        if (!entry) return;
+
+        const result = await waitlistService.decline(entry);
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Offer declined; you remain on the waitlist',
+            data: { entry: result.entry }
+        });
+    })
+);
+
+/**
+ * @route   DELETE /api/v1/waitlist/:id
+ * @desc    Leave the waitlist
+ * @access  Private (Patient of the entry, or branch staff with appointment_write)
+ */
+router.delete('/:id',
+    patientOrPermission('appointment_write'),
+    asyncHandler(async (req, res) => {
+        const entry = await findManageableEntry(req, res);
+        if (!entry) return;
+
+        const result = await waitlistService.leave(entry);
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Removed from waitlist',
+            data: { entry: result.entry }
+        });
+    })
+);
+
+module.exports = router;
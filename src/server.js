@@ -28,7 +28,18 @@ const userRoutes = require('./routes/users');
 const patientRoutes = require('./routes/patients');
 const doctorRoutes = require('./routes/doctors');
 const appointmentRoutes = require('./routes/appointments');
+const appointmentSeriesRoutes = require('./routes/appointmentSeries');
+const queueRoutes = require('./routes/queue');
+const waitlistRoutes = require('./routes/waitlist');
+const telemedicineRoutes = require('./routes/telemedicine');
+const eventRoutes = require('./routes/events');
+const notificationRoutes = require('./routes/notificationRoutes');
+const notificationTemplateRoutes = require('./routes/notificationTemplates');
+const audienceRoutes = require('./routes/audiences');
+const campaignRoutes = require('./routes/campaigns');
+const calendarRoutes = require('./routes/calendar');
 const labTestRoutes = require('./routes/labTests');
+const labPackageRoutes = require('./routes/labPackages');
 const labReportRoutes = require('./routes/labReports');
 const invoiceRoutes = require('./routes/invoices');
 const inventoryRoutes = require('./routes/inventory');
@@ -38,12 +49,18 @@ const aiRoutes = require('./routes/ai');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
-const { authMiddleware } = require('./middleware/auth');
+const { authMiddleware, streamAuthMiddleware } = require('./middleware/auth');
+const jobScheduler = require('./services/jobScheduler');
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI)
     .then(() => {
         console.log('✅ Connected to MongoDB');
+
+        // Background jobs (reminders, notification retries, waitlist holds)
+        if (process.env.DISABLE_JOBS !== 'true') {
+            jobScheduler.start();
+        }
     })
     .catch((error) => {
         console.error('❌ MongoDB connection error:', error);
@@ -99,7 +116,9 @@ app.use(compression());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Logging middleware
+// Logging middleware; query tokens are redacted from logged URLs
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]access_token=)[^&]*/g, '$1[redacted]'));
+
 if (process.env.NODE_ENV !== 'production') {
     app.use(morgan('combined'));
 } else {
@@ -122,6 +141,7 @@ const API_VERSION = '/api/v1';
 
 // Public routes (no authentication required)
 app.use(`${API_VERSION}/auth`, authRoutes);
+app.use(`${API_VERSION}/calendar`, calendarRoutes);
 app.use(`${API_VERSION}/health`, (req, res) => {
     res.json({ message: 'API Health Check OK' });
 });
@@ -131,7 +151,17 @@ app.use(`${API_VERSION}/users`, authMiddleware, userRoutes);
 app.use(`${API_VERSION}/patients`, authMiddleware, patientRoutes);
 app.use(`${API_VERSION}/doctors`, authMiddleware, doctorRoutes);
 app.use(`${API_VERSION}/appointments`, authMiddleware, appointmentRoutes);
+app.use(`${API_VERSION}/appointment-series`, authMiddleware, appointmentSeriesRoutes);
+app.use(`${API_VERSION}/queue`, authMiddleware, queueRoutes);
+app.use(`${API_VERSION}/waitlist`, authMiddleware, waitlistRoutes);
+app.use(`${API_VERSION}/telemedicine`, authMiddleware, telemedicineRoutes);
+app.use(`${API_VERSION}/events`, streamAuthMiddleware, eventRoutes);
+app.use(`${API_VERSION}/notifications`, authMiddleware, notificationRoutes);
+app.use(`${API_VERSION}/notification-templates`, authMiddleware, notificationTemplateRoutes);
+app.use(`${API_VERSION}/audiences`, authMiddleware, audienceRoutes);
+app.use(`${API_VERSION}/campaigns`, authMiddleware, campaignRoutes);
 app.use(`${API_VERSION}/lab-tests`, authMiddleware, labTestRoutes);
+app.use(`${API_VERSION}/lab-packages`, authMiddleware, labPackageRoutes);
 app.use(`${API_VERSION}/lab-reports`, authMiddleware, labReportRoutes);
 app.use(`${API_VERSION}/invoices`, authMiddleware, invoiceRoutes);
 app.use(`${API_VERSION}/inventory`, authMiddleware, inventoryRoutes);
@@ -0,0 +1,392 @@
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Branch = require('../models/Branch');
+const Invoice = require('../models/Invoice');
+const availabilityService = require('./availabilityService');
+const NotificationService = require('./notificationService');
+const queueService = require('./queueService');
+const waitlistService = require('./waitlistService');
+const reminderService = require('./reminderService');
+
+const DEFAULT_MAX_RESCHEDULES = 3;
+
+// Used when a branch has no cancellation policy configured
+const DEFAULT_CANCELLATION_POLICY = {
+    patientTiers: [
+        { minHoursBefore: 24, refundPercentage: 100 },
+        { minHoursBefore: 4, refundPercentage: 50 },
+        { minHoursBefore: 0, refundPercentage: 0 }
+    ],
+    staffTiers: [{ minHoursBefore: 0, refundPercentage: 100 }],
+    noShowRefundPercentage: 0,
+    patientCutoffHours: 0
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Appointment Lifecycle Service
+ * Shared booking operations used by the appointment and doctor routes
+ */
+class AppointmentService {
+
+    /**
+     * Book a slot for a doctor, guarding against double bookings
+     * @param {Object} doctor - Doctor document
+     * @param {Object} appointmentData - Appointment fields (duration defaults to the doctor's)
+     * @param {Object} options - { excludeWaitlistId } to book a slot held for that entry
+     * @returns {Promise<{appointment?: Object, error?: string, statusCode?: number}>}
+     */
+    async book(doctor, appointmentData, options = {}) {
+        const data = {
+            ...appointmentData,
+            duration: appointmentData.duration || doctor.appointmentDuration
+        };
+
+        const booking = await availabilityService.withBookingLock(doctor.userId, data.scheduledDate, async () => {
+            // Check working hours, leaves, holds and overlapping bookings
+            const slot = await availabilityService.checkSlot(
+                doctor,
+                data.scheduledDate,
+                data.scheduledTime,
+                data.duration,
+                { excludeWaitlistId: options.excludeWaitlistId }
+            );
+
+            if (!slot.available) {
+                return { error: slot.reason, statusCode: 400 };
+            }
+
+            const created = await Appointment.create(data);
+
+            if (await availabilityService.lostBookingRace(created)) {
+                await Appointment.deleteOne({ _id: created._id });
+                return { error: 'Time slot is already booked', statusCode: 400 };
+            }
+
+            return { appointment: created };
+        });
+
+        if (booking.appointment) {
+            await reminderService.scheduleAppointmentReminders(booking.appointment);
+        }
+
+        return booking;
+    }
+
+    /**
+     * Accept the slot held for a waitlist entry and book it
+     * @param {Object} entry - Waitlist document
+     * @param {string} bookedBy - User ID accepting the offer
+     */
+    async bookFromWaitlist(entry, bookedBy) {
+        if (entry.status !== 'offered') {
+            return { error: 'There is no open offer for this waitlist entry', statusCode: 400 };
+        }
+
+        if (!entry.hasActiveHold()) {
+            await waitlistService.decline(entry);
+            return { error: 'The offer has expired', statusCode: 410 };
+        }
+
+        const doctor = await Doctor.findOne({ userId: entry.doctor, deletedAt: null });
+        if (!doctor) {
+            return { error: 'Doctor not found', statusCode: 404 };
+        }
+
+        const result = await this.book(doctor, {
+            patient: entry.patient,
+            doctor: entry.doctor,
+            branchId: entry.branchId,
+            scheduledDate: entry.offer.scheduledDate,
+            scheduledTime: entry.offer.scheduledTime,
+            duration: entry.offer.duration,
+            type: entry.type,
+            consultationType: entry.consultationType,
+            chiefComplaint: entry.chiefComplaint,
+            fees: {
+                consultationFee: doctor.consultationFee.amount,
+                totalAmount: doctor.consultationFee.amount
+            },
+            createdBy: bookedBy
+        }, { excludeWaitlistId: entry._id });
+
+        if (result.error) {
+            return result;
+        }
+
+        entry.offerHistory.push({
+            scheduledDate: entry.offer.scheduledDate,
+            scheduledTime: entry.offer.scheduledTime,
+            offeredAt: entry.offer.offeredAt,
+            respondedAt: new Date(),
+            outcome: 'accepted'
+        });
+        entry.status = 'booked';
+        entry.appointment = result.appointment._id;
+        await entry.save();
+
+        return { entry, appointment: result.appointment };
+    }
+
+    /**
+     * Move an appointment to a new slot, recording the previous one. The
+     * doctor and duration stay the same unless given.
+     * @param {Object} appointment - Appointment document
+     * @param {Object} params - { scheduledDate, scheduledTime, doctor, duration, reason, rescheduledBy, enforceLimit, notify }
+     * @returns {Promise<{appointment?: Object, error?: string, statusCode?: number}>}
+     */
+    async reschedule(appointment, params) {
+        const {
+            scheduledDate,
+            scheduledTime,
+            doctor: doctorUserId = appointment.doctor,
+            duration = appointment.duration,
+            reason,
+            rescheduledBy,
+            enforceLimit = true,
+            notify = true
+        } = params;
+
+        if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+            return { error: `Cannot reschedule an appointment that is ${appointment.status}`, statusCode: 400 };
+        }
+
+        if (enforceLimit) {
+            const branch = await Branch.findById(appointment.branchId).select('settings');
+            const limit = branch?.settings?.maxReschedulesPerAppointment ?? DEFAULT_MAX_RESCHEDULES;
+
+            if (appointment.rescheduleCount >= limit) {
+                return { error: `Appointment has reached the limit of ${limit} reschedule(s)`, statusCode: 400 };
+            }
+        }
+
+        const doctor = await Doctor.findOne({ userId: doctorUserId, deletedAt: null });
+        if (!doctor) {
+            return { error: 'Doctor not found', statusCode: 404 };
+        }
+
+        const previous = {
+            doctor: appointment.doctor,
+            scheduledDate: appointment.scheduledDate,
+            scheduledTime: appointment.scheduledTime,
+            duration: appointment.duration,
+            rescheduling: appointment.toObject().rescheduling
+        };
+
+        const error = await availabilityService.withBookingLock(doctor.userId, scheduledDate, async () => {
+            const slot = await availabilityService.checkSlot(doctor, scheduledDate, scheduledTime, duration, {
+                excludeAppointmentId: appointment._id
+            });
+
+            if (!slot.available) {
+                return slot.reason;
+            }
+
+            const rescheduledAt = new Date();
+
+            appointment.rescheduling = {
+                rescheduledBy,
+                rescheduledAt,
+                previousDate: previous.scheduledDate,
+                previousTime: previous.scheduledTime,
+                reason
+            };
+            appointment.reschedulingHistory.push({
+                rescheduledBy,
+                rescheduledAt,
+                previousDate: previous.scheduledDate,
+                previousTime: previous.scheduledTime,
+                newDate: new Date(scheduledDate),
+                newTime: scheduledTime,
+                reason
+            });
+            appointment.rescheduleCount += 1;
+            appointment.doctor = doctor.userId;
+            appointment.scheduledDate = new Date(scheduledDate);
+            appointment.scheduledTime = scheduledTime;
+            appointment.duration = duration;
+            appointment.updatedBy = rescheduledBy;
+            await appointment.save();
+
+            if (await availabilityService.lostBookingRace(appointment)) {
+                appointment.reschedulingHistory.pop();
+                appointment.rescheduleCount -= 1;
+                appointment.doctor = previous.doctor;
+                appointment.scheduledDate = previous.scheduledDate;
+                appointment.scheduledTime = previous.scheduledTime;
+                appointment.duration = previous.duration;
+                appointment.rescheduling = previous.rescheduling;
+                await appointment.save();
+                return 'Time slot is already booked';
+            }
+
+            return null;
+        });
+
+        if (error) {
+            return { error, statusCode: 400 };
+        }
+
+        await reminderService.syncAppointmentReminders(appointment);
+        await waitlistService.offerSlot(previous.doctor, previous.scheduledDate, previous.scheduledTime, previous.duration);
+
+        if (notify) {
+            await NotificationService.notifyUsers([appointment.patient._id || appointment.patient], {
+                template: 'appointment_rescheduled',
+                variables: {
+                    appointmentId: appointment.appointmentId,
+                    date: availabilityService.toDateKey(appointment.scheduledDate),
+                    time: scheduledTime
+                },
+                data: { referenceId: appointment._id.toString(), referenceType: 'appointment' }
+            });
+        }
+
+        return { appointment };
+    }
+
+    /**
+     * Work out what a cancellation would refund under the branch policy
+     * @param {Object} appointment - Appointment document
+     * @param {Object} params - { initiatedBy: 'patient'|'staff'|'system', isNoShow }
+     * @returns {Promise<Object>} - { allowed, reason?, hoursBeforeAppointment, refundPercentage, refundAmount }
+     */
+    async getCancellationTerms(appointment, { initiatedBy, isNoShow = false }) {
+        const branch = await Branch.findById(appointment.branchId).select('settings');
+        const policy = branch?.settings?.cancellationPolicy || DEFAULT_CANCELLATION_POLICY;
+
+        const hoursBeforeAppointment = roundCurrency(appointment.hoursUntilAppointment());
+        const paidAmount = appointment.fees?.paidAmount || 0;
+
+        if (isNoShow) {
+            if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+                return { allowed: false, reason: `Cannot mark a ${appointment.status} appointment as no-show` };
+            }
+
+            if (hoursBeforeAppointment > 0) {
+                return { allowed: false, reason: 'Cannot mark an appointment as no-show before it starts' };
+            }
+
+            const refundPercentage = policy.noShowRefundPercentage ?? 0;
+            return {
+                allowed: true,
+                hoursBeforeAppointment,
+                refundPercentage,
+                refundAmount: roundCurrency(paidAmount * refundPercentage / 100)
+            };
+        }
+
+        if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+            return { allowed: false, reason: `Cannot cancel an appointment that is ${appointment.status}` };
+        }
+
+        if (initiatedBy === 'patient' && hoursBeforeAppointment < (policy.patientCutoffHours || 0)) {
+            return {
+                allowed: false,
+                reason: `Appointments cannot be cancelled less than ${policy.patientCutoffHours} hour(s) in advance`
+            };
+        }
+
+        const tiers = [...((initiatedBy === 'patient' ? policy.patientTiers : policy.staffTiers) || [])]
+            .sort((a, b) => b.minHoursBefore - a.minHoursBefore);
+        const tier = tiers.find(t => hoursBeforeAppointment >= t.minHoursBefore);
+        const refundPercentage = tier ? tier.refundPercentage : 0;
+
+        return {
+            allowed: true,
+            hoursBeforeAppointment,
+            refundPercentage,
+            refundAmount: roundCurrency(paidAmount * refundPercentage / 100)
+        };
+    }
+
+    /**
+     * Cancel an appointment (or mark it as no-show), applying the refund policy
+     * @param {Object} appointment - Appointment document
+     * @param {Object} params - { cancelledBy, initiatedBy, reason, isNoShow, notify }
+     * @returns {Promise<{appointment?: Object, invoice?: Object, error?: string, statusCode?: number}>}
+     */
+    async cancel(appointment, params) {
+        const {
+            cancelledBy,
+            initiatedBy,
+            reason,
+            isNoShow = false,
+            notify = true
+        } = params;
+
+        const terms = await this.getCancellationTerms(appointment, { initiatedBy, isNoShow });
+        if (!terms.allowed) {
+            return { error: terms.reason, statusCode: 400 };
+        }
+
+        let invoice = null;
+        let refund = null;
+
+        if (terms.refundAmount > 0) {
+            invoice = await Invoice.findOne({ appointment: appointment._id, deletedAt: null });
+
+            if (invoice && invoice.paidAmount > 0) {
+                const lastPayment = [...invoice.payments].reverse().find(p => p.status === 'completed');
+                refund = invoice.addRefund({
+                    amount: terms.refundAmount,
+                    method: lastPayment?.method || 'cash',
+                    reference: appointment.appointmentId,
+                    processedBy: cancelledBy,
+                    notes: `Refund (${terms.refundPercentage}%) for ${isNoShow ? 'no-show' : 'cancelled'} appointment ${appointment.appointmentId}`
+                });
+                invoice.updatedBy = cancelledBy;
+                await invoice.save();
+            }
+        }
+
+        appointment.status = isNoShow ? 'no_show' : 'cancelled';
+        appointment.cancellation = {
+            cancelledBy,
+            cancelledAt: new Date(),
+            reason,
+            initiatedBy,
+            isNoShow,
+            hoursBeforeAppointment: terms.hoursBeforeAppointment,
+            refundPercentage: terms.refundPercentage,
+            refundAmount: refund ? refund.amount : 0,
+            refundPaymentId: refund?.paymentId
+        };
+
+        // Only money actually refunded against the invoice comes off what was paid
+        if (refund) {
+            appointment.fees.paidAmount = roundCurrency(appointment.fees.paidAmount - appointment.cancellation.refundAmount);
+            appointment.fees.paymentStatus = appointment.fees.paidAmount > 0 ? 'partial' : 'refunded';
+        }
+
+        appointment.updatedBy = cancelledBy;
+        await appointment.save();
+
+        await reminderService.clearAppointmentReminders(appointment);
+
+        if (appointment.checkedInAt) {
+            await queueService.refreshQueue(appointment.doctor, appointment.scheduledDate);
+        }
+
+        if (!isNoShow) {
+            await waitlistService.offerSlot(appointment.doctor, appointment.scheduledDate, appointment.scheduledTime, appointment.duration);
+        }
+
+        if (notify && initiatedBy !== 'patient') {
+            await NotificationService.notifyUsers([appointment.patient._id || appointment.patient], {
+                template: isNoShow ? 'appointment_missed' : 'appointment_cancelled',
+                variables: {
+                    appointmentId: appointment.appointmentId,
+                    reason,
+                    refundAmount: appointment.cancellation.refundAmount || undefined
+                },
+                data: { referenceId: appointment._id.toString(), referenceType: 'appointment' }
+            });
+        }
+
+        return { appointment, invoice };
+    }
+}
+
+module.exports = new AppointmentService();
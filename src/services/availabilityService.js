@@ -0,0 +1,386 @@
+const Appointment = require('../models/Appointment');
+const Branch = require('../models/Branch');
+const User = require('../models/User');
+const Waitlist = require('../models/Waitlist');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Statuses that no longer occupy the doctor's time
+const RELEASED_STATUSES = ['cancelled', 'no_show', 'rescheduled'];
+
+const MAX_RANGE_DAYS = 31;
+
+// In-process booking locks keyed by doctor and day
+const bookingLocks = new Map();
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ */
+const timeToMinutes = (time) => {
+    if (!time) return null;
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to "HH:MM"
+ */
+const minutesToTime = (minutes) => {
+    const hours = Math.floor(minutes / 60).toString().padStart(2, '0');
+    const mins = (minutes % 60).toString().padStart(2, '0');
+    return `${hours}:${mins}`;
+};
+
+/**
+ * Format a date as "YYYY-MM-DD"
+ */
+const toDateKey = (date) => {
+    const d = new Date(date);
+    const month = (d.getMonth() + 1).toString().padStart(2, '0');
+    const day = d.getDate().toString().padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+};
+
+const startOfDay = (date) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+};
+
+const endOfDay = (date) => {
+    const d = new Date(date);
+    d.setHours(23, 59, 59, 999);
+    return d;
+};
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+/**
+ * Doctor Availability Engine
+ * Builds bookable slots from working hours, breaks, leaves, branch
+ * operating hours and existing bookings
+ */
+class AvailabilityService {
+
+    /**
+     * Get free slots for a doctor between two dates (inclusive)
+     * @param {Object} doctor - Doctor document
+     * @param {Date|string} from - First day of the range
+     * @param {Date|string} to - Last day of the range
+     * @param {Object} options - { excludeAppointmentId, excludeWaitlistId, duration }
+     */
+    async getAvailableSlots(doctor, from, to, options = {}) {
+        const rangeStart = startOfDay(from || new Date());
+        const rangeEnd = endOfDay(to || rangeStart);
+
+        if (rangeEnd < rangeStart) {
+            throw Object.assign(new Error('"to" must not be before "from"'), { statusCode: 400 });
+        }
+
+        const rangeDays = Math.ceil((rangeEnd - rangeStart) / (1000 * 60 * 60 * 24));
+        if (rangeDays > MAX_RANGE_DAYS) {
+            throw Object.assign(
+                new Error(`Date range cannot exceed ${MAX_RANGE_DAYS} days`),
+                { statusCode: 400 }
+            );
+        }
+
+        const branch = await this.getDoctorBranch(doctor);
+        const appointments = [
+            ...await this.getBookedAppointments(doctor.userId, rangeStart, rangeEnd, options.excludeAppointmentId),
+            ...await this.getHeldSlots(doctor.userId, rangeStart, rangeEnd, options.excludeWaitlistId)
+        ];
+
+        const days = [];
+        for (let day = new Date(rangeStart); day <= rangeEnd; day.setDate(day.getDate() + 1)) {
+            const dayKey = toDateKey(day);
+            const dayAppointments = appointments.filter(apt => toDateKey(apt.scheduledDate) === dayKey);
+
+            days.push({
+                date: dayKey,
+                slots: this.buildDaySlots(doctor, branch, day, dayAppointments, options)
+            });
+        }
+
+        return days;
+    }
+
+    /**
+     * Check whether a specific start time is bookable for a doctor
+     * @returns {Promise<{available: boolean, reason?: string}>}
+     */
+    async checkSlot(doctor, date, time, duration, options = {}) {
+        const day = startOfDay(date);
+        const branch = await this.getDoctorBranch(doctor);
+        const appointments = await this.getBookedAppointments(doctor.userId, day, endOfDay(day), options.excludeAppointmentId);
+        const held = await this.getHeldSlots(doctor.userId, day, endOfDay(day), options.excludeWaitlistId);
+
+        const window = this.getWorkingWindow(doctor, branch, day);
+        if (!window) {
+            return { available: false, reason: 'Doctor is not available on this day' };
+        }
+
+        const start = timeToMinutes(time);
+        const end = start + (duration || doctor.appointmentDuration || 30);
+
+        const startsAt = new Date(day);
+        startsAt.setHours(Math.floor(start / 60), start % 60, 0, 0);
+        if (startsAt <= new Date()) {
+            return { available: false, reason: 'Cannot book a time in the past' };
+        }
+
+        if (start < window.start || end > window.end) {
+            return { available: false, reason: 'Requested time is outside working hours' };
+        }
+
+        const blocked = this.getBlockedIntervals(doctor, branch, day);
+        if (blocked.some(interval => overlaps(start, end, interval.start, interval.end))) {
+            return { available: false, reason: 'Doctor is not available at the requested time' };
+        }
+
+        if (doctor.maxPatientsPerDay && appointments.length + held.length >= doctor.maxPatientsPerDay) {
+            return { available: false, reason: 'Doctor is fully booked for this day' };
+        }
+
+        const conflict = appointments.find(apt => {
+            const aptStart = timeToMinutes(apt.scheduledTime);
+            return overlaps(start, end, aptStart, aptStart + (apt.duration || 30));
+        });
+
+        if (conflict) {
+            return { available: false, reason: 'Time slot is already booked', conflict };
+        }
+
+        const hold = held.find(slot => {
+            const holdStart = timeToMinutes(slot.scheduledTime);
+            return overlaps(start, end, holdStart, holdStart + (slot.duration || 30));
+        });
+
+        if (hold) {
+            return { available: false, reason: 'Time slot is being held for a waitlisted patient' };
+        }
+
+        return { available: true };
+    }
+
+    /**
+     * Build the free slots for a single day
+     */
+    buildDaySlots(doctor, branch, day, appointments, options = {}) {
+        const window = this.getWorkingWindow(doctor, branch, day);
+        if (!window) return [];
+
+        if (doctor.maxPatientsPerDay && appointments.length >= doctor.maxPatientsPerDay) {
+            return [];
+        }
+
+        const slotLength = options.duration || doctor.appointmentDuration || branch?.settings?.appointmentDuration || 30;
+        const blocked = [
+            ...this.getBlockedIntervals(doctor, branch, day),
+            ...appointments.map(apt => {
+                const start = timeToMinutes(apt.scheduledTime);
+                return { start, end: start + (apt.duration || 30) };
+            })
+        ];
+
+        const now = new Date();
+        const slots = [];
+
+        for (let start = window.start; start + slotLength <= window.end; start += slotLength) {
+            const end = start + slotLength;
+
+            if (blocked.some(interval => overlaps(start, end, interval.start, interval.end))) {
+                continue;
+            }
+
+            const startsAt = new Date(day);
+            startsAt.setHours(Math.floor(start / 60), start % 60, 0, 0);
+            if (startsAt <= now) continue;
+
+            slots.push({
+                startTime: minutesToTime(start),
+                endTime: minutesToTime(end),
+                startsAt,
+                duration: slotLength
+            });
+        }
+
+        return slots;
+    }
+
+    /**
+     * Working window for a day, narrowed to the branch operating hours
+     * @returns {{start: number, end: number}|null} minutes since midnight
+     */
+    getWorkingWindow(doctor, branch, day) {
+        const dayName = DAYS[new Date(day).getDay()];
+        const schedule = doctor.workingHours?.[dayName];
+
+        if (!schedule || !schedule.isWorking || !schedule.start || !schedule.end) {
+            return null;
+        }
+
+        let start = timeToMinutes(schedule.start);
+        let end = timeToMinutes(schedule.end);
+
+        const branchHours = branch?.operatingHours?.[dayName];
+        if (branchHours) {
+            if (!branchHours.isOpen) return null;
+            if (branchHours.openTime) start = Math.max(start, timeToMinutes(branchHours.openTime));
+            if (branchHours.closeTime) end = Math.min(end, timeToMinutes(branchHours.closeTime));
+        }
+
+        return start < end ? { start, end } : null;
+    }
+
+    /**
+     * Intervals on a day that cannot be booked: doctor break, branch breaks
+     * and approved leaves
+     */
+    getBlockedIntervals(doctor, branch, day) {
+        const dayName = DAYS[new Date(day).getDay()];
+        const intervals = [];
+
+        const doctorBreak = doctor.workingHours?.[dayName]?.break;
+        if (doctorBreak?.start && doctorBreak?.end) {
+            intervals.push({ start: timeToMinutes(doctorBreak.start), end: timeToMinutes(doctorBreak.end) });
+        }
+
+        (branch?.operatingHours?.[dayName]?.breaks || []).forEach(branchBreak => {
+            if (branchBreak.startTime && branchBreak.endTime) {
+                intervals.push({ start: timeToMinutes(branchBreak.startTime), end: timeToMinutes(branchBreak.endTime) });
+            }
+        });
+
+        const dayStart = startOfDay(day);
+        const dayEnd = endOfDay(day);
+
+        // The leave end is exclusive: a leave ending at midnight does not touch that day
+        (doctor.leaves || [])
+            .filter(leave => leave.status === 'approved' && leave.startDate <= dayEnd && leave.endDate > dayStart)
+            .forEach(leave => {
+                const leaveStart = leave.startDate > dayStart
+                    ? leave.startDate.getHours() * 60 + leave.startDate.getMinutes()
+                    : 0;
+                const leaveEnd = leave.endDate < dayEnd
+                    ? leave.endDate.getHours() * 60 + leave.endDate.getMinutes()
+                    : 24 * 60;
+
+                intervals.push({ start: leaveStart, end: leaveEnd });
+            });
+
+        return intervals;
+    }
+
+    async getDoctorBranch(doctor) {
+        const user = await User.findById(doctor.userId).select('branchId');
+        if (!user?.branchId) return null;
+        return Branch.findById(user.branchId).select('operatingHours settings');
+    }
+
+    getBookedAppointments(doctorUserId, from, to, excludeAppointmentId = null) {
+        const query = {
+            doctor: doctorUserId,
+            scheduledDate: { $gte: from, $lte: to },
+            status: { $nin: RELEASED_STATUSES },
+            deletedAt: null
+        };
+
+        if (excludeAppointmentId) {
+            query._id = { $ne: excludeAppointmentId };
+        }
+
+        return Appointment.find(query).select('scheduledDate scheduledTime duration status updatedAt');
+    }
+
+    /**
+     * Slots currently held for waitlisted patients, shaped like bookings
+     */
+    async getHeldSlots(doctorUserId, from, to, excludeWaitlistId = null) {
+        const query = {
+            doctor: doctorUserId,
+            status: 'offered',
+            'offer.scheduledDate': { $gte: from, $lte: to },
+            'offer.expiresAt': { $gt: new Date() },
+            deletedAt: null
+        };
+
+        if (excludeWaitlistId) {
+            query._id = { $ne: excludeWaitlistId };
+        }
+
+        const entries = await Waitlist.find(query).select('offer');
+
+        return entries.map(entry => ({
+            scheduledDate: entry.offer.scheduledDate,
+            scheduledTime: entry.offer.scheduledTime,
+            duration: entry.offer.duration
+        }));
+    }
+
+    /**
+     * Find other active bookings of the same doctor that overlap an appointment
+     */
+    async findOverlappingAppointments(appointment) {
+        const day = startOfDay(appointment.scheduledDate);
+        const start = timeToMinutes(appointment.scheduledTime);
+        const end = start + (appointment.duration || 30);
+
+        const sameDay = await this.getBookedAppointments(appointment.doctor, day, endOfDay(day), appointment._id);
+
+        return sameDay.filter(apt => {
+            const aptStart = timeToMinutes(apt.scheduledTime);
+            return overlaps(start, end, aptStart, aptStart + (apt.duration || 30));
+        });
+    }
+
+    /**
+     * Whether an appointment that was just written lost a booking race, i.e.
+     * an overlapping booking was written before it. Covers concurrent writes
+     * that slipped past the in-process lock (e.g. from another instance).
+     */
+    async lostBookingRace(appointment) {
+        const overlapping = await this.findOverlappingAppointments(appointment);
+
+        return overlapping.some(other =>
+            other.updatedAt < appointment.updatedAt ||
+            (other.updatedAt.getTime() === appointment.updatedAt.getTime() &&
+                other._id.toString() < appointment._id.toString())
+        );
+    }
+
+    /**
+     * Serialise booking writes for one doctor and day within this process
+     * @param {string} doctorUserId - Doctor's user ID
+     * @param {Date|string} date - Appointment date
+     * @param {Function} fn - Async work to run while holding the lock
+     */
+    async withBookingLock(doctorUserId, date, fn) {
+        const key = `${doctorUserId}:${toDateKey(date)}`;
+        const previous = bookingLocks.get(key) || Promise.resolve();
+
+        let release;
+        const current = new Promise(resolve => { release = resolve; });
+        const tail = previous.then(() => current);
+        bookingLocks.set(key, tail);
+
+        await previous;
+        try {
+            return await fn();
+        } finally {
+            release();
+            if (bookingLocks.get(key) === tail) {
+                bookingLocks.delete(key);
+            }
+        }
+    }
+}
+
+const availabilityService = new AvailabilityService();
+
+availabilityService.timeToMinutes = timeToMinutes;
+availabilityService.minutesToTime = minutesToTime;
+availabilityService.toDateKey = toDateKey;
+availabilityService.RELEASED_STATUSES = RELEASED_STATUSES;
+
+module.exports = availabilityService;
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+
+const PRODUCT_ID = '-//Hospital Management System//Appointments//EN';
+
+// Domain part of event UIDs; must stay stable so calendar clients can match updates
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'hospital-management.local';
+
+const RELEASED_STATUSES = ['cancelled', 'no_show', 'rescheduled'];
+
+const TYPE_LABELS = {
+    consultation: 'Consultation',
+    follow_up: 'Follow-up',
+    emergency: 'Emergency',
+    surgery: 'Surgery',
+    procedure: 'Procedure',
+    check_up: 'Check-up'
+};
+
+/**
+ * Escape TEXT values (RFC 5545 section 3.3.11)
+ */
+const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+ */
+const foldLine = (line) => {
+    const chunks = [];
+    let current = '';
+
+    for (const char of line) {
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            chunks.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+};
+
+/**
+ * Format a date as a UTC DATE-TIME, e.g. "20250101T093000Z"
+ */
+const formatDateTime = (date) => new Date(date).toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+const initials = (user) => user
+    ? `${user.firstName?.[0] || ''}${user.lastName?.[0] || ''}`.toUpperCase()
+    : '';
+
+/**
+ * iCalendar Service
+ * Renders appointments as VEVENTs for .ics downloads and calendar feeds
+ */
+class CalendarService {
+
+    /**
+     * Build a VEVENT for an appointment
+     * @param {Object} appointment - Appointment with patient/doctor/branchId optionally populated
+     * @param {Object} options - { audience: 'patient' | 'doctor' }; doctor feeds get minimised patient details
+     * @returns {string[]} - Unfolded content lines
+     */
+    buildEvent(appointment, { audience = 'patient' } = {}) {
+        const start = appointment.appointmentDateTime;
+        const end = new Date(start.getTime() + (appointment.duration || 30) * 60 * 1000);
+        const isReleased = RELEASED_STATUSES.includes(appointment.status);
+        const typeLabel = TYPE_LABELS[appointment.type] || 'Appointment';
+
+        let status = 'CONFIRMED';
+        if (isReleased) status = 'CANCELLED';
+        else if (appointment.status === 'scheduled') status = 'TENTATIVE';
+
+        // Every time change and the final cancellation bump the sequence so clients replace the event
+        const sequence = (appointment.rescheduleCount || 0) + (isReleased ? 1 : 0);
+
+        let summary;
+        const description = [`Appointment ${appointment.appointmentId}`];
+
+        if (audience === 'doctor') {
+            // Feeds leave the office; only patient initials are shared
+            summary = `${typeLabel} - ${initials(appointment.patient)}`.trim();
+            description.push(`Type: ${typeLabel}`, `Mode: ${appointment.consultationType.replace(/_/g, ' ')}`);
+            if (appointment.tokenNumber) description.push(`Token: ${appointment.tokenNumber}`);
+        } else {
+            const doctor = appointment.doctor;
+            summary = doctor?.firstName
+                ? `${typeLabel} with Dr. ${doctor.firstName} ${doctor.lastName || ''}`.trim()
+                : typeLabel;
+            description.push(`Mode: ${appointment.consultationType.replace(/_/g, ' ')}`);
+        }
+
+        if (appointment.roomNumber) description.push(`Room: ${appointment.roomNumber}`);
+        if (isReleased) description.push(`Status: ${appointment.status.replace(/_/g, ' ')}`);
+
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${appointment._id}@${UID_DOMAIN}`,
+            `DTSTAMP:${formatDateTime(appointment.updatedAt || new Date())}`,
+            `LAST-MODIFIED:${formatDateTime(appointment.updatedAt || new Date())}`,
+            `DTSTART:${formatDateTime(start)}`,
+            `DTEND:${formatDateTime(end)}`,
+            `SEQUENCE:${sequence}`,
+            `STATUS:${status}`,
+            `SUMMARY:${escapeText(summary)}`,
+            `DESCRIPTION:${escapeText(description.join('\n'))}`
+        ];
+
+        const branch = appointment.branchId;
+        if (branch?.name) {
+            const address = audience === 'patient' && branch.address
+                ? [branch.address.street, branch.address.city, branch.address.state].filter(Boolean).join(', ')
+                : '';
+            lines.push(`LOCATION:${escapeText(address ? `${branch.name}, ${address}` : branch.name)}`);
+        }
+
+        if (isReleased) {
+            lines.push('TRANSP:TRANSPARENT');
+        }
+
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * Wrap events in a VCALENDAR
+     * @param {Array<string[]>} events - Lines from buildEvent
+     * @param {Object} options - { name, method }
+     * @returns {string} - iCalendar document with CRLF line endings
+     */
+    buildCalendar(events, { name, method = 'PUBLISH' } = {}) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            `METHOD:${method}`
+        ];
+
+        if (name) {
+            lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+        }
+
+        events.forEach(event => lines.push(...event));
+        lines.push('END:VCALENDAR');
+
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Single-appointment invite for patients
+     */
+    renderAppointment(appointment) {
+        return this.buildCalendar([this.buildEvent(appointment, { audience: 'patient' })]);
+    }
+
+    /**
+     * Read-only schedule feed for a doctor
+     */
+    renderDoctorFeed(doctorName, appointments) {
+        return this.buildCalendar(
+            appointments.map(appointment => this.buildEvent(appointment, { audience: 'doctor' })),
+            { name: doctorName ? `Dr. ${doctorName} - Appointments` : 'Appointments' }
+        );
+    }
+
+    /**
+     * Generate a feed token; only its hash is stored
+     * @returns {{token: string, tokenHash: string}}
+     */
+    generateFeedToken() {
+        const token = crypto.randomBytes(32).toString('hex');
+        return { token, tokenHash: this.hashFeedToken(token) };
+    }
+
+    hashFeedToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+}
+
+module.exports = new CalendarService();
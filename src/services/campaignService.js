@@ -0,0 +1,288 @@
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Patient = require('../models/Patient');
+const Appointment = require('../models/Appointment');
+const NotificationService = require('./notificationService');
+const templateService = require('./templateService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AUDIENCE_SAMPLE_SIZE = 10;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const yearsAgo = (years, now) => {
+    const date = new Date(now);
+    date.setFullYear(date.getFullYear() - years);
+    return date;
+};
+
+const percentage = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+/**
+ * Campaign Service
+ * Resolves audiences and releases campaign notifications to the dispatcher
+ * in per-minute batches (the throttle)
+ */
+class CampaignService {
+    /**
+     * User IDs matching an audience's filters
+     * @param {Object} filters - Audience.filters
+     * @returns {Promise<Array<ObjectId>>}
+     */
+    async resolveAudience(filters = {}, now = new Date()) {
+        const query = { deletedAt: null, isActive: true };
+
+        if (filters.roles?.length > 0) query.role = { $in: filters.roles };
+        if (filters.branchIds?.length > 0) query.branchId = { $in: filters.branchIds };
+
+        const { min: minAge, max: maxAge } = filters.ageRange || {};
+        if (minAge != null || maxAge != null) {
+            query.dateOfBirth = {};
+            if (minAge != null) query.dateOfBirth.$lte = yearsAgo(minAge, now);
+            if (maxAge != null) query.dateOfBirth.$gt = yearsAgo(maxAge + 1, now);
+        }
+
+        // Patient-only filters narrow the audience to a set of user IDs
+        let userIds = null;
+        const narrow = (ids) => {
+            const allowed = new Set(ids.map(id => id.toString()));
+            userIds = userIds === null ? [...allowed] : userIds.filter(id => allowed.has(id));
+        };
+
+        if (filters.chronicConditions?.length > 0) {
+            const patterns = filters.chronicConditions.map(condition => new RegExp(escapeRegex(condition), 'i'));
+            narrow(await Patient.find({
+                deletedAt: null,
+                chronicConditions: {
+                    $elemMatch: { condition: { $in: patterns }, status: { $ne: 'resolved' } }
+                }
+            }).distinct('userId'));
+        }
+
+        const { min: minDays, max: maxDays } = filters.lastVisitDaysAgo || {};
+        if (minDays != null || maxDays != null) {
+            const lastVisit = {};
+            if (minDays != null) lastVisit.$lte = new Date(now.getTime() - minDays * DAY_MS);
+            if (maxDays != null) lastVisit.$gte = new Date(now.getTime() - maxDays * DAY_MS);
+
+            const visits = await Appointment.aggregate([
+                { $match: { status: 'completed', deletedAt: null } },
+                { $group: { _id: '$patient', lastVisit: { $max: '$scheduledDate' } } },
+                { $match: { lastVisit } }
+            ]);
+            narrow(visits.map(visit => visit._id));
+        }
+
+        if (userIds !== null) {
+            query._id = { $in: userIds.map(id => new mongoose.Types.ObjectId(id)) };
+        }
+
+        return User.find(query).distinct('_id');
+    }
+
+    /**
+     * Audience size with a few example recipients
+     */
+    async previewAudience(filters) {
+        const userIds = await this.resolveAudience(filters);
+        const sample = await User.find({ _id: { $in: userIds.slice(0, AUDIENCE_SAMPLE_SIZE) } })
+            .select('firstName lastName role branchId');
+
+        return { count: userIds.length, sample };
+    }
+
+    /**
+     * Check a template campaign renders before it is saved
+     * @returns {string|null} - Error message
+     */
+    async validateContent(content = {}) {
+        if (!content.template) return null;
+
+        try {
+            await templateService.buildContent(content.template, {
+                recipient: { firstName: 'Sample', lastName: 'Recipient' },
+                ...content.variables
+            });
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    /**
+     * Start campaigns whose scheduled time has come and close finished ones
+     * @returns {Promise<{started: number, completed: number}>}
+     */
+    async processCampaigns(now = new Date()) {
+        const due = await Campaign.find({
+            status: 'scheduled',
+            scheduledFor: { $lte: now },
+            deletedAt: null
+        });
+
+        let started = 0;
+        for (const campaign of due) {
+            try {
+                if (await this.startCampaign(campaign, now)) started += 1;
+            } catch (error) {
+                console.error(`Error starting campaign ${campaign.campaignId}:`, error);
+            }
+        }
+
+        const completed = await this.completeFinishedCampaigns(now);
+
+        return { started, completed };
+    }
+
+    /**
+     * Queue one notification per recipient. Recipients are spread over
+     * consecutive minutes, throttlePerMinute at a time, and the notification
+     * dispatcher sends each batch when it is due.
+     * @returns {Promise<Object|null>} - Campaign, or null if another worker started it
+     */
+    async startCampaign(campaign, now = new Date()) {
+        // Claim it so the same campaign is never queued twice
+        const claimed = await Campaign.findOneAndUpdate(
+            { _id: campaign._id, status: 'scheduled' },
+            { $set: { status: 'running', startedAt: now } },
+            { new: true }
+        ).populate('audience');
+        if (!claimed) return null;
+
+        const userIds = claimed.audience && !claimed.audience.deletedAt
+            ? await this.resolveAudience(claimed.audience.filters, now)
+            : [];
+
+        const { content } = claimed;
+        let queued = 0;
+
+        for (const [index, userId] of userIds.entries()) {
+            const batch = Math.floor(index / claimed.throttlePerMinute);
+
+            try {
+                await NotificationService.scheduleForUser(userId, {
+                    title: content.title,
+                    body: content.body,
+                    template: content.template,
+                    variables: content.variables,
+                    type: content.type,
+                    priority: content.priority,
+                    imageUrl: content.imageUrl,
+                    channels: content.channels,
+                    data: content.actionUrl ? { actionUrl: content.actionUrl } : undefined,
+                    campaignId: claimed.campaignId,
+                    batchId: `${claimed.campaignId}-${batch + 1}`
+                }, new Date(now.getTime() + batch * 60 * 1000));
+                queued += 1;
+            } catch (error) {
+                console.error(`Error queueing campaign ${claimed.campaignId} for user ${userId}:`, error);
+            }
+        }
+
+        claimed.audienceSize = queued;
+        if (queued === 0) {
+            claimed.status = 'completed';
+            claimed.completedAt = now;
+        }
+        await claimed.save();
+
+        return claimed;
+    }
+
+    /**
+     * Mark running campaigns complete once none of their notifications are pending
+     */
+    async completeFinishedCampaigns(now = new Date()) {
+        const running = await Campaign.find({ status: 'running', deletedAt: null }).select('campaignId');
+        let completed = 0;
+
+        for (const campaign of running) {
+            const pending = await Notification.exists({
+                campaignId: campaign.campaignId,
+                status: 'pending',
+                deletedAt: null
+            });
+            if (pending) continue;
+
+            await Campaign.updateOne(
+                { _id: campaign._id, status: 'running' },
+                { $set: { status: 'completed', completedAt: now } }
+            );
+            completed += 1;
+        }
+
+        return completed;
+    }
+
+    /**
+     * Cancel a campaign; notifications not yet sent are withdrawn
+     * @returns {Promise<{campaign?: Object, withdrawn?: number, error?: string, statusCode?: number}>}
+     */
+    async cancelCampaign(campaign, cancelledBy) {
+        if (!['draft', 'scheduled', 'running'].includes(campaign.status)) {
+            return { error: `Cannot cancel a campaign that is ${campaign.status}`, statusCode: 400 };
+        }
+
+        const result = await Notification.updateMany(
+            { campaignId: campaign.campaignId, status: 'pending', deletedAt: null },
+            { $set: { deletedAt: new Date() } }
+        );
+
+        campaign.status = 'cancelled';
+        campaign.cancelledAt = new Date();
+        campaign.cancelledBy = cancelledBy;
+        campaign.updatedBy = cancelledBy;
+        await campaign.save();
+
+        return { campaign, withdrawn: result.modifiedCount };
+    }
+
+    /**
+     * Delivery and engagement totals from the campaign's notifications
+     */
+    async getStats(campaign) {
+        const count = condition => ({ $sum: { $cond: [condition, 1, 0] } });
+        const isWithdrawn = { $and: [{ $eq: ['$status', 'pending'] }, { $ne: ['$deletedAt', null] }] };
+
+        const [totals = {}] = await Notification.aggregate([
+            { $match: { campaignId: campaign.campaignId } },
+            {
+                $group: {
+                    _id: null,
+                    queued: { $sum: 1 },
+                    pending: count({ $and: [{ $eq: ['$status', 'pending'] }, { $eq: ['$deletedAt', null] }] }),
+                    withdrawn: count(isWithdrawn),
+                    sent: count({ $in: ['$status', ['sent', 'read']] }),
+                    failed: count({ $eq: ['$status', 'failed'] }),
+                    suppressed: count({ $eq: ['$status', 'suppressed'] }),
+                    read: count({ $ne: [{ $ifNull: ['$readAt', null] }, null] }),
+                    clicked: count({ $gt: ['$clickedCount', 0] }),
+                    clicks: { $sum: '$clickedCount' }
+                }
+            }
+        ]);
+
+        const stats = {
+            audienceSize: campaign.audienceSize || 0,
+            queued: totals.queued || 0,
+            pending: totals.pending || 0,
+            withdrawn: totals.withdrawn || 0,
+            sent: totals.sent || 0,
+            failed: totals.failed || 0,
+            suppressed: totals.suppressed || 0,
+            read: totals.read || 0,
+            clicked: totals.clicked || 0,
+            clicks: totals.clicks || 0
+        };
+
+        return {
+            ...stats,
+            readRate: percentage(stats.read, stats.sent),
+            clickRate: percentage(stats.clicked, stats.sent)
+        };
+    }
+}
+
+module.exports = new CampaignService();
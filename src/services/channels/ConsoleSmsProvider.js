@@ -0,0 +1,33 @@
+// Only the most recent messages are kept in memory
+const MAX_KEPT_MESSAGES = 100;
+
+/**
+ * Console SMS Provider
+ * Keeps messages in memory instead of sending them; for local development
+ * and tests only, selected explicitly with SMS_PROVIDER=console
+ */
+class ConsoleSmsProvider {
+    constructor() {
+        this.name = 'console';
+        this.sent = [];
+        this.count = 0;
+    }
+
+    /**
+     * @param {Object} params - { to, body }
+     * @returns {Promise<{messageId: string}>}
+     */
+    async send({ to, body }) {
+        this.count += 1;
+        const messageId = `console-${this.count}`;
+
+        this.sent.push({ messageId, to, body, sentAt: new Date() });
+        if (this.sent.length > MAX_KEPT_MESSAGES) this.sent.shift();
+
+        // The body may contain health information, so only its size is logged
+        console.log(`📱 SMS ${messageId} (${body.length} characters) not sent: console provider`);
+        return { messageId };
+    }
+}
+
+module.exports = ConsoleSmsProvider;
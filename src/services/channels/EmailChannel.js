@@ -0,0 +1,71 @@
+const nodemailer = require('nodemailer');
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Email Channel
+ * Sends through the SMTP server configured by EMAIL_HOST/EMAIL_PORT/EMAIL_USER/EMAIL_PASSWORD
+ */
+class EmailChannel {
+    /**
+     * @param {Object} options - { transport } to inject a nodemailer transport (e.g. in tests)
+     */
+    constructor({ transport, from } = {}) {
+        this.name = 'email';
+        this.from = from || process.env.EMAIL_FROM || process.env.EMAIL_USER;
+        this.transport = transport || null;
+    }
+
+    /**
+     * Transport is created lazily so a missing SMTP setup only affects email
+     */
+    getTransport() {
+        if (!this.transport) {
+            if (!process.env.EMAIL_HOST) {
+                throw new Error('EMAIL_HOST is not configured');
+            }
+
+            const port = parseInt(process.env.EMAIL_PORT) || 587;
+            this.transport = nodemailer.createTransport({
+                host: process.env.EMAIL_HOST,
+                port,
+                secure: port === 465,
+                auth: process.env.EMAIL_USER
+                    ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASSWORD }
+                    : undefined
+            });
+        }
+        return this.transport;
+    }
+
+    isEnabled() {
+        return !!(this.transport || process.env.EMAIL_HOST);
+    }
+
+    getAddress(user) {
+        return user.email || null;
+    }
+
+    async send(notification, email) {
+        const format = notification.formats?.email || {};
+        const text = format.text || notification.body;
+        const actionUrl = notification.data?.actionUrl;
+
+        const info = await this.getTransport().sendMail({
+            from: this.from,
+            to: email,
+            subject: format.subject || notification.title,
+            text: actionUrl ? `${text}\n\n${actionUrl}` : text,
+            html: (format.html || `<p>${escapeHtml(text)}</p>`) +
+                (actionUrl ? `<p><a href="${escapeHtml(actionUrl)}">View details</a></p>` : '')
+        });
+
+        return { messageId: info.messageId };
+    }
+}
+
+module.exports = EmailChannel;
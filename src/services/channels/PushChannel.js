@@ -0,0 +1,63 @@
+const FCMService = require('../fcmService');
+const deviceTokenService = require('../deviceTokenService');
+
+/**
+ * Push Channel
+ * Sends to every active FCM token registered on the user and feeds the
+ * per-device results back to deviceTokenService
+ */
+class PushChannel {
+    constructor() {
+        this.name = 'push';
+    }
+
+    isEnabled() {
+        return FCMService.isInitialized();
+    }
+
+    /**
+     * @returns {Array<string>|null} - Device tokens, or null if the user has none
+     */
+    getAddress(user) {
+        const tokens = (user.fcmTokens || [])
+            .filter(t => t.isActive !== false)
+            .map(t => t.token)
+            .filter(Boolean);
+        return tokens.length > 0 ? tokens : null;
+    }
+
+    async send(notification, tokens) {
+        const payload = FCMService.buildPayload(
+            notification.formats?.push?.title || notification.title,
+            notification.formats?.push?.body || notification.body,
+            PushChannel.toPushData(notification),
+            notification.imageUrl
+        );
+        payload.silent = notification.silentNotification;
+
+        const result = await FCMService.sendToMultipleDevices(tokens, payload);
+        await deviceTokenService.recordDeliveryResults(notification.userId, result);
+
+        // Rejected tokens are deactivated above, so a retry only uses the remaining devices
+        if (result.successCount === 0) {
+            throw new Error(`Push failed on all ${tokens.length} device(s)`);
+        }
+
+        return { messageId: `${result.successCount}/${tokens.length} devices` };
+    }
+
+    /**
+     * FCM data payloads only accept string values
+     */
+    static toPushData(notification) {
+        return {
+            notificationId: notification._id.toString(),
+            type: notification.type,
+            referenceId: notification.data?.referenceId || '',
+            referenceType: notification.data?.referenceType || '',
+            actionUrl: notification.data?.actionUrl || ''
+        };
+    }
+}
+
+module.exports = PushChannel;
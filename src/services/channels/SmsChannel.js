@@ -0,0 +1,36 @@
+// Keep messages within three SMS segments
+const MAX_SMS_LENGTH = 459;
+
+/**
+ * SMS Channel
+ * Formats the notification as text and hands it to an SMS provider adapter
+ */
+class SmsChannel {
+    /**
+     * @param {Object} provider - Implements send({ to, body }) -> { messageId }
+     */
+    constructor(provider) {
+        this.name = 'sms';
+        this.provider = provider;
+    }
+
+    isEnabled() {
+        return !!this.provider;
+    }
+
+    getAddress(user) {
+        const phone = (user.phone || '').replace(/[\s-()]/g, '');
+        return phone || null;
+    }
+
+    async send(notification, phone) {
+        let body = notification.formats?.sms?.body || `${notification.title}: ${notification.body}`;
+        if (body.length > MAX_SMS_LENGTH) {
+            body = `${body.slice(0, MAX_SMS_LENGTH - 1)}…`;
+        }
+
+        return this.provider.send({ to: phone, body });
+    }
+}
+
+module.exports = SmsChannel;
@@ -0,0 +1,39 @@
+/**
+ * Twilio SMS Provider
+ * Sends through the Twilio Messages REST API
+ */
+class TwilioSmsProvider {
+    constructor({ accountSid, authToken, from }) {
+        if (!accountSid || !authToken || !from) {
+            throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER are required for the Twilio provider');
+        }
+
+        this.name = 'twilio';
+        this.accountSid = accountSid;
+        this.authToken = authToken;
+        this.from = from;
+    }
+
+    async send({ to, body }) {
+        const response = await fetch(
+            `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`,
+            {
+                method: 'POST',
+                headers: {
+                    Authorization: `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`,
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: new URLSearchParams({ To: to, From: this.from, Body: body })
+            }
+        );
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`Twilio error ${response.status}: ${result.message || response.statusText}`);
+        }
+
+        return { messageId: result.sid };
+    }
+}
+
+module.exports = TwilioSmsProvider;
@@ -0,0 +1,55 @@
+const PushChannel = require('./PushChannel');
+const EmailChannel = require('./EmailChannel');
+const SmsChannel = require('./SmsChannel');
+const ConsoleSmsProvider = require('./ConsoleSmsProvider');
+const TwilioSmsProvider = require('./TwilioSmsProvider');
+
+/**
+ * Create the SMS provider configured by SMS_PROVIDER. With none configured
+ * this returns null, which leaves the SMS channel disabled so deliveries are
+ * recorded as skipped rather than sent.
+ *
+ * Providers implement:
+ *   send({ to, body }) -> { messageId }
+ */
+const createSmsProvider = (name = process.env.SMS_PROVIDER) => {
+    if (!name) return null;
+
+    switch (name) {
+        case 'twilio':
+            return new TwilioSmsProvider({
+                accountSid: process.env.TWILIO_ACCOUNT_SID,
+                authToken: process.env.TWILIO_AUTH_TOKEN,
+                from: process.env.TWILIO_FROM_NUMBER
+            });
+        case 'console':
+            return new ConsoleSmsProvider();
+        default:
+            throw new Error(`Unknown SMS provider: ${name}`);
+    }
+};
+
+/**
+ * Create the delivery channels, keyed by the name used in
+ * User.preferences.notifications and Notification.deliveries
+ *
+ * Channels implement:
+ *   isEnabled() -> false when the channel is not configured
+ *   getAddress(user) -> address or null when the user cannot be reached
+ *   send(notification, address) -> { messageId }
+ */
+const createChannels = () => ({
+    push: new PushChannel(),
+    email: new EmailChannel(),
+    sms: new SmsChannel(createSmsProvider())
+});
+
+module.exports = {
+    createChannels,
+    createSmsProvider,
+    PushChannel,
+    EmailChannel,
+    SmsChannel,
+    ConsoleSmsProvider,
+    TwilioSmsProvider
+};
@@ -0,0 +1,156 @@
+const User = require('../models/User');
+
+const DEFAULT_TOKEN_TTL_DAYS = 60;
+
+/**
+ * Only the end of a token is shown in API responses
+ */
+const maskToken = (token) => `…${String(token).slice(-8)}`;
+
+/**
+ * Device Token Service
+ * Keeps User.fcmTokens healthy: records per-device delivery results,
+ * deactivates tokens FCM rejects and expires devices that stopped checking in
+ */
+class DeviceTokenService {
+    constructor() {
+        this.ttlDays = parseInt(process.env.FCM_TOKEN_TTL_DAYS) || DEFAULT_TOKEN_TTL_DAYS;
+    }
+
+    /**
+     * Record the outcome of a multicast send on each of the user's devices
+     * @param {string} userId - Owner of the tokens
+     * @param {Object} result - FCMService.sendToMultipleDevices result
+     */
+    async recordDeliveryResults(userId, result) {
+        const now = new Date();
+        const invalid = new Set(result.invalidTokens || []);
+
+        const operations = (result.responses || []).map(({ token, success, error }) => {
+            const update = success
+                ? {
+                    $inc: { 'fcmTokens.$.deliveredCount': 1 },
+                    $set: { 'fcmTokens.$.lastDeliveredAt': now }
+                }
+                : {
+                    $inc: { 'fcmTokens.$.failedCount': 1 },
+                    $set: { 'fcmTokens.$.lastFailedAt': now, 'fcmTokens.$.lastError': error?.code || error?.message }
+                };
+
+            if (invalid.has(token)) {
+                Object.assign(update.$set, {
+                    'fcmTokens.$.isActive': false,
+                    'fcmTokens.$.deactivatedAt': now,
+                    'fcmTokens.$.deactivationReason': error?.code
+                });
+            }
+
+            return { updateOne: { filter: { _id: userId, 'fcmTokens.token': token }, update } };
+        });
+
+        if (operations.length > 0) {
+            await User.bulkWrite(operations, { ordered: false });
+        }
+
+        return { deactivated: invalid.size };
+    }
+
+    /**
+     * Remove tokens from devices not seen for ttlDays (by lastSeenAt, or
+     * createdAt for tokens registered before lastSeenAt was tracked)
+     * @returns {Promise<number>} - Users whose token list changed
+     */
+    async expireStaleTokens(ttlDays = this.ttlDays) {
+        const cutoff = new Date(Date.now() - ttlDays * 24 * 60 * 60 * 1000);
+        const stale = {
+            $or: [
+                { lastSeenAt: { $lt: cutoff } },
+                { lastSeenAt: null, createdAt: { $lt: cutoff } }
+            ]
+        };
+
+        const result = await User.updateMany(
+            { fcmTokens: { $elemMatch: stale } },
+            { $pull: { fcmTokens: stale } }
+        );
+
+        return result.modifiedCount;
+    }
+
+    /**
+     * A user's devices with their delivery stats
+     */
+    async getUserDevices(userId) {
+        const user = await User.findOne({ _id: userId, deletedAt: null }).select('fcmTokens');
+        if (!user) return null;
+
+        return user.fcmTokens.map(device => ({
+            id: device._id,
+            token: maskToken(device.token),
+            deviceType: device.deviceType,
+            isActive: device.isActive !== false,
+            createdAt: device.createdAt,
+            lastSeenAt: device.lastSeenAt,
+            deliveredCount: device.deliveredCount || 0,
+            failedCount: device.failedCount || 0,
+            lastDeliveredAt: device.lastDeliveredAt,
+            lastFailedAt: device.lastFailedAt,
+            lastError: device.lastError,
+            deactivatedAt: device.deactivatedAt,
+            deactivationReason: device.deactivationReason
+        }));
+    }
+
+    /**
+     * Delivery totals per device type, split into active and deactivated devices
+     */
+    async getDeviceStats() {
+        const staleBefore = new Date(Date.now() - this.ttlDays * 24 * 60 * 60 * 1000);
+
+        const byType = await User.aggregate([
+            { $match: { deletedAt: null } },
+            { $unwind: '$fcmTokens' },
+            {
+                $group: {
+                    _id: '$fcmTokens.deviceType',
+                    devices: { $sum: 1 },
+                    active: { $sum: { $cond: [{ $eq: ['$fcmTokens.isActive', false] }, 0, 1] } },
+                    stale: {
+                        $sum: {
+                            $cond: [
+                                { $lt: [{ $ifNull: ['$fcmTokens.lastSeenAt', '$fcmTokens.createdAt'] }, staleBefore] },
+                                1,
+                                0
+                            ]
+                        }
+                    },
+                    delivered: { $sum: { $ifNull: ['$fcmTokens.deliveredCount', 0] } },
+                    failed: { $sum: { $ifNull: ['$fcmTokens.failedCount', 0] } }
+                }
+            },
+            { $sort: { _id: 1 } }
+        ]);
+
+        const totals = byType.reduce((sum, row) => ({
+            devices: sum.devices + row.devices,
+            active: sum.active + row.active,
+            stale: sum.stale + row.stale,
+            delivered: sum.delivered + row.delivered,
+            failed: sum.failed + row.failed
+        }), { devices: 0, active: 0, stale: 0, delivered: 0, failed: 0 });
+
+        const attempts = totals.delivered + totals.failed;
+
+        return {
+            ttlDays: this.ttlDays,
+            totals: {
+                ...totals,
+                inactive: totals.devices - totals.active,
+                successRate: attempts > 0 ? Math.round((totals.delivered / attempts) * 1000) / 10 : null
+            },
+            byDeviceType: byType.map(({ _id, ...row }) => ({ deviceType: _id || 'unknown', ...row }))
+        };
+    }
+}
+
+module.exports = new DeviceTokenService();
@@ -0,0 +1,147 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+const notificationPolicyService = require('./notificationPolicyService');
+const { toDateKey } = require('./availabilityService');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTES_PER_DAY = 24 * 60;
+
+// Plural labels used in the digest summary line
+const TYPE_LABELS = {
+    appointment_reminder: 'appointment reminders',
+    appointment_cancelled: 'appointment cancellations',
+    appointment_rescheduled: 'rescheduled appointments',
+    lab_result_ready: 'lab results',
+    prescription_ready: 'prescriptions',
+    doctor_message: 'messages from doctors',
+    billing_reminder: 'billing reminders',
+    health_alert: 'health alerts',
+    system_update: 'system updates',
+    general: 'general updates'
+};
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Digest Service
+ * Sends each user one summary of the notifications held for their digest,
+ * daily or weekly at a local time of their choosing
+ */
+class DigestService {
+    /**
+     * Most recent scheduled digest time at or before `now`
+     * @param {Object} settings - preferences.notifications.digest
+     * @param {string} timeZone - IANA time zone of the user
+     * @returns {Date}
+     */
+    getLastSlot(settings, timeZone, now = new Date()) {
+        const { minutes, dayOfWeek } = notificationPolicyService.getLocalTime(now, timeZone);
+        const slotMinutes = toMinutes(settings.time || '08:00');
+
+        let daysBack = minutes >= slotMinutes ? 0 : 1;
+        if (settings.frequency === 'weekly') {
+            daysBack = (DAYS.indexOf(dayOfWeek) - DAYS.indexOf(settings.dayOfWeek || 'monday') + 7) % 7;
+            if (daysBack === 0 && minutes < slotMinutes) daysBack = 7;
+        }
+
+        const slot = new Date(now.getTime() - (minutes - slotMinutes + daysBack * MINUTES_PER_DAY) * 60 * 1000);
+        slot.setSeconds(0, 0);
+        return slot;
+    }
+
+    /**
+     * Whether a digest slot has passed since the last digest. Before the
+     * first digest, the slot must come after the first held notification,
+     * so it still goes out at the user's chosen time.
+     * @param {Date} firstHeldAt - When the oldest held notification was created
+     */
+    isDue(user, now = new Date(), firstHeldAt = null) {
+        const settings = user.preferences?.notifications?.digest || {};
+        const slot = this.getLastSlot(settings, user.preferences?.timezone, now);
+
+        if (settings.lastSentAt) return settings.lastSentAt < slot;
+        return !!firstHeldAt && firstHeldAt <= slot;
+    }
+
+    /**
+     * Send digests to every user whose digest time has passed
+     * @returns {Promise<{sent: number}>}
+     */
+    async sendDueDigests(now = new Date()) {
+        const held = await Notification.aggregate([
+            { $match: { digestStatus: 'pending', deletedAt: null } },
+            { $group: { _id: '$userId', firstHeldAt: { $min: '$createdAt' } } }
+        ]);
+        if (held.length === 0) return { sent: 0 };
+
+        const firstHeldAt = new Map(held.map(entry => [entry._id.toString(), entry.firstHeldAt]));
+        const users = await User.find({ _id: { $in: held.map(entry => entry._id) }, deletedAt: null }).select('preferences');
+        let sent = 0;
+
+        for (const user of users) {
+            if (!this.isDue(user, now, firstHeldAt.get(user._id.toString()))) continue;
+
+            try {
+                if (await this.sendDigest(user, now)) sent += 1;
+            } catch (error) {
+                console.error(`Error sending digest to user ${user._id}:`, error);
+            }
+        }
+
+        return { sent };
+    }
+
+    /**
+     * Summarise the user's held notifications in one digest notification.
+     * The summarised notifications stay readable on their own.
+     * @returns {Promise<Object|null>} - Digest notification, or null if nothing was held
+     */
+    async sendDigest(user, now = new Date()) {
+        const items = await Notification.find({
+            userId: user._id,
+            digestStatus: 'pending',
+            deletedAt: null
+        }).sort({ createdAt: 1 });
+
+        if (items.length === 0) return null;
+
+        const counts = items.reduce((totals, item) => {
+            totals[item.type] = (totals[item.type] || 0) + 1;
+            return totals;
+        }, {});
+
+        const summary = Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([type, count]) => `${count} ${TYPE_LABELS[type] || type.replace(/_/g, ' ')}`)
+            .join(', ');
+
+        const ids = items.map(item => item._id);
+        const digest = await NotificationService.notifyUser(user._id, {
+            template: 'notification_digest',
+            variables: {
+                period: user.preferences?.notifications?.digest?.frequency === 'weekly' ? 'weekly' : 'daily',
+                count: items.length,
+                since: toDateKey(items[0].createdAt),
+                summary
+            },
+            data: { metadata: { notificationIds: ids.map(id => id.toString()) } }
+        });
+
+        await Notification.updateMany(
+            { _id: { $in: ids }, digestStatus: 'pending' },
+            { $set: { digestStatus: 'sent', digestNotification: digest._id } }
+        );
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { 'preferences.notifications.digest.lastSentAt': now } }
+        );
+
+        return digest;
+    }
+}
+
+module.exports = new DigestService();
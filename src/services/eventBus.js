@@ -0,0 +1,76 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process event bus for real-time updates (SSE)
+ * Single Node process only; no external broker required
+ */
+class EventBus extends EventEmitter {
+    constructor() {
+        super();
+        // One listener per open SSE connection
+        this.setMaxListeners(0);
+        this.sequence = 0;
+    }
+
+    /**
+     * Publish an event to all connected subscribers
+     * @param {string} type - Event type, e.g. "appointment.status_changed"
+     * @param {Object} data - Event payload sent to clients
+     * @param {Object} audience - Who may see it: { userIds, doctorId, patientId, branchId }
+     */
+    publish(type, data, audience = {}) {
+        this.sequence += 1;
+
+        const event = {
+            id: this.sequence,
+            type,
+            data,
+            audience: {
+                userIds: (audience.userIds || []).filter(Boolean).map(String),
+                doctorId: audience.doctorId ? String(audience.doctorId) : null,
+                patientId: audience.patientId ? String(audience.patientId) : null,
+                branchId: audience.branchId ? String(audience.branchId) : null,
+                // Private events only go to the listed users, never to admins/branch staff
+                isPrivate: !!audience.isPrivate
+            },
+            timestamp: new Date().toISOString()
+        };
+
+        // Listener errors must never break the request that published the event
+        try {
+            this.emit('event', event);
+        } catch (error) {
+            console.error(`Error publishing event ${type}:`, error);
+        }
+
+        return event;
+    }
+
+    /**
+     * Subscribe to all events
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(listener) {
+        this.on('event', listener);
+        return () => this.off('event', listener);
+    }
+
+    /**
+     * Whether a user may receive an event
+     */
+    canReceive(user, event) {
+        const userId = user._id.toString();
+        const { audience } = event;
+
+        if (audience.userIds.includes(userId)) return true;
+        if (audience.isPrivate) return false;
+
+        if (user.role === 'admin') return true;
+        if (user.role === 'patient') return audience.patientId === userId;
+        if (user.role === 'doctor') return audience.doctorId === userId;
+
+        return !!user.branchId && audience.branchId === user.branchId.toString();
+    }
+}
+
+module.exports = new EventBus();
@@ -1,5 +1,14 @@
 const admin = require('firebase-admin');
 
+// Maximum tokens per multicast request
+const MULTICAST_BATCH_SIZE = 500;
+
+// Errors meaning the token will never work again
+const INVALID_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+];
+
 // FCM Service class
 class FCMService {
   /**
@@ -14,6 +23,14 @@ class FCMService {
     }
   }
 
+  /**
+   * Whether a Firebase app has been initialised with credentials
+   * @returns {boolean}
+   */
+  static isInitialized() {
+    return admin.apps.length > 0;
+  }
+
   /**
    * Send notification to single device
    * @param {string} token - Device FCM token
@@ -77,14 +94,34 @@ class FCMService {
   }
 
   /**
-   * Send notification to multiple devices
+   * Send notification to multiple devices, in batches of up to 500 tokens
    * @param {Array<string>} tokens - Array of device FCM tokens
    * @param {Object} payload - Notification payload
-   * @returns {Promise<Object>} - Result statistics
+   * @returns {Promise<Object>} - { successCount, failureCount, responses (one per
+   *   token, with the token), invalidTokens (tokens FCM will never accept) }
    */
   static async sendToMultipleDevices(tokens, payload) {
     try {
-      const message = {
+      // Silent pushes carry data only, so the app updates without alerting the user
+      const message = payload.silent ? {
+        data: {
+          ...payload.data,
+          timestamp: new Date().toISOString(),
+        },
+        android: {
+          priority: 'normal',
+        },
+        apns: {
+          headers: {
+            'apns-priority': '5',
+          },
+          payload: {
+            aps: {
+              'content-available': 1,
+            },
+          },
+        },
+      } : {
         notification: {
           title: payload.title,
           body: payload.body,
@@ -114,17 +151,31 @@ class FCMService {
         },
       };
 
-      const response = await admin.messaging().sendMulticast({
-        ...message,
-        tokens,
-      });
+      const result = { successCount: 0, failureCount: 0, responses: [], invalidTokens: [] };
 
-      console.log(`Message sent: ${response.successCount} successful, ${response.failureCount} failed`);
-      return {
-        successCount: response.successCount,
-        failureCount: response.failureCount,
-        responses: response.responses,
-      };
+      // FCM accepts at most MULTICAST_BATCH_SIZE tokens per multicast request
+      for (let i = 0; i < tokens.length; i += MULTICAST_BATCH_SIZE) {
+        const batch = tokens.slice(i, i + MULTICAST_BATCH_SIZE);
+        const response = await admin.messaging().sendEachForMulticast({
+          ...message,
+          tokens: batch,
+        });
+
+        result.successCount += response.successCount;
+        result.failureCount += response.failureCount;
+
+        response.responses.forEach((sendResponse, index) => {
+          const token = batch[index];
+          result.responses.push({ token, ...sendResponse });
+
+          if (!sendResponse.success && INVALID_TOKEN_ERRORS.includes(sendResponse.error?.code)) {
+            result.invalidTokens.push(token);
+          }
+        });
+      }
+
+      console.log(`Message sent: ${result.successCount} successful, ${result.failureCount} failed`);
+      return result;
     } catch (error) {
       console.error('Error sending multicast message:', error);
       throw error;
@@ -213,6 +264,8 @@ class FCMService {
 
   /**
    * Send scheduled notification (delayed)
+   * @deprecated The timer is lost on restart; use NotificationService.scheduleForUser,
+   * which queues a Notification that the job scheduler delivers when due
    * @param {string} token - Device token
    * @param {Object} payload - Notification payload
    * @param {number} delayMs - Delay in milliseconds
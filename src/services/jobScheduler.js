@@ -0,0 +1,104 @@
+const cron = require('node-cron');
+const NotificationService = require('./notificationService');
+const reminderService = require('./reminderService');
+const waitlistService = require('./waitlistService');
+const deviceTokenService = require('./deviceTokenService');
+const digestService = require('./digestService');
+const campaignService = require('./campaignService');
+
+/**
+ * Background Job Scheduler
+ * Runs periodic jobs with node-cron. Work is driven by documents in the
+ * database (e.g. Notification.scheduledFor), so nothing is lost on restart.
+ */
+class JobScheduler {
+    constructor() {
+        this.tasks = [];
+        this.running = new Set();
+    }
+
+    /**
+     * Register and start all jobs
+     */
+    start() {
+        if (this.tasks.length > 0) return;
+
+        this.register('dispatch-notifications', process.env.NOTIFICATION_DISPATCH_CRON || '* * * * *',
+            () => this.dispatchNotifications());
+        this.register('expire-waitlist-offers', '*/5 * * * *',
+            () => waitlistService.expireOffers());
+        this.register('expire-device-tokens', '0 3 * * *',
+            () => this.expireDeviceTokens());
+        // Digest times are per user, so check for due digests regularly
+        this.register('send-digests', '*/15 * * * *',
+            () => this.sendDigests());
+        this.register('run-campaigns', '* * * * *',
+            () => this.runCampaigns());
+
+        console.log(`⏰ Job scheduler started (${this.tasks.length} jobs)`);
+    }
+
+    stop() {
+        this.tasks.forEach(task => task.stop());
+        this.tasks = [];
+    }
+
+    /**
+     * Schedule a job; a run is skipped while the previous one is still going
+     */
+    register(name, expression, job) {
+        const task = cron.schedule(expression, async () => {
+            if (this.running.has(name)) return;
+            this.running.add(name);
+
+            try {
+                await job();
+            } catch (error) {
+                console.error(`Job ${name} failed:`, error);
+            } finally {
+                this.running.delete(name);
+            }
+        });
+
+        this.tasks.push(task);
+        return task;
+    }
+
+    async dispatchNotifications() {
+        const { sent, retried, failed } = await NotificationService.dispatchDue();
+
+        await Promise.all(sent
+            .filter(notification => notification.type === 'appointment_reminder')
+            .map(notification => reminderService.markReminderSent(notification)));
+
+        if (sent.length + retried + failed > 0) {
+            console.log(`📨 Notifications dispatched: ${sent.length} sent, ${retried} retrying, ${failed} failed`);
+        }
+    }
+
+    async sendDigests() {
+        const { sent } = await digestService.sendDueDigests();
+
+        if (sent > 0) {
+            console.log(`📰 Sent ${sent} notification digest(s)`);
+        }
+    }
+
+    async runCampaigns() {
+        const { started, completed } = await campaignService.processCampaigns();
+
+        if (started + completed > 0) {
+            console.log(`📣 Campaigns: ${started} started, ${completed} completed`);
+        }
+    }
+
+    async expireDeviceTokens() {
+        const users = await deviceTokenService.expireStaleTokens();
+
+        if (users > 0) {
+            console.log(`📱 Expired stale device tokens for ${users} user(s)`);
+        }
+    }
+}
+
+module.exports = new JobScheduler();
@@ -0,0 +1,426 @@
+const LabTest = require('../models/LabTest');
+const LabReport = require('../models/LabReport');
+const LabPackage = require('../models/LabPackage');
+const Invoice = require('../models/Invoice');
+
+// Lab tests are ordered during or after the consultation
+const ORDERABLE_APPOINTMENT_STATUSES = ['in_progress', 'completed'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Lab Order Service
+ * Turns orders for tests and packages into pending lab reports and invoices
+ */
+class LabOrderService {
+
+    /**
+     * Load active member tests, in the order given
+     * @param {Array<ObjectId|string>} testIds - LabTest IDs
+     * @returns {Promise<{tests?: Array<Object>, error?: string, statusCode?: number}>}
+     */
+    async resolveTests(testIds = []) {
+        const ids = [...new Set(testIds.map(id => id.toString()))];
+        if (ids.length !== testIds.length) {
+            return { error: 'A test can only be included once', statusCode: 400 };
+        }
+
+        const tests = await LabTest.find({ _id: { $in: ids }, isActive: true, deletedAt: null });
+        if (tests.length !== ids.length) {
+            return { error: 'One or more tests were not found or are inactive', statusCode: 400 };
+        }
+
+        return { tests: ids.map(id => tests.find(test => test._id.toString() === id)) };
+    }
+
+    /**
+     * Combined collection requirements for a set of tests: one sample per
+     * sample type and container, the longest fast, and every preparation step
+     * @param {Array<Object>} tests - LabTest documents
+     * @returns {Object} - LabPackage.samplePlan
+     */
+    buildSamplePlan(tests) {
+        const samples = [];
+        const preparationInstructions = [];
+
+        tests.forEach(test => {
+            const containerType = test.containerType || null;
+            let sample = samples.find(s => s.sampleType === test.sampleType && s.containerType === containerType);
+            if (!sample) {
+                sample = { sampleType: test.sampleType, containerType, tests: [] };
+                samples.push(sample);
+            }
+            sample.tests.push(test.testCode);
+
+            (test.preparationInstructions || []).forEach(step => {
+                if (!preparationInstructions.some(existing => existing.instruction === step.instruction)) {
+                    preparationInstructions.push({
+                        instruction: step.instruction,
+                        timeframe: step.timeframe,
+                        importance: step.importance
+                    });
+                }
+            });
+        });
+
+        const fastingHours = Math.max(0, ...tests.map(test => (test.fastingRequired ? test.fastingHours || 0 : 0)));
+
+        return {
+            samples,
+            fastingRequired: tests.some(test => test.fastingRequired),
+            fastingHours,
+            preparationInstructions
+        };
+    }
+
+    /**
+     * Split a package price across its tests in proportion to their own base
+     * prices, so the report amounts add up to the package price
+     * @returns {Array<number>} - Amount per test
+     */
+    allocatePrice(tests, price) {
+        const listTotal = tests.reduce((sum, test) => sum + test.pricing.basePrice, 0);
+        let remaining = price;
+
+        return tests.map((test, index) => {
+            if (index === tests.length - 1) return roundCurrency(remaining);
+
+            const share = listTotal > 0
+                ? roundCurrency(price * test.pricing.basePrice / listTotal)
+                : roundCurrency(price / tests.length);
+            remaining -= share;
+            return share;
+        });
+    }
+
+    /**
+     * Unsaved pending report for one ordered test
+     * @param {Object} test - LabTest document
+     * @param {Object} order - { patient, branchId, appointment, priority, clinicalDiagnosis, clinicalHistory, createdBy }
+     */
+    buildReport(test, order, amount, notes) {
+        return new LabReport({
+            patient: order.patient,
+            appointment: order.appointment,
+            labTest: test._id,
+            labPackage: order.labPackage,
+            sampleType: test.sampleType,
+            priority: order.priority || 'routine',
+            clinicalDiagnosis: order.clinicalDiagnosis,
+            clinicalHistory: order.clinicalHistory,
+            billing: { amount },
+            branchId: order.branchId,
+            trackingHistory: [{ status: 'pending', updatedBy: order.createdBy, notes }],
+            createdBy: order.createdBy
+        });
+    }
+
+    /**
+     * Save new reports one at a time so each gets the next daily report number.
+     * If one fails, the ones already saved are withdrawn.
+     */
+    async saveReports(reports) {
+        try {
+            for (const report of reports) {
+                await report.save();
+            }
+        } catch (error) {
+            await LabReport.updateMany(
+                { _id: { $in: reports.map(report => report._id) } },
+                { $set: { deletedAt: new Date() } }
+            );
+            throw error;
+        }
+
+        await LabTest.updateMany(
+            { _id: { $in: reports.map(report => report.labTest) } },
+            { $inc: { 'stats.totalOrders': 1 } }
+        );
+    }
+
+    /**
+     * Withdraw reports and invoices from an order that could not be completed
+     */
+    async discardOrder(reports, invoices = []) {
+        const deletedAt = new Date();
+
+        await LabReport.updateMany(
+            { _id: { $in: reports.map(report => report._id) } },
+            { $set: { status: 'cancelled', deletedAt } }
+        );
+        await Invoice.updateMany(
+            { _id: { $in: invoices.map(invoice => invoice._id) } },
+            { $set: { status: 'cancelled', deletedAt } }
+        );
+    }
+
+    /**
+     * Order a package for a patient: one pending lab report per member test,
+     * billed together as a single invoice line
+     * @param {Object} labPackage - LabPackage document
+     * @param {Object} order - { patient, branchId, appointment, priority, clinicalDiagnosis, clinicalHistory, createdBy }
+     * @returns {Promise<{reports?: Array<Object>, invoice?: Object, error?: string, statusCode?: number}>}
+     */
+    async orderPackage(labPackage, order) {
+        const { patient, branchId, appointment, createdBy } = order;
+
+        if (!labPackage.isActive || !labPackage.isAvailableAt(branchId)) {
+            return { error: `${labPackage.name} is not available at the selected branch`, statusCode: 400 };
+        }
+
+        const { tests, error, statusCode } = await this.resolveTests(labPackage.tests);
+        if (error) {
+            return { error: `${labPackage.name} contains tests that are no longer offered`, statusCode };
+        }
+
+        const price = labPackage.getPrice(branchId);
+        const amounts = this.allocatePrice(tests, price);
+
+        const reports = tests.map((test, index) => this.buildReport(
+            test,
+            { ...order, labPackage: labPackage._id },
+            amounts[index],
+            `Ordered as ${labPackage.code}`
+        ));
+
+        const invoice = await Invoice.create({
+            patient,
+            appointment,
+            labReports: reports.map(report => report._id),
+            items: [{
+                description: `${labPackage.name} (${labPackage.code}) - ${tests.length} tests`,
+                itemType: 'lab_test',
+                quantity: 1,
+                unitPrice: price,
+                totalAmount: price
+            }],
+            subtotal: price,
+            totalAmount: price,
+            currency: labPackage.pricing.currency,
+            branchId,
+            createdBy
+        });
+
+        reports.forEach(report => {
+            report.billing.invoiceId = invoice.invoiceId;
+        });
+
+        try {
+            await this.saveReports(reports);
+        } catch (saveError) {
+            invoice.status = 'cancelled';
+            invoice.deletedAt = new Date();
+            await invoice.save();
+            throw saveError;
+        }
+
+        return { reports, invoice, tests };
+    }
+
+    /**
+     * Place the lab orders from a consultation. Each test becomes a pending
+     * report for sample collection and is recorded on Appointment.labTests;
+     * packages are expanded and billed as in orderPackage.
+     * @param {Object} appointment - Appointment document
+     * @param {Object} order - { tests: [{ testId, urgency, instructions }], packages: [{ packageId, urgency }],
+     *                          clinicalDiagnosis, clinicalHistory, orderedBy }
+     * @returns {Promise<{reports?: Array<Object>, invoices?: Array<Object>, error?: string, statusCode?: number}>}
+     */
+    async orderForAppointment(appointment, order) {
+        const { tests: testOrders = [], packages: packageOrders = [], orderedBy } = order;
+
+        if (!ORDERABLE_APPOINTMENT_STATUSES.includes(appointment.status)) {
+            return { error: `Cannot order lab tests for an appointment that is ${appointment.status}`, statusCode: 400 };
+        }
+        if (testOrders.length + packageOrders.length === 0) {
+            return { error: 'Order at least one test or package', statusCode: 400 };
+        }
+
+        const base = {
+            patient: appointment.patient,
+            appointment: appointment._id,
+            branchId: appointment.branchId,
+            clinicalDiagnosis: order.clinicalDiagnosis,
+            clinicalHistory: order.clinicalHistory,
+            createdBy: orderedBy
+        };
+
+        const { tests, error, statusCode } = await this.resolveTests(testOrders.map(item => item.testId));
+        if (error) return { error, statusCode };
+
+        const packages = await LabPackage.find({
+            _id: { $in: packageOrders.map(item => item.packageId) },
+            deletedAt: null
+        });
+        if (packages.length !== new Set(packageOrders.map(item => item.packageId.toString())).size) {
+            return { error: 'One or more packages were not found', statusCode: 400 };
+        }
+
+        // Check every test and package before creating anything
+        const unavailable = packages.find(labPackage => !labPackage.isActive || !labPackage.isAvailableAt(appointment.branchId));
+        if (unavailable) {
+            return { error: `${unavailable.name} is not available at this branch`, statusCode: 400 };
+        }
+
+        for (const labPackage of packages) {
+            const members = await this.resolveTests(labPackage.tests);
+            if (members.error) {
+                return { error: `${labPackage.name} contains tests that are no longer offered`, statusCode: 400 };
+            }
+        }
+
+        for (const [index, test] of tests.entries()) {
+            const urgency = testOrders[index].urgency || 'routine';
+            const branchConfig = test.branches.find(b => b.branchId && b.branchId.toString() === appointment.branchId.toString());
+
+            if (branchConfig && !branchConfig.isAvailable) {
+                return { error: `${test.testName} is not available at this branch`, statusCode: 400 };
+            }
+            if (urgency !== 'routine' && !test.isUrgentAvailable) {
+                return { error: `Urgent processing is not available for ${test.testName}`, statusCode: 400 };
+            }
+        }
+
+        const orderedAt = new Date();
+        const reports = tests.map((test, index) => {
+            const urgency = testOrders[index].urgency || 'routine';
+            return this.buildReport(
+                test,
+                { ...base, priority: urgency },
+                test.getPrice(appointment.branchId, urgency !== 'routine'),
+                testOrders[index].instructions
+            );
+        });
+        await this.saveReports(reports);
+
+        const ordered = tests.map((test, index) => ({
+            test,
+            urgency: testOrders[index].urgency || 'routine',
+            instructions: testOrders[index].instructions
+        }));
+
+        const invoices = [];
+        for (const labPackage of packages) {
+            const urgency = packageOrders.find(item => item.packageId.toString() === labPackage._id.toString()).urgency || 'routine';
+
+            let result;
+            try {
+                result = await this.orderPackage(labPackage, { ...base, priority: urgency });
+            } catch (error) {
+                await this.discardOrder(reports, invoices);
+                throw error;
+            }
+
+            if (result.error) {
+                // The catalog changed since the checks above; withdraw what was already placed
+                await this.discardOrder(reports, invoices);
+                return { error: result.error, statusCode: result.statusCode };
+            }
+
+            reports.push(...result.reports);
+            invoices.push(result.invoice);
+            ordered.push(...result.tests.map(test => ({ test, urgency })));
+        }
+
+        // Record the orders on the consultation, completing any tests the doctor had suggested
+        ordered.forEach(({ test, urgency, instructions }) => {
+            const suggested = appointment.labTests.find(item =>
+                !item.ordered && item.testId && item.testId.toString() === test._id.toString());
+
+            if (suggested) {
+                suggested.urgency = urgency;
+                suggested.instructions = instructions || suggested.instructions;
+                suggested.ordered = true;
+                suggested.orderedAt = orderedAt;
+            } else {
+                appointment.labTests.push({
+                    testName: test.testName,
+                    testId: test._id,
+                    urgency,
+                    instructions,
+                    ordered: true,
+                    orderedAt
+                });
+            }
+        });
+        appointment.updatedBy = orderedBy;
+        await appointment.save();
+
+        return { reports, invoices };
+    }
+
+    /**
+     * Record that a pending report's sample was drawn. A sample that is not
+     * acceptable is rejected straight away so it can be recollected.
+     * @returns {Promise<{report?: Object, error?: string, statusCode?: number}>}
+     */
+    async collectSample(report, { sampleCondition = 'acceptable', notes, collectedBy }) {
+        if (report.status !== 'pending' || report.sampleCollectedAt) {
+            return { error: 'Sample has already been collected for this report', statusCode: 400 };
+        }
+
+        report.sampleCollectedAt = new Date();
+        report.sampleCollectedBy = collectedBy;
+        report.sampleCondition = sampleCondition;
+
+        if (sampleCondition !== 'acceptable') {
+            return this.rejectSample(report, { sampleCondition, reason: notes, rejectedBy: collectedBy });
+        }
+
+        report.updateStatus('in_progress', collectedBy, notes || `Sample ${report.sampleId} collected`);
+        await report.save();
+
+        return { report };
+    }
+
+    /**
+     * Reject a collected sample that cannot be used, before any results are entered
+     * @returns {Promise<{report?: Object, error?: string, statusCode?: number}>}
+     */
+    async rejectSample(report, { sampleCondition, reason, rejectedBy }) {
+        if (!report.sampleCollectedAt || !['pending', 'in_progress'].includes(report.status)) {
+            return { error: 'Only a collected sample awaiting results can be rejected', statusCode: 400 };
+        }
+        if (report.results.length > 0) {
+            return { error: 'Results have already been entered for this sample', statusCode: 400 };
+        }
+
+        report.sampleCondition = sampleCondition;
+        report.sampleRejections.push({
+            sampleId: report.sampleId,
+            sampleCondition,
+            reason,
+            collectedAt: report.sampleCollectedAt,
+            rejectedBy
+        });
+        report.updateStatus('rejected', rejectedBy, `Sample ${report.sampleId} rejected (${sampleCondition})${reason ? `: ${reason}` : ''}`);
+        await report.save();
+
+        return { report };
+    }
+
+    /**
+     * Put a report with a rejected sample back on the collection worklist
+     * under a new sample ID
+     * @returns {Promise<{report?: Object, error?: string, statusCode?: number}>}
+     */
+    async requestRecollection(report, { requestedBy, notes }) {
+        const lastRejection = report.sampleRejections[report.sampleRejections.length - 1];
+
+        if (report.status !== 'rejected' || !lastRejection || lastRejection.sampleId !== report.sampleId) {
+            return { error: 'Only a report with a rejected sample can be recollected', statusCode: 400 };
+        }
+
+        const baseSampleId = report.sampleId.replace(/-R\d+$/, '');
+        report.sampleId = `${baseSampleId}-R${report.sampleRejections.length}`;
+        report.sampleCollectedAt = undefined;
+        report.sampleCollectedBy = undefined;
+        report.sampleCondition = 'acceptable';
+        report.updateStatus('pending', requestedBy, notes || `Recollection requested as ${report.sampleId}`);
+        await report.save();
+
+        return { report };
+    }
+}
+
+module.exports = new LabOrderService();
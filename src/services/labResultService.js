@@ -0,0 +1,421 @@
+const crypto = require('crypto');
+const LabTest = require('../models/LabTest');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+
+// Results can be entered once the sample is in the lab, and corrected until the report is verified
+const EDITABLE_STATUSES = ['in_progress', 'completed'];
+
+const parseNumber = (value) => {
+    const number = Number(String(value).trim());
+    return String(value).trim() !== '' && Number.isFinite(number) ? number : null;
+};
+
+// Parameters with numeric limits only accept numbers; a typo must not read as a normal result
+const isNumericParameter = (definition) => {
+    const { male, female, pediatric } = definition.normalRange || {};
+    const critical = definition.criticalValues || {};
+    return [male, female, pediatric].some(r => r && (r.min != null || r.max != null)) ||
+        critical.low != null || critical.high != null;
+};
+
+const formatRange = (range, unit) => {
+    if (!range) return undefined;
+
+    const suffix = unit ? ` ${unit}` : '';
+    if (range.min != null && range.max != null) return `${range.min}-${range.max}${suffix}`;
+    if (range.min != null) return `>= ${range.min}${suffix}`;
+    if (range.max != null) return `<= ${range.max}${suffix}`;
+    return range.text || undefined;
+};
+
+const formatCritical = (criticalValues, unit) => {
+    if (!criticalValues) return undefined;
+
+    const suffix = unit ? ` ${unit}` : '';
+    const limits = [];
+    if (criticalValues.low != null) limits.push(`< ${criticalValues.low}${suffix}`);
+    if (criticalValues.high != null) limits.push(`> ${criticalValues.high}${suffix}`);
+    return limits.length > 0 ? limits.join(' or ') : undefined;
+};
+
+/**
+ * Lab Result Service
+ * Result entry for lab reports, flagged against the test's reference ranges
+ * for the patient's age and gender, and verification before release
+ */
+class LabResultService {
+
+    /**
+     * Flag for one value: critical limits first, then the normal range.
+     * Text results are abnormal when they differ from the expected text, as
+     * are non-numeric values for parameters with numeric limits.
+     * @returns {string|null} - normal, high, low, critical_high, critical_low or
+     *          abnormal; null when no reference range applies to the patient
+     */
+    getFlag(labTest, parameter, value, range) {
+        const number = parseNumber(value);
+        const definition = labTest.referenceRanges.find(r => r.parameter === parameter);
+
+        if (number === null) {
+            if (definition && isNumericParameter(definition)) return 'abnormal';
+            if (!range) return null;
+            if (range.text && String(value).trim().toLowerCase() !== range.text.trim().toLowerCase()) {
+                return 'abnormal';
+            }
+            return 'normal';
+        }
+
+        if (labTest.isCriticalValue(parameter, number)) {
+            return number < definition.criticalValues.low ? 'critical_low' : 'critical_high';
+        }
+
+        if (!range) return null;
+        if (range.min != null && number < range.min) return 'low';
+        if (range.max != null && number > range.max) return 'high';
+        return 'normal';
+    }
+
+    /**
+     * Patient details used to pick reference ranges
+     * @returns {Promise<{gender: string|null, age: number|null}>}
+     */
+    async getDemographics(patientId) {
+        const patient = await User.findById(patientId).select('gender dateOfBirth');
+        return {
+            gender: patient?.gender || null,
+            age: patient ? patient.age : null
+        };
+    }
+
+    /**
+     * Add or replace results on a report. Every parameter must be one the
+     * test defines; flags and reference range text are filled in here.
+     * @param {Object} report - LabReport document
+     * @param {Array<Object>} entries - [{ parameter, value, unit, interpretation, method }]
+     * @param {Object} options - { enteredBy, technologistComments }
+     * @returns {Promise<{report?: Object, error?: string, statusCode?: number}>}
+     */
+    async enterResults(report, entries, { enteredBy, technologistComments }) {
+        if (!EDITABLE_STATUSES.includes(report.status)) {
+            return { error: `Results cannot be entered for a report that is ${report.status}`, statusCode: 400 };
+        }
+
+        const labTest = await LabTest.findById(report.labTest);
+        if (!labTest) {
+            return { error: 'Lab test for this report no longer exists', statusCode: 400 };
+        }
+
+        const known = labTest.referenceRanges.map(r => r.parameter);
+        const unknown = entries.map(entry => entry.parameter).filter(parameter => !known.includes(parameter));
+        if (unknown.length > 0) {
+            return { error: `Unknown parameter(s) for ${labTest.testName}: ${unknown.join(', ')}`, statusCode: 400 };
+        }
+
+        const parameters = entries.map(entry => entry.parameter);
+        if (new Set(parameters).size !== parameters.length) {
+            return { error: 'Each parameter can only be entered once', statusCode: 400 };
+        }
+
+        const notNumeric = entries
+            .filter(entry => parseNumber(entry.value) === null)
+            .filter(entry => isNumericParameter(labTest.referenceRanges.find(r => r.parameter === entry.parameter)))
+            .map(entry => entry.parameter);
+        if (notNumeric.length > 0) {
+            return { error: `A numeric value is required for: ${notNumeric.join(', ')}`, statusCode: 400 };
+        }
+
+        const { gender, age } = await this.getDemographics(report.patient);
+
+        entries.forEach(entry => {
+            const definition = labTest.referenceRanges.find(r => r.parameter === entry.parameter);
+            const range = labTest.getReferenceRange(entry.parameter, gender, age);
+            const unit = entry.unit || definition.unit;
+
+            const result = {
+                parameter: entry.parameter,
+                value: String(entry.value).trim(),
+                unit,
+                referenceRange: {
+                    normal: formatRange(range, unit),
+                    critical: formatCritical(definition.criticalValues, unit)
+                },
+                flag: this.getFlag(labTest, entry.parameter, entry.value, range),
+                interpretation: entry.interpretation,
+                method: entry.method || labTest.methodology,
+                enteredBy,
+                enteredAt: new Date()
+            };
+
+            const existing = report.results.find(r => r.parameter === entry.parameter);
+            if (existing) {
+                existing.set(result);
+            } else {
+                report.results.push(result);
+            }
+        });
+
+        // Keep results in the order the test defines them
+        report.results.sort((a, b) => known.indexOf(a.parameter) - known.indexOf(b.parameter));
+
+        if (technologistComments !== undefined) report.technologistComments = technologistComments;
+        if (!report.processedAt) {
+            report.processedAt = new Date();
+            report.processedBy = enteredBy;
+        }
+        report.criticalValueAlert.hasAlert = report.hasCriticalValues();
+        report.updatedBy = enteredBy;
+
+        // Corrections send a completed report back for another check
+        if (report.status === 'completed') {
+            report.updateStatus('in_progress', enteredBy, `Results corrected: ${parameters.join(', ')}`);
+        }
+
+        await report.save();
+
+        return { report };
+    }
+
+    /**
+     * Mark results complete once every parameter of the test has a value
+     * @returns {Promise<{report?: Object, error?: string, statusCode?: number}>}
+     */
+    async completeResults(report, { completedBy, notes }) {
+        if (report.status !== 'in_progress') {
+            return { error: `Cannot complete a report that is ${report.status}`, statusCode: 400 };
+        }
+
+        const labTest = await LabTest.findById(report.labTest).select('referenceRanges');
+        const entered = report.results.map(r => r.parameter);
+        const missing = (labTest?.referenceRanges || [])
+            .map(r => r.parameter)
+            .filter(parameter => !entered.includes(parameter));
+
+        if (report.results.length === 0 || missing.length > 0) {
+            return {
+                error: missing.length > 0 ? `Results missing for: ${missing.join(', ')}` : 'No results have been entered',
+                statusCode: 400
+            };
+        }
+
+        const abnormal = report.getAbnormalResults().length;
+
+        report.analyzedAt = new Date();
+        report.analyzedBy = completedBy;
+        report.stats.processingTime = Math.round((report.analyzedAt - report.sampleCollectedAt) / (1000 * 60 * 60));
+        report.updateStatus('completed', completedBy,
+            notes || `${report.results.length} result(s) entered, ${abnormal} outside the reference range`);
+        await report.save();
+
+        return { report };
+    }
+
+    /**
+     * Reports are signed with LAB_SIGNING_SECRET, which never leaves the
+     * server, so a signature cannot be recomputed from database access alone
+     */
+    isSigningConfigured() {
+        return !!process.env.LAB_SIGNING_SECRET;
+    }
+
+    /**
+     * HMAC-SHA256 over the signed content of a report: its results, version
+     * and sign-off. Any later change to these gives a different signature.
+     * @returns {string} - Hex digest
+     */
+    computeSignature(report, verification = report.verification) {
+        if (!this.isSigningConfigured()) {
+            throw new Error('LAB_SIGNING_SECRET is not configured');
+        }
+
+        const content = {
+            reportId: report.reportId,
+            sampleId: report.sampleId,
+            patient: String(report.patient?._id || report.patient),
+            labTest: String(report.labTest?._id || report.labTest),
+            version: report.version,
+            results: report.results.map(result => ({
+                parameter: result.parameter,
+                value: result.value,
+                unit: result.unit || null,
+                flag: result.flag,
+                normal: result.referenceRange?.normal || null,
+                critical: result.referenceRange?.critical || null
+            })),
+            verifiedBy: String(verification.verifiedBy?._id || verification.verifiedBy),
+            verifiedAt: new Date(verification.verifiedAt).toISOString()
+        };
+
+        return crypto.createHmac('sha256', process.env.LAB_SIGNING_SECRET)
+            .update(JSON.stringify(content))
+            .digest('hex');
+    }
+
+    /**
+     * Whether a verified report still matches its signature
+     */
+    isSignatureValid(report) {
+        const signature = report.verification?.digitalSignature;
+        if (!signature) return false;
+
+        const expected = Buffer.from(this.computeSignature(report), 'hex');
+        const actual = Buffer.from(signature, 'hex');
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    /**
+     * Second step of the two-step check. Someone other than the people who
+     * entered the results either approves them, which signs, locks and
+     * releases the report, or sends them back for correction.
+     * @param {Object} report - LabReport document
+     * @param {Object} options - { verifiedBy, approved, notes }
+     * @returns {Promise<{report?: Object, error?: string, statusCode?: number}>}
+     */
+    async verifyReport(report, { verifiedBy, approved = true, notes }) {
+        if (report.status !== 'completed') {
+            return { error: `Only completed reports can be verified; this report is ${report.status}`, statusCode: 400 };
+        }
+
+        if (approved && !this.isSigningConfigured()) {
+            return { error: 'Report signing is not configured', statusCode: 503 };
+        }
+
+        const enteredBy = [
+            ...report.results.map(result => result.enteredBy),
+            report.analyzedBy
+        ].filter(Boolean).map(String);
+
+        if (enteredBy.includes(String(verifiedBy))) {
+            return { error: 'Results must be verified by someone other than the person who entered them', statusCode: 403 };
+        }
+
+        if (!approved) {
+            if (!notes) {
+                return { error: 'A reason is required when returning results for correction', statusCode: 400 };
+            }
+
+            report.updatedBy = verifiedBy;
+            report.updateStatus('in_progress', verifiedBy, `Returned for correction: ${notes}`);
+            await report.save();
+
+            return { report };
+        }
+
+        const verification = {
+            verifiedBy,
+            verifiedAt: new Date(),
+            verificationNotes: notes
+        };
+        verification.digitalSignature = this.computeSignature(report, verification);
+
+        report.verification = verification;
+        if (report.analyzedAt) {
+            report.stats.verificationTime = Math.round((verification.verifiedAt - report.analyzedAt) / (1000 * 60 * 60));
+        }
+        report.updatedBy = verifiedBy;
+        report.updateStatus('verified', verifiedBy,
+            report.version > 1 ? `Version ${report.version} verified and released` : 'Verified and released to patient');
+        await report.save();
+
+        await this.notifyPatient(report);
+
+        return { report };
+    }
+
+    /**
+     * Amend a verified report. The verified version is kept along with the
+     * reason, and the corrected results become a new version that must be
+     * completed and verified again before the patient sees it.
+     * @param {Object} report - LabReport document
+     * @param {Array<Object>} entries - Corrected results, as for enterResults
+     * @param {Object} options - { reason, amendedBy }
+     * @returns {Promise<{report?: Object, error?: string, statusCode?: number}>}
+     */
+    async amendReport(report, entries, { reason, amendedBy }) {
+        if (report.status !== 'verified') {
+            return { error: 'Only verified reports can be amended', statusCode: 400 };
+        }
+
+        if (!reason || !String(reason).trim()) {
+            return { error: 'A reason is required to amend a verified report', statusCode: 400 };
+        }
+
+        const previous = {
+            version: report.version,
+            results: report.results.map(result => result.toObject()),
+            verification: report.verification.toObject(),
+            amendmentReason: String(reason).trim(),
+            amendedBy,
+            amendedAt: new Date()
+        };
+
+        report.versions.push(previous);
+        report.version += 1;
+        report.verification = {};
+        report.updateStatus('in_progress', amendedBy, `Amendment v${report.version}: ${previous.amendmentReason}`);
+
+        const result = await this.enterResults(report, entries, { enteredBy: amendedBy });
+
+        // Nothing was saved, so put the report back as it was
+        if (result.error) {
+            report.versions.pop();
+            report.version = previous.version;
+            report.verification = previous.verification;
+            report.status = 'verified';
+            report.trackingHistory.pop();
+        }
+
+        return result;
+    }
+
+    /**
+     * What a patient may see of a report: the current version once it is
+     * verified, or the last verified version while an amendment is pending
+     * @returns {Object|null} - null when nothing has been released yet
+     */
+    getReleasedVersion(report) {
+        if (report.status === 'verified') {
+            return {
+                version: report.version,
+                results: report.results,
+                verification: report.verification,
+                amendmentInProgress: false
+            };
+        }
+
+        const last = report.versions[report.versions.length - 1];
+        if (!last) return null;
+
+        return {
+            version: last.version,
+            results: last.results,
+            verification: last.verification,
+            amendmentInProgress: true
+        };
+    }
+
+    /**
+     * Tell the patient their results are ready to view
+     */
+    async notifyPatient(report) {
+        try {
+            const labTest = await LabTest.findById(report.labTest).select('testName');
+
+            await NotificationService.notifyUser(report.patient, {
+                template: 'lab_result_ready',
+                variables: {
+                    reportId: report.reportId,
+                    testName: labTest?.testName || 'Lab test'
+                },
+                data: {
+                    referenceId: report._id.toString(),
+                    referenceType: 'report'
+                }
+            });
+        } catch (error) {
+            console.error(`Error notifying patient about report ${report.reportId}:`, error);
+        }
+    }
+}
+
+module.exports = new LabResultService();
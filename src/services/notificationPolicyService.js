@@ -0,0 +1,159 @@
+const Notification = require('../models/Notification');
+
+// Delivered without waiting for quiet hours to end; waitlist offers expire before the night is over
+const QUIET_HOURS_EXEMPT_PRIORITIES = ['urgent'];
+const QUIET_HOURS_EXEMPT_TYPES = ['high_risk_alert', 'waitlist_offer'];
+
+// Most notifications of one type a user receives per rate window
+const DEFAULT_RATE_CAP = 10;
+const RATE_CAPS_BY_TYPE = {
+    appointment_reminder: 6,
+    waitlist_offer: 5,
+    billing_reminder: 3,
+    high_risk_alert: 20
+};
+const RATE_WINDOW_MINUTES = 60;
+
+// Time-critical types are never held for a digest
+const NEVER_DIGESTED_TYPES = ['high_risk_alert', 'fraud_alert', 'waitlist_offer', 'digest'];
+const DIGESTED_PRIORITIES = ['low', 'normal'];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Wall-clock time at `date` in a time zone (UTC if the zone is unknown)
+ * @returns {{minutes: number, dayOfWeek: string}} - Minutes since midnight and weekday
+ */
+const localTime = (date, timeZone) => {
+    let parts;
+    try {
+        parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone || 'UTC',
+            weekday: 'long',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date);
+    } catch (error) {
+        return localTime(date, 'UTC');
+    }
+
+    const value = type => parts.find(part => part.type === type).value;
+    return {
+        minutes: Number(value('hour')) * 60 + Number(value('minute')),
+        dayOfWeek: value('weekday').toLowerCase()
+    };
+};
+
+/**
+ * Notification Policy Service
+ * Decides whether a notification may go out now: digest opt-ins, per-user
+ * quiet hours and per-user, per-type rate caps
+ */
+class NotificationPolicyService {
+    constructor() {
+        this.defaultRateCap = parseInt(process.env.NOTIFICATION_RATE_CAP_PER_HOUR) || DEFAULT_RATE_CAP;
+    }
+
+    bypassesQuietHours(notification) {
+        return QUIET_HOURS_EXEMPT_PRIORITIES.includes(notification.priority) ||
+            QUIET_HOURS_EXEMPT_TYPES.includes(notification.type);
+    }
+
+    /**
+     * When the user's quiet hours end, if `now` falls inside them
+     * @param {Object} user - User with preferences
+     * @returns {Date|null} - null when delivery may go ahead
+     */
+    getQuietHoursEnd(user, now = new Date()) {
+        const quietHours = user.preferences?.notifications?.quietHours;
+        if (!quietHours || !quietHours.enabled || !quietHours.start || !quietHours.end) return null;
+
+        const start = toMinutes(quietHours.start);
+        const end = toMinutes(quietHours.end);
+        if (start === end) return null;
+
+        const current = localTime(now, user.preferences?.timezone).minutes;
+
+        // Windows may wrap past midnight (e.g. 22:00-07:00)
+        const inWindow = start < end
+            ? current >= start && current < end
+            : current >= start || current < end;
+        if (!inWindow) return null;
+
+        const minutesLeft = (end - current + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+        const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+        endsAt.setSeconds(0, 0);
+        return endsAt;
+    }
+
+    /**
+     * Time to hold a notification until, or null to deliver now
+     */
+    getDeferral(notification, user, now = new Date()) {
+        if (this.bypassesQuietHours(notification)) return null;
+        return this.getQuietHoursEnd(user, now);
+    }
+
+    /**
+     * Types a user may move into their digest
+     */
+    getDigestibleTypes() {
+        return Notification.schema.path('type').enumValues.filter(type => !NEVER_DIGESTED_TYPES.includes(type));
+    }
+
+    /**
+     * Whether the user wants this notification summarised in their digest
+     * rather than sent on its own
+     */
+    shouldDigest(notification, user) {
+        const types = user.preferences?.notifications?.digest?.types || [];
+
+        return types.includes(notification.type) &&
+            DIGESTED_PRIORITIES.includes(notification.priority) &&
+            !NEVER_DIGESTED_TYPES.includes(notification.type);
+    }
+
+    getRateCap(type) {
+        return RATE_CAPS_BY_TYPE[type] || this.defaultRateCap;
+    }
+
+    /**
+     * Whether the user already received the maximum number of this type of
+     * notification within the rate window
+     */
+    async isOverRateCap(notification) {
+        const windowStart = new Date(Date.now() - RATE_WINDOW_MINUTES * 60 * 1000);
+
+        const recent = await Notification.countDocuments({
+            _id: { $ne: notification._id },
+            userId: notification.userId,
+            type: notification.type,
+            status: { $in: ['sent', 'read'] },
+            digestStatus: null,
+            sentAt: { $gte: windowStart }
+        });
+
+        return recent >= this.getRateCap(notification.type);
+    }
+
+    getLocalTime(date, timeZone) {
+        return localTime(date, timeZone);
+    }
+
+    isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+module.exports = new NotificationPolicyService();
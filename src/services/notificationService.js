@@ -0,0 +1,294 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const templateService = require('./templateService');
+const notificationPolicyService = require('./notificationPolicyService');
+const { createChannels } = require('./channels');
+
+// Base delay before retrying a failed delivery
+const RETRY_BASE_MS = 60 * 1000;
+
+// Failed deliveries are retried until this many attempts have been made
+const MAX_DELIVERY_ATTEMPTS = 5;
+
+// A claimed notification is skipped by other workers for this long
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+const DISPATCH_BATCH_SIZE = 100;
+
+// Delivery channels, created on first use
+let channels = null;
+
+// Notification service: creates notification records and delivers them
+class NotificationService {
+  /**
+   * Create a notification for a user and deliver it on their enabled channels
+   * @param {string} userId - Recipient user ID
+   * @param {Object} content - Notification content (see toDocument()), or
+   *   { template, variables, data, ... } to render a named template
+   * @returns {Promise<Object>} - Saved notification
+   */
+  static async notifyUser(userId, content) {
+    const resolved = await NotificationService.resolveContent(userId, content);
+    const notification = await Notification.create(NotificationService.toDocument(userId, resolved));
+
+    try {
+      await NotificationService.deliver(notification);
+    } catch (error) {
+      console.error(`Error delivering notification ${notification._id}:`, error);
+      // The job runner picks it up again after a short delay
+      await notification.scheduleRetry(error.message, NotificationService.getRetryAt(notification.deliveryAttempts));
+    }
+
+    return notification;
+  }
+
+  /**
+   * Queue a notification to be sent later by the job runner
+   * @param {string} userId - Recipient user ID
+   * @param {Object} content - Notification content or template, as for notifyUser()
+   * @param {Date} scheduledFor - When to send it
+   * @returns {Promise<Object>} - Saved notification
+   */
+  static async scheduleForUser(userId, content, scheduledFor) {
+    const resolved = await NotificationService.resolveContent(userId, content);
+    return Notification.create({
+      ...NotificationService.toDocument(userId, resolved),
+      scheduledFor,
+      isScheduled: true,
+    });
+  }
+
+  /**
+   * Render content given as { template, variables } in the recipient's language;
+   * the template's type and priority apply unless the content sets them
+   * @param {string} userId - Recipient user ID
+   * @param {Object} content - Notification content
+   * @returns {Promise<Object>} - Content with title, body and channel formats
+   * @throws when the template is unknown or a required value is missing
+   */
+  static async resolveContent(userId, content) {
+    if (!content.template) return content;
+
+    const user = await User.findById(userId).select('firstName lastName preferences.language');
+    const rendered = await templateService.buildContent(
+      content.template,
+      { recipient: { firstName: user?.firstName, lastName: user?.lastName }, ...content.variables },
+      user?.preferences?.language
+    );
+
+    return {
+      ...content,
+      ...rendered,
+      type: content.type || rendered.type,
+      priority: content.priority || rendered.priority,
+    };
+  }
+
+  /**
+   * Map notification content to a Notification document
+   * @param {string} userId - Recipient user ID
+   * @param {Object} content - { title, body, type, priority, data, imageUrl, template,
+   *   language, formats, channels, respectUserPreferences, silentNotification,
+   *   campaignId, batchId }
+   * @returns {Object}
+   */
+  static toDocument(userId, content) {
+    return {
+      userId,
+      title: content.title,
+      body: content.body,
+      type: content.type || 'general',
+      priority: content.priority || 'normal',
+      data: content.data,
+      template: content.template,
+      language: content.language,
+      formats: content.formats,
+      imageUrl: content.imageUrl,
+      channels: content.channels,
+      respectUserPreferences: content.respectUserPreferences,
+      silentNotification: content.silentNotification,
+      campaignId: content.campaignId,
+      batchId: content.batchId,
+    };
+  }
+
+  /**
+   * Delivery channels keyed by name ('push', 'email', 'sms')
+   * @returns {Object}
+   */
+  static getChannels() {
+    if (!channels) {
+      channels = createChannels();
+    }
+    return channels;
+  }
+
+  /**
+   * Swap the delivery channels, e.g. for fakes in tests
+   * @param {Object} replacement - Channels keyed by name
+   */
+  static setChannels(replacement) {
+    channels = replacement;
+  }
+
+  /**
+   * Fan an existing notification out to the recipient's channels and
+   * record the outcome of each one on notification.deliveries.
+   * Types the user moved into their digest are only shown in-app. Non-urgent notifications are deferred during the user's quiet hours and
+   * suppressed once the user's rate cap for the type is reached.
+   * @param {Object} notification - Notification document
+   * @returns {Promise<{delivered: boolean, reason?: string, deferredUntil?: Date}>}
+   * @throws when a channel fails; channels already sent are skipped on retry
+   */
+  static async deliver(notification) {
+    const user = await User.findById(notification.userId).select('email phone fcmTokens preferences');
+
+    if (!user) {
+      await notification.markAsFailed('User not found');
+      return { delivered: false, reason: 'User not found' };
+    }
+
+    if (notification.deliveries.length === 0 && !notification.digestStatus &&
+      notificationPolicyService.shouldDigest(notification, user)) {
+      await notification.holdForDigest();
+      return { delivered: false, reason: 'Held for digest' };
+    }
+
+    const deferredUntil = notificationPolicyService.getDeferral(notification, user);
+    if (deferredUntil) {
+      await notification.deferUntil(deferredUntil);
+      return { delivered: false, reason: 'Quiet hours', deferredUntil };
+    }
+
+    // Checked once, so a retry of a partly delivered notification is not dropped
+    if (notification.deliveries.length === 0 && await notificationPolicyService.isOverRateCap(notification)) {
+      await notification.markAsSuppressed(`Rate cap reached for ${notification.type}`);
+      return { delivered: false, reason: 'Rate cap reached' };
+    }
+
+    const available = NotificationService.getChannels();
+    const requested = notification.channels?.length > 0 ? notification.channels : Object.keys(available);
+    const failures = [];
+
+    for (const name of requested) {
+      const previous = notification.deliveries.find((d) => d.channel === name);
+      if (previous && previous.status !== 'failed') continue;
+
+      const channel = available[name];
+      const skipReason = NotificationService.getSkipReason(notification, user, name, channel);
+      if (skipReason) {
+        notification.recordDelivery(name, 'skipped', { reason: skipReason });
+        continue;
+      }
+
+      try {
+        const { messageId } = await channel.send(notification, channel.getAddress(user));
+        notification.recordDelivery(name, 'sent', { messageId });
+      } catch (error) {
+        console.error(`Error sending notification ${notification._id} by ${name}:`, error);
+        notification.recordDelivery(name, 'failed', { reason: error.message });
+        failures.push(`${name}: ${error.message}`);
+      }
+    }
+
+    if (failures.length > 0) {
+      // The caller saves the per-channel results when it schedules the retry
+      throw new Error(`Delivery failed (${failures.join('; ')})`);
+    }
+
+    // Notifications are always shown in-app, even if no other channel applied
+    await notification.markAsSent();
+
+    const delivered = notification.deliveries.some((d) => d.status === 'sent');
+    return delivered ? { delivered } : { delivered, reason: 'No delivery channel available' };
+  }
+
+  /**
+   * Why a channel should not be used for this notification, if at all
+   * @returns {string|null}
+   */
+  static getSkipReason(notification, user, name, channel) {
+    if (!channel || !channel.isEnabled()) {
+      return `The ${name} channel is not configured`;
+    }
+    // Silent notifications only update the app; they never email or text
+    if (notification.silentNotification && name !== 'push') {
+      return 'Silent notification';
+    }
+    if (notification.respectUserPreferences && user.preferences?.notifications?.[name] === false) {
+      return 'Disabled by user';
+    }
+    if (!channel.getAddress(user)) {
+      return `No ${name} address on file`;
+    }
+    return null;
+  }
+
+  /**
+   * Notify several users with the same content, never throwing
+   * @param {Array<string>} userIds - Recipient user IDs
+   * @param {Object} content - Notification content
+   * @returns {Promise<Array<Object>>} - Saved notifications
+   */
+  static async notifyUsers(userIds, content) {
+    const results = [];
+    for (const userId of userIds) {
+      try {
+        results.push(await NotificationService.notifyUser(userId, content));
+      } catch (error) {
+        console.error(`Error notifying user ${userId}:`, error);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Deliver queued notifications that are due, retrying failures with backoff
+   * @returns {Promise<{sent: Array<Object>, retried: number, failed: number}>}
+   */
+  static async dispatchDue() {
+    const due = await Notification.getPendingNotifications()
+      .sort({ scheduledFor: 1 })
+      .limit(DISPATCH_BATCH_SIZE);
+
+    const result = { sent: [], retried: 0, failed: 0 };
+
+    for (const candidate of due) {
+      // Claim it so other instances skip it; if this worker dies the lease expires
+      const notification = await Notification.findOneAndUpdate(
+        { _id: candidate._id, status: 'pending', scheduledFor: candidate.scheduledFor },
+        { $set: { scheduledFor: new Date(Date.now() + CLAIM_LEASE_MS) } },
+        { new: true }
+      );
+      if (!notification) continue;
+
+      try {
+        await NotificationService.deliver(notification);
+        if (notification.status === 'sent') result.sent.push(notification);
+      } catch (error) {
+        console.error(`Error dispatching notification ${notification._id}:`, error);
+
+        if (notification.deliveryAttempts + 1 >= MAX_DELIVERY_ATTEMPTS) {
+          await notification.markAsFailed(error.message);
+          result.failed += 1;
+        } else {
+          await notification.scheduleRetry(error.message, NotificationService.getRetryAt(notification.deliveryAttempts));
+          result.retried += 1;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Next attempt time with exponential backoff (1, 2, 4, 8... minutes)
+   * @param {number} attempts - Delivery attempts made so far
+   * @returns {Date}
+   */
+  static getRetryAt(attempts) {
+    return new Date(Date.now() + RETRY_BASE_MS * 2 ** attempts);
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,330 @@
+const Appointment = require('../models/Appointment');
+const Counter = require('../models/Counter');
+const Doctor = require('../models/Doctor');
+const User = require('../models/User');
+const eventBus = require('./eventBus');
+const { toDateKey } = require('./availabilityService');
+
+// Appointments waiting in the queue once checked in
+const WAITING_STATUSES = ['scheduled', 'confirmed'];
+
+// Number of recent consultations used to estimate consultation length
+const DURATION_SAMPLE_SIZE = 20;
+
+const dayBounds = (date) => {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(date);
+    end.setHours(23, 59, 59, 999);
+    return { start, end };
+};
+
+/**
+ * OPD Queue Service
+ * Issues per-doctor daily tokens and keeps queue positions and wait
+ * estimates up to date
+ */
+class QueueService {
+
+    /**
+     * Check a patient in, issue the next token and refresh the queue
+     * @param {Object} appointment - Appointment document
+     * @param {string} performedBy - User ID of the staff member
+     */
+    async checkIn(appointment, performedBy) {
+        if (!WAITING_STATUSES.includes(appointment.status)) {
+            return { error: `Cannot check in an appointment that is ${appointment.status}`, statusCode: 400 };
+        }
+
+        if (appointment.checkedInAt) {
+            return { error: 'Patient is already checked in', statusCode: 400 };
+        }
+
+        const dateKey = toDateKey(appointment.scheduledDate);
+        if (dateKey !== toDateKey(new Date())) {
+            return { error: 'Patients can only be checked in on the day of the appointment', statusCode: 400 };
+        }
+
+        // Keep the counter for a couple of days, then let the TTL index drop it
+        const expiresAt = new Date();
+        expiresAt.setDate(expiresAt.getDate() + 2);
+
+        const sequence = await Counter.next(`queue:${appointment.doctor}:${dateKey}`, expiresAt);
+
+        appointment.tokenSequence = sequence;
+        appointment.tokenNumber = sequence.toString().padStart(3, '0');
+        appointment.checkedInAt = new Date();
+        appointment.updatedBy = performedBy;
+        appointment.queueAudit.push({
+            action: 'checked_in',
+            performedBy,
+            performedAt: appointment.checkedInAt
+        });
+        await appointment.save();
+
+        await this.refreshQueue(appointment.doctor, appointment.scheduledDate);
+
+        return { appointment: await Appointment.findById(appointment._id) };
+    }
+
+    /**
+     * Move an urgent/emergency patient to the front of the waiting queue
+     */
+    async prioritize(appointment, performedBy, reason) {
+        if (!appointment.checkedInAt || !WAITING_STATUSES.includes(appointment.status)) {
+            return { error: 'Only waiting, checked-in patients can be prioritized', statusCode: 400 };
+        }
+
+        if (appointment.priority !== 'urgent' && appointment.type !== 'emergency') {
+            return { error: 'Only urgent or emergency appointments can jump the queue', statusCode: 400 };
+        }
+
+        if (!reason) {
+            return { error: 'A reason is required to jump the queue', statusCode: 400 };
+        }
+
+        const fromPosition = appointment.queuePosition;
+
+        appointment.queueJump = { jumpedAt: new Date(), jumpedBy: performedBy, reason };
+        appointment.updatedBy = performedBy;
+        await appointment.save();
+
+        await this.refreshQueue(appointment.doctor, appointment.scheduledDate);
+
+        const updated = await Appointment.findById(appointment._id);
+        updated.queueAudit.push({
+            action: 'priority_jump',
+            performedBy,
+            fromPosition,
+            toPosition: updated.queuePosition,
+            reason
+        });
+        await updated.save();
+
+        return { appointment: updated };
+    }
+
+    /**
+     * Call the next waiting patient: the current consultation is completed
+     * and the head of the queue moves to in_progress
+     */
+    async callNext(doctorUserId, performedBy, date = new Date()) {
+        const { start, end } = dayBounds(date);
+
+        const current = await Appointment.findOne({
+            doctor: doctorUserId,
+            scheduledDate: { $gte: start, $lte: end },
+            status: 'in_progress',
+            deletedAt: null
+        });
+
+        if (current) {
+            current.status = 'completed';
+            current.actualEndTime = new Date();
+            current.checkedOutAt = current.actualEndTime;
+            current.updatedBy = performedBy;
+            current.queueAudit.push({ action: 'completed', performedBy });
+            await current.save();
+        }
+
+        const [next] = await this.getWaitingAppointments(doctorUserId, date);
+
+        if (next) {
+            next.status = 'in_progress';
+            next.actualStartTime = new Date();
+            next.updatedBy = performedBy;
+            next.queueAudit.push({ action: 'called', performedBy, fromPosition: next.queuePosition, toPosition: 0 });
+            await next.save();
+        }
+
+        await this.refreshQueue(doctorUserId, date);
+
+        return { completed: current, next: next ? await Appointment.findById(next._id) : null };
+    }
+
+    /**
+     * Checked-in, waiting appointments in queue order
+     */
+    async getWaitingAppointments(doctorUserId, date) {
+        const { start, end } = dayBounds(date);
+
+        const waiting = await Appointment.find({
+            doctor: doctorUserId,
+            scheduledDate: { $gte: start, $lte: end },
+            status: { $in: WAITING_STATUSES },
+            checkedInAt: { $ne: null },
+            deletedAt: null
+        });
+
+        return waiting.sort((a, b) => {
+            const aJump = a.queueJump?.jumpedAt;
+            const bJump = b.queueJump?.jumpedAt;
+
+            if (aJump && bJump) return aJump - bJump;
+            if (aJump) return -1;
+            if (bJump) return 1;
+            return (a.tokenSequence || 0) - (b.tokenSequence || 0);
+        });
+    }
+
+    /**
+     * Average consultation length from the doctor's recent completed visits
+     */
+    async getAverageConsultationMinutes(doctorUserId) {
+        const recent = await Appointment.find({
+            doctor: doctorUserId,
+            status: 'completed',
+            actualStartTime: { $ne: null },
+            actualEndTime: { $ne: null },
+            deletedAt: null
+        })
+            .select('actualStartTime actualEndTime duration')
+            .sort({ actualEndTime: -1 })
+            .limit(DURATION_SAMPLE_SIZE);
+
+        const durations = recent
+            .map(apt => apt.actualDuration)
+            .filter(minutes => minutes > 0);
+
+        if (durations.length > 0) {
+            return Math.round(durations.reduce((sum, minutes) => sum + minutes, 0) / durations.length);
+        }
+
+        const doctor = await Doctor.findOne({ userId: doctorUserId }).select('appointmentDuration');
+        return doctor?.appointmentDuration || 30;
+    }
+
+    /**
+     * Work out queue positions and estimated wait times for a doctor's day.
+     * The appointments are updated in memory only; see refreshQueue to persist.
+     */
+    async computeQueue(doctorUserId, date) {
+        const { start, end } = dayBounds(date);
+        const waiting = await this.getWaitingAppointments(doctorUserId, date);
+        const averageMinutes = await this.getAverageConsultationMinutes(doctorUserId);
+
+        const inProgress = await Appointment.findOne({
+            doctor: doctorUserId,
+            scheduledDate: { $gte: start, $lte: end },
+            status: 'in_progress',
+            deletedAt: null
+        }).select('actualStartTime');
+
+        let remainingCurrent = 0;
+        if (inProgress?.actualStartTime) {
+            const elapsed = (Date.now() - inProgress.actualStartTime) / (1000 * 60);
+            remainingCurrent = Math.max(Math.round(averageMinutes - elapsed), 0);
+        }
+
+        const moved = [];
+        waiting.forEach((appointment, index) => {
+            const position = index + 1;
+            if (appointment.queuePosition !== position) {
+                moved.push({ appointmentId: appointment._id, patientId: appointment.patient, from: appointment.queuePosition, to: position });
+            }
+
+            appointment.queuePosition = position;
+            appointment.estimatedWaitTime = remainingCurrent + index * averageMinutes;
+        });
+
+        return { waiting, averageMinutes, inProgress, moved };
+    }
+
+    /**
+     * Recalculate and save queue positions and estimated wait times for a
+     * doctor's day; called when the queue changes (check-in, status change,
+     * prioritisation)
+     */
+    async refreshQueue(doctorUserId, date) {
+        const { waiting, averageMinutes, inProgress, moved } = await this.computeQueue(doctorUserId, date);
+
+        await Promise.all(waiting
+            .filter(appointment => appointment.isModified())
+            .map(appointment => appointment.save()));
+
+        await this.publishQueueUpdate(doctorUserId, date, waiting, inProgress, moved);
+
+        return { waiting, averageMinutes, inProgress };
+    }
+
+    /**
+     * Push queue movements to the doctor, branch staff and moved patients
+     */
+    async publishQueueUpdate(doctorUserId, date, waiting, inProgress, moved) {
+        let branchId = waiting[0]?.branchId;
+        if (!branchId) {
+            const doctorUser = await User.findById(doctorUserId).select('branchId');
+            branchId = doctorUser?.branchId;
+        }
+
+        eventBus.publish('queue.updated', {
+            doctorId: doctorUserId,
+            date: toDateKey(date),
+            nowServing: inProgress ? inProgress._id : null,
+            waiting: waiting.map(apt => ({
+                appointmentId: apt._id,
+                tokenNumber: apt.tokenNumber,
+                queuePosition: apt.queuePosition,
+                estimatedWaitTime: apt.estimatedWaitTime
+            }))
+        }, {
+            doctorId: doctorUserId,
+            branchId
+        });
+
+        moved.forEach(move => {
+            const appointment = waiting.find(apt => apt._id.equals(move.appointmentId));
+            eventBus.publish('queue.position_changed', {
+                appointmentId: move.appointmentId,
+                tokenNumber: appointment?.tokenNumber,
+                previousPosition: move.from,
+                queuePosition: move.to,
+                estimatedWaitTime: appointment?.estimatedWaitTime
+            }, {
+                userIds: [move.patientId],
+                isPrivate: true
+            });
+        });
+    }
+
+    /**
+     * Display-friendly queue snapshot for waiting-room screens
+     */
+    async getLiveQueue(doctorUserId, date = new Date()) {
+        const { start, end } = dayBounds(date);
+        // Reads never write; positions are saved when the queue changes
+        const { waiting, averageMinutes } = await this.computeQueue(doctorUserId, date);
+
+        const nowServing = await Appointment.findOne({
+            doctor: doctorUserId,
+            scheduledDate: { $gte: start, $lte: end },
+            status: 'in_progress',
+            deletedAt: null
+        }).select('tokenNumber actualStartTime roomNumber');
+
+        const populated = await Appointment.populate(waiting, { path: 'patient', select: 'firstName lastName' });
+
+        return {
+            date: toDateKey(date),
+            averageConsultationMinutes: averageMinutes,
+            nowServing: nowServing ? {
+                tokenNumber: nowServing.tokenNumber,
+                roomNumber: nowServing.roomNumber,
+                startedAt: nowServing.actualStartTime
+            } : null,
+            waiting: populated.map(apt => ({
+                appointmentId: apt._id,
+                tokenNumber: apt.tokenNumber,
+                queuePosition: apt.queuePosition,
+                estimatedWaitTime: apt.estimatedWaitTime,
+                isPriority: !!apt.queueJump?.jumpedAt,
+                // Only initials are shown on public displays
+                patientInitials: apt.patient
+                    ? `${apt.patient.firstName?.[0] || ''}${apt.patient.lastName?.[0] || ''}`.toUpperCase()
+                    : null
+            }))
+        };
+    }
+}
+
+module.exports = new QueueService();
@@ -0,0 +1,116 @@
+const Appointment = require('../models/Appointment');
+const Notification = require('../models/Notification');
+const NotificationService = require('./notificationService');
+const { toDateKey } = require('./availabilityService');
+
+const DEFAULT_OFFSETS_HOURS = [24, 2];
+
+/**
+ * Parse "24,2" into [24, 2], largest offset first
+ */
+const parseOffsets = (value) => {
+    const offsets = String(value || '')
+        .split(',')
+        .map(offset => Number(offset.trim()))
+        .filter(offset => Number.isFinite(offset) && offset > 0);
+
+    return (offsets.length > 0 ? offsets : DEFAULT_OFFSETS_HOURS).sort((a, b) => b - a);
+};
+
+/**
+ * Appointment Reminder Service
+ * Queues reminder notifications at configured offsets before each
+ * appointment; the job runner sends them when due
+ */
+class ReminderService {
+    constructor() {
+        this.offsetsHours = parseOffsets(process.env.APPOINTMENT_REMINDER_OFFSETS_HOURS);
+    }
+
+    /**
+     * Queue reminders for an upcoming appointment
+     * @param {Object} appointment - Appointment document
+     * @returns {Promise<Array<Object>>} - Reminder entries added to the appointment
+     */
+    async scheduleAppointmentReminders(appointment) {
+        if (!['scheduled', 'confirmed'].includes(appointment.status)) return [];
+
+        const startsAt = appointment.appointmentDateTime;
+        const now = new Date();
+        const reminders = [];
+
+        for (const offsetHours of this.offsetsHours) {
+            const scheduledAt = new Date(startsAt.getTime() - offsetHours * 60 * 60 * 1000);
+            if (scheduledAt <= now) continue;
+
+            const notification = await NotificationService.scheduleForUser(
+                appointment.patient._id || appointment.patient,
+                {
+                    template: 'appointment_reminder',
+                    variables: {
+                        appointmentId: appointment.appointmentId,
+                        date: toDateKey(startsAt),
+                        time: appointment.scheduledTime
+                    },
+                    priority: offsetHours <= 2 ? 'high' : 'normal',
+                    data: { referenceId: appointment._id.toString(), referenceType: 'appointment' }
+                },
+                scheduledAt
+            );
+
+            reminders.push({
+                type: 'appointment_reminder',
+                scheduledAt,
+                offsetHours,
+                notification: notification._id
+            });
+        }
+
+        if (reminders.length > 0) {
+            // Direct update so the appointment's own save hooks don't fire again
+            await Appointment.updateOne({ _id: appointment._id }, { $push: { reminders: { $each: reminders } } });
+        }
+
+        return reminders;
+    }
+
+    /**
+     * Drop reminders that have not been sent yet
+     */
+    async clearAppointmentReminders(appointment) {
+        await Notification.updateMany({
+            type: 'appointment_reminder',
+            'data.referenceId': appointment._id.toString(),
+            'data.referenceType': 'appointment',
+            status: 'pending',
+            deletedAt: null
+        }, {
+            $set: { deletedAt: new Date() }
+        });
+
+        await Appointment.updateOne(
+            { _id: appointment._id },
+            { $pull: { reminders: { type: 'appointment_reminder', sent: false } } }
+        );
+    }
+
+    /**
+     * Replace pending reminders after the appointment time or status changed
+     */
+    async syncAppointmentReminders(appointment) {
+        await this.clearAppointmentReminders(appointment);
+        return this.scheduleAppointmentReminders(appointment);
+    }
+
+    /**
+     * Record on the appointment that a reminder notification went out
+     */
+    async markReminderSent(notification) {
+        await Appointment.updateOne(
+            { 'reminders.notification': notification._id },
+            { $set: { 'reminders.$.sent': true, 'reminders.$.sentAt': notification.sentAt || new Date() } }
+        );
+    }
+}
+
+module.exports = new ReminderService();
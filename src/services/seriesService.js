@@ -0,0 +1,347 @@
+const Appointment = require('../models/Appointment');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const availabilityService = require('./availabilityService');
+const appointmentService = require('./appointmentService');
+const NotificationService = require('./notificationService');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Upper bound on occurrences generated from one rule
+const MAX_OCCURRENCES = 52;
+
+// Occurrences that can still be edited or cancelled
+const OPEN_STATUSES = ['scheduled', 'confirmed'];
+
+const { toDateKey } = availabilityService;
+
+/**
+ * Recurring Appointment Series Service
+ * Expands recurrence rules into occurrences and books, edits or cancels
+ * them one at a time so each is checked against doctor availability
+ */
+class SeriesService {
+
+    /**
+     * Expand a recurrence rule into occurrence dates
+     * @param {Object} recurrence - { frequency, interval, daysOfWeek, count, until, exceptions }
+     * @param {Date|string} startDate - First possible occurrence
+     * @returns {Date[]}
+     */
+    generateDates(recurrence, startDate) {
+        const { frequency, interval = 1, daysOfWeek = [], count, until, exceptions = [] } = recurrence;
+
+        if (!count && !until) {
+            throw Object.assign(new Error('Recurrence needs either a count or an end date'), { statusCode: 400 });
+        }
+
+        const start = new Date(startDate);
+        start.setHours(0, 0, 0, 0);
+        const end = until ? new Date(until) : null;
+        if (end) end.setHours(23, 59, 59, 999);
+
+        const limit = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+        const skipped = new Set(exceptions);
+        const dates = [];
+
+        const accept = (date) => {
+            if (end && date > end) return false;
+            if (!skipped.has(toDateKey(date))) dates.push(new Date(date));
+            return dates.length < limit;
+        };
+
+        // Stop generating after a bounded number of periods even if every date is an exception
+        const maxPeriods = MAX_OCCURRENCES * 4;
+
+        for (let period = 0; period < maxPeriods; period++) {
+            if (frequency === 'daily') {
+                const date = new Date(start);
+                date.setDate(start.getDate() + period * interval);
+                if (!accept(date)) break;
+            } else if (frequency === 'weekly') {
+                const weekDays = daysOfWeek.length > 0 ? daysOfWeek : [DAYS[start.getDay()]];
+                const weekStart = new Date(start);
+                weekStart.setDate(start.getDate() - start.getDay() + period * interval * 7);
+
+                let keepGoing = true;
+                for (let offset = 0; offset < 7 && keepGoing; offset++) {
+                    const date = new Date(weekStart);
+                    date.setDate(weekStart.getDate() + offset);
+                    if (date < start || !weekDays.includes(DAYS[date.getDay()])) continue;
+                    keepGoing = accept(date);
+                }
+                if (!keepGoing) break;
+            } else if (frequency === 'monthly') {
+                // Clamp to the last day for shorter months (e.g. the 31st)
+                const date = new Date(start.getFullYear(), start.getMonth() + period * interval, 1);
+                const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+                date.setDate(Math.min(start.getDate(), lastDay));
+                if (!accept(date)) break;
+            } else {
+                throw Object.assign(new Error(`Unsupported frequency: ${frequency}`), { statusCode: 400 });
+            }
+        }
+
+        return dates;
+    }
+
+    /**
+     * Check every occurrence of a prospective series against availability
+     * @returns {Promise<Array<{occurrence, date, scheduledTime, available, reason}>>}
+     */
+    async previewOccurrences(doctor, { recurrence, startDate, scheduledTime, duration }) {
+        const dates = this.generateDates(recurrence, startDate);
+
+        const results = [];
+        for (const [index, date] of dates.entries()) {
+            const slot = await availabilityService.checkSlot(doctor, date, scheduledTime, duration || doctor.appointmentDuration);
+            results.push({
+                occurrence: index + 1,
+                date: toDateKey(date),
+                scheduledTime,
+                available: slot.available,
+                reason: slot.reason
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Create a series and book each available occurrence
+     * @param {Object} doctor - Doctor document
+     * @param {Object} data - Series fields
+     * @param {Object} options - { skipConflicts } books the free occurrences even when some conflict
+     * @returns {Promise<{series?, occurrences, error?, statusCode?}>}
+     */
+    async createSeries(doctor, data, { skipConflicts = false } = {}) {
+        const duration = data.duration || doctor.appointmentDuration;
+        const preview = await this.previewOccurrences(doctor, { ...data, duration });
+
+        if (preview.length === 0) {
+            return { error: 'Recurrence rule does not produce any occurrences', statusCode: 400, occurrences: preview };
+        }
+
+        const conflicts = preview.filter(occurrence => !occurrence.available);
+        if (conflicts.length > 0 && !skipConflicts) {
+            return {
+                error: `${conflicts.length} occurrence(s) conflict with the doctor's availability`,
+                statusCode: 409,
+                occurrences: preview
+            };
+        }
+
+        if (conflicts.length === preview.length) {
+            return { error: 'No occurrence of the series can be booked', statusCode: 409, occurrences: preview };
+        }
+
+        const series = await AppointmentSeries.create({ ...data, duration });
+
+        const occurrences = [];
+        for (const occurrence of preview) {
+            if (!occurrence.available) {
+                occurrences.push({ ...occurrence, status: 'conflict' });
+                continue;
+            }
+
+            const result = await appointmentService.book(doctor, {
+                patient: series.patient,
+                doctor: series.doctor,
+                branchId: series.branchId,
+                scheduledDate: new Date(`${occurrence.date}T00:00:00`),
+                scheduledTime: series.scheduledTime,
+                duration,
+                type: series.type,
+                consultationType: series.consultationType,
+                chiefComplaint: series.chiefComplaint,
+                fees: {
+                    consultationFee: doctor.consultationFee.amount,
+                    totalAmount: doctor.consultationFee.amount
+                },
+                series: series._id,
+                seriesOccurrence: occurrence.occurrence,
+                createdBy: series.createdBy
+            });
+
+            // A slot can still be taken between the preview and the booking
+            occurrences.push(result.error
+                ? { ...occurrence, available: false, reason: result.error, status: 'conflict' }
+                : { ...occurrence, status: 'booked', appointmentId: result.appointment._id });
+        }
+
+        return { series, occurrences };
+    }
+
+    /**
+     * Occurrences affected by a "this" or "this and following" change
+     */
+    async getScopedOccurrences(series, appointment, scope) {
+        if (scope === 'this') return [appointment];
+
+        return Appointment.find({
+            series: series._id,
+            status: { $in: OPEN_STATUSES },
+            scheduledDate: { $gte: appointment.scheduledDate },
+            deletedAt: null
+        }).sort({ scheduledDate: 1 });
+    }
+
+    /**
+     * Edit one occurrence or this and all following occurrences
+     * @param {Object} series - AppointmentSeries document
+     * @param {Object} appointment - The occurrence the edit starts from
+     * @param {Object} params - { scope, scheduledDate, scheduledTime, consultationType, chiefComplaint, reason, updatedBy }
+     */
+    async updateOccurrences(series, appointment, params) {
+        const { scope, scheduledDate, scheduledTime, reason, updatedBy } = params;
+
+        if (!OPEN_STATUSES.includes(appointment.status)) {
+            return { error: `Cannot edit an occurrence that is ${appointment.status}`, statusCode: 400 };
+        }
+
+        // A new date on "this and following" shifts every occurrence by the same number of days
+        const dayShift = scheduledDate
+            ? Math.round((new Date(`${toDateKey(scheduledDate)}T00:00:00`) -
+                new Date(`${toDateKey(appointment.scheduledDate)}T00:00:00`)) / (1000 * 60 * 60 * 24))
+            : 0;
+
+        const targets = await this.getScopedOccurrences(series, appointment, scope);
+        const details = {};
+        if (params.consultationType) details.consultationType = params.consultationType;
+        if (params.chiefComplaint) details.chiefComplaint = params.chiefComplaint;
+
+        // Later occurrences move first so a shifted series does not collide with itself
+        const ordered = dayShift > 0 ? [...targets].reverse() : targets;
+
+        const results = [];
+        for (const occurrence of ordered) {
+            const newDate = new Date(occurrence.scheduledDate);
+            newDate.setDate(newDate.getDate() + dayShift);
+            const newTime = scheduledTime || occurrence.scheduledTime;
+            const moves = dayShift !== 0 || newTime !== occurrence.scheduledTime;
+
+            if (moves) {
+                const result = await appointmentService.reschedule(occurrence, {
+                    scheduledDate: newDate,
+                    scheduledTime: newTime,
+                    reason,
+                    rescheduledBy: updatedBy,
+                    enforceLimit: false,
+                    notify: false
+                });
+
+                if (result.error) {
+                    results.push({
+                        appointmentId: occurrence._id,
+                        occurrence: occurrence.seriesOccurrence,
+                        date: toDateKey(newDate),
+                        scheduledTime: newTime,
+                        status: 'conflict',
+                        reason: result.error
+                    });
+                    continue;
+                }
+            }
+
+            if (Object.keys(details).length > 0) {
+                Object.assign(occurrence, details, { updatedBy });
+                await occurrence.save();
+            }
+
+            results.push({
+                appointmentId: occurrence._id,
+                occurrence: occurrence.seriesOccurrence,
+                date: toDateKey(occurrence.scheduledDate),
+                scheduledTime: occurrence.scheduledTime,
+                status: 'updated'
+            });
+        }
+
+        if (scope === 'following') {
+            if (scheduledTime) series.scheduledTime = scheduledTime;
+            Object.assign(series, details);
+            series.updatedBy = updatedBy;
+            await series.save();
+        }
+
+        const updated = results.filter(result => result.status === 'updated').length;
+        if (updated > 0) {
+            await NotificationService.notifyUsers([series.patient], {
+                template: 'appointment_series_updated',
+                variables: { seriesId: series.seriesId, count: updated },
+                data: { referenceId: series._id.toString(), referenceType: 'appointment' }
+            });
+        }
+
+        return { series, occurrences: results.sort((a, b) => (a.occurrence || 0) - (b.occurrence || 0)) };
+    }
+
+    /**
+     * Cancel one occurrence, this and all following occurrences, or the whole series
+     * @param {Object} series - AppointmentSeries document
+     * @param {Object|null} appointment - Occurrence the cancellation starts from (null for 'all')
+     * @param {Object} params - { scope, reason, cancelledBy, initiatedBy }
+     */
+    async cancelOccurrences(series, appointment, params) {
+        const { scope, reason, cancelledBy, initiatedBy } = params;
+
+        const targets = scope === 'all'
+            ? await Appointment.find({
+                series: series._id,
+                status: { $in: OPEN_STATUSES },
+                deletedAt: null
+            }).sort({ scheduledDate: 1 })
+            : await this.getScopedOccurrences(series, appointment, scope);
+
+        const results = [];
+        for (const occurrence of targets) {
+            const result = await appointmentService.cancel(occurrence, {
+                cancelledBy,
+                initiatedBy,
+                reason,
+                notify: false
+            });
+
+            results.push({
+                appointmentId: occurrence._id,
+                occurrence: occurrence.seriesOccurrence,
+                date: toDateKey(occurrence.scheduledDate),
+                status: result.error ? 'failed' : 'cancelled',
+                reason: result.error,
+                refundAmount: result.appointment?.cancellation?.refundAmount
+            });
+        }
+
+        if (scope === 'this') {
+            series.recurrence.exceptions.push(toDateKey(appointment.scheduledDate));
+        } else if (scope === 'following') {
+            const until = new Date(appointment.scheduledDate);
+            until.setDate(until.getDate() - 1);
+            series.recurrence.until = until;
+        }
+
+        const remaining = await Appointment.countDocuments({
+            series: series._id,
+            status: { $in: OPEN_STATUSES },
+            deletedAt: null
+        });
+        if (scope === 'all' || remaining === 0) {
+            series.status = 'cancelled';
+        }
+
+        series.updatedBy = cancelledBy;
+        await series.save();
+
+        const cancelled = results.filter(result => result.status === 'cancelled').length;
+        if (cancelled > 0 && initiatedBy !== 'patient') {
+            await NotificationService.notifyUsers([series.patient], {
+                template: 'appointment_series_cancelled',
+                variables: { seriesId: series.seriesId, count: cancelled, reason },
+                data: { referenceId: series._id.toString(), referenceType: 'appointment' }
+            });
+        }
+
+        return { series, occurrences: results };
+    }
+}
+
+module.exports = new SeriesService();
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+/**
+ * Local Fake Video Provider
+ * Keeps rooms in memory and issues opaque tokens; used in development and tests
+ */
+class FakeVideoProvider {
+    constructor() {
+        this.name = 'fake';
+        this.rooms = new Map();
+        this.tokens = new Map();
+    }
+
+    /**
+     * @param {Object} params - { appointmentId, mode: 'video'|'audio'|'chat' }
+     * @returns {Promise<{roomId: string}>}
+     */
+    async createRoom({ appointmentId, mode }) {
+        const roomId = `fake-${appointmentId}`;
+        this.rooms.set(roomId, { appointmentId: String(appointmentId), mode, open: true, createdAt: new Date() });
+        return { roomId };
+    }
+
+    /**
+     * @param {Object} params - { roomId, userId, displayName, role, expiresAt }
+     * @returns {Promise<{token: string, joinUrl: string}>}
+     */
+    async createJoinToken({ roomId, userId, role, expiresAt }) {
+        const token = crypto.randomBytes(16).toString('hex');
+        this.tokens.set(token, { roomId, userId: String(userId), role, expiresAt });
+        return { token, joinUrl: `fake://rooms/${roomId}?token=${token}` };
+    }
+
+    async endRoom(roomId) {
+        const room = this.rooms.get(roomId);
+        if (room) room.open = false;
+    }
+
+    /**
+     * Test helper: resolve a token if it is still valid
+     */
+    verifyToken(token) {
+        const grant = this.tokens.get(token);
+        if (!grant || grant.expiresAt <= new Date()) return null;
+        return grant;
+    }
+}
+
+module.exports = FakeVideoProvider;
@@ -0,0 +1,52 @@
+const jwt = require('jsonwebtoken');
+
+/**
+ * Jitsi Meet Video Provider
+ * Rooms are created on first join; access is granted with a signed JWT
+ * (requires a Jitsi deployment with token authentication enabled)
+ */
+class JitsiVideoProvider {
+    constructor({ domain, appId, appSecret }) {
+        if (!domain || !appId || !appSecret) {
+            throw new Error('JITSI_DOMAIN, JITSI_APP_ID and JITSI_APP_SECRET are required for the Jitsi provider');
+        }
+
+        this.name = 'jitsi';
+        this.domain = domain;
+        this.appId = appId;
+        this.appSecret = appSecret;
+    }
+
+    async createRoom({ appointmentId }) {
+        return { roomId: `appointment-${appointmentId}` };
+    }
+
+    async createJoinToken({ roomId, userId, displayName, role, expiresAt, mode }) {
+        const token = jwt.sign({
+            aud: 'jitsi',
+            iss: this.appId,
+            sub: this.domain,
+            room: roomId,
+            exp: Math.floor(new Date(expiresAt).getTime() / 1000),
+            context: {
+                user: {
+                    id: String(userId),
+                    name: displayName,
+                    moderator: role === 'doctor'
+                },
+                features: {
+                    recording: false
+                }
+            }
+        }, this.appSecret, { algorithm: 'HS256' });
+
+        const audioOnly = mode === 'audio' ? '#config.startAudioOnly=true' : '';
+        return { token, joinUrl: `https://${this.domain}/${roomId}?jwt=${token}${audioOnly}` };
+    }
+
+    async endRoom() {
+        // Jitsi rooms close on their own once everyone leaves
+    }
+}
+
+module.exports = JitsiVideoProvider;
@@ -0,0 +1,41 @@
+const FakeVideoProvider = require('./FakeVideoProvider');
+const JitsiVideoProvider = require('./JitsiVideoProvider');
+
+/**
+ * Create the video provider configured by TELEMEDICINE_PROVIDER. There is no
+ * default: the fake provider hands out join URLs nobody can open, so it must
+ * be chosen explicitly and is refused in production.
+ *
+ * Providers implement:
+ *   createRoom({ appointmentId, mode }) -> { roomId }
+ *   createJoinToken({ roomId, userId, displayName, role, expiresAt, mode }) -> { token, joinUrl }
+ *   endRoom(roomId)
+ */
+const createVideoProvider = (name = process.env.TELEMEDICINE_PROVIDER) => {
+    if (!name) {
+        throw new Error('TELEMEDICINE_PROVIDER is not set');
+    }
+
+    if (name === 'fake' && process.env.NODE_ENV === 'production') {
+        throw new Error('The fake telemedicine provider cannot be used in production');
+    }
+
+    switch (name) {
+        case 'jitsi':
+            return new JitsiVideoProvider({
+                domain: process.env.JITSI_DOMAIN,
+                appId: process.env.JITSI_APP_ID,
+                appSecret: process.env.JITSI_APP_SECRET
+            });
+        case 'fake':
+            return new FakeVideoProvider();
+        default:
+            throw new Error(`Unknown telemedicine provider: ${name}`);
+    }
+};
+
+module.exports = {
+    createVideoProvider,
+    FakeVideoProvider,
+    JitsiVideoProvider
+};
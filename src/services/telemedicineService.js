@@ -0,0 +1,336 @@
+const VirtualSession = require('../models/VirtualSession');
+const User = require('../models/User');
+const eventBus = require('./eventBus');
+const { createVideoProvider } = require('./telemedicine');
+
+const VIRTUAL_TYPES = ['video_call', 'phone_call', 'chat'];
+
+// Join tokens are only issued from shortly before the start until after the scheduled end
+const JOIN_OPENS_MINUTES_BEFORE = 15;
+const JOIN_CLOSES_MINUTES_AFTER = 30;
+
+const PROVIDER_MODES = {
+    video_call: 'video',
+    phone_call: 'audio',
+    chat: 'chat'
+};
+
+/**
+ * Telemedicine Service
+ * Manages virtual visit sessions: join tokens, presence tracking and chat
+ * transcripts. The video provider sits behind an adapter (see ./telemedicine)
+ */
+class TelemedicineService {
+    constructor() {
+        this.provider = null;
+    }
+
+    /**
+     * Provider is created lazily so configuration errors surface on first use;
+     * throws when no usable provider is configured
+     */
+    getProvider() {
+        if (!this.provider) {
+            this.provider = createVideoProvider();
+        }
+        return this.provider;
+    }
+
+    /**
+     * Swap the provider, e.g. for a FakeVideoProvider in tests
+     */
+    setProvider(provider) {
+        this.provider = provider;
+    }
+
+    /**
+     * Role of a user in an appointment: 'doctor', 'patient' or null
+     */
+    getParticipantRole(appointment, userId) {
+        const id = userId.toString();
+        if ((appointment.doctor._id || appointment.doctor).toString() === id) return 'doctor';
+        if ((appointment.patient._id || appointment.patient).toString() === id) return 'patient';
+        return null;
+    }
+
+    getJoinWindow(appointment) {
+        const start = appointment.appointmentDateTime;
+        const end = new Date(start.getTime() + (appointment.duration || 30) * 60 * 1000);
+
+        return {
+            opensAt: new Date(start.getTime() - JOIN_OPENS_MINUTES_BEFORE * 60 * 1000),
+            closesAt: new Date(end.getTime() + JOIN_CLOSES_MINUTES_AFTER * 60 * 1000)
+        };
+    }
+
+    /**
+     * Shared checks before a participant can use the session
+     * @returns {{error?: string, statusCode?: number, role?: string}}
+     */
+    checkAccess(appointment, user, { requireWindow = true } = {}) {
+        if (!VIRTUAL_TYPES.includes(appointment.consultationType)) {
+            return { error: 'This appointment is not a virtual consultation', statusCode: 400 };
+        }
+
+        const role = this.getParticipantRole(appointment, user._id);
+        if (!role) {
+            return { error: 'Only the doctor and patient can join this consultation', statusCode: 403 };
+        }
+
+        if (!['scheduled', 'confirmed', 'in_progress'].includes(appointment.status)) {
+            return { error: `Cannot join an appointment that is ${appointment.status}`, statusCode: 400 };
+        }
+
+        if (requireWindow) {
+            const { opensAt, closesAt } = this.getJoinWindow(appointment);
+            const now = new Date();
+
+            if (now < opensAt) {
+                return {
+                    error: `The consultation opens ${JOIN_OPENS_MINUTES_BEFORE} minutes before the appointment`,
+                    statusCode: 400
+                };
+            }
+            if (now > closesAt) {
+                return { error: 'The consultation window has closed', statusCode: 400 };
+            }
+        }
+
+        return { role };
+    }
+
+    /**
+     * Session for an appointment, without a provider room until one is needed
+     */
+    async getOrCreateSession(appointment) {
+        const existing = await VirtualSession.findOne({ appointment: appointment._id });
+        if (existing) return existing;
+
+        return VirtualSession.create({
+            appointment: appointment._id,
+            doctor: appointment.doctor._id || appointment.doctor,
+            patient: appointment.patient._id || appointment.patient,
+            consultationType: appointment.consultationType
+        });
+    }
+
+    /**
+     * Create the provider room the first time someone asks to join; chat
+     * messages never need one, so they work without a video provider
+     */
+    async ensureRoom(session, appointment) {
+        if (session.providerRoomId) return session;
+
+        const provider = this.getProvider();
+        const { roomId } = await provider.createRoom({
+            appointmentId: appointment._id,
+            mode: PROVIDER_MODES[appointment.consultationType]
+        });
+
+        session.provider = provider.name;
+        session.providerRoomId = roomId;
+        await session.save();
+
+        return session;
+    }
+
+    /**
+     * Issue a provider join token valid until the consultation window closes
+     */
+    async issueJoinToken(appointment, user) {
+        const access = this.checkAccess(appointment, user);
+        if (access.error) return access;
+
+        try {
+            this.getProvider();
+        } catch (error) {
+            console.error('Telemedicine provider unavailable:', error.message);
+            return { error: 'Virtual consultations are not available right now', statusCode: 503 };
+        }
+
+        const session = await this.getOrCreateSession(appointment);
+        if (session.status === 'ended') {
+            return { error: 'This consultation has already ended', statusCode: 400 };
+        }
+        await this.ensureRoom(session, appointment);
+
+        const { closesAt } = this.getJoinWindow(appointment);
+        const { token, joinUrl } = await this.getProvider().createJoinToken({
+            roomId: session.providerRoomId,
+            userId: user._id,
+            displayName: `${user.firstName} ${user.lastName}`,
+            role: access.role,
+            expiresAt: closesAt,
+            mode: PROVIDER_MODES[appointment.consultationType]
+        });
+
+        if (session.status === 'pending') {
+            session.status = 'waiting';
+            await session.save();
+        }
+
+        return { session, role: access.role, token, joinUrl, expiresAt: closesAt };
+    }
+
+    /**
+     * Record a participant joining or leaving. The consultation starts once
+     * both participants have joined.
+     * @param {string} action - 'joined' | 'left'
+     */
+    async recordPresence(appointment, user, action) {
+        const access = this.checkAccess(appointment, user, { requireWindow: action === 'joined' });
+        if (access.error) return access;
+
+        const session = await VirtualSession.findOne({ appointment: appointment._id });
+        if (!session || session.status === 'pending') {
+            return { error: 'Request a join token before joining', statusCode: 400 };
+        }
+        if (session.status === 'ended') {
+            return { error: 'This consultation has already ended', statusCode: 400 };
+        }
+
+        const now = new Date();
+        session.participantEvents.push({ user: user._id, role: access.role, action, at: now });
+
+        if (action === 'joined' && !session.startedAt &&
+            session.firstJoinedAt('doctor') && session.firstJoinedAt('patient')) {
+            session.startedAt = now;
+            session.status = 'in_progress';
+
+            appointment.actualStartTime = now;
+            appointment.status = 'in_progress';
+            appointment.updatedBy = user._id;
+            await appointment.save();
+        }
+
+        await session.save();
+        this.publish('telemedicine.presence', session, {
+            appointmentId: appointment._id,
+            role: access.role,
+            action,
+            at: now,
+            status: session.status
+        });
+
+        return { session };
+    }
+
+    /**
+     * End the consultation; completes the appointment if it had started
+     * @param {Object} appointment - Appointment document
+     * @param {Object} user - Doctor or staff member ending the session
+     */
+    async endSession(appointment, user) {
+        const session = await VirtualSession.findOne({ appointment: appointment._id });
+        if (!session) {
+            return { error: 'No virtual session exists for this appointment', statusCode: 404 };
+        }
+        if (session.status === 'ended') {
+            return { error: 'This consultation has already ended', statusCode: 400 };
+        }
+
+        if (session.providerRoomId) {
+            try {
+                this.getProvider();
+            } catch (error) {
+                console.error('Telemedicine provider unavailable:', error.message);
+                return { error: 'Virtual consultations are not available right now', statusCode: 503 };
+            }
+        }
+
+        const now = new Date();
+
+        ['doctor', 'patient'].forEach(role => {
+            if (session.isPresent(role)) {
+                session.participantEvents.push({
+                    user: role === 'doctor' ? session.doctor : session.patient,
+                    role,
+                    action: 'left',
+                    at: now
+                });
+            }
+        });
+
+        session.status = 'ended';
+        session.endedAt = now;
+        session.endedBy = user._id;
+        await session.save();
+
+        if (session.startedAt) {
+            appointment.actualEndTime = now;
+            appointment.status = 'completed';
+            appointment.updatedBy = user._id;
+            await appointment.save();
+        }
+
+        if (session.providerRoomId) {
+            await this.getProvider().endRoom(session.providerRoomId);
+        }
+
+        this.publish('telemedicine.ended', session, {
+            appointmentId: appointment._id,
+            endedAt: now,
+            completed: !!session.startedAt
+        });
+
+        return { session, appointment };
+    }
+
+    /**
+     * Append a message to a chat consultation transcript
+     */
+    async addMessage(appointment, user, message) {
+        if (appointment.consultationType !== 'chat') {
+            return { error: 'Messages can only be sent in chat consultations', statusCode: 400 };
+        }
+
+        const access = this.checkAccess(appointment, user);
+        if (access.error) return access;
+
+        const session = await this.getOrCreateSession(appointment);
+        if (session.status === 'ended') {
+            return { error: 'This consultation has already ended', statusCode: 400 };
+        }
+
+        session.transcript.push({ sender: user._id, role: access.role, message });
+        await session.save();
+
+        const entry = session.transcript[session.transcript.length - 1];
+        this.publish('telemedicine.message', session, {
+            appointmentId: appointment._id,
+            messageId: entry._id,
+            role: entry.role,
+            message: entry.message,
+            sentAt: entry.sentAt
+        });
+
+        return { session, message: entry };
+    }
+
+    /**
+     * Deliver session events to both participants only
+     */
+    publish(type, session, data) {
+        eventBus.publish(type, data, {
+            userIds: [session.doctor, session.patient],
+            isPrivate: true
+        });
+    }
+
+    /**
+     * Session with participant names for display
+     */
+    async getSessionDetails(appointmentId) {
+        const session = await VirtualSession.findOne({ appointment: appointmentId });
+        if (!session) return null;
+
+        await User.populate(session, [
+            { path: 'participantEvents.user', select: 'firstName lastName' },
+            { path: 'transcript.sender', select: 'firstName lastName' }
+        ]);
+
+        return session;
+    }
+}
+
+module.exports = new TelemedicineService();
@@ -0,0 +1,240 @@
+const NotificationTemplate = require('../models/NotificationTemplate');
+const Appointment = require('../models/Appointment');
+const Waitlist = require('../models/Waitlist');
+const Invoice = require('../models/Invoice');
+const LabReport = require('../models/LabReport');
+const { toDateKey } = require('./availabilityService');
+const defaultTemplates = require('./templates/defaults');
+
+// {{#name}}...{{/name}} is kept only when name has a value
+const SECTION_PATTERN = /{{#\s*([\w.]+)\s*}}([\s\S]*?){{\/\s*\1\s*}}/g;
+const PLACEHOLDER_PATTERN = /{{\s*([\w.]+)\s*}}/g;
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const lookup = (variables, path) =>
+    path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), variables);
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '' && value !== false;
+
+/**
+ * Notification Template Service
+ * Resolves named templates (stored or built in), picks the language variant
+ * for the recipient and renders each channel's format
+ */
+class TemplateService {
+    /**
+     * Active stored template for a key, or the built-in default
+     * @returns {Promise<Object|null>}
+     */
+    async getTemplate(key) {
+        const stored = await NotificationTemplate.findActiveByKey(key);
+        if (stored) return stored;
+
+        return defaultTemplates[key] ? { key, builtIn: true, ...defaultTemplates[key] } : null;
+    }
+
+    getBuiltInTemplates() {
+        return Object.entries(defaultTemplates).map(([key, template]) => ({ key, builtIn: true, ...template }));
+    }
+
+    /**
+     * Variant for a language: exact match, then the base language
+     * ('pt-br' -> 'pt'), then the template's default language
+     */
+    selectVariant(template, language) {
+        const wanted = (language || '').toLowerCase();
+        const variants = template.variants || [];
+
+        return variants.find(v => v.language === wanted) ||
+            variants.find(v => v.language === wanted.split('-')[0]) ||
+            variants.find(v => v.language === template.defaultLanguage) ||
+            variants[0];
+    }
+
+    /**
+     * Fill placeholders and sections in a template string
+     * @param {Object} options - { escape: HTML-escape inserted values }
+     */
+    interpolate(text, variables, { escape = false } = {}) {
+        if (!text) return text;
+
+        return text
+            .replace(SECTION_PATTERN, (match, path, inner) => (hasValue(lookup(variables, path)) ? inner : ''))
+            .replace(PLACEHOLDER_PATTERN, (match, path) => {
+                const value = lookup(variables, path);
+                if (!hasValue(value)) return '';
+                return escape ? escapeHtml(value) : String(value);
+            });
+    }
+
+    /**
+     * Required placeholders without a value
+     */
+    findMissing(template, variables) {
+        return (template.placeholders || [])
+            .filter(placeholder => !placeholder.optional && !hasValue(lookup(variables, placeholder.key)))
+            .map(placeholder => placeholder.key);
+    }
+
+    /**
+     * Render every channel format of a template
+     * @param {Object} template - NotificationTemplate document or built-in template
+     * @param {Object} variables - Placeholder values
+     * @param {string} language - Preferred language
+     */
+    render(template, variables = {}, language) {
+        const variant = this.selectVariant(template, language);
+        const fill = text => this.interpolate(text, variables);
+
+        const title = fill(variant.title);
+        const body = fill(variant.body);
+
+        return {
+            key: template.key,
+            type: template.type,
+            priority: template.priority,
+            language: variant.language,
+            title,
+            body,
+            push: {
+                title: fill(variant.push?.title) || title,
+                body: fill(variant.push?.body) || body
+            },
+            email: {
+                subject: fill(variant.email?.subject) || title,
+                html: variant.email?.html ? this.interpolate(variant.email.html, variables, { escape: true }) : null,
+                text: body
+            },
+            sms: {
+                body: fill(variant.sms?.body) || `${title}: ${body}`
+            },
+            missing: this.findMissing(template, variables)
+        };
+    }
+
+    /**
+     * Notification content for NotificationService
+     * @throws when the template does not exist or required values are missing
+     */
+    async buildContent(key, variables, language) {
+        const template = await this.getTemplate(key);
+        if (!template) {
+            throw Object.assign(new Error(`Unknown notification template: ${key}`), { statusCode: 400 });
+        }
+
+        const rendered = this.render(template, variables, language);
+        if (rendered.missing.length > 0) {
+            throw Object.assign(
+                new Error(`Template ${key} is missing values for: ${rendered.missing.join(', ')}`),
+                { statusCode: 400 }
+            );
+        }
+
+        return {
+            title: rendered.title,
+            body: rendered.body,
+            type: rendered.type,
+            priority: rendered.priority,
+            template: key,
+            language: rendered.language,
+            formats: {
+                push: rendered.push,
+                email: rendered.email,
+                sms: rendered.sms
+            }
+        };
+    }
+
+    /**
+     * Sample values declared on the template's placeholders
+     */
+    getSampleVariables(template) {
+        const variables = { recipient: { firstName: 'Alex', lastName: 'Sample' } };
+
+        (template.placeholders || []).forEach(placeholder => {
+            if (placeholder.sample === undefined) return;
+
+            const path = placeholder.key.split('.');
+            const last = path.pop();
+            const parent = path.reduce((target, key) => (target[key] = target[key] || {}), variables);
+            parent[last] = placeholder.sample;
+        });
+
+        return variables;
+    }
+
+    /**
+     * Placeholder values taken from an existing record, for previews
+     * @param {string} referenceType - 'appointment' | 'waitlist' | 'billing' | 'report'
+     * @returns {Promise<Object|null>} - null when the record does not exist
+     */
+    async getRecordVariables(referenceType, referenceId) {
+        const recipient = user => (user ? { firstName: user.firstName, lastName: user.lastName } : undefined);
+
+        switch (referenceType) {
+            case 'appointment': {
+                const appointment = await Appointment.findOne({ _id: referenceId, deletedAt: null })
+                    .populate('patient', 'firstName lastName');
+                if (!appointment) return null;
+
+                return {
+                    recipient: recipient(appointment.patient),
+                    appointmentId: appointment.appointmentId,
+                    date: toDateKey(appointment.scheduledDate),
+                    time: appointment.scheduledTime,
+                    reason: appointment.cancellation?.reason,
+                    refundAmount: appointment.cancellation?.refundAmount || undefined
+                };
+            }
+            case 'waitlist': {
+                const entry = await Waitlist.findOne({ _id: referenceId, deletedAt: null })
+                    .populate('patient', 'firstName lastName');
+                if (!entry) return null;
+
+                const offer = entry.offer || {};
+                return {
+                    recipient: recipient(entry.patient),
+                    date: offer.scheduledDate ? toDateKey(offer.scheduledDate) : undefined,
+                    time: offer.scheduledTime,
+                    holdMinutes: offer.expiresAt
+                        ? Math.round((offer.expiresAt - offer.offeredAt) / (60 * 1000))
+                        : undefined
+                };
+            }
+            case 'billing': {
+                const invoice = await Invoice.findOne({ _id: referenceId, deletedAt: null })
+                    .populate('patient', 'firstName lastName');
+                if (!invoice) return null;
+
+                return {
+                    recipient: recipient(invoice.patient),
+                    invoiceNumber: invoice.invoiceNumber,
+                    amount: invoice.balanceAmount,
+                    currency: invoice.currency,
+                    dueDate: toDateKey(invoice.dueDate)
+                };
+            }
+            case 'report': {
+                const report = await LabReport.findOne({ _id: referenceId, deletedAt: null })
+                    .populate('patient', 'firstName lastName')
+                    .populate('labTest', 'testName');
+                if (!report) return null;
+
+                return {
+                    recipient: recipient(report.patient),
+                    reportId: report.reportId,
+                    testName: report.labTest?.testName
+                };
+            }
+            default:
+                return null;
+        }
+    }
+}
+
+module.exports = new TemplateService();
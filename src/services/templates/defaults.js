@@ -0,0 +1,233 @@
+/**
+ * Built-in notification templates
+ * Used when no active NotificationTemplate with the same key exists, so
+ * admins can override or translate any of them through the API.
+ * Every template also receives {{recipient.firstName}} and {{recipient.lastName}}.
+ */
+module.exports = {
+    appointment_reminder: {
+        name: 'Appointment reminder',
+        type: 'appointment_reminder',
+        priority: 'normal',
+        placeholders: [
+            { key: 'appointmentId', description: 'Appointment number', sample: 'APT000123' },
+            { key: 'date', description: 'Appointment date (YYYY-MM-DD)', sample: '2025-03-14' },
+            { key: 'time', description: 'Appointment time (HH:MM)', sample: '10:30' }
+        ],
+        defaultLanguage: 'en',
+        variants: [{
+            language: 'en',
+            title: 'Appointment reminder',
+            body: 'Reminder: your appointment {{appointmentId}} is on {{date}} at {{time}}.',
+            sms: { body: 'Reminder: appointment {{appointmentId}} on {{date}} at {{time}}.' },
+            email: {
+                subject: 'Reminder: your appointment on {{date}}',
+                html: '<p>Hello {{recipient.firstName}},</p>' +
+                    '<p>This is a reminder of your appointment <strong>{{appointmentId}}</strong> ' +
+                    'on <strong>{{date}}</strong> at <strong>{{time}}</strong>.</p>'
+            }
+        }]
+    },
+
+    appointment_rescheduled: {
+        name: 'Appointment rescheduled',
+        type: 'appointment_rescheduled',
+        priority: 'high',
+        placeholders: [
+            { key: 'appointmentId', description: 'Appointment number', sample: 'APT000123' },
+            { key: 'date', description: 'New date (YYYY-MM-DD)', sample: '2025-03-14' },
+            { key: 'time', description: 'New time (HH:MM)', sample: '10:30' }
+        ],
+        defaultLanguage: 'en',
+        variants: [{
+            language: 'en',
+            title: 'Appointment rescheduled',
+            body: 'Your appointment {{appointmentId}} has been moved to {{date}} at {{time}}.',
+            email: {
+                subject: 'Your appointment has been rescheduled',
+                html: '<p>Hello {{recipient.firstName}},</p>' +
+                    '<p>Your appointment <strong>{{appointmentId}}</strong> has been moved to ' +
+                    '<strong>{{date}}</strong> at <strong>{{time}}</strong>.</p>'
+            }
+        }]
+    },
+
+    appointment_cancelled: {
+        name: 'Appointment cancelled',
+        type: 'appointment_cancelled',
+        priority: 'high',
+        placeholders: [
+            { key: 'appointmentId', description: 'Appointment number', sample: 'APT000123' },
+            { key: 'reason', description: 'Cancellation reason', optional: true, sample: 'Doctor unavailable' },
+            { key: 'refundAmount', description: 'Amount refunded', optional: true, sample: '250' }
+        ],
+        defaultLanguage: 'en',
+        variants: [{
+            language: 'en',
+            title: 'Appointment cancelled',
+            body: 'Your appointment {{appointmentId}} has been cancelled{{#reason}}: {{reason}}{{/reason}}.' +
+                '{{#refundAmount}} A refund of {{refundAmount}} will be processed.{{/refundAmount}}',
+            email: {
+                subject: 'Your appointment has been cancelled',
+                html: '<p>Hello {{recipient.firstName}},</p>' +
+                    '<p>Your appointment <strong>{{appointmentId}}</strong> has been cancelled.</p>' +
+                    '{{#reason}}<p>Reason: {{reason}}</p>{{/reason}}' +
+                    '{{#refundAmount}}<p>A refund of {{refundAmount}} will be processed.</p>{{/refundAmount}}'
+            }
+        }]
+    },
+
+    appointment_missed: {
+        name: 'Missed appointment',
+        type: 'appointment_cancelled',
+        priority: 'high',
+        placeholders: [
+            { key: 'appointmentId', description: 'Appointment number', sample: 'APT000123' },
+            { key: 'reason', description: 'Note from the clinic', optional: true, sample: 'Patient did not arrive' }
+        ],
+        defaultLanguage: 'en',
+        variants: [{
+            language: 'en',
+            title: 'Missed appointment',
+            body: 'Your appointment {{appointmentId}} has been marked as missed{{#reason}}: {{reason}}{{/reason}}.'
+        }]
+    },
+
+    appointment_series_updated: {
+        name: 'Appointment series updated',
+        type: 'appointment_rescheduled',
+        priority: 'normal',
+        placeholders: [
+            { key: 'seriesId', description: 'Series number', sample: 'SER000012' },
+            { key: 'count', description: 'Number of appointments changed', sample: '4' }
+        ],
+        defaultLanguage: 'en',
+        variants: [{
+            language: 'en',
+            title: 'Appointment series updated',
+            body: '{{count}} appointment(s) in your series {{seriesId}} have been updated.'
+        }]
+    },
+
+    appointment_series_cancelled: {
+        name: 'Appointment series cancelled',
+        type: 'appointment_cancelled',
+        priority: 'high',
+        placeholders: [
+            { key: 'seriesId', description: 'Series number', sample: 'SER000012' },
+            { key: 'count', description: 'Number of appointments cancelled', sample: '4' },
+            { key: 'reason', description: 'Cancellation reason', optional: true, sample: 'Treatment completed' }
+        ],
+        defaultLanguage: 'en',
+        variants: [{
+            language: 'en',
+            title: 'Appointments cancelled',
+            body: '{{count}} appointment(s) in your series {{seriesId}} have been cancelled{{#reason}}: {{reason}}{{/reason}}.'
+        }]
+    },
+
+    waitlist_offer: {
+        name: 'Waitlist slot offer',
+        type: 'waitlist_offer',
+        priority: 'high',
+        placeholders: [
+            { key: 'date', description: 'Offered date (YYYY-MM-DD)', sample: '2025-03-14' },
+            { key: 'time', description: 'Offered time (HH:MM)', sample: '10:30' },
+            { key: 'holdMinutes', description: 'Minutes the slot is held', sample: '30' }
+        ],
+        defaultLanguage: 'en',
+        variants: [{
+            language: 'en',
+            title: 'Appointment slot available',
+            body: 'A slot on {{date}} at {{time}} is available. It is held for you for {{holdMinutes}} minutes.',
+            sms: { body: 'Slot available {{date}} {{time}}, held {{holdMinutes}} min. Open the app to accept.' }
+        }]
+    },
+
+    leave_request_reviewed: {
+        name: 'Leave request reviewed',
+        type: 'general',
+        priority: 'normal',
+        placeholders: [
+            { key: 'status', description: 'approved or rejected', sample: 'approved' },
+            { key: 'startDate', description: 'First day of leave', sample: 'Mon Mar 10 2025' },
+            { key: 'endDate', description: 'Last day of leave', sample: 'Fri Mar 14 2025' }
+        ],
+        defaultLanguage: 'en',
+        variants: [{
+            language: 'en',
+            title: 'Leave request {{status}}',
+            body: 'Your leave from {{startDate}} to {{endDate}} was {{status}}.'
+        }]
+    },
+
+    lab_result_ready: {
+        name: 'Lab result ready',
+        type: 'lab_result_ready',
+        priority: 'normal',
+        placeholders: [
+            { key: 'reportId', description: 'Lab report number', sample: 'LAB000045' },
+            { key: 'testName', description: 'Name of the test', sample: 'Complete Blood Count' }
+        ],
+        defaultLanguage: 'en',
+        variants: [{
+            language: 'en',
+            title: 'Lab results ready',
+            body: 'Your {{testName}} results ({{reportId}}) are ready to view.',
+            sms: { body: 'Your {{testName}} results are ready. Log in to view them.' },
+            email: {
+                subject: 'Your lab results are ready',
+                html: '<p>Hello {{recipient.firstName}},</p>' +
+                    '<p>Your <strong>{{testName}}</strong> results (report {{reportId}}) are ready to view.</p>'
+            }
+        }]
+    },
+
+    notification_digest: {
+        name: 'Notification digest',
+        type: 'digest',
+        priority: 'normal',
+        placeholders: [
+            { key: 'period', description: 'daily or weekly', sample: 'daily' },
+            { key: 'count', description: 'Number of notifications summarised', sample: '12' },
+            { key: 'since', description: 'Date of the oldest notification (YYYY-MM-DD)', sample: '2025-03-13' },
+            { key: 'summary', description: 'Counts per notification type', sample: '7 appointment reminders, 5 billing reminders' }
+        ],
+        defaultLanguage: 'en',
+        variants: [{
+            language: 'en',
+            title: 'Your {{period}} digest',
+            body: '{{count}} notifications since {{since}}: {{summary}}.',
+            email: {
+                subject: 'Your {{period}} notification digest',
+                html: '<p>Hello {{recipient.firstName}},</p>' +
+                    '<p>You have <strong>{{count}}</strong> notifications since {{since}}: {{summary}}.</p>' +
+                    '<p>Open the app to read them.</p>'
+            }
+        }]
+    },
+
+    billing_reminder: {
+        name: 'Payment reminder',
+        type: 'billing_reminder',
+        priority: 'normal',
+        placeholders: [
+            { key: 'invoiceNumber', description: 'Invoice number', sample: 'INV-2025-0042' },
+            { key: 'amount', description: 'Outstanding amount', sample: '1200' },
+            { key: 'currency', description: 'Currency code', optional: true, sample: 'INR' },
+            { key: 'dueDate', description: 'Due date (YYYY-MM-DD)', sample: '2025-03-31' }
+        ],
+        defaultLanguage: 'en',
+        variants: [{
+            language: 'en',
+            title: 'Payment reminder',
+            body: 'Invoice {{invoiceNumber}} has {{amount}}{{#currency}} {{currency}}{{/currency}} outstanding, due {{dueDate}}.',
+            email: {
+                subject: 'Payment reminder for invoice {{invoiceNumber}}',
+                html: '<p>Hello {{recipient.firstName}},</p>' +
+                    '<p>Invoice <strong>{{invoiceNumber}}</strong> has ' +
+                    '<strong>{{amount}}{{#currency}} {{currency}}{{/currency}}</strong> outstanding, due {{dueDate}}.</p>'
+            }
+        }]
+    }
+};
@@ -0,0 +1,157 @@
+const Waitlist = require('../models/Waitlist');
+const Doctor = require('../models/Doctor');
+const Branch = require('../models/Branch');
+const availabilityService = require('./availabilityService');
+const NotificationService = require('./notificationService');
+
+const DEFAULT_HOLD_MINUTES = 30;
+
+/**
+ * Waitlist Service
+ * Offers freed slots to waitlisted patients in order, holding each offer
+ * for a limited time before passing it to the next patient
+ */
+class WaitlistService {
+
+    /**
+     * Offer a freed slot to the first waitlisted patient who accepts it
+     * @param {string} doctorUserId - Doctor's user ID
+     * @param {Date} scheduledDate - Day of the freed slot
+     * @param {string} scheduledTime - Start time ("HH:MM")
+     * @param {number} duration - Slot length in minutes
+     * @returns {Promise<Object|null>} - The waitlist entry holding the slot
+     */
+    async offerSlot(doctorUserId, scheduledDate, scheduledTime, duration) {
+        const doctor = await Doctor.findOne({ userId: doctorUserId, deletedAt: null });
+        if (!doctor) return null;
+
+        return availabilityService.withBookingLock(doctorUserId, scheduledDate, async () => {
+            const slot = await availabilityService.checkSlot(doctor, scheduledDate, scheduledTime, duration);
+            if (!slot.available) return null;
+
+            const waiting = await Waitlist.findWaitingForDoctor(doctorUserId);
+            const entry = waiting.find(candidate => candidate.acceptsSlot(scheduledDate, scheduledTime));
+            if (!entry) return null;
+
+            const branch = await Branch.findById(entry.branchId).select('settings');
+            const holdMinutes = branch?.settings?.waitlistHoldMinutes || DEFAULT_HOLD_MINUTES;
+            const offeredAt = new Date();
+
+            entry.status = 'offered';
+            entry.offer = {
+                scheduledDate: new Date(scheduledDate),
+                scheduledTime,
+                duration: duration || doctor.appointmentDuration,
+                offeredAt,
+                expiresAt: new Date(offeredAt.getTime() + holdMinutes * 60 * 1000)
+            };
+            await entry.save();
+
+            await NotificationService.notifyUsers([entry.patient], {
+                template: 'waitlist_offer',
+                variables: {
+                    date: availabilityService.toDateKey(scheduledDate),
+                    time: scheduledTime,
+                    holdMinutes
+                },
+                data: { referenceId: entry._id.toString(), referenceType: 'waitlist' }
+            });
+
+            return entry;
+        });
+    }
+
+    /**
+     * Close the current offer on an entry and put it back in line
+     * @param {Object} entry - Waitlist document with an offer
+     * @param {string} outcome - 'declined' | 'expired' | 'withdrawn'
+     * @returns {Object} - The released offer
+     */
+    releaseOffer(entry, outcome) {
+        const released = entry.toObject().offer;
+
+        entry.offerHistory.push({
+            scheduledDate: released.scheduledDate,
+            scheduledTime: released.scheduledTime,
+            offeredAt: released.offeredAt,
+            respondedAt: new Date(),
+            outcome
+        });
+        entry.status = 'waiting';
+        entry.offer = undefined;
+
+        return released;
+    }
+
+    /**
+     * Decline the current offer; the slot moves on to the next patient
+     */
+    async decline(entry) {
+        if (entry.status !== 'offered') {
+            return { error: 'There is no open offer for this waitlist entry', statusCode: 400 };
+        }
+
+        const released = this.releaseOffer(entry, entry.hasActiveHold() ? 'declined' : 'expired');
+        await entry.save();
+
+        await this.offerSlot(entry.doctor, released.scheduledDate, released.scheduledTime, released.duration);
+
+        return { entry };
+    }
+
+    /**
+     * Leave the waitlist, releasing any slot currently held
+     */
+    async leave(entry) {
+        if (['booked', 'cancelled'].includes(entry.status)) {
+            return { error: `Waitlist entry is already ${entry.status}`, statusCode: 400 };
+        }
+
+        const released = entry.status === 'offered' ? this.releaseOffer(entry, 'withdrawn') : null;
+        entry.status = 'cancelled';
+        await entry.save();
+
+        if (released) {
+            await this.offerSlot(entry.doctor, released.scheduledDate, released.scheduledTime, released.duration);
+        }
+
+        return { entry };
+    }
+
+    /**
+     * Pass expired holds on to the next patient and close entries whose
+     * date range has passed
+     * @returns {Promise<{expiredOffers: number, expiredEntries: number}>}
+     */
+    async expireOffers() {
+        const now = new Date();
+
+        const stale = await Waitlist.find({
+            status: 'offered',
+            'offer.expiresAt': { $lte: now },
+            deletedAt: null
+        });
+
+        const released = [];
+        for (const entry of stale) {
+            released.push({ doctor: entry.doctor, ...this.releaseOffer(entry, 'expired') });
+            await entry.save();
+        }
+
+        const today = new Date(now);
+        today.setHours(0, 0, 0, 0);
+
+        const closed = await Waitlist.updateMany(
+            { status: 'waiting', dateTo: { $lt: today }, deletedAt: null },
+            { $set: { status: 'expired' } }
+        );
+
+        for (const offer of released) {
+            await this.offerSlot(offer.doctor, offer.scheduledDate, offer.scheduledTime, offer.duration);
+        }
+
+        return { expiredOffers: released.length, expiredEntries: closed.modifiedCount };
+    }
+}
+
+module.exports = new WaitlistService();
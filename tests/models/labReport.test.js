@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const Counter = require('../../src/models/Counter');
+const LabReport = require('../../src/models/LabReport');
+
+afterEach(() => jest.restoreAllMocks());
+
+const newReport = () => new LabReport({
+    patient: new mongoose.Types.ObjectId(),
+    labTest: new mongoose.Types.ObjectId(),
+    branchId: new mongoose.Types.ObjectId(),
+    sampleType: 'blood',
+    billing: { amount: 40 },
+    createdBy: new mongoose.Types.ObjectId()
+});
+
+describe('report numbering', () => {
+    it('takes each number from the daily counter, so reports created together never collide', async () => {
+        let value = 0;
+        jest.spyOn(Counter, 'next').mockImplementation(async () => { value += 1; return value; });
+
+        const reports = [newReport(), newReport(), newReport()];
+        await Promise.all(reports.map(report => report.validate()));
+
+        const key = Counter.next.mock.calls[0][0];
+        expect(key).toMatch(/^lab_report:\d{6}$/);
+        expect(Counter.next.mock.calls.every(call => call[0] === key)).toBe(true);
+        expect(new Set(reports.map(report => report.reportId)).size).toBe(3);
+        expect(reports.map(report => report.reportId.slice(-4)).sort()).toEqual(['0001', '0002', '0003']);
+        expect(reports[0].sampleId).toBe(reports[0].reportId.replace('RPT', 'SMP'));
+    });
+
+    it('keeps a sample ID that was given', async () => {
+        jest.spyOn(Counter, 'next').mockResolvedValue(7);
+        const report = newReport();
+        report.sampleId = 'SMP-EXTERNAL-1';
+
+        await report.validate();
+
+        expect(report.reportId).toMatch(/0007$/);
+        expect(report.sampleId).toBe('SMP-EXTERNAL-1');
+    });
+});
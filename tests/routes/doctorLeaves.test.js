@@ -0,0 +1,194 @@
+jest.mock('../../src/middleware/auth', () => ({
+    checkPermission: (permission) => (req, res, next) => (
+        req.user.role === 'admin' || req.user.hasPermission(permission)
+            ? next()
+            : res.status(403).json({ success: false, message: 'Insufficient permissions' })
+    )
+}));
+jest.mock('../../src/services/notificationService', () => ({
+    notifyUser: jest.fn(),
+    notifyUsers: jest.fn()
+}));
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Appointment = require('../../src/models/Appointment');
+const Branch = require('../../src/models/Branch');
+const Doctor = require('../../src/models/Doctor');
+const User = require('../../src/models/User');
+const NotificationService = require('../../src/services/notificationService');
+const appointmentService = require('../../src/services/appointmentService');
+const doctorRoutes = require('../../src/routes/doctors');
+
+const doctorUserId = new mongoose.Types.ObjectId();
+const branchId = new mongoose.Types.ObjectId();
+const manager = { _id: new mongoose.Types.ObjectId(), role: 'receptionist', branchId, hasPermission: () => false };
+const doctorUser = { _id: doctorUserId, role: 'doctor', hasPermission: () => false };
+
+const appFor = (user) => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.user = user;
+        next();
+    });
+    app.use('/doctors', doctorRoutes);
+    return app;
+};
+
+const leave = (startDate, endDate, status = 'pending') => ({
+    startDate: new Date(startDate),
+    endDate: new Date(endDate),
+    type: 'vacation',
+    status,
+    requestedBy: doctorUserId
+});
+
+let doctor;
+
+const withAppointments = (appointments) => {
+    jest.spyOn(Appointment, 'find').mockReturnValue({
+        populate: () => ({ sort: () => Promise.resolve(appointments) })
+    });
+};
+
+const appointmentAt = (date, time) => new Appointment({
+    appointmentId: `APT-${date}-${time}`,
+    patient: new mongoose.Types.ObjectId(),
+    doctor: doctorUserId,
+    branchId,
+    scheduledDate: new Date(`${date}T00:00:00`),
+    scheduledTime: time,
+    duration: 30,
+    status: 'confirmed'
+});
+
+beforeEach(() => {
+    NotificationService.notifyUsers.mockClear();
+    doctor = new Doctor({
+        userId: doctorUserId,
+        doctorId: 'DOC0001',
+        medicalLicense: { licenseNumber: 'LIC-1' },
+        specializations: [{ name: 'Cardiology' }],
+        consultationFee: { amount: 50 },
+        leaves: [leave('2026-03-10T00:00:00', '2026-03-12T00:00:00')]
+    });
+    doctor.save = jest.fn().mockResolvedValue(doctor);
+    jest.spyOn(Doctor, 'findByIdOrUserId').mockResolvedValue(doctor);
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ branchId }) });
+    jest.spyOn(Branch, 'exists').mockImplementation(async ({ manager: managerId }) => managerId.equals(manager._id));
+    withAppointments([]);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('POST /doctors/:id/leaves', () => {
+    it('requires the end to be after the start', async () => {
+        const res = await request(appFor(doctorUser))
+            .post(`/doctors/${doctor._id}/leaves`)
+            .send({ startDate: '2026-04-01T00:00:00', endDate: '2026-04-01T00:00:00', type: 'vacation' });
+
+        expect(res.status).toBe(400);
+        expect(doctor.save).not.toHaveBeenCalled();
+    });
+
+    it('refuses a leave that overlaps an open request', async () => {
+        const res = await request(appFor(doctorUser))
+            .post(`/doctors/${doctor._id}/leaves`)
+            .send({ startDate: '2026-03-11T00:00:00', endDate: '2026-03-13T00:00:00', type: 'vacation' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toMatch(/overlaps/);
+    });
+
+    it('accepts a leave starting when the previous one ends', async () => {
+        const res = await request(appFor(doctorUser))
+            .post(`/doctors/${doctor._id}/leaves`)
+            .send({ startDate: '2026-03-12T00:00:00', endDate: '2026-03-13T00:00:00', type: 'sick' });
+
+        expect(res.status).toBe(201);
+        expect(doctor.leaves).toHaveLength(2);
+        expect(doctor.leaves[1]).toMatchObject({ status: 'pending', type: 'sick' });
+    });
+
+    it('is not open to other doctors', async () => {
+        const otherDoctor = { _id: new mongoose.Types.ObjectId(), role: 'doctor', hasPermission: () => false };
+
+        const res = await request(appFor(otherDoctor))
+            .post(`/doctors/${doctor._id}/leaves`)
+            .send({ startDate: '2026-04-01T00:00:00', endDate: '2026-04-02T00:00:00', type: 'vacation' });
+
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('PUT /doctors/:id/leaves/:leaveId/review', () => {
+    it('is limited to admins and the branch manager', async () => {
+        const colleague = { ...manager, _id: new mongoose.Types.ObjectId() };
+
+        const res = await request(appFor(colleague))
+            .put(`/doctors/${doctor._id}/leaves/${doctor.leaves[0]._id}/review`)
+            .send({ status: 'approved' });
+
+        expect(res.status).toBe(403);
+        expect(doctor.leaves[0].status).toBe('pending');
+    });
+
+    it('approves, tells the doctor and lists the appointments inside the leave', async () => {
+        withAppointments([
+            appointmentAt('2026-03-11', '10:00'),
+            appointmentAt('2026-03-12', '09:00')
+        ]);
+
+        const res = await request(appFor(manager))
+            .put(`/doctors/${doctor._id}/leaves/${doctor.leaves[0]._id}/review`)
+            .send({ status: 'approved', notes: 'Enjoy' });
+
+        expect(res.status).toBe(200);
+        expect(doctor.leaves[0]).toMatchObject({ status: 'approved', reviewNotes: 'Enjoy' });
+        expect(doctor.leaves[0].approvedBy).toEqual(manager._id);
+        expect(NotificationService.notifyUsers).toHaveBeenCalledWith([doctorUserId], expect.objectContaining({
+            template: 'leave_request_reviewed'
+        }));
+        // The leave ends at midnight, so the next morning is not affected
+        expect(res.body.data.affectedAppointments.map(apt => apt.scheduledTime)).toEqual(['10:00']);
+    });
+
+    it('cannot review a request twice', async () => {
+        doctor.leaves[0].status = 'rejected';
+
+        const res = await request(appFor(manager))
+            .put(`/doctors/${doctor._id}/leaves/${doctor.leaves[0]._id}/review`)
+            .send({ status: 'approved' });
+
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('POST /doctors/:id/leaves/:leaveId/appointments', () => {
+    it('only handles appointments of an approved leave', async () => {
+        const res = await request(appFor(manager))
+            .post(`/doctors/${doctor._id}/leaves/${doctor.leaves[0]._id}/appointments`)
+            .send({ action: 'cancel' });
+
+        expect(res.status).toBe(400);
+    });
+
+    it('cancels the selected appointments under the staff policy', async () => {
+        doctor.leaves[0].status = 'approved';
+        const kept = appointmentAt('2026-03-10', '09:00');
+        const cancelled = appointmentAt('2026-03-11', '10:00');
+        withAppointments([kept, cancelled]);
+        const cancel = jest.spyOn(appointmentService, 'cancel').mockResolvedValue({ appointment: cancelled });
+
+        const res = await request(appFor(manager))
+            .post(`/doctors/${doctor._id}/leaves/${doctor.leaves[0]._id}/appointments`)
+            .send({ action: 'cancel', appointmentIds: [cancelled._id.toString()] });
+
+        expect(res.status).toBe(200);
+        expect(cancel).toHaveBeenCalledTimes(1);
+        expect(cancel).toHaveBeenCalledWith(cancelled, expect.objectContaining({ initiatedBy: 'staff' }));
+        expect(res.body.data.results).toEqual([{ appointmentId: cancelled._id.toString(), result: 'cancelled' }]);
+    });
+});
@@ -0,0 +1,160 @@
+jest.mock('../../src/middleware/auth', () => ({
+    checkPermission: (permission) => (req, res, next) => (
+        req.user.role === 'admin' || req.user.hasPermission(permission)
+            ? next()
+            : res.status(403).json({ success: false, message: 'Insufficient permissions' })
+    )
+}));
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const LabTest = require('../../src/models/LabTest');
+const labTestRoutes = require('../../src/routes/labTests');
+
+const branchId = new mongoose.Types.ObjectId();
+const otherBranchId = new mongoose.Types.ObjectId();
+const patient = { _id: new mongoose.Types.ObjectId(), role: 'patient', branchId, hasPermission: () => false };
+const labStaff = { _id: new mongoose.Types.ObjectId(), role: 'lab_technician', hasPermission: (p) => p === 'lab_write' };
+
+const appFor = (user) => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.user = user;
+        next();
+    });
+    app.use('/lab-tests', labTestRoutes);
+    return app;
+};
+
+let labTest;
+
+beforeEach(() => {
+    labTest = new LabTest({
+        testId: 'LT0001',
+        testName: 'Complete Blood Count',
+        testCode: 'CBC',
+        category: 'hematology',
+        sampleType: 'blood',
+        department: 'pathology',
+        processingTime: { duration: 4, unit: 'hours' },
+        pricing: {
+            basePrice: 40,
+            urgentPrice: 15,
+            homeCollectionPrice: 10,
+            discounts: [
+                { type: 'percentage', value: 10, applicableFor: 'senior_citizens' },
+                { type: 'fixed', value: 100, applicableFor: 'staff' },
+                { type: 'fixed', value: 5, applicableFor: 'students', validUntil: new Date('2020-01-01T00:00:00Z') }
+            ]
+        },
+        isHomeCollectionAvailable: true,
+        branches: [
+            { branchId, price: 50 },
+            { branchId: otherBranchId, isAvailable: false }
+        ]
+    });
+    labTest.save = jest.fn().mockResolvedValue(labTest);
+    jest.spyOn(LabTest, 'findOne').mockResolvedValue(labTest);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('GET /lab-tests/:id/quote', () => {
+    it("prices the test at the user's branch with surcharges and current discounts", async () => {
+        const res = await request(appFor(patient))
+            .get(`/lab-tests/${labTest._id}/quote`)
+            .query({ isUrgent: 'true', isHomeCollection: 'true' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.quote).toMatchObject({
+            branchId: branchId.toString(),
+            basePrice: 50,
+            urgentCharge: 15,
+            homeCollectionCharge: 10,
+            price: 75
+        });
+        expect(res.body.data.quote.discounts.map(d => [d.applicableFor, d.amount, d.finalPrice])).toEqual([
+            ['senior_citizens', 7.5, 67.5],
+            ['staff', 75, 0]
+        ]);
+    });
+
+    it('falls back to the base price at branches without their own price', async () => {
+        const res = await request(appFor(patient))
+            .get(`/lab-tests/${labTest._id}/quote`)
+            .query({ branchId: new mongoose.Types.ObjectId().toString() });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.quote).toMatchObject({ basePrice: 40, urgentCharge: 0, price: 40 });
+    });
+
+    it('refuses branches where the test is switched off', async () => {
+        const res = await request(appFor(patient))
+            .get(`/lab-tests/${labTest._id}/quote`)
+            .query({ branchId: otherBranchId.toString() });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('This test is not available at the selected branch');
+    });
+
+    it('needs a valid branch', async () => {
+        const res = await request(appFor({ ...patient, branchId: undefined }))
+            .get(`/lab-tests/${labTest._id}/quote`)
+            .query({ branchId: 'main' });
+
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('GET /lab-tests/search', () => {
+    it('matches the query literally', async () => {
+        const limit = jest.fn().mockResolvedValue([]);
+        jest.spyOn(LabTest, 'searchTests').mockReturnValue({ limit });
+
+        const res = await request(appFor(patient)).get('/lab-tests/search').query({ q: 'T3 (free)', limit: 500 });
+
+        expect(res.status).toBe(200);
+        expect(LabTest.searchTests).toHaveBeenCalledWith('T3 \\(free\\)', {});
+        expect(limit).toHaveBeenCalledWith(100);
+    });
+});
+
+describe('PUT /lab-tests/:id', () => {
+    it('applies editable fields only', async () => {
+        const res = await request(appFor(labStaff))
+            .put(`/lab-tests/${labTest._id}`)
+            .send({ testName: 'Full Blood Count', testId: 'LT9999', stats: { totalTests: 5 } });
+
+        expect(res.status).toBe(200);
+        expect(labTest.testName).toBe('Full Blood Count');
+        expect(labTest.testId).toBe('LT0001');
+        expect(labTest.updatedBy).toEqual(labStaff._id);
+    });
+
+    it('rejects invalid values before touching the test', async () => {
+        const res = await request(appFor(labStaff))
+            .put(`/lab-tests/${labTest._id}`)
+            .send({
+                category: 'astrology',
+                pricing: { urgentPrice: 5, discounts: [{ type: 'bogo', value: 1 }] },
+                isActive: 'yes'
+            });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.map(e => e.message)).toEqual(expect.arrayContaining([
+            'Invalid test category',
+            'Base price must be a positive number',
+            'Discount type must be percentage or fixed',
+            'Availability flags must be true or false'
+        ]));
+        expect(labTest.save).not.toHaveBeenCalled();
+    });
+
+    it('is limited to lab staff', async () => {
+        const res = await request(appFor(patient)).put(`/lab-tests/${labTest._id}`).send({ testName: 'CBC' });
+
+        expect(res.status).toBe(403);
+    });
+});
@@ -0,0 +1,218 @@
+jest.mock('../../src/services/notificationService', () => ({
+    notifyUser: jest.fn(),
+    notifyUsers: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Appointment = require('../../src/models/Appointment');
+const Branch = require('../../src/models/Branch');
+const Doctor = require('../../src/models/Doctor');
+const Invoice = require('../../src/models/Invoice');
+const appointmentService = require('../../src/services/appointmentService');
+const availabilityService = require('../../src/services/availabilityService');
+const reminderService = require('../../src/services/reminderService');
+const waitlistService = require('../../src/services/waitlistService');
+
+const HOUR = 60 * 60 * 1000;
+
+const appointmentIn = (hours, overrides = {}) => {
+    const start = new Date(Date.now() + hours * HOUR);
+    const appointment = new Appointment({
+        appointmentId: 'APT00001',
+        patient: new mongoose.Types.ObjectId(),
+        doctor: new mongoose.Types.ObjectId(),
+        branchId: new mongoose.Types.ObjectId(),
+        scheduledDate: new Date(start.getFullYear(), start.getMonth(), start.getDate()),
+        scheduledTime: `${String(start.getHours()).padStart(2, '0')}:${String(start.getMinutes()).padStart(2, '0')}`,
+        status: 'confirmed',
+        fees: { consultationFee: 100, totalAmount: 100, paidAmount: 100, paymentStatus: 'paid' },
+        ...overrides
+    });
+    appointment.save = jest.fn().mockResolvedValue(appointment);
+    return appointment;
+};
+
+const withPolicy = (cancellationPolicy) => {
+    jest.spyOn(Branch, 'findById').mockReturnValue({
+        select: jest.fn().mockResolvedValue(cancellationPolicy ? { settings: { cancellationPolicy } } : null)
+    });
+};
+
+beforeEach(() => {
+    jest.spyOn(reminderService, 'clearAppointmentReminders').mockResolvedValue();
+    jest.spyOn(waitlistService, 'offerSlot').mockResolvedValue();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('getCancellationTerms', () => {
+    it('refunds patients in full a day or more ahead under the default policy', async () => {
+        withPolicy(null);
+        const terms = await appointmentService.getCancellationTerms(appointmentIn(30), { initiatedBy: 'patient' });
+
+        expect(terms).toMatchObject({ allowed: true, refundPercentage: 100, refundAmount: 100 });
+    });
+
+    it('refunds half between four and twenty-four hours ahead', async () => {
+        withPolicy(null);
+        const terms = await appointmentService.getCancellationTerms(appointmentIn(10), { initiatedBy: 'patient' });
+
+        expect(terms).toMatchObject({ allowed: true, refundPercentage: 50, refundAmount: 50 });
+    });
+
+    it('refunds nothing to patients inside four hours, but fully when staff cancel', async () => {
+        withPolicy(null);
+        const late = appointmentIn(2);
+
+        await expect(appointmentService.getCancellationTerms(late, { initiatedBy: 'patient' }))
+            .resolves.toMatchObject({ refundPercentage: 0, refundAmount: 0 });
+        await expect(appointmentService.getCancellationTerms(late, { initiatedBy: 'staff' }))
+            .resolves.toMatchObject({ refundPercentage: 100, refundAmount: 100 });
+    });
+
+    it('rounds partial refunds to cents', async () => {
+        withPolicy({ patientTiers: [{ minHoursBefore: 0, refundPercentage: 33 }] });
+        const appointment = appointmentIn(10, {
+            fees: { consultationFee: 99.99, totalAmount: 99.99, paidAmount: 99.99, paymentStatus: 'paid' }
+        });
+
+        await expect(appointmentService.getCancellationTerms(appointment, { initiatedBy: 'patient' }))
+            .resolves.toMatchObject({ refundAmount: 33 });
+    });
+
+    it('blocks patient cancellations inside the branch cutoff', async () => {
+        withPolicy({ patientTiers: [{ minHoursBefore: 0, refundPercentage: 0 }], patientCutoffHours: 6 });
+        const terms = await appointmentService.getCancellationTerms(appointmentIn(3), { initiatedBy: 'patient' });
+
+        expect(terms.allowed).toBe(false);
+    });
+
+    it('only marks an appointment as no-show once it has started', async () => {
+        withPolicy(null);
+
+        await expect(appointmentService.getCancellationTerms(appointmentIn(1), { isNoShow: true }))
+            .resolves.toMatchObject({ allowed: false });
+        await expect(appointmentService.getCancellationTerms(appointmentIn(-1), { isNoShow: true }))
+            .resolves.toMatchObject({ allowed: true, refundAmount: 0 });
+    });
+});
+
+describe('cancel', () => {
+    it('records the refund against the invoice and reduces what was paid', async () => {
+        withPolicy(null);
+        const invoice = {
+            paidAmount: 100,
+            payments: [{ status: 'completed', method: 'card' }],
+            addRefund: jest.fn(({ amount }) => ({ amount, paymentId: 'PAY-R1' })),
+            save: jest.fn().mockResolvedValue()
+        };
+        jest.spyOn(Invoice, 'findOne').mockResolvedValue(invoice);
+
+        const appointment = appointmentIn(10);
+        const result = await appointmentService.cancel(appointment, {
+            cancelledBy: new mongoose.Types.ObjectId(),
+            initiatedBy: 'patient',
+            reason: 'Travelling'
+        });
+
+        expect(result.error).toBeUndefined();
+        expect(invoice.addRefund).toHaveBeenCalledWith(expect.objectContaining({ amount: 50, method: 'card' }));
+        expect(appointment.status).toBe('cancelled');
+        expect(appointment.cancellation.refundAmount).toBe(50);
+        expect(appointment.cancellation.refundPaymentId).toBe('PAY-R1');
+        expect(appointment.fees.paidAmount).toBe(50);
+        expect(appointment.fees.paymentStatus).toBe('partial');
+    });
+
+    it('records no refund when there is no paid invoice to refund against', async () => {
+        withPolicy(null);
+        jest.spyOn(Invoice, 'findOne').mockResolvedValue(null);
+
+        const appointment = appointmentIn(30);
+        await appointmentService.cancel(appointment, {
+            cancelledBy: new mongoose.Types.ObjectId(),
+            initiatedBy: 'patient'
+        });
+
+        expect(appointment.cancellation.refundPercentage).toBe(100);
+        expect(appointment.cancellation.refundAmount).toBe(0);
+        expect(appointment.fees.paidAmount).toBe(100);
+        expect(appointment.fees.paymentStatus).toBe('paid');
+    });
+
+    it('offers a cancelled slot to the waitlist but not a no-show', async () => {
+        withPolicy(null);
+        jest.spyOn(Invoice, 'findOne').mockResolvedValue(null);
+
+        await appointmentService.cancel(appointmentIn(30), { initiatedBy: 'staff' });
+        await appointmentService.cancel(appointmentIn(-1), { initiatedBy: 'staff', isNoShow: true });
+
+        expect(waitlistService.offerSlot).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('reschedule', () => {
+    const newDoctor = new mongoose.Types.ObjectId();
+
+    beforeEach(() => {
+        withPolicy(null);
+        jest.spyOn(Doctor, 'findOne').mockImplementation(async ({ userId }) => ({ userId }));
+        jest.spyOn(availabilityService, 'withBookingLock').mockImplementation((doctorId, date, fn) => fn());
+        jest.spyOn(availabilityService, 'checkSlot').mockResolvedValue({ available: true });
+        jest.spyOn(availabilityService, 'lostBookingRace').mockResolvedValue(false);
+        jest.spyOn(reminderService, 'syncAppointmentReminders').mockResolvedValue();
+    });
+
+    it('refuses once the reschedule limit is reached', async () => {
+        const appointment = appointmentIn(48, { rescheduleCount: 3 });
+
+        const result = await appointmentService.reschedule(appointment, {
+            scheduledDate: appointment.scheduledDate,
+            scheduledTime: '10:00'
+        });
+
+        expect(result.statusCode).toBe(400);
+        expect(appointment.save).not.toHaveBeenCalled();
+    });
+
+    it('moves to another doctor and length and frees the original slot', async () => {
+        const appointment = appointmentIn(48, { duration: 30 });
+        const original = {
+            doctor: appointment.doctor,
+            scheduledDate: appointment.scheduledDate,
+            scheduledTime: appointment.scheduledTime
+        };
+
+        await appointmentService.reschedule(appointment, {
+            scheduledDate: appointment.scheduledDate,
+            scheduledTime: '16:00',
+            doctor: newDoctor,
+            duration: 45,
+            reason: 'Specialist requested'
+        });
+
+        expect(availabilityService.checkSlot).toHaveBeenCalledWith({ userId: newDoctor }, original.scheduledDate, '16:00', 45, expect.anything());
+        expect(appointment).toMatchObject({ doctor: newDoctor, scheduledTime: '16:00', duration: 45, rescheduleCount: 1 });
+        expect(appointment.reschedulingHistory).toHaveLength(1);
+        expect(waitlistService.offerSlot).toHaveBeenCalledWith(original.doctor, original.scheduledDate, original.scheduledTime, 30);
+    });
+
+    it('puts everything back when another booking won the slot', async () => {
+        const appointment = appointmentIn(48, { duration: 30 });
+        const originalDoctor = appointment.doctor;
+        const originalTime = appointment.scheduledTime;
+        availabilityService.lostBookingRace.mockResolvedValue(true);
+
+        const result = await appointmentService.reschedule(appointment, {
+            scheduledDate: appointment.scheduledDate,
+            scheduledTime: '16:00',
+            doctor: newDoctor,
+            duration: 45
+        });
+
+        expect(result.statusCode).toBe(400);
+        expect(appointment).toMatchObject({ doctor: originalDoctor, scheduledTime: originalTime, duration: 30, rescheduleCount: 0 });
+        expect(appointment.reschedulingHistory).toHaveLength(0);
+        expect(waitlistService.offerSlot).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const availabilityService = require('../../src/services/availabilityService');
+
+const doctorId = new mongoose.Types.ObjectId();
+const day = new Date('2026-03-02T00:00:00');
+
+const booking = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    doctor: doctorId,
+    scheduledDate: day,
+    scheduledTime: '10:00',
+    duration: 30,
+    updatedAt: new Date('2026-03-01T09:00:00Z'),
+    ...overrides
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('withBookingLock', () => {
+    it('runs bookings for the same doctor and day one at a time', async () => {
+        const events = [];
+        let releaseFirst;
+        const firstHeld = new Promise(resolve => { releaseFirst = resolve; });
+
+        const first = availabilityService.withBookingLock(doctorId, day, async () => {
+            events.push('first:start');
+            await firstHeld;
+            events.push('first:end');
+        });
+        const second = availabilityService.withBookingLock(doctorId, day, async () => {
+            events.push('second:start');
+        });
+
+        await new Promise(resolve => setImmediate(resolve));
+        expect(events).toEqual(['first:start']);
+
+        releaseFirst();
+        await Promise.all([first, second]);
+        expect(events).toEqual(['first:start', 'first:end', 'second:start']);
+    });
+
+    it('releases the lock when the work throws', async () => {
+        await expect(availabilityService.withBookingLock(doctorId, day, async () => {
+            throw new Error('write failed');
+        })).rejects.toThrow('write failed');
+
+        await expect(availabilityService.withBookingLock(doctorId, day, async () => 'booked'))
+            .resolves.toBe('booked');
+    });
+});
+
+describe('lostBookingRace', () => {
+    it('loses to an overlapping booking written earlier', async () => {
+        const mine = booking({ updatedAt: new Date('2026-03-01T09:00:01Z') });
+        jest.spyOn(availabilityService, 'getBookedAppointments')
+            .mockResolvedValue([booking({ scheduledTime: '10:15' })]);
+
+        await expect(availabilityService.lostBookingRace(mine)).resolves.toBe(true);
+    });
+
+    it('wins against an overlapping booking written later', async () => {
+        const mine = booking();
+        jest.spyOn(availabilityService, 'getBookedAppointments')
+            .mockResolvedValue([booking({ updatedAt: new Date('2026-03-01T09:00:01Z') })]);
+
+        await expect(availabilityService.lostBookingRace(mine)).resolves.toBe(false);
+    });
+
+    it('breaks a tie on write time by ID so exactly one booking survives', async () => {
+        const [a, b] = [booking(), booking()].sort((x, y) => x._id.toString().localeCompare(y._id.toString()));
+        const spy = jest.spyOn(availabilityService, 'getBookedAppointments');
+
+        spy.mockResolvedValueOnce([b]);
+        await expect(availabilityService.lostBookingRace(a)).resolves.toBe(false);
+
+        spy.mockResolvedValueOnce([a]);
+        await expect(availabilityService.lostBookingRace(b)).resolves.toBe(true);
+    });
+
+    it('ignores bookings that end before this one starts', async () => {
+        jest.spyOn(availabilityService, 'getBookedAppointments')
+            .mockResolvedValue([booking({ scheduledTime: '09:30', updatedAt: new Date('2026-03-01T08:00:00Z') })]);
+
+        await expect(availabilityService.lostBookingRace(booking())).resolves.toBe(false);
+    });
+});
+
+describe('getBlockedIntervals', () => {
+    const nextDay = new Date('2026-03-03T00:00:00');
+
+    const doctorWith = (overrides = {}) => ({
+        userId: doctorId,
+        workingHours: { monday: { isAvailable: true, start: '09:00', end: '17:00', break: { start: '13:00', end: '14:00' } } },
+        leaves: [],
+        ...overrides
+    });
+
+    const leave = (startDate, endDate, status = 'approved') => ({ startDate: new Date(startDate), endDate: new Date(endDate), status });
+
+    it('blocks the doctor break and the branch breaks', () => {
+        const branch = { operatingHours: { monday: { isOpen: true, breaks: [{ startTime: '10:30', endTime: '10:45' }] } } };
+
+        expect(availabilityService.getBlockedIntervals(doctorWith(), branch, day)).toEqual([
+            { start: 13 * 60, end: 14 * 60 },
+            { start: 10 * 60 + 30, end: 10 * 60 + 45 }
+        ]);
+    });
+
+    it('blocks part of a day for a leave that starts and ends inside it', () => {
+        const doctor = doctorWith({ workingHours: {}, leaves: [leave('2026-03-02T11:00:00', '2026-03-02T15:30:00')] });
+
+        expect(availabilityService.getBlockedIntervals(doctor, null, day)).toEqual([{ start: 11 * 60, end: 15 * 60 + 30 }]);
+    });
+
+    it('treats a leave ending at midnight as ending before that day', () => {
+        const doctor = doctorWith({ workingHours: {}, leaves: [leave('2026-03-02T00:00:00', '2026-03-03T00:00:00')] });
+
+        expect(availabilityService.getBlockedIntervals(doctor, null, day)).toEqual([{ start: 0, end: 24 * 60 }]);
+        expect(availabilityService.getBlockedIntervals(doctor, null, nextDay)).toEqual([]);
+    });
+
+    it('blocks the morning of the last day up to the leave end', () => {
+        const doctor = doctorWith({ workingHours: {}, leaves: [leave('2026-03-01T08:00:00', '2026-03-03T12:00:00')] });
+
+        expect(availabilityService.getBlockedIntervals(doctor, null, day)).toEqual([{ start: 0, end: 24 * 60 }]);
+        expect(availabilityService.getBlockedIntervals(doctor, null, nextDay)).toEqual([{ start: 0, end: 12 * 60 }]);
+    });
+
+    it('ignores leaves that are not approved', () => {
+        const doctor = doctorWith({ workingHours: {}, leaves: [leave('2026-03-02T00:00:00', '2026-03-03T00:00:00', 'pending')] });
+
+        expect(availabilityService.getBlockedIntervals(doctor, null, day)).toEqual([]);
+    });
+});
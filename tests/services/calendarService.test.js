@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const Appointment = require('../../src/models/Appointment');
+const calendarService = require('../../src/services/calendarService');
+
+// Shaped like an appointment loaded with its references populated
+const buildAppointment = (overrides = {}) => {
+    const appointment = new Appointment({
+        appointmentId: 'APT00042',
+        patient: new mongoose.Types.ObjectId(),
+        doctor: new mongoose.Types.ObjectId(),
+        branchId: new mongoose.Types.ObjectId(),
+        scheduledDate: new Date('2026-03-02T00:00:00'),
+        scheduledTime: '09:30',
+        duration: 45,
+        status: 'confirmed',
+        ...overrides
+    });
+
+    return {
+        ...appointment.toObject({ virtuals: true }),
+        updatedAt: new Date('2026-03-01T12:00:00Z'),
+        patient: { _id: appointment.patient, firstName: 'Sam', lastName: 'Lee' },
+        doctor: { _id: appointment.doctor, firstName: 'Asha', lastName: 'Rao' },
+        branchId: {
+            _id: appointment.branchId,
+            name: 'City Clinic',
+            address: { street: '1 Main St', city: 'Springfield', state: 'IL' }
+        }
+    };
+};
+
+// Unfold continuation lines and index properties by name
+const parse = (ics) => ics
+    .replace(/\r\n /g, '')
+    .split('\r\n')
+    .filter(Boolean)
+    .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1)]);
+
+const property = (ics, name) => parse(ics).find(([key]) => key === name)?.[1];
+
+describe('renderAppointment', () => {
+    it('renders a patient invite with the doctor, times and branch address', () => {
+        const appointment = buildAppointment();
+        const ics = calendarService.renderAppointment(appointment);
+
+        expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+        expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(property(ics, 'UID')).toBe(`${appointment._id}@hospital-management.local`);
+        expect(property(ics, 'DTSTART')).toBe(new Date('2026-03-02T09:30:00').toISOString().replace(/[-:]/g, '').replace('.000', ''));
+        expect(property(ics, 'DTEND')).toBe(new Date('2026-03-02T10:15:00').toISOString().replace(/[-:]/g, '').replace('.000', ''));
+        expect(property(ics, 'SUMMARY')).toBe('Consultation with Dr. Asha Rao');
+        expect(property(ics, 'LOCATION')).toBe('City Clinic\\, 1 Main St\\, Springfield\\, IL');
+        expect(property(ics, 'STATUS')).toBe('CONFIRMED');
+        expect(property(ics, 'SEQUENCE')).toBe('0');
+    });
+
+    it('bumps the sequence on each reschedule and again when cancelled', () => {
+        const rescheduled = calendarService.renderAppointment(buildAppointment({ rescheduleCount: 2 }));
+        const cancelled = calendarService.renderAppointment(buildAppointment({ rescheduleCount: 2, status: 'cancelled' }));
+
+        expect(property(rescheduled, 'SEQUENCE')).toBe('2');
+        expect(property(cancelled, 'SEQUENCE')).toBe('3');
+        expect(property(cancelled, 'STATUS')).toBe('CANCELLED');
+        expect(property(cancelled, 'TRANSP')).toBe('TRANSPARENT');
+    });
+
+    it('escapes text values and folds long lines', () => {
+        const appointment = buildAppointment({ roomNumber: 'B-12; east wing, 2nd floor' });
+        appointment.branchId.name = `City Clinic ${'Outpatient Department '.repeat(4)}`.trim();
+        const ics = calendarService.renderAppointment(appointment);
+
+        expect(property(ics, 'DESCRIPTION')).toContain('Room: B-12\\; east wing\\, 2nd floor');
+        ics.split('\r\n').forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+        expect(ics).toMatch(/\r\n [^\r\n]/);
+    });
+});
+
+describe('renderDoctorFeed', () => {
+    it('shares only patient initials and no branch address', () => {
+        const ics = calendarService.renderDoctorFeed('Asha Rao', [buildAppointment({ tokenNumber: '007' })]);
+
+        expect(property(ics, 'X-WR-CALNAME')).toBe('Dr. Asha Rao - Appointments');
+        expect(property(ics, 'SUMMARY')).toBe('Consultation - SL');
+        expect(property(ics, 'LOCATION')).toBe('City Clinic');
+        expect(property(ics, 'DESCRIPTION')).toContain('Token: 007');
+        expect(ics).not.toContain('Sam');
+        expect(ics).not.toContain('Main St');
+    });
+});
+
+describe('feed tokens', () => {
+    it('stores only a hash that matches the issued token', () => {
+        const { token, tokenHash } = calendarService.generateFeedToken();
+
+        expect(token).toMatch(/^[0-9a-f]{64}$/);
+        expect(tokenHash).not.toBe(token);
+        expect(calendarService.hashFeedToken(token)).toBe(tokenHash);
+    });
+});
@@ -0,0 +1,140 @@
+jest.mock('../../src/services/notificationService', () => ({
+    notifyUser: jest.fn(),
+    notifyUsers: jest.fn(),
+    scheduleForUser: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Appointment = require('../../src/models/Appointment');
+const Campaign = require('../../src/models/Campaign');
+const Patient = require('../../src/models/Patient');
+const User = require('../../src/models/User');
+const NotificationService = require('../../src/services/notificationService');
+const campaignService = require('../../src/services/campaignService');
+
+const now = new Date('2026-03-02T09:00:00Z');
+const ids = (count) => Array.from({ length: count }, () => new mongoose.Types.ObjectId());
+
+const withUsers = (userIds) => jest.spyOn(User, 'find').mockReturnValue({ distinct: jest.fn().mockResolvedValue(userIds) });
+
+// Shaped like Campaign.findOneAndUpdate(...).populate('audience')
+const claim = (claimed) => jest.spyOn(Campaign, 'findOneAndUpdate').mockReturnValue({
+    populate: jest.fn().mockResolvedValue(claimed)
+});
+
+const runningCampaign = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    campaignId: 'CMP00001',
+    status: 'running',
+    throttlePerMinute: 2,
+    audience: { filters: { roles: ['patient'] }, deletedAt: null },
+    content: { title: 'Flu shots', body: 'Book your flu shot today', type: 'general', priority: 'low', actionUrl: '/book' },
+    save: jest.fn().mockResolvedValue(),
+    ...overrides
+});
+
+beforeEach(() => NotificationService.scheduleForUser.mockReset());
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('resolveAudience', () => {
+    it('filters active users by role, branch and age', async () => {
+        const branchId = new mongoose.Types.ObjectId();
+        withUsers([]);
+
+        await campaignService.resolveAudience({
+            roles: ['patient'],
+            branchIds: [branchId],
+            ageRange: { min: 18, max: 65 }
+        }, now);
+
+        expect(User.find).toHaveBeenCalledWith({
+            deletedAt: null,
+            isActive: true,
+            role: { $in: ['patient'] },
+            branchId: { $in: [branchId] },
+            dateOfBirth: { $lte: new Date('2008-03-02T09:00:00Z'), $gt: new Date('1960-03-02T09:00:00Z') }
+        });
+    });
+
+    it('keeps only patients matching every patient filter', async () => {
+        const [both, conditionOnly, visitOnly] = ids(3);
+        jest.spyOn(Patient, 'find').mockReturnValue({ distinct: jest.fn().mockResolvedValue([both, conditionOnly]) });
+        jest.spyOn(Appointment, 'aggregate').mockResolvedValue([{ _id: both }, { _id: visitOnly }]);
+        withUsers([both]);
+
+        const result = await campaignService.resolveAudience({
+            chronicConditions: ['Type 2 (diabetes)'],
+            lastVisitDaysAgo: { min: 180 }
+        }, now);
+
+        expect(result).toEqual([both]);
+        const [patientQuery] = Patient.find.mock.calls[0];
+        expect(patientQuery.chronicConditions.$elemMatch.condition.$in[0].test('type 2 (diabetes) mellitus')).toBe(true);
+        expect(Appointment.aggregate.mock.calls[0][0][2]).toEqual({
+            $match: { lastVisit: { $lte: new Date('2025-09-03T09:00:00Z') } }
+        });
+        expect(User.find.mock.calls[0][0]._id).toEqual({ $in: [both] });
+    });
+});
+
+describe('startCampaign', () => {
+    it('releases recipients in per-minute batches of the throttle size', async () => {
+        const recipients = ids(5);
+        const claimed = runningCampaign();
+        claim(claimed);
+        withUsers(recipients);
+
+        const result = await campaignService.startCampaign({ _id: claimed._id }, now);
+
+        expect(result).toBe(claimed);
+        expect(Campaign.findOneAndUpdate).toHaveBeenCalledWith(
+            { _id: claimed._id, status: 'scheduled' },
+            { $set: { status: 'running', startedAt: now } },
+            { new: true }
+        );
+        const calls = NotificationService.scheduleForUser.mock.calls;
+        expect(calls.map(([userId]) => userId)).toEqual(recipients);
+        expect(calls.map(([, , sendAt]) => (sendAt - now) / 60000)).toEqual([0, 0, 1, 1, 2]);
+        expect(calls.map(([, content]) => content.batchId)).toEqual([
+            'CMP00001-1', 'CMP00001-1', 'CMP00001-2', 'CMP00001-2', 'CMP00001-3'
+        ]);
+        expect(calls[0][1]).toMatchObject({ title: 'Flu shots', campaignId: 'CMP00001', data: { actionUrl: '/book' } });
+        expect(claimed.audienceSize).toBe(5);
+        expect(claimed.status).toBe('running');
+        expect(claimed.save).toHaveBeenCalled();
+    });
+
+    it('does nothing when another worker already claimed the campaign', async () => {
+        claim(null);
+        withUsers(ids(2));
+
+        await expect(campaignService.startCampaign({ _id: new mongoose.Types.ObjectId() }, now)).resolves.toBeNull();
+        expect(User.find).not.toHaveBeenCalled();
+        expect(NotificationService.scheduleForUser).not.toHaveBeenCalled();
+    });
+
+    it('counts only queued recipients and completes a campaign with nobody to reach', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const claimed = runningCampaign();
+        claim(claimed);
+        withUsers(ids(2));
+        NotificationService.scheduleForUser.mockRejectedValue(new Error('Recipient has opted out'));
+
+        await campaignService.startCampaign({ _id: claimed._id }, now);
+
+        expect(claimed.audienceSize).toBe(0);
+        expect(claimed).toMatchObject({ status: 'completed', completedAt: now });
+    });
+
+    it('sends nothing when the audience was deleted', async () => {
+        const claimed = runningCampaign({ audience: { filters: {}, deletedAt: now } });
+        claim(claimed);
+        withUsers(ids(2));
+
+        await campaignService.startCampaign({ _id: claimed._id }, now);
+
+        expect(NotificationService.scheduleForUser).not.toHaveBeenCalled();
+        expect(claimed.status).toBe('completed');
+    });
+});
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const deviceTokenService = require('../../src/services/deviceTokenService');
+
+const userId = new mongoose.Types.ObjectId();
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('recordDeliveryResults', () => {
+    it('counts each device and deactivates the tokens FCM rejected', async () => {
+        const bulkWrite = jest.spyOn(User, 'bulkWrite').mockResolvedValue({});
+
+        const result = await deviceTokenService.recordDeliveryResults(userId, {
+            responses: [
+                { token: 'ok', success: true },
+                { token: 'gone', success: false, error: { code: 'messaging/registration-token-not-registered' } },
+                { token: 'busy', success: false, error: { code: 'messaging/server-unavailable' } }
+            ],
+            invalidTokens: ['gone']
+        });
+
+        expect(result).toEqual({ deactivated: 1 });
+        const [operations, options] = bulkWrite.mock.calls[0];
+        expect(options).toEqual({ ordered: false });
+        expect(operations.map(op => op.updateOne.filter)).toEqual([
+            { _id: userId, 'fcmTokens.token': 'ok' },
+            { _id: userId, 'fcmTokens.token': 'gone' },
+            { _id: userId, 'fcmTokens.token': 'busy' }
+        ]);
+
+        const [delivered, rejected, failed] = operations.map(op => op.updateOne.update);
+        expect(delivered.$inc).toEqual({ 'fcmTokens.$.deliveredCount': 1 });
+        expect(rejected.$set).toMatchObject({
+            'fcmTokens.$.isActive': false,
+            'fcmTokens.$.deactivationReason': 'messaging/registration-token-not-registered'
+        });
+        expect(failed.$inc).toEqual({ 'fcmTokens.$.failedCount': 1 });
+        expect(failed.$set).toMatchObject({ 'fcmTokens.$.lastError': 'messaging/server-unavailable' });
+        expect(failed.$set).not.toHaveProperty(['fcmTokens.$.isActive']);
+    });
+
+    it('writes nothing when no device was tried', async () => {
+        const bulkWrite = jest.spyOn(User, 'bulkWrite');
+
+        await expect(deviceTokenService.recordDeliveryResults(userId, { responses: [] })).resolves.toEqual({ deactivated: 0 });
+        expect(bulkWrite).not.toHaveBeenCalled();
+    });
+});
+
+describe('expireStaleTokens', () => {
+    it('pulls devices last seen, or registered, before the cutoff', async () => {
+        jest.useFakeTimers({ now: new Date('2026-03-31T00:00:00Z') });
+        const updateMany = jest.spyOn(User, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+
+        try {
+            await expect(deviceTokenService.expireStaleTokens(30)).resolves.toBe(3);
+        } finally {
+            jest.useRealTimers();
+        }
+
+        const cutoff = new Date('2026-03-01T00:00:00Z');
+        const stale = {
+            $or: [
+                { lastSeenAt: { $lt: cutoff } },
+                { lastSeenAt: null, createdAt: { $lt: cutoff } }
+            ]
+        };
+        expect(updateMany).toHaveBeenCalledWith({ fcmTokens: { $elemMatch: stale } }, { $pull: { fcmTokens: stale } });
+    });
+});
@@ -0,0 +1,69 @@
+jest.mock('../../src/services/notificationService', () => ({
+    notifyUser: jest.fn(),
+    notifyUsers: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Notification = require('../../src/models/Notification');
+const User = require('../../src/models/User');
+const digestService = require('../../src/services/digestService');
+
+const userWith = (digest) => ({
+    _id: new mongoose.Types.ObjectId(),
+    preferences: { timezone: 'UTC', notifications: { digest: { enabled: true, frequency: 'daily', time: '08:00', ...digest } } }
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('isDue', () => {
+    const now = new Date('2026-03-04T10:00:00Z');
+
+    it('holds the first digest until the chosen time after the first held notification', () => {
+        const user = userWith({});
+
+        expect(digestService.isDue(user, now, new Date('2026-03-04T09:00:00Z'))).toBe(false);
+        expect(digestService.isDue(user, new Date('2026-03-05T08:00:00Z'), new Date('2026-03-04T09:00:00Z'))).toBe(true);
+    });
+
+    it('sends the first digest at the next slot when notifications were held before it', () => {
+        const user = userWith({});
+
+        expect(digestService.isDue(user, now, new Date('2026-03-04T07:30:00Z'))).toBe(true);
+    });
+
+    it('is not due without held notifications before the first digest', () => {
+        expect(digestService.isDue(userWith({}), now)).toBe(false);
+    });
+
+    it('is due once a slot has passed since the last digest', () => {
+        expect(digestService.isDue(userWith({ lastSentAt: new Date('2026-03-03T08:00:00Z') }), now)).toBe(true);
+        expect(digestService.isDue(userWith({ lastSentAt: new Date('2026-03-04T08:00:00Z') }), now)).toBe(false);
+    });
+
+    it('waits for the chosen weekday on weekly digests', () => {
+        const user = userWith({ frequency: 'weekly', dayOfWeek: 'friday' });
+        const heldAt = new Date('2026-03-02T12:00:00Z');
+
+        expect(digestService.isDue(user, now, heldAt)).toBe(false);
+        expect(digestService.isDue(user, new Date('2026-03-06T08:15:00Z'), heldAt)).toBe(true);
+    });
+});
+
+describe('sendDueDigests', () => {
+    it('only sends digests whose first slot has come', async () => {
+        const early = userWith({});
+        const recent = userWith({});
+        jest.spyOn(Notification, 'aggregate').mockResolvedValue([
+            { _id: early._id, firstHeldAt: new Date('2026-03-04T07:00:00Z') },
+            { _id: recent._id, firstHeldAt: new Date('2026-03-04T09:30:00Z') }
+        ]);
+        jest.spyOn(User, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([early, recent]) });
+        const sendDigest = jest.spyOn(digestService, 'sendDigest').mockResolvedValue({});
+
+        const result = await digestService.sendDueDigests(new Date('2026-03-04T10:00:00Z'));
+
+        expect(result).toEqual({ sent: 1 });
+        expect(sendDigest).toHaveBeenCalledTimes(1);
+        expect(sendDigest).toHaveBeenCalledWith(early, expect.any(Date));
+    });
+});
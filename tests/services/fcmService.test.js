@@ -0,0 +1,61 @@
+const mockSendEachForMulticast = jest.fn();
+
+jest.mock('firebase-admin', () => ({
+    apps: [],
+    messaging: () => ({ sendEachForMulticast: mockSendEachForMulticast })
+}));
+
+const FCMService = require('../../src/services/fcmService');
+
+const notRegistered = { success: false, error: { code: 'messaging/registration-token-not-registered' } };
+const unavailable = { success: false, error: { code: 'messaging/server-unavailable' } };
+
+beforeEach(() => {
+    mockSendEachForMulticast.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('sendToMultipleDevices', () => {
+    it('sends in batches of 500 and pairs every response with its token', async () => {
+        const tokens = Array.from({ length: 501 }, (_, i) => `token-${i}`);
+        mockSendEachForMulticast.mockImplementation(async ({ tokens: batch }) => ({
+            successCount: batch.length === 1 ? 0 : batch.length,
+            failureCount: batch.length === 1 ? 1 : 0,
+            responses: batch.map(() => (batch.length === 1 ? notRegistered : { success: true }))
+        }));
+
+        const result = await FCMService.sendToMultipleDevices(tokens, { title: 'Hi', body: 'There' });
+
+        expect(mockSendEachForMulticast.mock.calls.map(([message]) => message.tokens.length)).toEqual([500, 1]);
+        expect(result.successCount).toBe(500);
+        expect(result.failureCount).toBe(1);
+        expect(result.responses).toHaveLength(501);
+        expect(result.responses[500]).toMatchObject({ token: 'token-500', success: false });
+        expect(result.invalidTokens).toEqual(['token-500']);
+    });
+
+    it('only reports tokens that will never work again as invalid', async () => {
+        mockSendEachForMulticast.mockResolvedValue({
+            successCount: 0,
+            failureCount: 2,
+            responses: [unavailable, notRegistered]
+        });
+
+        const result = await FCMService.sendToMultipleDevices(['a', 'b'], { title: 'Hi', body: 'There' });
+
+        expect(result.invalidTokens).toEqual(['b']);
+        expect(result.responses.map(r => r.token)).toEqual(['a', 'b']);
+    });
+
+    it('sends silent pushes as data-only messages', async () => {
+        mockSendEachForMulticast.mockResolvedValue({ successCount: 1, failureCount: 0, responses: [{ success: true }] });
+
+        await FCMService.sendToMultipleDevices(['a'], { title: 'Hi', body: 'There', data: { type: 'sync' }, silent: true });
+
+        const [message] = mockSendEachForMulticast.mock.calls[0];
+        expect(message.notification).toBeUndefined();
+        expect(message.data).toMatchObject({ type: 'sync' });
+    });
+});
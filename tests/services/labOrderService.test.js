@@ -0,0 +1,274 @@
+const mongoose = require('mongoose');
+const Appointment = require('../../src/models/Appointment');
+const Invoice = require('../../src/models/Invoice');
+const LabPackage = require('../../src/models/LabPackage');
+const LabReport = require('../../src/models/LabReport');
+const LabTest = require('../../src/models/LabTest');
+const labOrderService = require('../../src/services/labOrderService');
+
+const branchId = new mongoose.Types.ObjectId();
+
+const testWith = (testCode, basePrice, fields = {}) => new LabTest({
+    testId: `LT-${testCode}`,
+    testName: testCode,
+    testCode,
+    category: 'biochemistry',
+    sampleType: 'blood',
+    department: 'pathology',
+    processingTime: { duration: 4, unit: 'hours' },
+    pricing: { basePrice },
+    ...fields
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('allocatePrice', () => {
+    it('splits the package price in proportion to the list prices', () => {
+        const tests = [testWith('GLU', 10), testWith('HBA1C', 30), testWith('LIPID', 60)];
+
+        expect(labOrderService.allocatePrice(tests, 80)).toEqual([8, 24, 48]);
+    });
+
+    it('gives the rounding remainder to the last test so the amounts add up', () => {
+        const tests = [testWith('A', 10), testWith('B', 10), testWith('C', 10)];
+        const amounts = labOrderService.allocatePrice(tests, 100);
+
+        expect(amounts).toEqual([33.33, 33.33, 33.34]);
+        expect(amounts.reduce((sum, amount) => sum + amount, 0)).toBeCloseTo(100, 10);
+    });
+
+    it('splits evenly when the member tests are free', () => {
+        expect(labOrderService.allocatePrice([testWith('A', 0), testWith('B', 0)], 25)).toEqual([12.5, 12.5]);
+    });
+});
+
+describe('buildSamplePlan', () => {
+    it('draws one sample per sample type and container, with the longest fast and each step once', () => {
+        const fasting = { instruction: 'No food after midnight', timeframe: '12 hours', importance: 'mandatory' };
+        const plan = labOrderService.buildSamplePlan([
+            testWith('GLU', 10, { containerType: 'fluoride_tube', fastingRequired: true, fastingHours: 8, preparationInstructions: [fasting] }),
+            testWith('LIPID', 20, { containerType: 'plain_tube', fastingRequired: true, fastingHours: 12, preparationInstructions: [fasting] }),
+            testWith('TSH', 15, { containerType: 'plain_tube' }),
+            testWith('URINE', 5, { sampleType: 'urine', containerType: 'sterile_container' })
+        ]);
+
+        expect(plan.samples).toEqual([
+            { sampleType: 'blood', containerType: 'fluoride_tube', tests: ['GLU'] },
+            { sampleType: 'blood', containerType: 'plain_tube', tests: ['LIPID', 'TSH'] },
+            { sampleType: 'urine', containerType: 'sterile_container', tests: ['URINE'] }
+        ]);
+        expect(plan).toMatchObject({ fastingRequired: true, fastingHours: 12 });
+        expect(plan.preparationInstructions).toEqual([fasting]);
+    });
+});
+
+describe('orderPackage', () => {
+    const order = {
+        patient: new mongoose.Types.ObjectId(),
+        branchId,
+        createdBy: new mongoose.Types.ObjectId()
+    };
+
+    const packageOf = (tests, fields = {}) => new LabPackage({
+        packageId: 'PKG00001',
+        name: 'Diabetes Panel',
+        code: 'DIAB',
+        tests: tests.map(test => test._id),
+        pricing: { basePrice: 50 },
+        branches: [{ branchId, price: 40 }],
+        ...fields
+    });
+
+    it('creates a report per test and bills the package as one invoice line', async () => {
+        const tests = [testWith('GLU', 10), testWith('HBA1C', 30)];
+        jest.spyOn(LabTest, 'find').mockResolvedValue([...tests].reverse());
+        jest.spyOn(Invoice, 'create').mockImplementation(async (fields) => ({ ...fields, invoiceId: 'INV00001' }));
+        const saveReports = jest.spyOn(labOrderService, 'saveReports').mockResolvedValue();
+        const labPackage = packageOf(tests);
+
+        const result = await labOrderService.orderPackage(labPackage, order);
+
+        expect(result.reports.map(report => [report.labTest, report.billing.amount, report.billing.invoiceId])).toEqual([
+            [tests[0]._id, 10, 'INV00001'],
+            [tests[1]._id, 30, 'INV00001']
+        ]);
+        expect(result.reports.every(report => report.labPackage.equals(labPackage._id))).toBe(true);
+        expect(Invoice.create).toHaveBeenCalledWith(expect.objectContaining({
+            items: [expect.objectContaining({ description: 'Diabetes Panel (DIAB) - 2 tests', quantity: 1, totalAmount: 40 })],
+            totalAmount: 40,
+            labReports: result.reports.map(report => report._id)
+        }));
+        expect(saveReports).toHaveBeenCalledWith(result.reports);
+    });
+
+    it('is refused at branches that do not offer the package', async () => {
+        const tests = [testWith('GLU', 10), testWith('HBA1C', 30)];
+        const labPackage = packageOf(tests, { branches: [{ branchId, isAvailable: false }] });
+        jest.spyOn(Invoice, 'create');
+
+        const result = await labOrderService.orderPackage(labPackage, order);
+
+        expect(result).toEqual({ error: 'Diabetes Panel is not available at the selected branch', statusCode: 400 });
+        expect(Invoice.create).not.toHaveBeenCalled();
+    });
+
+    it('is refused when a member test is no longer offered', async () => {
+        const tests = [testWith('GLU', 10), testWith('HBA1C', 30)];
+        jest.spyOn(LabTest, 'find').mockResolvedValue([tests[0]]);
+        jest.spyOn(Invoice, 'create');
+
+        const result = await labOrderService.orderPackage(packageOf(tests), order);
+
+        expect(result.statusCode).toBe(400);
+        expect(result.error).toBe('Diabetes Panel contains tests that are no longer offered');
+        expect(Invoice.create).not.toHaveBeenCalled();
+    });
+
+    it('cancels the invoice when the reports cannot be saved', async () => {
+        const tests = [testWith('GLU', 10), testWith('HBA1C', 30)];
+        const invoice = { invoiceId: 'INV00001', save: jest.fn().mockResolvedValue() };
+        jest.spyOn(LabTest, 'find').mockResolvedValue(tests);
+        jest.spyOn(Invoice, 'create').mockResolvedValue(invoice);
+        jest.spyOn(labOrderService, 'saveReports').mockRejectedValue(new Error('write failed'));
+
+        await expect(labOrderService.orderPackage(packageOf(tests), order)).rejects.toThrow('write failed');
+        expect(invoice.status).toBe('cancelled');
+        expect(invoice.deletedAt).toBeInstanceOf(Date);
+        expect(invoice.save).toHaveBeenCalled();
+    });
+});
+
+describe('orderForAppointment', () => {
+    const appointmentWith = (status) => new Appointment({
+        appointmentId: 'APT00001',
+        patient: new mongoose.Types.ObjectId(),
+        doctor: new mongoose.Types.ObjectId(),
+        branchId,
+        scheduledDate: new Date('2026-03-02T00:00:00'),
+        scheduledTime: '10:00',
+        status
+    });
+
+    it('only takes orders during or after the consultation', async () => {
+        const result = await labOrderService.orderForAppointment(appointmentWith('confirmed'), {
+            tests: [{ testId: new mongoose.Types.ObjectId() }]
+        });
+
+        expect(result).toEqual({ error: 'Cannot order lab tests for an appointment that is confirmed', statusCode: 400 });
+    });
+
+    it('checks every test before creating any report', async () => {
+        const available = testWith('GLU', 10);
+        const urgentOnly = testWith('CULTURE', 25, { isUrgentAvailable: false });
+        jest.spyOn(LabTest, 'find').mockResolvedValue([available, urgentOnly]);
+        jest.spyOn(LabPackage, 'find').mockResolvedValue([]);
+        const saveReports = jest.spyOn(labOrderService, 'saveReports');
+
+        const result = await labOrderService.orderForAppointment(appointmentWith('in_progress'), {
+            tests: [{ testId: available._id }, { testId: urgentOnly._id, urgency: 'stat' }]
+        });
+
+        expect(result).toEqual({ error: 'Urgent processing is not available for CULTURE', statusCode: 400 });
+        expect(saveReports).not.toHaveBeenCalled();
+    });
+
+    it('completes a suggested test and records new ones on the consultation', async () => {
+        const suggested = testWith('GLU', 10);
+        const added = testWith('TSH', 15);
+        const appointment = appointmentWith('in_progress');
+        appointment.labTests.push({ testName: 'GLU', testId: suggested._id, ordered: false });
+        appointment.save = jest.fn().mockResolvedValue(appointment);
+        jest.spyOn(LabTest, 'find').mockResolvedValue([suggested, added]);
+        jest.spyOn(LabPackage, 'find').mockResolvedValue([]);
+        jest.spyOn(labOrderService, 'saveReports').mockResolvedValue();
+
+        const result = await labOrderService.orderForAppointment(appointment, {
+            tests: [{ testId: suggested._id, instructions: 'Fasting' }, { testId: added._id }]
+        });
+
+        expect(result.reports.map(report => report.billing.amount)).toEqual([10, 15]);
+        expect(appointment.labTests.map(item => [item.testName, item.ordered, item.instructions])).toEqual([
+            ['GLU', true, 'Fasting'],
+            ['TSH', true, undefined]
+        ]);
+        expect(appointment.save).toHaveBeenCalled();
+    });
+});
+
+describe('sample collection', () => {
+    const staff = new mongoose.Types.ObjectId();
+
+    const pendingReport = () => {
+        const report = new LabReport({
+            reportId: 'RPT2603020001',
+            sampleId: 'SMP2603020001',
+            patient: new mongoose.Types.ObjectId(),
+            labTest: new mongoose.Types.ObjectId(),
+            branchId,
+            sampleType: 'blood',
+            billing: { amount: 40 },
+            createdBy: staff
+        });
+        report.save = jest.fn().mockResolvedValue(report);
+        return report;
+    };
+
+    it('moves an acceptable sample on to processing', async () => {
+        const report = pendingReport();
+
+        const result = await labOrderService.collectSample(report, { collectedBy: staff });
+
+        expect(result.report.status).toBe('in_progress');
+        expect(report.sampleCollectedBy).toEqual(staff);
+        expect(report.trackingHistory[report.trackingHistory.length - 1].notes).toBe('Sample SMP2603020001 collected');
+    });
+
+    it('rejects an unusable sample straight away and refuses to collect it twice', async () => {
+        const report = pendingReport();
+
+        await labOrderService.collectSample(report, { sampleCondition: 'hemolyzed', notes: 'Tube cracked', collectedBy: staff });
+
+        expect(report.status).toBe('rejected');
+        expect(report.sampleRejections.toObject()).toEqual([expect.objectContaining({
+            sampleId: 'SMP2603020001',
+            sampleCondition: 'hemolyzed',
+            reason: 'Tube cracked',
+            collectedAt: report.sampleCollectedAt
+        })]);
+        await expect(labOrderService.collectSample(report, { collectedBy: staff })).resolves.toMatchObject({ statusCode: 400 });
+    });
+
+    it('does not reject a sample that already has results', async () => {
+        const report = pendingReport();
+        await labOrderService.collectSample(report, { collectedBy: staff });
+        report.results.push({ parameter: 'Hemoglobin', value: '13.5' });
+
+        const result = await labOrderService.rejectSample(report, { sampleCondition: 'clotted', rejectedBy: staff });
+
+        expect(result).toEqual({ error: 'Results have already been entered for this sample', statusCode: 400 });
+        expect(report.status).toBe('in_progress');
+    });
+
+    it('puts a rejected sample back on the worklist under a new sample ID each time', async () => {
+        const report = pendingReport();
+
+        await labOrderService.collectSample(report, { sampleCondition: 'clotted', collectedBy: staff });
+        await labOrderService.requestRecollection(report, { requestedBy: staff });
+
+        expect(report).toMatchObject({ status: 'pending', sampleId: 'SMP2603020001-R1', sampleCondition: 'acceptable' });
+        expect(report.sampleCollectedAt).toBeUndefined();
+
+        await labOrderService.collectSample(report, { sampleCondition: 'insufficient', collectedBy: staff });
+        await labOrderService.requestRecollection(report, { requestedBy: staff });
+
+        expect(report.sampleId).toBe('SMP2603020001-R2');
+        expect(report.sampleRejections.map(rejection => rejection.sampleId)).toEqual(['SMP2603020001', 'SMP2603020001-R1']);
+    });
+
+    it('only recollects reports whose current sample was rejected', async () => {
+        const report = pendingReport();
+
+        await expect(labOrderService.requestRecollection(report, { requestedBy: staff }))
+            .resolves.toEqual({ error: 'Only a report with a rejected sample can be recollected', statusCode: 400 });
+    });
+});
@@ -0,0 +1,368 @@
+jest.mock('../../src/services/notificationService', () => ({
+    notifyUser: jest.fn(),
+    notifyUsers: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const LabReport = require('../../src/models/LabReport');
+const LabTest = require('../../src/models/LabTest');
+const User = require('../../src/models/User');
+const labResultService = require('../../src/services/labResultService');
+const NotificationService = require('../../src/services/notificationService');
+
+const technician = new mongoose.Types.ObjectId();
+const pathologist = new mongoose.Types.ObjectId();
+
+const buildTest = () => new LabTest({
+    testName: 'Complete Blood Count',
+    testCode: 'CBC',
+    methodology: 'Automated analyser',
+    referenceRanges: [
+        {
+            parameter: 'Hemoglobin',
+            unit: 'g/dL',
+            normalRange: {
+                male: { min: 13.5, max: 17.5 },
+                female: { min: 12, max: 15.5 },
+                pediatric: { min: 11, max: 14 }
+            },
+            criticalValues: { low: 7, high: 20 }
+        },
+        {
+            parameter: 'PSA',
+            unit: 'ng/mL',
+            normalRange: { male: { max: 4 } }
+        },
+        {
+            parameter: 'Blood Group Antibodies',
+            normalRange: { male: { text: 'Negative' }, female: { text: 'Negative' } }
+        }
+    ]
+});
+
+const buildReport = (labTest, status = 'in_progress') => {
+    const report = new LabReport({
+        reportId: 'LR00001',
+        sampleId: 'S00001',
+        patient: new mongoose.Types.ObjectId(),
+        labTest: labTest._id,
+        branchId: new mongoose.Types.ObjectId(),
+        sampleType: 'blood',
+        status,
+        sampleCollectedAt: new Date(Date.now() - 2 * 60 * 60 * 1000),
+        billing: { amount: 40 },
+        createdBy: technician
+    });
+    // Behave like a report loaded from the database
+    report.isNew = false;
+    report.save = jest.fn(async function () {
+        await this.validate();
+        // A real save persists subdocuments and clears their modified paths
+        [this, ...this.$getAllSubdocs()].forEach(doc => {
+            doc.isNew = false;
+            doc.modifiedPaths().forEach(path => doc.unmarkModified(path));
+        });
+        return this;
+    });
+    return report;
+};
+
+const withPatient = (patient) => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(patient) });
+};
+
+let labTest;
+
+beforeEach(() => {
+    labTest = buildTest();
+    jest.spyOn(LabTest, 'findById').mockImplementation(() => {
+        const query = Promise.resolve(labTest);
+        query.select = () => Promise.resolve(labTest);
+        return query;
+    });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('enterResults', () => {
+    it('flags values against the range for the patient\'s gender', async () => {
+        withPatient({ gender: 'female', age: 40 });
+        const report = buildReport(labTest);
+
+        await labResultService.enterResults(report, [{ parameter: 'Hemoglobin', value: '16' }], { enteredBy: technician });
+
+        expect(report.results[0]).toMatchObject({
+            flag: 'high',
+            unit: 'g/dL',
+            referenceRange: { normal: '12-15.5 g/dL', critical: '< 7 g/dL or > 20 g/dL' }
+        });
+        expect(report.results[0].enteredBy).toEqual(technician);
+    });
+
+    it('uses the pediatric range for children', async () => {
+        withPatient({ gender: 'male', age: 6 });
+        const report = buildReport(labTest);
+
+        await labResultService.enterResults(report, [{ parameter: 'Hemoglobin', value: '13' }], { enteredBy: technician });
+
+        expect(report.results[0].flag).toBe('normal');
+        expect(report.results[0].referenceRange.normal).toBe('11-14 g/dL');
+    });
+
+    it('flags critical values whatever the normal range', async () => {
+        withPatient({ gender: 'male', age: 50 });
+        const report = buildReport(labTest);
+
+        await labResultService.enterResults(report, [{ parameter: 'Hemoglobin', value: '6.2' }], { enteredBy: technician });
+
+        expect(report.results[0].flag).toBe('critical_low');
+        expect(report.criticalValueAlert.hasAlert).toBe(true);
+    });
+
+    it('does not apply another gender\'s range', async () => {
+        withPatient({ gender: 'female', age: 5 });
+        const report = buildReport(labTest);
+
+        await labResultService.enterResults(report, [{ parameter: 'PSA', value: '6' }], { enteredBy: technician });
+
+        expect(report.results[0].flag).toBeNull();
+        expect(report.results[0].referenceRange.normal).toBeUndefined();
+    });
+
+    it('flags text results that differ from the expected text', async () => {
+        withPatient({ gender: 'male', age: 30 });
+        const report = buildReport(labTest);
+
+        await labResultService.enterResults(report, [{ parameter: 'Blood Group Antibodies', value: 'Positive' }], { enteredBy: technician });
+
+        expect(report.results[0].flag).toBe('abnormal');
+    });
+
+    it('rejects non-numeric values for parameters with numeric limits', async () => {
+        withPatient({ gender: 'female', age: 40 });
+        const report = buildReport(labTest);
+
+        const result = await labResultService.enterResults(report, [
+            { parameter: 'Hemoglobin', value: '1O.5' },
+            { parameter: 'PSA', value: 'N/A' }
+        ], { enteredBy: technician });
+
+        expect(result).toMatchObject({ statusCode: 400, error: expect.stringContaining('Hemoglobin, PSA') });
+        expect(report.results).toHaveLength(0);
+        expect(report.save).not.toHaveBeenCalled();
+    });
+
+    it('never reads a non-numeric value as normal', () => {
+        const flag = labResultService.getFlag(labTest, 'Hemoglobin', 'N/A', { min: 13.5, max: 17.5 });
+
+        expect(flag).toBe('abnormal');
+    });
+
+    it('rejects parameters the test does not define', async () => {
+        withPatient({ gender: 'male', age: 30 });
+        const report = buildReport(labTest);
+
+        const result = await labResultService.enterResults(report, [{ parameter: 'Glucose', value: '90' }], { enteredBy: technician });
+
+        expect(result).toMatchObject({ statusCode: 400 });
+        expect(report.save).not.toHaveBeenCalled();
+    });
+
+    it('sends a completed report back for checking when a result is corrected', async () => {
+        withPatient({ gender: 'male', age: 30 });
+        const report = buildReport(labTest, 'completed');
+
+        await labResultService.enterResults(report, [{ parameter: 'Hemoglobin', value: '14' }], { enteredBy: technician });
+
+        expect(report.status).toBe('in_progress');
+        expect(report.trackingHistory[report.trackingHistory.length - 1].notes).toMatch(/corrected/);
+    });
+});
+
+describe('verification', () => {
+    const originalSecret = process.env.LAB_SIGNING_SECRET;
+
+    // A completed report with every result entered by the technician
+    const completedReport = async () => {
+        withPatient({ gender: 'male', age: 40 });
+        const report = buildReport(labTest);
+
+        await labResultService.enterResults(report, [
+            { parameter: 'Hemoglobin', value: '14.2' },
+            { parameter: 'PSA', value: '1.1' },
+            { parameter: 'Blood Group Antibodies', value: 'Negative' }
+        ], { enteredBy: technician });
+        await labResultService.completeResults(report, { completedBy: technician });
+
+        return report;
+    };
+
+    beforeEach(() => {
+        process.env.LAB_SIGNING_SECRET = 'test-signing-secret';
+        NotificationService.notifyUser.mockClear();
+    });
+
+    afterAll(() => {
+        if (originalSecret === undefined) delete process.env.LAB_SIGNING_SECRET;
+        else process.env.LAB_SIGNING_SECRET = originalSecret;
+    });
+
+    it('must be done by someone other than the person who entered the results', async () => {
+        const report = await completedReport();
+
+        const result = await labResultService.verifyReport(report, { verifiedBy: technician });
+
+        expect(result.statusCode).toBe(403);
+        expect(report.status).toBe('completed');
+    });
+
+    it('signs, releases and notifies the patient', async () => {
+        const report = await completedReport();
+
+        await labResultService.verifyReport(report, { verifiedBy: pathologist, notes: 'Reviewed' });
+
+        expect(report.status).toBe('verified');
+        expect(report.verification.verifiedBy).toEqual(pathologist);
+        expect(report.verification.digitalSignature).toMatch(/^[0-9a-f]{64}$/);
+        expect(labResultService.isSignatureValid(report)).toBe(true);
+        expect(NotificationService.notifyUser).toHaveBeenCalledWith(report.patient, expect.objectContaining({
+            template: 'lab_result_ready'
+        }));
+    });
+
+    it('can return results for correction instead, with a reason', async () => {
+        const report = await completedReport();
+
+        await expect(labResultService.verifyReport(report, { verifiedBy: pathologist, approved: false }))
+            .resolves.toMatchObject({ statusCode: 400 });
+
+        await labResultService.verifyReport(report, { verifiedBy: pathologist, approved: false, notes: 'Repeat PSA' });
+
+        expect(report.status).toBe('in_progress');
+        expect(report.verification.digitalSignature).toBeUndefined();
+    });
+
+    it('is refused without a signing secret', async () => {
+        const report = await completedReport();
+        delete process.env.LAB_SIGNING_SECRET;
+
+        await expect(labResultService.verifyReport(report, { verifiedBy: pathologist }))
+            .resolves.toMatchObject({ statusCode: 503 });
+    });
+
+    it('detects results changed after signing', async () => {
+        const report = await completedReport();
+        await labResultService.verifyReport(report, { verifiedBy: pathologist });
+
+        report.results[0].value = '9.8';
+
+        expect(labResultService.isSignatureValid(report)).toBe(false);
+    });
+
+    it('cannot be reproduced without the server secret', async () => {
+        const report = await completedReport();
+        await labResultService.verifyReport(report, { verifiedBy: pathologist });
+        const signature = report.verification.digitalSignature;
+
+        process.env.LAB_SIGNING_SECRET = 'guessed-secret';
+
+        expect(labResultService.computeSignature(report)).not.toBe(signature);
+        expect(labResultService.isSignatureValid(report)).toBe(false);
+    });
+
+    it('locks the results against edits', async () => {
+        const report = await completedReport();
+        await labResultService.verifyReport(report, { verifiedBy: pathologist });
+
+        report.results[0].value = '9.8';
+
+        await expect(report.validate()).rejects.toThrow(/amend the report instead/);
+        await expect(labResultService.enterResults(report, [{ parameter: 'Hemoglobin', value: '9.8' }], { enteredBy: technician }))
+            .resolves.toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('amendReport', () => {
+    beforeEach(() => {
+        process.env.LAB_SIGNING_SECRET = 'test-signing-secret';
+    });
+
+    const verifiedReport = async () => {
+        withPatient({ gender: 'male', age: 40 });
+        const report = buildReport(labTest);
+
+        await labResultService.enterResults(report, [
+            { parameter: 'Hemoglobin', value: '14.2' },
+            { parameter: 'PSA', value: '1.1' },
+            { parameter: 'Blood Group Antibodies', value: 'Negative' }
+        ], { enteredBy: technician });
+        await labResultService.completeResults(report, { completedBy: technician });
+        await labResultService.verifyReport(report, { verifiedBy: pathologist });
+
+        return report;
+    };
+
+    it('requires a reason', async () => {
+        const report = await verifiedReport();
+
+        await expect(labResultService.amendReport(report, [{ parameter: 'PSA', value: '5.2' }], { reason: ' ', amendedBy: technician }))
+            .resolves.toMatchObject({ statusCode: 400 });
+        expect(report.version).toBe(1);
+    });
+
+    it('keeps the verified version and starts a new one', async () => {
+        const report = await verifiedReport();
+        const signed = report.verification.digitalSignature;
+
+        await labResultService.amendReport(report, [{ parameter: 'PSA', value: '5.2' }], {
+            reason: 'Transcription error',
+            amendedBy: technician
+        });
+
+        expect(report.version).toBe(2);
+        expect(report.status).toBe('in_progress');
+        expect(report.verification.verifiedAt).toBeUndefined();
+        expect(report.versions).toHaveLength(1);
+        expect(report.versions[0]).toMatchObject({
+            version: 1,
+            amendmentReason: 'Transcription error',
+            verification: { digitalSignature: signed }
+        });
+        expect(report.versions[0].results.find(r => r.parameter === 'PSA').value).toBe('1.1');
+        expect(report.results.find(r => r.parameter === 'PSA')).toMatchObject({ value: '5.2', flag: 'high' });
+    });
+
+    it('shows patients the last verified version until the amendment is verified', async () => {
+        const report = await verifiedReport();
+        await labResultService.amendReport(report, [{ parameter: 'PSA', value: '5.2' }], {
+            reason: 'Transcription error',
+            amendedBy: technician
+        });
+
+        let released = labResultService.getReleasedVersion(report);
+        expect(released).toMatchObject({ version: 1, amendmentInProgress: true });
+        expect(released.results.find(r => r.parameter === 'PSA').value).toBe('1.1');
+
+        await labResultService.completeResults(report, { completedBy: technician });
+        await labResultService.verifyReport(report, { verifiedBy: pathologist });
+
+        released = labResultService.getReleasedVersion(report);
+        expect(released).toMatchObject({ version: 2, amendmentInProgress: false });
+        expect(labResultService.isSignatureValid(report)).toBe(true);
+    });
+
+    it('leaves the report untouched when the corrected results are invalid', async () => {
+        const report = await verifiedReport();
+
+        const result = await labResultService.amendReport(report, [{ parameter: 'Glucose', value: '90' }], {
+            reason: 'Wrong analyte',
+            amendedBy: technician
+        });
+
+        expect(result.statusCode).toBe(400);
+        expect(report.status).toBe('verified');
+        expect(report.version).toBe(1);
+        expect(report.versions).toHaveLength(0);
+        expect(labResultService.isSignatureValid(report)).toBe(true);
+    });
+});
@@ -0,0 +1,84 @@
+const Notification = require('../../src/models/Notification');
+const User = require('../../src/models/User');
+const policy = require('../../src/services/notificationPolicyService');
+
+const userWithQuietHours = (quietHours, timezone = 'UTC') => ({
+    preferences: {
+        timezone,
+        notifications: { quietHours }
+    }
+});
+
+const nightly = { enabled: true, start: '22:00', end: '07:00' };
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('quiet hours', () => {
+    it('are off unless the user turns them on', () => {
+        const user = new User({});
+
+        expect(user.preferences.notifications.quietHours.enabled).toBe(false);
+        expect(policy.getQuietHoursEnd(user, new Date('2026-03-02T23:30:00Z'))).toBeNull();
+    });
+
+    it('hold a notification until the window ends, across midnight', () => {
+        const endsAt = policy.getDeferral(
+            { type: 'appointment_reminder', priority: 'normal' },
+            userWithQuietHours(nightly),
+            new Date('2026-03-02T23:30:00Z')
+        );
+
+        expect(endsAt.toISOString()).toBe('2026-03-03T07:00:00.000Z');
+    });
+
+    it('use the user\'s time zone', () => {
+        // 23:30 UTC is 18:30 in New York, outside the window
+        const user = userWithQuietHours(nightly, 'America/New_York');
+
+        expect(policy.getQuietHoursEnd(user, new Date('2026-03-02T23:30:00Z'))).toBeNull();
+        expect(policy.getQuietHoursEnd(user, new Date('2026-03-03T04:00:00Z'))).not.toBeNull();
+    });
+
+    it('do not hold urgent notifications, high risk alerts or waitlist offers', () => {
+        const user = userWithQuietHours(nightly);
+        const night = new Date('2026-03-02T23:30:00Z');
+
+        expect(policy.getDeferral({ type: 'system_update', priority: 'urgent' }, user, night)).toBeNull();
+        expect(policy.getDeferral({ type: 'high_risk_alert', priority: 'normal' }, user, night)).toBeNull();
+        expect(policy.getDeferral({ type: 'waitlist_offer', priority: 'high' }, user, night)).toBeNull();
+    });
+});
+
+describe('rate caps', () => {
+    it('use the per-type cap, falling back to the default', () => {
+        expect(policy.getRateCap('billing_reminder')).toBe(3);
+        expect(policy.getRateCap('system_update')).toBe(policy.defaultRateCap);
+    });
+
+    it('stop delivery once the cap is reached within the window', async () => {
+        const count = jest.spyOn(Notification, 'countDocuments');
+        const notification = { _id: 'n1', userId: 'u1', type: 'billing_reminder' };
+
+        count.mockResolvedValueOnce(2);
+        await expect(policy.isOverRateCap(notification)).resolves.toBe(false);
+
+        count.mockResolvedValueOnce(3);
+        await expect(policy.isOverRateCap(notification)).resolves.toBe(true);
+
+        expect(count).toHaveBeenLastCalledWith(expect.objectContaining({
+            userId: 'u1',
+            type: 'billing_reminder',
+            sentAt: { $gte: expect.any(Date) }
+        }));
+    });
+});
+
+describe('digests', () => {
+    it('only collect low and normal priority notifications the user opted into', () => {
+        const user = { preferences: { notifications: { digest: { types: ['appointment_reminder', 'waitlist_offer'] } } } };
+
+        expect(policy.shouldDigest({ type: 'appointment_reminder', priority: 'normal' }, user)).toBe(true);
+        expect(policy.shouldDigest({ type: 'appointment_reminder', priority: 'high' }, user)).toBe(false);
+        expect(policy.shouldDigest({ type: 'waitlist_offer', priority: 'normal' }, user)).toBe(false);
+    });
+});
@@ -0,0 +1,35 @@
+const FCMService = require('../../src/services/fcmService');
+const deviceTokenService = require('../../src/services/deviceTokenService');
+const { PushChannel } = require('../../src/services/channels');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('PushChannel', () => {
+    it('is disabled until Firebase has been initialised', () => {
+        expect(FCMService.isInitialized()).toBe(false);
+        expect(new PushChannel().isEnabled()).toBe(false);
+    });
+
+    it('is enabled once Firebase is initialised', () => {
+        jest.spyOn(FCMService, 'isInitialized').mockReturnValue(true);
+
+        expect(new PushChannel().isEnabled()).toBe(true);
+    });
+
+    it('only addresses active device tokens', () => {
+        const channel = new PushChannel();
+
+        expect(channel.getAddress({ fcmTokens: [{ token: 'a' }, { token: 'b', isActive: false }] })).toEqual(['a']);
+        expect(channel.getAddress({ fcmTokens: [{ token: 'b', isActive: false }] })).toBeNull();
+    });
+
+    it('records per-device results and fails when no device received the push', async () => {
+        const result = { successCount: 0, failureCount: 1, responses: [{ token: 'a', success: false }], invalidTokens: ['a'] };
+        jest.spyOn(FCMService, 'sendToMultipleDevices').mockResolvedValue(result);
+        const record = jest.spyOn(deviceTokenService, 'recordDeliveryResults').mockResolvedValue({ deactivated: 1 });
+        const notification = { _id: 'n1', userId: 'u1', type: 'general', title: 'Hi', body: 'There' };
+
+        await expect(new PushChannel().send(notification, ['a'])).rejects.toThrow('Push failed on all 1 device(s)');
+        expect(record).toHaveBeenCalledWith('u1', result);
+    });
+});
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Appointment = require('../../src/models/Appointment');
+const queueService = require('../../src/services/queueService');
+
+const doctorId = new mongoose.Types.ObjectId();
+
+const waitingAppointment = (tokenSequence, overrides = {}) => {
+    const appointment = new Appointment({
+        patient: new mongoose.Types.ObjectId(),
+        doctor: doctorId,
+        branchId: new mongoose.Types.ObjectId(),
+        scheduledDate: new Date(),
+        scheduledTime: '10:00',
+        status: 'confirmed',
+        checkedInAt: new Date(),
+        tokenSequence,
+        ...overrides
+    });
+    appointment.save = jest.fn().mockResolvedValue(appointment);
+    return appointment;
+};
+
+const noneInProgress = () => jest.spyOn(Appointment, 'findOne').mockReturnValue({
+    select: jest.fn().mockResolvedValue(null)
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('prioritize', () => {
+    it('only lets urgent or emergency appointments jump the queue', async () => {
+        const high = waitingAppointment(1, { priority: 'high' });
+
+        const result = await queueService.prioritize(high, new mongoose.Types.ObjectId(), 'Feels unwell');
+
+        expect(result.statusCode).toBe(400);
+        expect(high.save).not.toHaveBeenCalled();
+    });
+
+    it('requires a reason', async () => {
+        const urgent = waitingAppointment(1, { priority: 'urgent' });
+
+        await expect(queueService.prioritize(urgent, new mongoose.Types.ObjectId()))
+            .resolves.toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('getWaitingAppointments', () => {
+    it('orders queue jumps first, then by token', async () => {
+        const first = waitingAppointment(1);
+        const second = waitingAppointment(2);
+        const jumped = waitingAppointment(3, { queueJump: { jumpedAt: new Date(), reason: 'Chest pain' } });
+        jest.spyOn(Appointment, 'find').mockResolvedValue([second, jumped, first]);
+
+        const waiting = await queueService.getWaitingAppointments(doctorId, new Date());
+
+        expect(waiting.map(apt => apt.tokenSequence)).toEqual([3, 1, 2]);
+    });
+});
+
+describe('computeQueue', () => {
+    it('works out positions and waits without saving', async () => {
+        const queue = [waitingAppointment(1, { queuePosition: 2 }), waitingAppointment(2, { queuePosition: 1 })];
+        jest.spyOn(queueService, 'getWaitingAppointments').mockResolvedValue(queue);
+        jest.spyOn(queueService, 'getAverageConsultationMinutes').mockResolvedValue(15);
+        noneInProgress();
+
+        const { waiting, moved } = await queueService.computeQueue(doctorId, new Date());
+
+        expect(waiting.map(apt => [apt.queuePosition, apt.estimatedWaitTime])).toEqual([[1, 0], [2, 15]]);
+        expect(moved).toHaveLength(2);
+        queue.forEach(apt => expect(apt.save).not.toHaveBeenCalled());
+    });
+});
+
+describe('getLiveQueue', () => {
+    it('does not write to the database', async () => {
+        const queue = [waitingAppointment(1)];
+        jest.spyOn(queueService, 'getWaitingAppointments').mockResolvedValue(queue);
+        jest.spyOn(queueService, 'getAverageConsultationMinutes').mockResolvedValue(15);
+        const refresh = jest.spyOn(queueService, 'refreshQueue');
+        noneInProgress();
+        jest.spyOn(Appointment, 'populate').mockImplementation(async docs => docs);
+
+        const live = await queueService.getLiveQueue(doctorId);
+
+        expect(live.waiting).toHaveLength(1);
+        expect(live.waiting[0].queuePosition).toBe(1);
+        expect(refresh).not.toHaveBeenCalled();
+        expect(queue[0].save).not.toHaveBeenCalled();
+    });
+});
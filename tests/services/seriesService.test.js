@@ -0,0 +1,244 @@
+jest.mock('../../src/services/notificationService', () => ({
+    notifyUser: jest.fn(),
+    notifyUsers: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Appointment = require('../../src/models/Appointment');
+const AppointmentSeries = require('../../src/models/AppointmentSeries');
+const NotificationService = require('../../src/services/notificationService');
+const appointmentService = require('../../src/services/appointmentService');
+const availabilityService = require('../../src/services/availabilityService');
+const seriesService = require('../../src/services/seriesService');
+
+const { toDateKey } = availabilityService;
+const keys = (dates) => dates.map(toDateKey);
+
+const doctor = {
+    userId: new mongoose.Types.ObjectId(),
+    appointmentDuration: 30,
+    consultationFee: { amount: 60 }
+};
+
+const buildSeries = () => {
+    const series = new AppointmentSeries({
+        seriesId: 'SER00001',
+        patient: new mongoose.Types.ObjectId(),
+        doctor: doctor.userId,
+        branchId: new mongoose.Types.ObjectId(),
+        recurrence: { frequency: 'weekly', daysOfWeek: ['monday'], count: 4 },
+        startDate: new Date('2026-03-02T00:00:00'),
+        scheduledTime: '10:00',
+        chiefComplaint: 'Physiotherapy',
+        createdBy: new mongoose.Types.ObjectId()
+    });
+    series.save = jest.fn().mockResolvedValue(series);
+    return series;
+};
+
+const occurrenceOf = (series, date, occurrence) => {
+    const appointment = new Appointment({
+        appointmentId: `APT0000${occurrence}`,
+        patient: series.patient,
+        doctor: series.doctor,
+        branchId: series.branchId,
+        scheduledDate: new Date(`${date}T00:00:00`),
+        scheduledTime: series.scheduledTime,
+        status: 'confirmed',
+        series: series._id,
+        seriesOccurrence: occurrence
+    });
+    appointment.save = jest.fn().mockResolvedValue(appointment);
+    return appointment;
+};
+
+beforeEach(() => NotificationService.notifyUsers.mockClear());
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('generateDates', () => {
+    it('repeats on the chosen weekdays until the count is reached', () => {
+        const dates = seriesService.generateDates(
+            { frequency: 'weekly', daysOfWeek: ['monday', 'thursday'], count: 5 },
+            '2026-03-03T00:00:00'
+        );
+
+        expect(keys(dates)).toEqual(['2026-03-05', '2026-03-09', '2026-03-12', '2026-03-16', '2026-03-19']);
+    });
+
+    it('skips exception dates without counting them', () => {
+        const dates = seriesService.generateDates(
+            { frequency: 'daily', interval: 2, count: 3, exceptions: ['2026-03-04'] },
+            '2026-03-02T00:00:00'
+        );
+
+        expect(keys(dates)).toEqual(['2026-03-02', '2026-03-06', '2026-03-08']);
+    });
+
+    it('clamps monthly dates to the end of shorter months', () => {
+        const dates = seriesService.generateDates({ frequency: 'monthly', count: 3 }, '2026-01-31T00:00:00');
+
+        expect(keys(dates)).toEqual(['2026-01-31', '2026-02-28', '2026-03-31']);
+    });
+
+    it('stops at the end date, including that day', () => {
+        const dates = seriesService.generateDates(
+            { frequency: 'weekly', until: '2026-03-16T00:00:00' },
+            '2026-03-02T00:00:00'
+        );
+
+        expect(keys(dates)).toEqual(['2026-03-02', '2026-03-09', '2026-03-16']);
+    });
+
+    it('needs a count or an end date, and a known frequency', () => {
+        expect(() => seriesService.generateDates({ frequency: 'weekly' }, '2026-03-02T00:00:00'))
+            .toThrow('Recurrence needs either a count or an end date');
+        expect(() => seriesService.generateDates({ frequency: 'yearly', count: 2 }, '2026-03-02T00:00:00'))
+            .toThrow('Unsupported frequency: yearly');
+    });
+});
+
+describe('createSeries', () => {
+    const data = {
+        patient: new mongoose.Types.ObjectId(),
+        doctor: doctor.userId,
+        branchId: new mongoose.Types.ObjectId(),
+        recurrence: { frequency: 'weekly', count: 3 },
+        startDate: '2026-03-02T00:00:00',
+        scheduledTime: '10:00',
+        chiefComplaint: 'Physiotherapy',
+        createdBy: new mongoose.Types.ObjectId()
+    };
+
+    beforeEach(() => {
+        // The second Monday is taken
+        jest.spyOn(availabilityService, 'checkSlot').mockImplementation(async (doc, date) => (
+            toDateKey(date) === '2026-03-09' ? { available: false, reason: 'Time slot is already booked' } : { available: true }
+        ));
+        jest.spyOn(AppointmentSeries, 'create').mockImplementation(async (fields) => new AppointmentSeries(fields));
+        jest.spyOn(appointmentService, 'book').mockImplementation(async () => ({
+            appointment: { _id: new mongoose.Types.ObjectId() }
+        }));
+    });
+
+    it('books nothing while an occurrence conflicts', async () => {
+        const result = await seriesService.createSeries(doctor, data);
+
+        expect(result.statusCode).toBe(409);
+        expect(result.occurrences.filter(o => !o.available).map(o => o.date)).toEqual(['2026-03-09']);
+        expect(AppointmentSeries.create).not.toHaveBeenCalled();
+        expect(appointmentService.book).not.toHaveBeenCalled();
+    });
+
+    it('books the free occurrences when conflicts may be skipped', async () => {
+        const result = await seriesService.createSeries(doctor, data, { skipConflicts: true });
+
+        expect(result.occurrences.map(o => [o.date, o.status])).toEqual([
+            ['2026-03-02', 'booked'],
+            ['2026-03-09', 'conflict'],
+            ['2026-03-16', 'booked']
+        ]);
+        expect(appointmentService.book).toHaveBeenCalledTimes(2);
+        expect(appointmentService.book).toHaveBeenCalledWith(doctor, expect.objectContaining({
+            seriesOccurrence: 3,
+            duration: 30,
+            fees: { consultationFee: 60, totalAmount: 60 }
+        }));
+    });
+});
+
+describe('updateOccurrences', () => {
+    it('shifts this and the following occurrences, latest first, and tells the patient once', async () => {
+        const series = buildSeries();
+        const occurrences = [
+            occurrenceOf(series, '2026-03-09', 2),
+            occurrenceOf(series, '2026-03-16', 3)
+        ];
+        jest.spyOn(Appointment, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue(occurrences) });
+        const moved = [];
+        jest.spyOn(appointmentService, 'reschedule').mockImplementation(async (occurrence, params) => {
+            moved.push(occurrence.seriesOccurrence);
+            occurrence.scheduledDate = params.scheduledDate;
+            occurrence.scheduledTime = params.scheduledTime;
+            return { appointment: occurrence };
+        });
+
+        const result = await seriesService.updateOccurrences(series, occurrences[0], {
+            scope: 'following',
+            scheduledDate: '2026-03-10T00:00:00',
+            scheduledTime: '11:00',
+            updatedBy: series.createdBy
+        });
+
+        expect(moved).toEqual([3, 2]);
+        expect(appointmentService.reschedule).toHaveBeenCalledWith(occurrences[1], expect.objectContaining({
+            enforceLimit: false,
+            notify: false
+        }));
+        expect(result.occurrences.map(o => [o.date, o.scheduledTime])).toEqual([
+            ['2026-03-10', '11:00'],
+            ['2026-03-17', '11:00']
+        ]);
+        expect(series.scheduledTime).toBe('11:00');
+        expect(NotificationService.notifyUsers).toHaveBeenCalledTimes(1);
+        expect(NotificationService.notifyUsers.mock.calls[0][1].variables.count).toBe(2);
+    });
+
+    it('changes only the chosen occurrence for "this"', async () => {
+        const series = buildSeries();
+        const occurrence = occurrenceOf(series, '2026-03-09', 2);
+        jest.spyOn(Appointment, 'find');
+        jest.spyOn(appointmentService, 'reschedule');
+
+        await seriesService.updateOccurrences(series, occurrence, {
+            scope: 'this',
+            chiefComplaint: 'Follow-up',
+            updatedBy: series.createdBy
+        });
+
+        expect(Appointment.find).not.toHaveBeenCalled();
+        expect(appointmentService.reschedule).not.toHaveBeenCalled();
+        expect(occurrence.chiefComplaint).toBe('Follow-up');
+        expect(series.chiefComplaint).toBe('Physiotherapy');
+    });
+});
+
+describe('cancelOccurrences', () => {
+    beforeEach(() => {
+        jest.spyOn(appointmentService, 'cancel').mockImplementation(async (occurrence) => ({ appointment: occurrence }));
+        jest.spyOn(Appointment, 'countDocuments').mockResolvedValue(2);
+    });
+
+    it('records a single cancelled occurrence as an exception', async () => {
+        const series = buildSeries();
+        const occurrence = occurrenceOf(series, '2026-03-09', 2);
+
+        await seriesService.cancelOccurrences(series, occurrence, { scope: 'this', initiatedBy: 'staff' });
+
+        expect(series.recurrence.exceptions).toEqual(['2026-03-09']);
+        expect(series.status).not.toBe('cancelled');
+    });
+
+    it('ends the series the day before when the following occurrences are cancelled', async () => {
+        const series = buildSeries();
+        const occurrences = [occurrenceOf(series, '2026-03-16', 3), occurrenceOf(series, '2026-03-23', 4)];
+        jest.spyOn(Appointment, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue(occurrences) });
+
+        const result = await seriesService.cancelOccurrences(series, occurrences[0], { scope: 'following', initiatedBy: 'staff' });
+
+        expect(result.occurrences.map(o => o.status)).toEqual(['cancelled', 'cancelled']);
+        expect(toDateKey(series.recurrence.until)).toBe('2026-03-15');
+        expect(NotificationService.notifyUsers).toHaveBeenCalledTimes(1);
+    });
+
+    it('marks the series cancelled when nothing open remains, without notifying a patient who cancelled', async () => {
+        const series = buildSeries();
+        jest.spyOn(Appointment, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([occurrenceOf(series, '2026-03-02', 1)]) });
+        Appointment.countDocuments.mockResolvedValue(0);
+
+        await seriesService.cancelOccurrences(series, null, { scope: 'all', initiatedBy: 'patient' });
+
+        expect(series.status).toBe('cancelled');
+        expect(NotificationService.notifyUsers).not.toHaveBeenCalled();
+    });
+});
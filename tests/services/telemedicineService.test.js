@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Appointment = require('../../src/models/Appointment');
+const VirtualSession = require('../../src/models/VirtualSession');
+const eventBus = require('../../src/services/eventBus');
+const telemedicineService = require('../../src/services/telemedicineService');
+
+const doctor = { _id: new mongoose.Types.ObjectId(), firstName: 'Asha', lastName: 'Rao' };
+const patient = { _id: new mongoose.Types.ObjectId(), firstName: 'Sam', lastName: 'Lee' };
+
+const appointmentNow = (consultationType) => {
+    const now = new Date();
+    const appointment = new Appointment({
+        appointmentId: 'APT00001',
+        patient: patient._id,
+        doctor: doctor._id,
+        branchId: new mongoose.Types.ObjectId(),
+        scheduledDate: new Date(now.getFullYear(), now.getMonth(), now.getDate()),
+        scheduledTime: `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`,
+        consultationType,
+        status: 'confirmed'
+    });
+    appointment.save = jest.fn().mockResolvedValue(appointment);
+    return appointment;
+};
+
+const sessionFor = (appointment, overrides = {}) => {
+    const session = new VirtualSession({
+        appointment: appointment._id,
+        doctor: doctor._id,
+        patient: patient._id,
+        consultationType: appointment.consultationType,
+        ...overrides
+    });
+    session.save = jest.fn().mockResolvedValue(session);
+    return session;
+};
+
+const originalProvider = process.env.TELEMEDICINE_PROVIDER;
+
+beforeEach(() => {
+    // No video provider configured
+    delete process.env.TELEMEDICINE_PROVIDER;
+    telemedicineService.setProvider(null);
+    jest.spyOn(eventBus, 'publish').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+afterAll(() => {
+    if (originalProvider !== undefined) process.env.TELEMEDICINE_PROVIDER = originalProvider;
+    telemedicineService.setProvider(null);
+});
+
+describe('without a video provider', () => {
+    it('still carries chat messages', async () => {
+        const appointment = appointmentNow('chat');
+        jest.spyOn(VirtualSession, 'findOne').mockResolvedValue(null);
+        jest.spyOn(VirtualSession, 'create').mockImplementation(async (fields) => sessionFor(appointment, fields));
+
+        const result = await telemedicineService.addMessage(appointment, patient, 'Hello doctor');
+
+        expect(result.error).toBeUndefined();
+        expect(result.message).toMatchObject({ role: 'patient', message: 'Hello doctor' });
+        expect(result.session.providerRoomId).toBeUndefined();
+    });
+
+    it('ends a session that never opened a room', async () => {
+        const appointment = appointmentNow('chat');
+        const session = sessionFor(appointment);
+        jest.spyOn(VirtualSession, 'findOne').mockResolvedValue(session);
+
+        const result = await telemedicineService.endSession(appointment, doctor);
+
+        expect(result.error).toBeUndefined();
+        expect(session.status).toBe('ended');
+    });
+
+    it('refuses join tokens and ending a room with a 503', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const appointment = appointmentNow('video_call');
+        const session = sessionFor(appointment, { provider: 'twilio', providerRoomId: 'room-1', status: 'waiting' });
+        jest.spyOn(VirtualSession, 'findOne').mockResolvedValue(session);
+
+        await expect(telemedicineService.issueJoinToken(appointment, patient)).resolves.toMatchObject({ statusCode: 503 });
+        await expect(telemedicineService.endSession(appointment, doctor)).resolves.toMatchObject({ statusCode: 503 });
+        expect(session.status).toBe('waiting');
+    });
+});
+
+describe('with a video provider', () => {
+    it('creates the room on the first join request and closes it at the end', async () => {
+        const provider = {
+            name: 'fake',
+            createRoom: jest.fn().mockResolvedValue({ roomId: 'room-1' }),
+            createJoinToken: jest.fn().mockResolvedValue({ token: 'token', joinUrl: 'https://example.test/room-1' }),
+            endRoom: jest.fn().mockResolvedValue()
+        };
+        telemedicineService.setProvider(provider);
+
+        const appointment = appointmentNow('video_call');
+        const session = sessionFor(appointment);
+        jest.spyOn(VirtualSession, 'findOne').mockResolvedValue(session);
+
+        const result = await telemedicineService.issueJoinToken(appointment, patient);
+
+        expect(result.token).toBe('token');
+        expect(session).toMatchObject({ provider: 'fake', providerRoomId: 'room-1', status: 'waiting' });
+
+        await telemedicineService.endSession(appointment, doctor);
+
+        expect(provider.endRoom).toHaveBeenCalledWith('room-1');
+    });
+});
@@ -0,0 +1,105 @@
+const templateService = require('../../src/services/templateService');
+
+const template = {
+    key: 'lab_ready',
+    type: 'lab_result',
+    priority: 'normal',
+    defaultLanguage: 'en',
+    placeholders: [
+        { key: 'reportId' },
+        { key: 'patient.name' },
+        { key: 'note', optional: true }
+    ],
+    variants: [
+        {
+            language: 'en',
+            title: 'Report {{reportId}} is ready',
+            body: 'Hello {{patient.name}}, your report is ready.{{#note}} Note: {{note}}{{/note}}',
+            email: { html: '<p>Hello {{patient.name}}</p>{{#note}}<p>{{note}}</p>{{/note}}' }
+        },
+        { language: 'pt', title: 'Relatório {{reportId}} pronto', body: 'Olá {{patient.name}}.' }
+    ]
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('interpolate', () => {
+    it('fills nested placeholders and leaves missing ones empty', () => {
+        expect(templateService.interpolate('{{ patient.name }} / {{ missing.value }}', { patient: { name: 'Sam' } }))
+            .toBe('Sam / ');
+    });
+
+    it('keeps a section only when its value is set', () => {
+        const text = 'Cancelled{{#reason}}: {{reason}}{{/reason}}.';
+
+        expect(templateService.interpolate(text, { reason: 'Doctor unavailable' })).toBe('Cancelled: Doctor unavailable.');
+        expect(templateService.interpolate(text, { reason: '' })).toBe('Cancelled.');
+        expect(templateService.interpolate(text, {})).toBe('Cancelled.');
+    });
+
+    it('escapes inserted values only when asked to', () => {
+        const variables = { name: '<b>"Tom" & Jerry</b>' };
+
+        expect(templateService.interpolate('<p>{{name}}</p>', variables, { escape: true }))
+            .toBe('<p>&lt;b&gt;&quot;Tom&quot; &amp; Jerry&lt;/b&gt;</p>');
+        expect(templateService.interpolate('{{name}}', variables)).toBe('<b>"Tom" & Jerry</b>');
+    });
+});
+
+describe('selectVariant', () => {
+    it('falls back from a regional language to its base, then to the default', () => {
+        expect(templateService.selectVariant(template, 'PT-BR').language).toBe('pt');
+        expect(templateService.selectVariant(template, 'fr').language).toBe('en');
+        expect(templateService.selectVariant(template).language).toBe('en');
+    });
+});
+
+describe('render', () => {
+    const variables = { reportId: 'LR260302001', patient: { name: '<Sam>' }, note: 'Fasting sample' };
+
+    it('derives every channel from the variant and escapes only the email html', () => {
+        const rendered = templateService.render(template, variables, 'en-GB');
+
+        expect(rendered).toMatchObject({
+            language: 'en',
+            title: 'Report LR260302001 is ready',
+            body: 'Hello <Sam>, your report is ready. Note: Fasting sample',
+            push: { title: 'Report LR260302001 is ready' },
+            email: {
+                subject: 'Report LR260302001 is ready',
+                html: '<p>Hello &lt;Sam&gt;</p><p>Fasting sample</p>'
+            },
+            sms: { body: 'Report LR260302001 is ready: Hello <Sam>, your report is ready. Note: Fasting sample' },
+            missing: []
+        });
+    });
+
+    it('reports required placeholders without a value', () => {
+        const rendered = templateService.render(template, { patient: {} }, 'pt');
+
+        expect(rendered.title).toBe('Relatório  pronto');
+        expect(rendered.email.html).toBeNull();
+        expect(rendered.missing).toEqual(['reportId', 'patient.name']);
+    });
+});
+
+describe('buildContent', () => {
+    it('renders a built-in template', async () => {
+        jest.spyOn(templateService, 'getTemplate').mockResolvedValue(
+            templateService.getBuiltInTemplates().find(t => t.key === 'appointment_cancelled')
+        );
+
+        const content = await templateService.buildContent('appointment_cancelled', { appointmentId: 'APT00042' }, 'en');
+
+        expect(content).toMatchObject({ template: 'appointment_cancelled', language: 'en' });
+        expect(content.body).toBe('Your appointment APT00042 has been cancelled.');
+    });
+
+    it('refuses unknown templates and missing values with a 400', async () => {
+        jest.spyOn(templateService, 'getTemplate').mockResolvedValueOnce(null).mockResolvedValueOnce(template);
+
+        await expect(templateService.buildContent('nope', {})).rejects.toMatchObject({ statusCode: 400 });
+        await expect(templateService.buildContent('lab_ready', { reportId: 'LR1' }))
+            .rejects.toThrow('Template lab_ready is missing values for: patient.name');
+    });
+});